@@ -1,5 +1,17 @@
 const openWindows = new Set();
 
+const INDEX_KEY = 'notebookIndex';
+const NOTE_PREFIX = 'notebookNote:';
+const LEGACY_KEY = 'notebookData';
+const SETTINGS_KEY = 'notebookSettings';
+const INBOX_KEY = 'notebookInbox';
+const REQUEST_KEY = 'notebookPanelRequest';
+const WRITER_ID = 'background';
+const INBOX_NOTE_NAME = 'Inbox';
+const OMNIBOX_MAX_SUGGESTIONS = 6;
+const MENU_ROOT = 'notebook-capture';
+const CAPTURE_CONTEXTS = ['selection', 'link', 'image', 'page'];
+
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
 if (chrome.sidePanel.onOpened) {
@@ -14,6 +26,21 @@ if (chrome.sidePanel.onClosed) {
   });
 }
 
+// Tracked so handlers without a tab (the omnibox) can open the panel synchronously.
+// A sleeping worker misses focus changes, so the omnibox also seeds it as typing starts.
+let focusedWindowId = null;
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) focusedWindowId = windowId;
+});
+
+function rememberFocusedWindow() {
+  getTargetWindowId()
+    .then((windowId) => {
+      if (windowId !== null) focusedWindowId = windowId;
+    })
+    .catch((error) => console.error('Notebook: failed to find the focused window.', error));
+}
+
 async function getTargetWindowId() {
   const currentWindow = await chrome.windows.getLastFocused({
     populate: false,
@@ -23,9 +50,109 @@ async function getTargetWindowId() {
   return typeof currentWindow?.id === 'number' ? currentWindow.id : null;
 }
 
-chrome.commands.onCommand.addListener(async (command) => {
-  if (command !== 'toggle-side-panel') return;
+/**
+ * The window of an open notebook panel, preferring the one in `windowId`, or
+ * null when no panel is open. Chrome is asked each time: `openWindows` starts
+ * out empty whenever the service worker wakes up.
+ */
+async function findPanelWindow(windowId) {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['SIDE_PANEL'] });
+  if (!contexts.length) return null;
+  const own = contexts.find((context) => context.windowId === windowId);
+  return (own || contexts[0]).windowId;
+}
+
+/* Notebook storage, for actions that work while no panel is open. Panels
+   pick up these writes through their storage listeners like any other. */
+
+let writeQueue = Promise.resolve();
+
+/** Run read-modify-write steps one at a time. */
+function queueWrite(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function createId(prefix) {
+  return prefix + '-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Append `html` to a note: `target` is 'active', 'inbox' (a note named
+ * Inbox, created when missing), 'new', or a tab id. Resolves with the note's
+ * index entry, or null while the notebook still waits for the panel to
+ * migrate it from the single-blob format.
+ */
+function appendToNote(target, html, { name = '', activate = false } = {}) {
+  return queueWrite(async () => {
+    const result = await chrome.storage.local.get([INDEX_KEY, LEGACY_KEY]);
+    if (result[LEGACY_KEY]) return null;
+
+    const index = result[INDEX_KEY] || { activeTabId: null, tabs: [] };
+    const now = Date.now();
+    let entry = null;
+    if (target === 'inbox') entry = index.tabs.find((tab) => tab.name === INBOX_NOTE_NAME);
+    else if (target === 'active') entry = index.tabs.find((tab) => tab.id === index.activeTabId) || index.tabs[0];
+    else if (target !== 'new') entry = index.tabs.find((tab) => tab.id === target);
+
+    if (!entry) {
+      const fallbackName = target === 'inbox' ? INBOX_NOTE_NAME : `Note ${index.tabs.length + 1}`;
+      entry = { id: createId('tab'), name: name || fallbackName, createdAt: now, updatedAt: now };
+      index.tabs.push(entry);
+      if (!index.activeTabId) index.activeTabId = entry.id;
+    }
+    if (activate) index.activeTabId = entry.id;
+
+    const key = NOTE_PREFIX + entry.id;
+    const stored = (await chrome.storage.local.get(key))[key];
+    entry.updatedAt = now;
+    await chrome.storage.local.set({
+      [key]: { content: ((stored && stored.content) || '') + html, updatedAt: now, writer: WRITER_ID },
+      [INDEX_KEY]: Object.assign(index, { writer: WRITER_ID }),
+    });
+    return entry;
+  });
+}
+
+/**
+ * Ask the panel in a window to do something (open a note, show search, …),
+ * opening the panel when it is closed. The panel reads the request on startup
+ * or from its storage listener. Must be called straight from the event
+ * handler: the panel is opened before anything is awaited, while the user
+ * gesture still counts. Without a known window it looks up the last focused
+ * one, and opening the panel there may be refused.
+ */
+function sendPanelRequest(request, windowId = focusedWindowId) {
+  if (typeof windowId === 'number') openPanel(windowId);
+  return (typeof windowId === 'number' ? Promise.resolve(windowId) : getTargetWindowId())
+    .then((targetId) => {
+      if (targetId === null) return;
+      if (targetId !== windowId) openPanel(targetId);
+      return chrome.storage.local.set({
+        [REQUEST_KEY]: Object.assign({ id: createId('request'), windowId: targetId, at: Date.now() }, request),
+      });
+    });
+}
+
+/** Opening an open panel does nothing, so this doesn't ask `openWindows`, which is empty after a restart. */
+function openPanel(windowId) {
+  chrome.sidePanel.open({ windowId })
+    .then(() => openWindows.add(windowId))
+    .catch((error) => console.error('Notebook: failed to open the side panel.', error));
+}
+
+/** Brief confirmation on the toolbar icon for actions that don't open the panel. */
+function flashBadge(text) {
+  chrome.action.setBadgeText({ text });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+}
 
+async function toggleSidePanel() {
   try {
     const windowId = await getTargetWindowId();
 
@@ -45,4 +172,342 @@ chrome.commands.onCommand.addListener(async (command) => {
   } catch (error) {
     console.error('Notebook: failed to toggle side panel.', error);
   }
+}
+
+/** Add the page's title and URL to the active note; an open panel appends it in its editor. */
+async function capturePage(tab) {
+  const page = tab && tab.url ? tab : (await chrome.tabs.query({ active: true, lastFocusedWindow: true }))[0];
+  if (!page || !page.url) return;
+
+  const panelWindowId = await findPanelWindow(page.windowId);
+  const capture = {
+    id: createId('capture'),
+    capturedAt: Date.now(),
+    windowId: panelWindowId === null ? page.windowId : panelWindowId,
+    kind: 'page',
+    source: { title: page.title || page.url, url: page.url },
+    target: { kind: 'active' },
+  };
+  if (panelWindowId === null) {
+    const html = `<p><a href="${escapeHTML(page.url)}">${escapeHTML(page.title || page.url)}</a></p>`;
+    const entry = await appendToNote('active', html);
+    if (entry) {
+      flashBadge('+1');
+      return;
+    }
+  }
+  await updateInbox((items) => items.concat(capture));
+}
+
+// Commands that need the panel open it (they are user gestures) and hand it a request.
+const PANEL_COMMANDS = {
+  'new-note': { type: 'new' },
+  'open-search': { type: 'search' },
+  'next-note': { type: 'switch', offset: 1 },
+  'previous-note': { type: 'switch', offset: -1 },
+};
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'toggle-side-panel') {
+    toggleSidePanel();
+  } else if (command === 'capture-page') {
+    capturePage(tab).catch((error) => console.error('Notebook: failed to capture the page.', error));
+  } else if (PANEL_COMMANDS[command]) {
+    sendPanelRequest(PANEL_COMMANDS[command], tab && typeof tab.windowId === 'number' ? tab.windowId : undefined)
+      .catch((error) => console.error(`Notebook: failed to run ${command}.`, error));
+  }
+});
+
+/* Context menu capture: items are queued in storage and appended by a panel,
+   which sanitizes them the same way as pasted HTML. */
+
+let menuSignature = '';
+let menuQueue = Promise.resolve();
+
+function menuTitle(name) {
+  // A single "&" marks an access key in menu titles.
+  return String(name || 'Untitled').replace(/&/g, '&&');
+}
+
+/** Rebuild the menus after any rebuild still running, so two never interleave removeAll() and create(). */
+function rebuildContextMenus() {
+  const run = menuQueue.then(buildContextMenus);
+  menuQueue = run.catch(() => {});
+  return run;
+}
+
+async function buildContextMenus() {
+  const result = await chrome.storage.local.get(INDEX_KEY);
+  const tabs = (result[INDEX_KEY] && Array.isArray(result[INDEX_KEY].tabs)) ? result[INDEX_KEY].tabs : [];
+  menuSignature = JSON.stringify(tabs.map((tab) => [tab.id, tab.name]));
+
+  await chrome.contextMenus.removeAll();
+  const created = [];
+  const add = (props) => created.push(new Promise((resolve) => {
+    chrome.contextMenus.create(Object.assign({ contexts: CAPTURE_CONTEXTS }, props), () => {
+      if (chrome.runtime.lastError) {
+        console.error(`Notebook: failed to add context menu item ${props.id}.`, chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  }));
+  add({ id: MENU_ROOT, title: 'Add to Notebook' });
+  add({ id: `${MENU_ROOT}:active`, parentId: MENU_ROOT, title: 'Active note' });
+  add({ id: `${MENU_ROOT}:new`, parentId: MENU_ROOT, title: 'New note' });
+  if (tabs.length) {
+    add({ id: `${MENU_ROOT}:sep`, parentId: MENU_ROOT, type: 'separator' });
+    tabs.forEach((tab) => {
+      add({ id: `${MENU_ROOT}:tab:${tab.id}`, parentId: MENU_ROOT, title: menuTitle(tab.name) });
+    });
+  }
+  await Promise.all(created);
+}
+
+function parseMenuTarget(menuItemId) {
+  const id = String(menuItemId);
+  if (id === `${MENU_ROOT}:active`) return { kind: 'active' };
+  if (id === `${MENU_ROOT}:new`) return { kind: 'new' };
+  if (id.startsWith(`${MENU_ROOT}:tab:`)) return { kind: 'tab', tabId: id.slice(`${MENU_ROOT}:tab:`.length) };
+  return null;
+}
+
+/** The selection as HTML, with links and images made absolute. Empty when the page can't be scripted. */
+async function getSelectionHTML(tabId, frameId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId || 0] },
+      func: () => {
+        const selection = window.getSelection();
+        if (!selection || !selection.rangeCount) return '';
+        const box = document.createElement('div');
+        for (let i = 0; i < selection.rangeCount; i += 1) {
+          box.appendChild(selection.getRangeAt(i).cloneContents());
+        }
+        box.querySelectorAll('a[href]').forEach((a) => a.setAttribute('href', a.href));
+        box.querySelectorAll('img[src]').forEach((img) => img.setAttribute('src', img.src));
+        return box.innerHTML;
+      },
+    });
+    return injection && typeof injection.result === 'string' ? injection.result : '';
+  } catch (error) {
+    // chrome:// pages, the Web Store and PDFs refuse script injection; plain text still works.
+    return '';
+  }
+}
+
+async function buildCapture(info, tab) {
+  const capture = {
+    id: `capture-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    capturedAt: Date.now(),
+    windowId: tab && typeof tab.windowId === 'number' ? tab.windowId : null,
+    source: { title: (tab && tab.title) || info.pageUrl || '', url: info.pageUrl || (tab && tab.url) || '' },
+  };
+
+  if (info.mediaType === 'image' && info.srcUrl) {
+    return Object.assign(capture, { kind: 'image', src: info.srcUrl });
+  }
+  if (info.selectionText) {
+    const html = tab && typeof tab.id === 'number' ? await getSelectionHTML(tab.id, info.frameId) : '';
+    return Object.assign(capture, { kind: 'selection', html, text: info.selectionText });
+  }
+  if (info.linkUrl) {
+    return Object.assign(capture, { kind: 'link', url: info.linkUrl });
+  }
+  return Object.assign(capture, { kind: 'page' });
+}
+
+/** Inbox writes are chained so captures in quick succession don't overwrite each other. */
+function updateInbox(fn) {
+  return queueWrite(async () => {
+    const result = await chrome.storage.local.get(INBOX_KEY);
+    const items = Array.isArray(result[INBOX_KEY]) ? result[INBOX_KEY] : [];
+    await chrome.storage.local.set({ [INBOX_KEY]: fn(items) });
+  }).catch((error) => console.error('Notebook: failed to update capture inbox.', error));
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  rebuildContextMenus().catch((error) => console.error('Notebook: failed to build context menus.', error));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  rebuildContextMenus().catch((error) => console.error('Notebook: failed to build context menus.', error));
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[INDEX_KEY] || !changes[INDEX_KEY].newValue) return;
+  const tabs = changes[INDEX_KEY].newValue.tabs || [];
+  if (JSON.stringify(tabs.map((tab) => [tab.id, tab.name])) === menuSignature) return;
+  rebuildContextMenus().catch((error) => console.error('Notebook: failed to build context menus.', error));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const target = parseMenuTarget(info.menuItemId);
+  if (!target) return;
+
+  // Opening the panel needs the click's user gesture, so it can't wait for the capture.
+  if (tab && typeof tab.windowId === 'number') openPanel(tab.windowId);
+
+  buildCapture(info, tab)
+    .then((capture) => updateInbox((items) => items.concat(Object.assign(capture, { target }))))
+    .catch((error) => console.error('Notebook: failed to capture from page.', error));
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (!message || message.type !== 'notebook:captures-applied' || !Array.isArray(message.ids)) return;
+  const done = new Set(message.ids);
+  updateInbox((items) => items.filter((item) => !done.has(item.id)));
+});
+
+/* Omnibox: "nb <words>" searches notes, "nb + <text>" adds a line. */
+
+const noteLineCache = new Map();  // tabId → { updatedAt, lines }
+let suggestionTargets = new Map(); // suggestion content → { tabId, query }
+
+function xmlEscape(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/** `text` with each occurrence of `query` wrapped in <match> (omnibox description markup). */
+function markMatches(text, query) {
+  const lower = text.toLowerCase();
+  const needle = query.toLowerCase();
+  let out = '';
+  let last = 0;
+  for (let idx = lower.indexOf(needle); needle && idx !== -1; idx = lower.indexOf(needle, last)) {
+    out += xmlEscape(text.slice(last, idx)) + '<match>' + xmlEscape(text.slice(idx, idx + needle.length)) + '</match>';
+    last = idx + needle.length;
+  }
+  return out + xmlEscape(text.slice(last));
+}
+
+/** Visible lines of a note's HTML; the service worker has no DOM to parse with. */
+function htmlToLines(html) {
+  return String(html || '')
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|pre|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map((line) => line.replace(/[\s\u200b]+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+async function searchNotes(query) {
+  const { [INDEX_KEY]: index } = await chrome.storage.local.get(INDEX_KEY);
+  const tabs = index && Array.isArray(index.tabs) ? index.tabs : [];
+  const stale = tabs.filter((tab) => {
+    const cached = noteLineCache.get(tab.id);
+    return !cached || cached.updatedAt !== tab.updatedAt;
+  });
+  if (stale.length) {
+    const notes = await chrome.storage.local.get(stale.map((tab) => NOTE_PREFIX + tab.id));
+    stale.forEach((tab) => {
+      const note = notes[NOTE_PREFIX + tab.id];
+      noteLineCache.set(tab.id, { updatedAt: tab.updatedAt, lines: htmlToLines(note && note.content) });
+    });
+  }
+
+  const needle = query.toLowerCase();
+  const nameHits = [];
+  const lineHits = [];
+  tabs.forEach((tab) => {
+    const name = tab.name || 'Untitled';
+    if (name.toLowerCase().includes(needle)) nameHits.push({ tab, name });
+    noteLineCache.get(tab.id).lines
+      .filter((line) => line.toLowerCase().includes(needle))
+      .slice(0, 2)
+      .forEach((line) => lineHits.push({ tab, name, line }));
+  });
+
+  const targets = new Map();
+  const suggestions = [];
+  const add = (content, description, target) => {
+    if (targets.has(content) || suggestions.length >= OMNIBOX_MAX_SUGGESTIONS) return;
+    targets.set(content, target);
+    suggestions.push({ content, description });
+  };
+  nameHits.forEach(({ tab, name }) => {
+    add(`${name} (note)`, `${markMatches(name, query)} <dim>— open note</dim>`, { tabId: tab.id, query: '' });
+  });
+  lineHits.forEach(({ tab, name, line }) => {
+    const snippet = line.length > 90 ? line.slice(0, 89) + '…' : line;
+    add(`${name}: ${snippet}`, `<dim>${xmlEscape(name)}:</dim> ${markMatches(snippet, query)}`, { tabId: tab.id, query });
+  });
+  suggestionTargets = targets;
+  return suggestions;
+}
+
+/**
+ * Add a line from the address bar. An open panel adds it through the inbox, so
+ * the line lands in its editor instead of racing its unsaved typing.
+ */
+async function quickAdd(text) {
+  const { [SETTINGS_KEY]: settings } = await chrome.storage.local.get(SETTINGS_KEY);
+  const target = settings && settings.quickAddTarget === 'inbox' ? 'inbox' : 'active';
+  const panelWindowId = await findPanelWindow(focusedWindowId);
+  // Without a panel, also when the notebook isn't migrated yet: the panel adds it once it opens.
+  const entry = panelWindowId === null ? await appendToNote(target, `<p>${escapeHTML(text)}</p>`) : null;
+  if (!entry) {
+    await updateInbox((items) => items.concat({
+      id: createId('capture'),
+      capturedAt: Date.now(),
+      windowId: panelWindowId,
+      kind: 'selection',
+      text,
+      source: {},
+      target: { kind: target },
+    }));
+  }
+  flashBadge('+1');
+}
+
+chrome.omnibox.setDefaultSuggestion({
+  description: 'Search notes, or type <match>+ text</match> to add a line',
+});
+
+chrome.omnibox.onInputStarted.addListener(rememberFocusedWindow);
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  if (focusedWindowId === null) rememberFocusedWindow();
+  const query = text.trim();
+  if (query.startsWith('+')) {
+    const line = query.slice(1).trim();
+    chrome.omnibox.setDefaultSuggestion({
+      description: line ? `Add <match>${xmlEscape(line)}</match> to your notes` : 'Type the text to add after <match>+</match>',
+    });
+    suggest([]);
+    return;
+  }
+  chrome.omnibox.setDefaultSuggestion({
+    description: query ? `Search notes for <match>${xmlEscape(query)}</match>` : 'Search notes, or type <match>+ text</match> to add a line',
+  });
+  if (!query) {
+    suggest([]);
+    return;
+  }
+  searchNotes(query)
+    .then(suggest)
+    .catch((error) => console.error('Notebook: omnibox search failed.', error));
+});
+
+chrome.omnibox.onInputEntered.addListener((text) => {
+  const query = text.trim();
+  if (query.startsWith('+')) {
+    const line = query.slice(1).trim();
+    if (line) quickAdd(line).catch((error) => console.error('Notebook: failed to add from the address bar.', error));
+    return;
+  }
+
+  const target = suggestionTargets.get(text);
+  const request = target
+    ? { type: 'open', tabId: target.tabId, query: target.query }
+    : { type: 'search', query };
+  sendPanelRequest(request).catch((error) => console.error('Notebook: failed to open the side panel.', error));
 });
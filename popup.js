@@ -1,6 +1,11 @@
 /**
  * Notebook Chrome Extension — popup.js
- * Single IIFE with named module objects: STATE, STORAGE, TABS, EDITOR, TOOLBAR
+ * Single IIFE with named module objects: STATE, STORAGE, SETTINGS, LINKS,
+ * EDITOR, TOOLBAR, TABS, TAB_MENU, GROUPS, LAYOUT, NOTE_OPS, TEMPLATES, PANEL,
+ * APP_MENU, SETTINGS_PANEL, SEARCH, ALL_NOTES, HISTORY, HISTORY_PANEL, TOAST,
+ * TRASH, TRASH_PANEL, TEMPLATES_PANEL, BACKUP, BACKUP_PANEL, MARKDOWN,
+ * AUTOFORMAT, OUTLINE, CHECKLIST, TABLES, CODE, TAGS, IMAGE_STORE, STATUS_BAR,
+ * SYNC, CAPTURE, REQUESTS, SHORTCUTS
  */
 (function () {
   'use strict';
@@ -9,14 +14,50 @@
     return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
   }
 
+  function createId(prefix) {
+    return prefix + '-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  /** Save `text` as a download named `filename`. */
+  function downloadFile(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** "512 B", "3.4 KB", "1.2 MB". */
+  function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  /** "just now", "5 min ago", "3 h ago", then a short date. */
+  function formatRelativeTime(ts) {
+    const diff = Date.now() - ts;
+    if (diff < 60 * 1000) return 'just now';
+    if (diff < 60 * 60 * 1000) return Math.floor(diff / 60000) + ' min ago';
+    if (diff < 24 * 60 * 60 * 1000) return Math.floor(diff / 3600000) + ' h ago';
+    return new Date(ts).toLocaleString(undefined, {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+    });
+  }
+
   /* ============================================================
      STATE — in-memory working copy
      ============================================================ */
   const STATE = {
-    tabs: [],           // Array<{ id, name, content, createdAt, updatedAt }>
+    tabs: [],           // Array<{ id, name, content, createdAt, updatedAt, groupId? }>
+    groups: [],         // Array<{ id, name, collapsed }>; a group's tabs sit next to each other
     activeTabId: null,  // string
     isDirty: false,
     saveTimer: null,
+    windowId: null,     // browser window this panel is docked in, once known
   };
 
   function deferNonCritical(task) {
@@ -31,49 +72,549 @@
      STORAGE — chrome.storage.local wrappers
      ============================================================ */
   const STORAGE = {
-    KEY: 'notebookData',
+    INDEX_KEY: 'notebookIndex',      // { activeTabId, groups, tabs: [{ id, name, createdAt, updatedAt, …TAB_FIELDS, progress?, hashtags? }] }
+    NOTE_PREFIX: 'notebookNote:',    // + tab id → { content, updatedAt }
+    LEGACY_KEY: 'notebookData',      // every note in one blob; migrated on first load
+    DRAFT_KEY: 'notebookRecoveryDraft',  // localStorage; survives a failing chrome.storage
+    RETRY_BASE_MS: 1000,
+    RETRY_MAX_MS: 60 * 1000,
+    // Optional tab properties kept in the index; only those that are set are stored.
+    TAB_FIELDS: ['groupId', 'pinned', 'color', 'icon', 'tags'],
+
+    // What storage holds as far as this panel knows: tabId → { name, createdAt,
+    // updatedAt, …TAB_FIELDS, progress, hashtags, content }, content only once loaded. Saves
+    // write what differs from it; SYNC merges other panels' writes against it.
+    saved: new Map(),
+    savedOrder: [],
+    savedGroups: [],
+    _savedIndex: '',          // JSON of the saved index entries
+    _savedGroupsJSON: '[]',
+    _savedActiveId: null,
+    _legacyPending: false,    // migration could not write yet; drop the old blob after the next save
+    _pending: new Map(),      // tabId → Promise of a note being read
+
+    _revision: 0,             // bumped by scheduleSave; a write only clears isDirty if unchanged since
+    _retryTimer: null,
+    _retryDelay: 0,
+
+    noteKey(tabId) {
+      return STORAGE.NOTE_PREFIX + tabId;
+    },
 
-    async load() {
+    /** Tabs start with metadata only; `content` appears once their note is read. */
+    isLoaded(tab) {
+      return typeof tab.content === 'string';
+    },
+
+    _get(keys) {
       return new Promise((resolve) => {
-        chrome.storage.local.get(STORAGE.KEY, (result) => {
-          resolve(result[STORAGE.KEY] || null);
+        chrome.storage.local.get(keys, (result) => resolve(result || {}));
+      });
+    },
+
+    /** @throws {Error} when chrome.storage reports a failure (e.g. quota exceeded) */
+    _set(items) {
+      return new Promise((resolve, reject) => {
+        chrome.storage.local.set(items, () => {
+          const err = chrome.runtime.lastError;
+          if (err) reject(new Error(err.message || 'Storage write failed.'));
+          else resolve();
         });
       });
     },
 
-    async save(data) {
+    _remove(keys) {
       return new Promise((resolve) => {
-        chrome.storage.local.set({ [STORAGE.KEY]: data }, resolve);
+        chrome.storage.local.remove(keys, () => resolve());
+      });
+    },
+
+    /**
+     * Read the index and the active note. Other notes are read on demand
+     * with ensureContent. Resolves with `{ activeTabId, groups, tabs }` or null.
+     */
+    async load() {
+      const result = await STORAGE._get(STORAGE.INDEX_KEY);
+      const index = result[STORAGE.INDEX_KEY] || await STORAGE._migrateLegacy();
+      if (!index || !Array.isArray(index.tabs) || !index.tabs.length) return null;
+
+      const groups = STORAGE.groupsFrom(index);
+      if (!STORAGE._legacyPending) STORAGE._remember(index.tabs, {}, index.activeTabId, groups);
+      const tabs = index.tabs.map((entry) => STORAGE.fromEntry(entry));
+      const active = tabs.find((t) => t.id === index.activeTabId) || tabs[0];
+      await STORAGE.ensureContent([active]);
+      return { activeTabId: active.id, groups, tabs };
+    },
+
+    /** Well-formed copies of the groups in an index (or draft); older indexes have none. */
+    groupsFrom(index) {
+      if (!index || !Array.isArray(index.groups)) return [];
+      return index.groups
+        .filter((group) => group && typeof group.id === 'string' && group.id)
+        .map((group) => ({
+          id: group.id,
+          name: typeof group.name === 'string' && group.name.trim() ? group.name : 'Group',
+          collapsed: !!group.collapsed,
+        }));
+    },
+
+    /** Split the single-blob format into an index and one record per note. */
+    async _migrateLegacy() {
+      const result = await STORAGE._get(STORAGE.LEGACY_KEY);
+      const legacy = result[STORAGE.LEGACY_KEY];
+      if (!legacy || !Array.isArray(legacy.tabs) || !legacy.tabs.length) return null;
+
+      const tabs = legacy.tabs.map((tab) => Object.assign({}, tab, { content: tab.content || '' }));
+      const items = {};
+      tabs.forEach((tab) => {
+        items[STORAGE.noteKey(tab.id)] = { content: tab.content, updatedAt: tab.updatedAt || 0 };
+      });
+      const index = { activeTabId: legacy.activeTabId, tabs: tabs.map((tab) => STORAGE._entry(tab)) };
+      items[STORAGE.INDEX_KEY] = index;
+
+      try {
+        await STORAGE._set(items);
+        await STORAGE._remove(STORAGE.LEGACY_KEY);
+        return index;
+      } catch (_) {
+        // Keep working from the old blob; every note counts as unsaved until a write lands.
+        STORAGE._legacyPending = true;
+        return { activeTabId: legacy.activeTabId, tabs };
+      }
+    },
+
+    /** A tab object for an index entry (a full legacy tab keeps its content). */
+    fromEntry(entry) {
+      const tab = STORAGE.copyFields(entry, { id: entry.id, name: entry.name, createdAt: entry.createdAt, updatedAt: entry.updatedAt });
+      if (typeof entry.content === 'string') tab.content = entry.content;
+      return tab;
+    },
+
+    /** Index entry for a tab; checklist progress and hashtags ride along so unread notes can show them. */
+    _entry(tab) {
+      const entry = STORAGE.copyFields(tab, { id: tab.id, name: tab.name, createdAt: tab.createdAt, updatedAt: tab.updatedAt });
+      const progress = CHECKLIST.progressFor(tab);
+      if (progress.total) entry.progress = { done: progress.done, total: progress.total };
+      const hashtags = TAGS.hashtagsFor(tab);
+      if (hashtags.length) entry.hashtags = hashtags.slice();
+      return entry;
+    },
+
+    /** Copy the TAB_FIELDS that are set on `from` onto `to`. */
+    copyFields(from, to) {
+      STORAGE.TAB_FIELDS.forEach((field) => {
+        if (from[field]) to[field] = from[field];
+      });
+      return to;
+    },
+
+    /** Index entries as last saved, for merging a write that only touched notes. */
+    savedEntries() {
+      return STORAGE.savedOrder.map((id) => {
+        const saved = STORAGE.saved.get(id);
+        const entry = STORAGE.copyFields(saved, { id, name: saved.name, createdAt: saved.createdAt, updatedAt: saved.updatedAt });
+        if (saved.progress) entry.progress = saved.progress;
+        if (saved.hashtags) entry.hashtags = saved.hashtags;
+        return entry;
+      });
+    },
+
+    /**
+     * Record `entries` and `groups` as the saved index. `contents` (tabId →
+     * content) holds notes known to match storage; others keep what was
+     * remembered before.
+     */
+    _remember(entries, contents, activeTabId = STORAGE._savedActiveId, groups = STORAGE.savedGroups) {
+      const previous = STORAGE.saved;
+      STORAGE.saved = new Map(entries.map((entry) => {
+        const before = previous.get(entry.id);
+        const content = entry.id in contents ? contents[entry.id] : (before ? before.content : undefined);
+        return [entry.id, STORAGE.copyFields(entry, {
+          name: entry.name,
+          createdAt: entry.createdAt,
+          updatedAt: entry.updatedAt,
+          progress: entry.progress || null,
+          hashtags: entry.hashtags && entry.hashtags.length ? entry.hashtags.slice() : null,
+          content,
+        })];
+      }));
+      STORAGE.savedOrder = entries.map((entry) => entry.id);
+      STORAGE.savedGroups = groups.map((group) => Object.assign({}, group));
+      STORAGE._savedIndex = JSON.stringify(entries.map((entry) => STORAGE._plainEntry(entry)));
+      STORAGE._savedGroupsJSON = JSON.stringify(STORAGE.savedGroups);
+      STORAGE._savedActiveId = activeTabId;
+    },
+
+    _plainEntry(entry) {
+      const plain = STORAGE.copyFields(entry, { id: entry.id, name: entry.name, createdAt: entry.createdAt, updatedAt: entry.updatedAt });
+      if (entry.progress) plain.progress = { done: entry.progress.done, total: entry.progress.total };
+      if (entry.hashtags) plain.hashtags = entry.hashtags.slice();
+      return plain;
+    },
+
+    /** Read the notes of `tabs` that are not in memory yet. */
+    ensureContent(tabs = STATE.tabs) {
+      const missing = tabs.filter((tab) => !STORAGE.isLoaded(tab));
+      const toRead = missing.filter((tab) => !STORAGE._pending.has(tab.id));
+      if (toRead.length) {
+        const request = STORAGE._get(toRead.map((tab) => STORAGE.noteKey(tab.id))).then((result) => {
+          toRead.forEach((tab) => {
+            STORAGE._pending.delete(tab.id);
+            if (STORAGE.isLoaded(tab)) return;
+            const note = result[STORAGE.noteKey(tab.id)];
+            tab.content = note ? note.content || '' : '';
+            const saved = STORAGE.saved.get(tab.id);
+            if (saved) saved.content = tab.content;
+            HISTORY.updateBaseline(tab.id, tab.content);
+          });
+        });
+        toRead.forEach((tab) => STORAGE._pending.set(tab.id, request));
+      }
+      return Promise.all(missing.map((tab) => STORAGE._pending.get(tab.id))).then(() => {});
+    },
+
+    /** Contents of `tabs` without keeping unread notes in memory. Resolves with tabId → content. */
+    async readContents(tabs = STATE.tabs) {
+      const contents = new Map();
+      const unread = tabs.filter((tab) => !STORAGE.isLoaded(tab));
+      const result = unread.length ? await STORAGE._get(unread.map((tab) => STORAGE.noteKey(tab.id))) : {};
+      tabs.forEach((tab) => {
+        const note = result[STORAGE.noteKey(tab.id)];
+        contents.set(tab.id, STORAGE.isLoaded(tab) ? tab.content : (note && note.content) || '');
       });
+      return contents;
     },
 
-    /** Flush current STATE to storage immediately. */
+    /** What a save would write: changed notes, the index if it moved, and notes to delete. */
+    _collectChanges() {
+      const notes = {};
+      const contents = {};
+      STATE.tabs.forEach((tab) => {
+        if (!STORAGE.isLoaded(tab)) return;
+        contents[tab.id] = tab.content;
+        const saved = STORAGE.saved.get(tab.id);
+        if (saved && saved.content === tab.content) return;
+        notes[tab.id] = tab.content;
+      });
+      const entries = STATE.tabs.map((tab) => STORAGE._entry(tab));
+      const groups = STATE.groups.map((group) => ({ id: group.id, name: group.name, collapsed: !!group.collapsed }));
+      const indexChanged =
+        STATE.activeTabId !== STORAGE._savedActiveId ||
+        JSON.stringify(entries) !== STORAGE._savedIndex ||
+        JSON.stringify(groups) !== STORAGE._savedGroupsJSON;
+      const liveIds = new Set(STATE.tabs.map((tab) => tab.id));
+      const removed = STORAGE.savedOrder.filter((id) => !liveIds.has(id));
+      return { notes, contents, entries, groups, indexChanged, removed };
+    },
+
+    /** Whether STATE holds anything storage does not. */
+    hasChanges() {
+      const { notes, indexChanged, removed } = STORAGE._collectChanges();
+      return indexChanged || removed.length > 0 || Object.keys(notes).length > 0;
+    },
+
+    /**
+     * Flush current STATE to storage immediately, writing only the notes
+     * that changed. Edits stay marked dirty and in the recovery draft until
+     * the write is confirmed; failures retry with exponential backoff.
+     * Resolves with whether the write succeeded.
+     */
     async flush() {
-      STATE.isDirty = false;
       if (STATE.saveTimer) {
         clearTimeout(STATE.saveTimer);
         STATE.saveTimer = null;
       }
-      // Capture the active tab's latest editor content before saving
+      if (STORAGE._retryTimer) {
+        clearTimeout(STORAGE._retryTimer);
+        STORAGE._retryTimer = null;
+      }
+      // Capture the active tab's latest editor content before saving. Only a
+      // real change moves updatedAt, so an unchanged note is not rewritten.
       const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
       if (activeTab) {
-        activeTab.content = EDITOR.getHTML();
-        activeTab.updatedAt = Date.now();
+        const html = EDITOR.getHTML();
+        if (html !== activeTab.content) {
+          activeTab.content = html;
+          activeTab.updatedAt = Date.now();
+        }
       }
-      await STORAGE.save({
-        activeTabId: STATE.activeTabId,
-        tabs: STATE.tabs,
+      HISTORY.captureChanges(STATE.tabs);
+
+      const revision = STORAGE._revision;
+      const activeTabId = STATE.activeTabId;
+      const changes = STORAGE._collectChanges();
+      const items = {};
+      Object.keys(changes.notes).forEach((id) => {
+        const tab = STATE.tabs.find((t) => t.id === id);
+        items[STORAGE.noteKey(id)] = SYNC.stamp({ content: changes.notes[id], updatedAt: tab.updatedAt || 0 });
       });
+      if (changes.indexChanged || changes.removed.length || STORAGE._legacyPending) {
+        items[STORAGE.INDEX_KEY] = SYNC.stamp({ activeTabId, groups: changes.groups, tabs: changes.entries });
+      }
+
+      STORAGE.writeDraft(changes.entries, changes.notes, changes.groups);
+      STATUS_BAR.setSaveState('saving');
+      try {
+        if (Object.keys(items).length) await STORAGE._set(items);
+        if (changes.removed.length) await STORAGE._remove(changes.removed.map((id) => STORAGE.noteKey(id)));
+        if (STORAGE._legacyPending) {
+          await STORAGE._remove(STORAGE.LEGACY_KEY);
+          STORAGE._legacyPending = false;
+        }
+      } catch (err) {
+        STATE.isDirty = true;
+        STORAGE._retryDelay = Math.min(
+          STORAGE.RETRY_MAX_MS,
+          STORAGE._retryDelay ? STORAGE._retryDelay * 2 : STORAGE.RETRY_BASE_MS
+        );
+        STORAGE._retryTimer = setTimeout(() => STORAGE.flush(), STORAGE._retryDelay);
+        STATUS_BAR.setSaveState('error', err.message);
+        STATUS_BAR.refreshUsage();
+        return false;
+      }
+
+      STORAGE._retryDelay = 0;
+      STORAGE._remember(changes.entries, changes.contents, activeTabId, changes.groups);
+      if (revision === STORAGE._revision) {
+        STATE.isDirty = false;
+        STORAGE.clearDraft();
+      }
+      STATUS_BAR.setSaveState(STATE.isDirty ? 'saving' : 'saved');
+      STATUS_BAR.scheduleUsageRefresh();
+      return true;
     },
 
     /** Debounced save — fires 600ms after last call. */
     scheduleSave() {
       STATE.isDirty = true;
+      STORAGE._revision += 1;
+      STATUS_BAR.setSaveState('saving');
       if (STATE.saveTimer) clearTimeout(STATE.saveTimer);
       STATE.saveTimer = setTimeout(() => {
         STORAGE.flush();
       }, 600);
     },
+
+    /**
+     * Keep the index and the notes about to be written in localStorage until
+     * the write lands. Notes from earlier failed writes are still unsaved, so
+     * they are part of `notes` again. `base` (tabId → updatedAt in storage,
+     * null for a note never stored) and `baseIndex` record what the edits
+     * were made on top of, so a draft outdated by later writes is not applied.
+     */
+    writeDraft(entries, notes, groups) {
+      const base = {};
+      Object.keys(notes).forEach((id) => {
+        const saved = STORAGE.saved.get(id);
+        base[id] = saved && typeof saved.content === 'string' ? saved.updatedAt || 0 : null;
+      });
+      const draft = {
+        savedAt: Date.now(),
+        activeTabId: STATE.activeTabId,
+        groups,
+        tabs: entries,
+        notes,
+        base,
+        baseIndex: STORAGE._savedIndex,
+      };
+      try {
+        localStorage.setItem(STORAGE.DRAFT_KEY, JSON.stringify(draft));
+      } catch (_) {
+        // localStorage is full as well; the in-memory copy is all that is left.
+      }
+    },
+
+    clearDraft() {
+      try {
+        localStorage.removeItem(STORAGE.DRAFT_KEY);
+      } catch (_) { /* ignore */ }
+    },
+
+    /**
+     * A draft left behind by a write that never landed, applied on top of
+     * `stored` (as returned by load). A note is only restored over storage
+     * that still holds the version it was edited from; one changed since
+     * (by another panel, a capture, or a later save) is kept as a separate
+     * "(recovered)" note instead. The draft's index replaces the stored one
+     * only while that is unchanged too; otherwise it is merged note by note
+     * (see _mergeDraftIndex), so nothing stored is dropped. Resolves with the
+     * recovered `{ activeTabId, groups, tabs, recovered }` (`recovered`
+     * counting the separate notes), or null when there is nothing to restore.
+     */
+    async takeDraft(stored) {
+      let draft = null;
+      try {
+        draft = JSON.parse(localStorage.getItem(STORAGE.DRAFT_KEY) || 'null');
+      } catch (_) {
+        draft = null;
+      }
+      STORAGE.clearDraft();
+      if (!draft || !Array.isArray(draft.tabs) || !draft.tabs.length || !draft.notes) return null;
+
+      const base = draft.base || {};
+      const noteIds = Object.keys(draft.notes);
+      const result = noteIds.length ? await STORAGE._get(noteIds.map((id) => STORAGE.noteKey(id))) : {};
+      const restore = [];   // ids whose draft content goes back into the note
+      const stale = [];     // ids whose draft content becomes a separate note
+      noteIds.forEach((id) => {
+        const note = result[STORAGE.noteKey(id)];
+        if (note && note.content === draft.notes[id]) return;
+        const fresh = id in base && (note ? base[id] === (note.updatedAt || 0) : base[id] === null);
+        (fresh ? restore : stale).push(id);
+      });
+
+      const groups = STORAGE.groupsFrom(draft);
+      const indexUnchanged = typeof draft.baseIndex === 'string' && draft.baseIndex === STORAGE._savedIndex;
+      const indexDiffers = indexUnchanged && (
+        JSON.stringify(draft.tabs) !== STORAGE._savedIndex ||
+        JSON.stringify(groups) !== STORAGE._savedGroupsJSON);
+      if (!restore.length && !stale.length && !indexDiffers) return null;
+
+      const known = new Map((stored ? stored.tabs : []).map((tab) => [tab.id, tab]));
+      const storedGroups = stored ? stored.groups : [];
+      const merged = indexUnchanged
+        ? { tabs: draft.tabs.map((entry) => Object.assign(known.get(entry.id) || {}, STORAGE.fromEntry(entry))), groups }
+        : STORAGE._mergeDraftIndex(draft, stored ? stored.tabs : [], storedGroups);
+      const tabs = merged.tabs;
+      const byId = new Map(tabs.map((tab) => [tab.id, tab]));
+      restore.forEach((id) => {
+        if (byId.has(id)) byId.get(id).content = draft.notes[id];
+        else stale.push(id);
+      });
+      stale.forEach((id) => {
+        const entry = draft.tabs.find((e) => e.id === id);
+        const copy = {
+          id: createId('tab'),
+          name: (entry ? entry.name : 'Note') + ' (recovered)',
+          content: draft.notes[id],
+          createdAt: draft.savedAt || Date.now(),
+          updatedAt: draft.savedAt || Date.now(),
+        };
+        const original = byId.get(id);
+        tabs.splice(original ? tabs.indexOf(original) + 1 : tabs.length, 0, copy);
+      });
+      if (!tabs.length) return null;
+
+      const activeId = indexUnchanged ? draft.activeTabId : stored && stored.activeTabId;
+      const active = tabs.find((t) => t.id === activeId) || tabs[0];
+      await STORAGE.ensureContent([active]);
+      return { activeTabId: active.id, groups: merged.groups, tabs, recovered: stale.length };
+    },
+
+    /**
+     * The stored index with a draft's index changes that still apply: tabs
+     * only the draft has (created and never stored) go in after their draft
+     * neighbour, and renames or tab fields apply where storage still holds
+     * the version the draft started from. Tabs missing from the draft stay,
+     * so notes added since (captures, quick adds, other panels) are kept.
+     */
+    _mergeDraftIndex(draft, storedTabs, storedGroups) {
+      let baseEntries = [];
+      try {
+        baseEntries = JSON.parse(draft.baseIndex || '[]');
+      } catch (_) {
+        baseEntries = [];
+      }
+      const baseById = new Map((Array.isArray(baseEntries) ? baseEntries : []).map((entry) => [entry.id, entry]));
+      const meta = (tab) => JSON.stringify(STORAGE.copyFields(tab, { name: tab.name }));
+      const tabs = storedTabs.slice();
+      const byId = new Map(tabs.map((tab) => [tab.id, tab]));
+
+      draft.tabs.forEach((entry, i) => {
+        const tab = byId.get(entry.id);
+        const before = baseById.get(entry.id);
+        if (tab) {
+          if (before && meta(before) === meta(tab)) {
+            tab.name = entry.name;
+            STORAGE.TAB_FIELDS.forEach((field) => delete tab[field]);
+            STORAGE.copyFields(entry, tab);
+          }
+          return;
+        }
+        if (before) return;   // stored once and deleted since: stays deleted
+        const added = STORAGE.fromEntry(entry);
+        const prev = draft.tabs.slice(0, i).reverse().find((e) => byId.has(e.id));
+        tabs.splice(prev ? tabs.indexOf(byId.get(prev.id)) + 1 : 0, 0, added);
+        byId.set(added.id, added);
+      });
+
+      const groups = storedGroups.slice();
+      STORAGE.groupsFrom(draft).forEach((group) => {
+        const used = tabs.some((tab) => tab.groupId === group.id);
+        if (used && !groups.some((g) => g.id === group.id)) groups.push(group);
+      });
+      return { tabs, groups };
+    },
+  };
+
+  /* ============================================================
+     SETTINGS — user preferences, stored apart from note data
+     ============================================================ */
+  const SETTINGS = {
+    KEY: 'notebookSettings',
+    values: null,
+    _listeners: [],
+
+    DEFAULTS: {
+      // Issue-key auto-linking: `pattern` is a RegExp source, `urlTemplate`
+      // may reference `$0` (whole match), `$1`…`$9` or `$<name>` groups.
+      linkRules: [
+        {
+          id: 'rule-portal',
+          pattern: '\\bPORTAL-[A-Za-z0-9]+\\b',
+          ignoreCase: false,
+          urlTemplate: 'https://on24-inc.atlassian.net/browse/$0',
+        },
+      ],
+      historyRetentionDays: 30,
+      trashRetentionDays: 30,
+      markdownShortcuts: true,
+      outlineCollapsed: true,
+      checklistCompletedToBottom: false,
+      quickAddTarget: 'active',   // where "nb + text" in the address bar adds: 'active' or 'inbox'
+      tabLayout: 'strip',         // 'strip' (tabs along the top) or 'sidebar' (when the panel is wide enough)
+      newTabName: 'Note {{n}}',   // name pattern for new notes; see TEMPLATES.PLACEHOLDERS
+    },
+
+    async load() {
+      const stored = await new Promise((resolve) => {
+        chrome.storage.local.get(SETTINGS.KEY, (result) => {
+          resolve(result[SETTINGS.KEY] || null);
+        });
+      });
+      SETTINGS.values = Object.assign({}, SETTINGS.DEFAULTS, stored || {});
+      return SETTINGS.values;
+    },
+
+    get(key) {
+      const values = SETTINGS.values || SETTINGS.DEFAULTS;
+      return key in values ? values[key] : SETTINGS.DEFAULTS[key];
+    },
+
+    async set(key, value) {
+      if (!SETTINGS.values) SETTINGS.values = Object.assign({}, SETTINGS.DEFAULTS);
+      SETTINGS.values[key] = value;
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [SETTINGS.KEY]: SETTINGS.values }, resolve);
+      });
+      SETTINGS._listeners.forEach((fn) => fn(key, value));
+    },
+
+    /** Register `fn(key, value)` to run after a setting is changed. */
+    onChange(fn) {
+      SETTINGS._listeners.push(fn);
+    },
+
+    /** Take values saved by another panel, notifying listeners of each key that differs. */
+    adopt(stored) {
+      const previous = SETTINGS.values || SETTINGS.DEFAULTS;
+      SETTINGS.values = Object.assign({}, SETTINGS.DEFAULTS, stored);
+      Object.keys(SETTINGS.values).forEach((key) => {
+        const value = SETTINGS.values[key];
+        if (JSON.stringify(previous[key]) === JSON.stringify(value)) return;
+        SETTINGS._listeners.forEach((fn) => fn(key, value));
+      });
+    },
   };
 
   /* ============================================================
@@ -83,8 +624,8 @@
     EDIT_ICON_HIT_WIDTH_PX: 22,
     EDIT_ICON_HIT_HEIGHT_PX: 18,
     EDIT_ICON_TOP_OFFSET_PX: 20,
-    PORTAL_TOKEN_RE: /\bPORTAL-[A-Za-z0-9]+\b/g,
-    URL_OR_PORTAL_RE: /(https?:\/\/\S+|\bPORTAL-[A-Za-z0-9]+\b)/g,
+    URL_RE: /https?:\/\/\S+/g,
+    _rules: [],  // Array<{ id, re, urlTemplate }> compiled from SETTINGS.linkRules
 
     init(editorEl) {
       // Open links in a new tab on click
@@ -181,32 +722,105 @@
       return true;
     },
 
-    buildPortalUrl(token) {
-      return `https://on24-inc.atlassian.net/browse/${token}`;
+    setRules(rules) {
+      LINKS._rules = LINKS.compileRules(rules);
+    },
+
+    /** Compile user link rules; invalid patterns are skipped (the settings panel reports them). */
+    compileRules(rules) {
+      const compiled = [];
+      (rules || []).forEach((rule) => {
+        const re = LINKS.compileRule(rule);
+        if (re) compiled.push({ id: rule.id, re, urlTemplate: rule.urlTemplate });
+      });
+      return compiled;
+    },
+
+    compileRule(rule) {
+      if (!rule || !rule.pattern || !rule.urlTemplate) return null;
+      try {
+        return new RegExp(rule.pattern, rule.ignoreCase ? 'gi' : 'g');
+      } catch (_) {
+        return null;
+      }
+    },
+
+    /**
+     * Expand `$0`, `$1`…`$9`, `$<name>` and `$$` in a rule's URL template.
+     * Matched text is percent-encoded apart from `/`, so `org/repo` still
+     * fills two path segments but a match can't start a query or fragment.
+     */
+    buildRuleUrl(urlTemplate, match) {
+      return urlTemplate.replace(/\$(\$|\d|<([A-Za-z_]\w*)>)/g, (whole, ref, name) => {
+        if (ref === '$') return '$';
+        const value = name ? match.groups && match.groups[name] : match[Number(ref)];
+        return encodeURI(value || '').replace(/[?#]/g, encodeURIComponent);
+      });
+    },
+
+    /**
+     * Find non-overlapping link tokens in plain text, ordered by position.
+     * URLs take precedence over rule matches; earlier rules over later ones.
+     * @returns {Array<{ start, end, text, href, ruleId }>}
+     */
+    _findTokens(text, includeUrls, rules = LINKS._rules) {
+      const found = [];
+      let priority = 0;
+
+      if (includeUrls) {
+        LINKS.URL_RE.lastIndex = 0;
+        let m;
+        while ((m = LINKS.URL_RE.exec(text)) !== null) {
+          const url = m[0].replace(/[.,;:!?)\]'"]+$/, '');
+          found.push({ start: m.index, end: m.index + url.length, text: url, href: url, ruleId: null, priority });
+        }
+        priority += 1;
+      }
+
+      rules.forEach((rule) => {
+        rule.re.lastIndex = 0;
+        let m;
+        while ((m = rule.re.exec(text)) !== null) {
+          if (!m[0]) {
+            rule.re.lastIndex += 1; // zero-width pattern, avoid an endless loop
+            continue;
+          }
+          const href = LINKS.buildRuleUrl(rule.urlTemplate, m);
+          if (!/^https?:\/\//i.test(href)) continue;
+          found.push({ start: m.index, end: m.index + m[0].length, text: m[0], href, ruleId: rule.id, priority });
+        }
+        priority += 1;
+      });
+
+      found.sort((a, b) => (a.start - b.start) || (a.priority - b.priority));
+
+      const tokens = [];
+      let cursor = 0;
+      found.forEach((token) => {
+        if (token.start < cursor) return;
+        tokens.push(token);
+        cursor = token.end;
+      });
+      return tokens;
+    },
+
+    /** True if pasted plain text contains anything worth linkifying. */
+    hasLinkableText(text) {
+      if (!text) return false;
+      if (/https?:\/\//i.test(text)) return true;
+      return LINKS._findTokens(text, false).length > 0;
     },
 
-    _linkifyLine(line) {
+    _linkifyLine(line, rules = LINKS._rules) {
       let result = '';
       let last = 0;
-      let match;
-      LINKS.URL_OR_PORTAL_RE.lastIndex = 0;
-
-      while ((match = LINKS.URL_OR_PORTAL_RE.exec(line)) !== null) {
-        const rawToken = match[1];
-        result += escapeHTML(line.slice(last, match.index));
-
-        if (/^https?:\/\//i.test(rawToken)) {
-          const url = rawToken.replace(/[.,;:!?)\]'"]+$/, '');
-          const trimmed = rawToken.length - url.length;
-          result += `<a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer">${escapeHTML(url)}</a>`;
-          if (trimmed > 0) result += escapeHTML(rawToken.slice(-trimmed));
-        } else {
-          const portalUrl = LINKS.buildPortalUrl(rawToken);
-          result += `<a href="${escapeHTML(portalUrl)}" target="_blank" rel="noopener noreferrer">${escapeHTML(rawToken)}</a>`;
-        }
 
-        last = match.index + rawToken.length;
-      }
+      LINKS._findTokens(line, true, rules).forEach((token) => {
+        result += escapeHTML(line.slice(last, token.start));
+        const ruleAttr = token.ruleId ? ` data-link-rule="${escapeHTML(token.ruleId)}"` : '';
+        result += `<a href="${escapeHTML(token.href)}" target="_blank" rel="noopener noreferrer"${ruleAttr}>${escapeHTML(token.text)}</a>`;
+        last = token.end;
+      });
 
       result += escapeHTML(line.slice(last));
       return result;
@@ -218,12 +832,18 @@
       return lines.map((line) => LINKS._linkifyLine(line)).join('<br>');
     },
 
-    /** Linkify PORTAL tokens in HTML text nodes, skipping existing anchors. */
-    linkifyPortalTokensInHTML(html) {
+    /** Linkify issue tokens in HTML text nodes, skipping existing anchors. */
+    linkifyIssueTokensInHTML(html) {
+      if (!LINKS._rules.length) return html;
       const tpl = document.createElement('template');
       tpl.innerHTML = html;
+      LINKS._linkifyTokensInNode(tpl.content);
+      return tpl.innerHTML;
+    },
 
-      const walker = document.createTreeWalker(tpl.content, NodeFilter.SHOW_TEXT);
+    /** Linkify tokens (and URLs, with `includeUrls`) in text nodes outside links and code. */
+    _linkifyTokensInNode(root, includeUrls = false) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
       const textNodes = [];
       let node = walker.nextNode();
       while (node) {
@@ -231,36 +851,320 @@
         node = walker.nextNode();
       }
 
+      let changed = false;
       textNodes.forEach((textNode) => {
         const parentEl = textNode.parentElement;
-        if (!parentEl || parentEl.closest('a')) return;
+        if (parentEl && parentEl.closest('a, code, pre')) return;
         const text = textNode.textContent || '';
-        LINKS.PORTAL_TOKEN_RE.lastIndex = 0;
-        if (!LINKS.PORTAL_TOKEN_RE.test(text)) return;
+        const tokens = LINKS._findTokens(text, includeUrls);
+        if (!tokens.length) return;
 
-        LINKS.PORTAL_TOKEN_RE.lastIndex = 0;
         const frag = document.createDocumentFragment();
         let last = 0;
-        let m;
-        while ((m = LINKS.PORTAL_TOKEN_RE.exec(text)) !== null) {
-          const token = m[0];
-          const idx = m.index;
-          if (idx > last) frag.appendChild(document.createTextNode(text.slice(last, idx)));
+        tokens.forEach((token) => {
+          if (token.start > last) frag.appendChild(document.createTextNode(text.slice(last, token.start)));
           const a = document.createElement('a');
-          a.href = LINKS.buildPortalUrl(token);
+          a.href = token.href;
           a.target = '_blank';
           a.rel = 'noopener noreferrer';
-          a.textContent = token;
+          if (token.ruleId) a.dataset.linkRule = token.ruleId;
+          a.textContent = token.text;
           frag.appendChild(a);
-          last = idx + token.length;
-        }
+          last = token.end;
+        });
         if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
 
         textNode.parentNode.replaceChild(frag, textNode);
+        changed = true;
+      });
+      return changed;
+    },
+
+    /**
+     * Re-apply the current rules to stored HTML: anchors previously created by
+     * a rule (or by the old built-in PORTAL linking) are unwrapped, then the
+     * text is linkified again so changed URL templates take effect.
+     */
+    relinkifyHTML(html) {
+      if (!html) return html;
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html;
+
+      tpl.content.querySelectorAll('a').forEach((a) => {
+        const text = a.textContent || '';
+        if (!a.hasAttribute('data-link-rule') && !LINKS._isLegacyPortalLink(a, text)) return;
+        a.replaceWith(document.createTextNode(text));
+      });
+
+      tpl.content.normalize();
+      LINKS._linkifyTokensInNode(tpl.content);
+      return tpl.innerHTML;
+    },
+
+    /** A PORTAL link from before link rules, still pointing at the URL that version built. */
+    _isLegacyPortalLink(a, text) {
+      return /^PORTAL-[A-Za-z0-9]+$/.test(text) &&
+        a.getAttribute('href') === `https://on24-inc.atlassian.net/browse/${text}`;
+    },
+
+    /** Re-linkify every note with the current rules. Resolves with the number of notes changed. */
+    async relinkifyAllNotes() {
+      await STORAGE.ensureContent();
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+
+      let changedCount = 0;
+      STATE.tabs.forEach((tab) => {
+        const next = LINKS.relinkifyHTML(tab.content || '');
+        if (next === tab.content) return;
+        tab.content = next;
+        tab.updatedAt = Date.now();
+        changedCount += 1;
+      });
+
+      if (changedCount) {
+        if (activeTab) EDITOR.setHTML(activeTab.content);
+        STORAGE.scheduleSave();
+      }
+      return changedCount;
+    },
+  };
+
+  /* ============================================================
+     IMAGE_STORE — pasted images in IndexedDB, keyed by content hash
+     ============================================================ */
+  const IMAGE_STORE = {
+    // Notes keep <img data-image-id="<sha-256>"> without a src; the src is an
+    // object URL filled in when the note is rendered and dropped on save.
+    DB_NAME: 'notebookImages',
+    STORE: 'images',
+    GC_GRACE_MS: 24 * 60 * 60 * 1000,  // unreferenced images younger than this survive GC
+
+    _dbPromise: null,
+    _urls: new Map(),  // hash → object URL for this session
+
+    _open() {
+      if (!IMAGE_STORE._dbPromise) {
+        IMAGE_STORE._dbPromise = new Promise((resolve, reject) => {
+          const req = indexedDB.open(IMAGE_STORE.DB_NAME, 1);
+          req.onupgradeneeded = () => {
+            req.result.createObjectStore(IMAGE_STORE.STORE, { keyPath: 'hash' });
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        });
+      }
+      return IMAGE_STORE._dbPromise;
+    },
+
+    /** Run `fn(store)` in one transaction; resolves with its request's result once committed. */
+    async _transaction(mode, fn) {
+      const db = await IMAGE_STORE._open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(IMAGE_STORE.STORE, mode);
+        const req = fn(tx.objectStore(IMAGE_STORE.STORE));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+
+    async hashBlob(blob) {
+      const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+      return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /** Store `blob` unless the same bytes are already stored; resolves with its hash. */
+    async put(blob) {
+      const hash = await IMAGE_STORE.hashBlob(blob);
+      const existing = await IMAGE_STORE._transaction('readonly', (store) => store.getKey(hash));
+      if (existing === undefined) {
+        await IMAGE_STORE._transaction('readwrite', (store) => store.put({
+          hash,
+          blob,
+          type: blob.type,
+          size: blob.size,
+          createdAt: Date.now(),
+        }));
+      }
+      return hash;
+    },
+
+    async get(hash) {
+      const record = await IMAGE_STORE._transaction('readonly', (store) => store.get(hash));
+      return record ? record.blob : null;
+    },
+
+    /** Object URL for a stored image, created once per session. */
+    async urlFor(hash) {
+      if (IMAGE_STORE._urls.has(hash)) return IMAGE_STORE._urls.get(hash);
+      const blob = await IMAGE_STORE.get(hash);
+      if (!blob) return '';
+      const url = URL.createObjectURL(blob);
+      IMAGE_STORE._urls.set(hash, url);
+      return url;
+    },
+
+    /** Point every stored-image <img> under `root` at its object URL. */
+    async resolveIn(root) {
+      const imgs = Array.from(root.querySelectorAll('img[data-image-id]'));
+      await Promise.all(imgs.map(async (img) => {
+        const url = await IMAGE_STORE.urlFor(img.dataset.imageId).catch(() => '');
+        if (url && img.getAttribute('src') !== url) img.src = url;
+      }));
+    },
+
+    /** Drop the session-only src from stored-image tags in serialized HTML. */
+    stripSources(html) {
+      return html.replace(/<img\b[^>]*>/g, (tag) => (
+        /\sdata-image-id="/.test(tag) ? tag.replace(/\ssrc="[^"]*"/, '') : tag
+      ));
+    },
+
+    _dataUrlToBlob(dataUrl) {
+      const comma = dataUrl.indexOf(',');
+      const head = dataUrl.slice(0, comma);
+      const data = dataUrl.slice(comma + 1);
+      const type = (head.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+      const bytes = /;base64$/i.test(head)
+        ? Uint8Array.from(atob(data), (c) => c.charCodeAt(0))
+        : new TextEncoder().encode(decodeURIComponent(data));
+      return new Blob([bytes], { type });
+    },
+
+    _blobToDataUrl(blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
       });
+    },
+
+    /** Move inline data: images in an HTML string into the store, leaving references. */
+    async adoptDataImages(html) {
+      if (!html || !html.includes('data:image/')) return html;
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      const imgs = tpl.content.querySelectorAll('img[src^="data:image/"]');
+      for (const img of imgs) {
+        img.dataset.imageId = await IMAGE_STORE.put(IMAGE_STORE._dataUrlToBlob(img.getAttribute('src')));
+        img.removeAttribute('src');
+      }
+      return tpl.innerHTML;
+    },
+
+    /** Same as adoptDataImages, for images already in the editor. Resolves with how many moved. */
+    async adoptInEditor() {
+      const imgs = Array.from(EDITOR.el.querySelectorAll('img[src^="data:image/"]'));
+      for (const img of imgs) {
+        const hash = await IMAGE_STORE.put(IMAGE_STORE._dataUrlToBlob(img.getAttribute('src')));
+        img.dataset.imageId = hash;
+        img.src = await IMAGE_STORE.urlFor(hash);
+      }
+      if (imgs.length) STORAGE.scheduleSave();
+      return imgs.length;
+    },
+
+    /**
+     * Called after EDITOR.setHTML: resolve stored images, and move any inline
+     * ones (older notes, restored snapshots) into the store. The history
+     * baseline follows, so the swap itself is not recorded as an edit.
+     */
+    async prepareEditor() {
+      const tabId = STATE.activeTabId;
+      await IMAGE_STORE.resolveIn(EDITOR.el);
+      if (!EDITOR.el.querySelector('img[src^="data:image/"]')) return;
+      const moved = await IMAGE_STORE.adoptInEditor().catch(() => 0);
+      if (moved && tabId === STATE.activeTabId) HISTORY.updateBaseline(tabId, EDITOR.getHTML());
+    },
 
+    /** Replace stored-image references with data: URLs, for files that leave the extension. */
+    async inlineHTML(html) {
+      if (!html || !html.includes('data-image-id')) return html;
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      for (const img of tpl.content.querySelectorAll('img[data-image-id]')) {
+        const blob = await IMAGE_STORE.get(img.dataset.imageId).catch(() => null);
+        if (!blob) continue;
+        // The reference stays, so importing the file again maps back to the same image.
+        img.src = await IMAGE_STORE._blobToDataUrl(blob);
+      }
       return tpl.innerHTML;
     },
+
+    /** Move inline images of inactive notes, trashed items and snapshots into the store. */
+    async migrate() {
+      let tabsChanged = false;
+      for (const tab of STATE.tabs) {
+        // prepareEditor handles the open note, and every other one when it is opened
+        if (tab.id === STATE.activeTabId || !STORAGE.isLoaded(tab)) continue;
+        const content = await IMAGE_STORE.adoptDataImages(tab.content);
+        if (content === tab.content) continue;
+        tab.content = content;
+        HISTORY.updateBaseline(tab.id, content);
+        tabsChanged = true;
+      }
+      if (tabsChanged) STORAGE.scheduleSave();
+
+      let trashChanged = false;
+      for (const item of TRASH.items) {
+        const content = await IMAGE_STORE.adoptDataImages(item.tab.content);
+        if (content === item.tab.content) continue;
+        item.tab.content = content;
+        trashChanged = true;
+      }
+      if (trashChanged) await TRASH.persist();
+
+      let historyChanged = false;
+      for (const snaps of Object.values(HISTORY.snapshots)) {
+        for (const snap of snaps) {
+          const content = await IMAGE_STORE.adoptDataImages(snap.content);
+          if (content === snap.content) continue;
+          snap.content = content;
+          historyChanged = true;
+        }
+      }
+      if (historyChanged) await HISTORY.persist();
+    },
+
+    /** Hashes referenced by any note (read from storage if need be), trashed item, template or history snapshot. */
+    async referencedHashes() {
+      const notes = await STORAGE.readContents();
+      const contents = STATE.tabs
+        .map((tab) => (tab.id === STATE.activeTabId ? EDITOR.getHTML() : notes.get(tab.id)))
+        .concat(TRASH.items.map((item) => item.tab.content))
+        .concat(TEMPLATES.items.map((template) => template.content))
+        .concat(Object.values(HISTORY.snapshots).flat().map((snap) => snap.content));
+      const hashes = new Set();
+      contents.forEach((content) => {
+        if (!content) return;
+        for (const m of content.matchAll(/data-image-id="([0-9a-f]{64})"/g)) hashes.add(m[1]);
+      });
+      return hashes;
+    },
+
+    /** Delete stored images nothing refers to any more. Resolves with how many went. */
+    async collectGarbage() {
+      const used = await IMAGE_STORE.referencedHashes();
+      const cutoff = Date.now() - IMAGE_STORE.GC_GRACE_MS;
+      const records = await IMAGE_STORE._transaction('readonly', (store) => store.getAll());
+      const stale = records
+        .filter((record) => !used.has(record.hash) && record.createdAt < cutoff)
+        .map((record) => record.hash);
+      if (!stale.length) return 0;
+
+      await IMAGE_STORE._transaction('readwrite', (store) => {
+        stale.forEach((hash) => store.delete(hash));
+        return null;
+      });
+      stale.forEach((hash) => {
+        const url = IMAGE_STORE._urls.get(hash);
+        if (url) URL.revokeObjectURL(url);
+        IMAGE_STORE._urls.delete(hash);
+      });
+      return stale.length;
+    },
   };
 
   /* ============================================================
@@ -301,32 +1205,16 @@
           }
         }
 
-        const reader = new FileReader();
-        reader.onload = (evt) => {
-          const img = document.createElement('img');
-          img.src = evt.target.result;
-          img.onload = () => {
-            // Fit within editor content width (padding: 18px × 2 = 36px)
-            const maxW = editorEl.clientWidth - 36;
-            if (img.naturalWidth > maxW) {
-              img.style.width = maxW + 'px';
-            }
-
-            if (savedRange && editorEl.contains(savedRange.commonAncestorContainer)) {
-              savedRange.deleteContents();
-              savedRange.insertNode(img);
-              savedRange.setStartAfter(img);
-              savedRange.collapse(true);
-              const s = window.getSelection();
-              s.removeAllRanges();
-              s.addRange(savedRange);
-            } else {
-              editorEl.appendChild(img);
-            }
-            STORAGE.scheduleSave();
-          };
-        };
-        reader.readAsDataURL(blob);
+        IMAGE_STORE.put(blob)
+          .then(async (hash) => {
+            IMAGES._insert(await IMAGE_STORE.urlFor(hash), hash, savedRange);
+          })
+          .catch(() => {
+            // Image store unavailable: fall back to keeping the image inline.
+            const reader = new FileReader();
+            reader.onload = (evt) => IMAGES._insert(evt.target.result, null, savedRange);
+            reader.readAsDataURL(blob);
+          });
       }, true /* capture phase */);
 
       // Build overlay DOM (once)
@@ -359,6 +1247,34 @@
       });
     },
 
+    /** Insert an <img> at `savedRange` (or the end), once it has loaded. */
+    _insert(src, hash, savedRange) {
+      const editorEl = IMAGES._editorEl;
+      const img = document.createElement('img');
+      if (hash) img.dataset.imageId = hash;
+      img.src = src;
+      img.onload = () => {
+        // Fit within editor content width (padding: 18px × 2 = 36px)
+        const maxW = editorEl.clientWidth - 36;
+        if (img.naturalWidth > maxW) {
+          img.style.width = maxW + 'px';
+        }
+
+        if (savedRange && editorEl.contains(savedRange.commonAncestorContainer)) {
+          savedRange.deleteContents();
+          savedRange.insertNode(img);
+          savedRange.setStartAfter(img);
+          savedRange.collapse(true);
+          const s = window.getSelection();
+          s.removeAllRanges();
+          s.addRange(savedRange);
+        } else {
+          editorEl.appendChild(img);
+        }
+        STORAGE.scheduleSave();
+      };
+    },
+
     _buildOverlay(editorEl) {
       const ov = document.createElement('div');
       ov.className = 'img-resize-overlay';
@@ -702,20 +1618,30 @@
     sanitizePastedHTML(html) {
       const tpl = document.createElement('template');
       tpl.innerHTML = html;
+      CODE.adoptPasted(tpl.content);
 
       tpl.content.querySelectorAll('*').forEach((node) => {
-        // Remove app-specific metadata attributes from pasted HTML (e.g. Teams).
+        // Remove app-specific metadata attributes from pasted HTML (e.g. Teams),
+        // keeping our own checklist state and stored-image references.
         Array.from(node.attributes || []).forEach((attr) => {
-          if (attr && attr.name && attr.name.toLowerCase().startsWith('data-')) {
+          const name = attr && attr.name ? attr.name.toLowerCase() : '';
+          if (name.startsWith('data-') && name !== 'data-checked' && name !== 'data-image-id' && name !== 'data-lang') {
             node.removeAttribute(attr.name);
           }
         });
 
         const isAnchorContext = node.tagName === 'A' || !!node.closest('a');
+        // Tables take their borders and colors from the theme.
+        const isTablePart = /^(TABLE|THEAD|TBODY|TFOOT|TR|TH|TD|COLGROUP|COL|CAPTION)$/.test(node.tagName);
         const isHr = node.tagName === 'HR';
         const style = node.getAttribute('style');
+        if (isTablePart) {
+          ['bgcolor', 'border', 'bordercolor', 'cellpadding', 'cellspacing', 'width', 'height'].forEach((name) => {
+            node.removeAttribute(name);
+          });
+        }
         if (style != null) {
-          const sanitizedStyle = EDITOR._stripFontStyleDecls(style, isAnchorContext, isHr);
+          const sanitizedStyle = EDITOR._stripFontStyleDecls(style, isAnchorContext, isHr || isTablePart);
           if (sanitizedStyle) node.setAttribute('style', sanitizedStyle);
           else node.removeAttribute('style');
         }
@@ -745,20 +1671,57 @@
       return tpl.innerHTML;
     },
 
+    /**
+     * Remove anything able to run code from HTML that did not come from this
+     * editor (imported files): scripts, embeds, inline handlers and
+     * `javascript:` URLs.
+     */
+    stripUnsafeHTML(html) {
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html || '';
+      tpl.content.querySelectorAll('script, style, iframe, object, embed, link, meta, base, form').forEach((node) => node.remove());
+      tpl.content.querySelectorAll('*').forEach((node) => {
+        Array.from(node.attributes).forEach((attr) => {
+          const name = attr.name.toLowerCase();
+          const value = attr.value.replace(/[\s\u0000-\u001f]+/g, '').toLowerCase();
+          if (name.startsWith('on')) node.removeAttribute(attr.name);
+          else if ((name === 'href' || name === 'src' || name === 'xlink:href') && value.startsWith('javascript:')) {
+            node.removeAttribute(attr.name);
+          }
+        });
+      });
+      return tpl.innerHTML;
+    },
+
     mount(el) {
       EDITOR.el = el;
 
-      el.addEventListener('input', () => {
+      el.addEventListener('input', (e) => {
         // Normalize: if only a lone <br> remains, empty the editor so
         // the CSS :empty::before placeholder shows correctly.
         if (el.innerHTML === '<br>') {
           el.innerHTML = '';
         }
+        TAGS._editorCache = null;
+        AUTOFORMAT.handleInput(e);
+        CHECKLIST.handleInput(e);
+        TAGS.handleInput();
+        CODE.scheduleHighlights();
+        SEARCH.clearHighlights();
+        OUTLINE.scheduleRefresh();
         TOOLBAR.updateClearState();
         STORAGE.scheduleSave();
       });
 
       el.addEventListener('keydown', (e) => {
+        if (TAGS.handleKeydown(e)) return;
+        // Backspace right after a Markdown shortcut reverts it
+        if (AUTOFORMAT.handleKeydown(e)) return;
+        if (CHECKLIST.handleKeydown(e)) return;
+        // Enter and Tab in a code block keep indentation
+        if (CODE.handleKeydown(e)) return;
+        // Tab in a table moves between cells
+        if (TABLES.handleKeydown(e)) return;
         // Tab key → insert spaces instead of losing focus
         if (e.key === 'Tab') {
           e.preventDefault();
@@ -778,19 +1741,21 @@
 
       // Keep rich pasted content, but strip font-size/font-family overrides.
       el.addEventListener('paste', (e) => {
+        if (CODE.handlePaste(e)) return;
         const htmlData = (e.clipboardData && e.clipboardData.getData('text/html')) || '';
         const text = (e.clipboardData && e.clipboardData.getData('text/plain')) || '';
 
         if (htmlData) {
           e.preventDefault();
           const sanitized = EDITOR.sanitizePastedHTML(htmlData);
-          const linkified = LINKS.linkifyPortalTokensInHTML(sanitized);
+          const linkified = LINKS.linkifyIssueTokensInHTML(sanitized);
           document.execCommand('insertHTML', false, linkified);
+          if (linkified.includes('data:image/')) IMAGE_STORE.adoptInEditor().catch(() => {});
           STORAGE.scheduleSave();
           return;
         }
 
-        if (text && (/(https?:\/\/|PORTAL-[A-Za-z0-9]+)/i.test(text))) {
+        if (LINKS.hasLinkableText(text)) {
           e.preventDefault();
           const html = LINKS.linkifyPlainText(text);
           document.execCommand('insertHTML', false, html);
@@ -801,15 +1766,24 @@
 
     getHTML() {
       if (!EDITOR.el) return '';
-      const html = EDITOR.el.innerHTML;
+      let html = EDITOR.el.innerHTML.replace(/\u200b/g, '');
+      if (EDITOR.el.querySelector('img[data-image-id][src]')) html = IMAGE_STORE.stripSources(html);
       return (html === '<br>') ? '' : html;
     },
 
     setHTML(html) {
       if (!EDITOR.el) return;
       EDITOR.el.innerHTML = html || '';
+      TAGS._editorCache = null;
+      IMAGE_STORE.prepareEditor();
       EDITOR.normalizeHighlightColorsToTheme();
       TOOLBAR.updateClearState();
+      OUTLINE.refresh();
+      CHECKLIST.updateProgress();
+      TAGS.closeSuggestions();
+      TAGS.refreshHighlights();
+      CODE.refreshHighlights();
+      CODE.updateBar();
     },
 
     normalizeHighlightColorsToTheme() {
@@ -846,963 +1820,8387 @@
   };
 
   /* ============================================================
-     TOOLBAR — formatting commands
+     AUTOFORMAT — Markdown-style shortcuts applied while typing
      ============================================================ */
-  const TOOLBAR = {
-    el: null,
-    _highlightMenuEl: null,
-    _highlightTriggerEl: null,
+  const AUTOFORMAT = {
+    // Pending revert for the most recent conversion: Backspace with the caret
+    // still where the conversion left it puts the typed characters back.
+    _undo: null,
+
+    BLOCK_TAGS: new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']),
+
+    // Matched against the block's text up to the caret, trigger space included.
+    // `apply` gets a detached copy of the block with the typed prefix removed,
+    // then the match and the block, and returns the elements to put in its place.
+    BLOCK_RULES: [
+      { re: /^[-*][ \u00a0]$/, apply: (content) => AUTOFORMAT._toList(content, 'ul') },
+      { re: /^(\d{1,9})\.[ \u00a0]$/, apply: (content, m) => AUTOFORMAT._toList(content, 'ol', Number(m[1])) },
+      { re: /^(#{1,3})[ \u00a0]$/, apply: (content, m) => AUTOFORMAT._toHeading(content, 'h' + m[1].length) },
+      { re: /^```([\w+#-]*)[ \u00a0]$/, apply: (content, m, block) => CODE.fromBlock(content, m[1], !block.nextSibling) },
+    ],
+
+    // Matched against the text node up to the caret; group 1 is kept before
+    // the new element, group 2 becomes its content.
+    INLINE_RULES: [
+      { trigger: '*', re: /(^|[^*])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, tag: 'b' },
+      { trigger: '~', re: /(^|[^~])~~([^~\s](?:[^~]*[^~\s])?)~~$/, tag: 's' },
+      { trigger: '_', re: /(^|[^\w_])_([^_\s](?:[^_]*[^_\s])?)_$/, tag: 'i' },
+      { trigger: '`', re: /(^|[^`])`([^`]+)`$/, tag: 'code' },
+    ],
+
+    isEnabled() {
+      return SETTINGS.get('markdownShortcuts') !== false;
+    },
+
+    /** Called from the editor `input` listener; returns true if it converted. */
+    handleInput(e) {
+      AUTOFORMAT._undo = null;
+      if (!AUTOFORMAT.isEnabled() || e.inputType !== 'insertText' || !e.data) return false;
+
+      const sel = window.getSelection();
+      if (!sel || !sel.rangeCount || !sel.isCollapsed) return false;
+      const node = sel.anchorNode;
+      if (!node || node.nodeType !== Node.TEXT_NODE || !EDITOR.el.contains(node)) return false;
+      if (node.parentElement.closest('pre, code, a')) return false;
+
+      const ch = e.data.slice(-1);
+      if (ch === ' ' || ch === '\u00a0') return AUTOFORMAT._tryBlock(node, sel.anchorOffset);
+      if (ch === '-') return AUTOFORMAT._tryRule(node, sel.anchorOffset);
+      return AUTOFORMAT._tryInline(node, sel.anchorOffset, ch);
+    },
+
+    /** Called from the editor `keydown` listener before anything else. */
+    handleKeydown(e) {
+      const undo = AUTOFORMAT._undo;
+      if (!undo) return false;
+      if (e.key !== 'Backspace' || e.ctrlKey || e.metaKey || e.altKey) {
+        if (!['Shift', 'Control', 'Meta', 'Alt'].includes(e.key)) AUTOFORMAT._undo = null;
+        return false;
+      }
+      AUTOFORMAT._undo = null;
+
+      const sel = window.getSelection();
+      if (!sel || !sel.isCollapsed || sel.anchorNode !== undo.caret.node || sel.anchorOffset !== undo.caret.offset) {
+        return false;
+      }
+      e.preventDefault();
+      undo.revert();
+      AUTOFORMAT._afterChange();
+      return true;
+    },
+
+    /**
+     * The block holding `node`. Text sitting directly in the editor root is
+     * wrapped in a <div> first, along with its neighbours up to the nearest
+     * <br> or block, so there is a single element to convert.
+     */
+    _blockFor(node) {
+      let el = node.parentElement;
+      while (el && el !== EDITOR.el && !AUTOFORMAT.BLOCK_TAGS.has(el.tagName) && el.tagName !== 'LI') {
+        el = el.parentElement;
+      }
+      if (!el) return null;
+      if (el !== EDITOR.el) return el;
+
+      let top = node;
+      while (top.parentNode !== EDITOR.el) top = top.parentNode;
+      const isBoundary = (n) => n.nodeType === Node.ELEMENT_NODE &&
+        (n.tagName === 'BR' || AUTOFORMAT.BLOCK_TAGS.has(n.tagName) || /^(UL|OL|LI|HR|PRE|BLOCKQUOTE|TABLE)$/.test(n.tagName));
+      let first = top;
+      while (first.previousSibling && !isBoundary(first.previousSibling)) first = first.previousSibling;
+      let last = top;
+      while (last.nextSibling && !isBoundary(last.nextSibling)) last = last.nextSibling;
+
+      const div = document.createElement('div');
+      EDITOR.el.insertBefore(div, first);
+      const stop = last.nextSibling;
+      while (div.nextSibling && div.nextSibling !== stop) div.appendChild(div.nextSibling);
+      if (stop && stop.nodeName === 'BR') stop.remove();
+      return div;
+    },
+
+    /** Text of `block` from its start to (node, offset). */
+    _textBefore(block, node, offset) {
+      const range = document.createRange();
+      range.setStart(block, 0);
+      range.setEnd(node, offset);
+      return range.toString();
+    },
+
+    _tryBlock(node, offset) {
+      const head = node.textContent.slice(0, offset);
+      if (!AUTOFORMAT.BLOCK_RULES.some((rule) => rule.re.test(head))) return false;
+
+      const block = AUTOFORMAT._blockFor(node);
+      if (!block || block.tagName === 'LI' || block.closest('li, blockquote')) return false;
+      if (AUTOFORMAT._textBefore(block, node, offset) !== head) return false;
+
+      const rule = AUTOFORMAT.BLOCK_RULES.find((r) => r.re.test(head));
+      const original = block.cloneNode(true);
+      const path = AUTOFORMAT._pathTo(block, node);
+      const content = block.cloneNode(true);
+      AUTOFORMAT._resolvePath(content, path).deleteData(0, offset);
+
+      const nodes = rule.apply(content, head.match(rule.re), block);
+      const placed = AUTOFORMAT._replace(AUTOFORMAT._rangeAround(block, block), nodes);
+      if (placed) {
+        const first = placed[0];
+        const caret = AUTOFORMAT._caretAtStart(/^(UL|OL|PRE)$/.test(first.tagName) ? first.firstElementChild : first);
+        AUTOFORMAT._setCaret(caret.node, caret.offset);
+        AUTOFORMAT._offerBlockRevert(placed, caret, original, path, offset);
+      }
+      AUTOFORMAT._afterChange();
+      return true;
+    },
+
+    /** `---` typed on an otherwise empty line becomes a horizontal rule. */
+    _tryRule(node, offset) {
+      if (node.textContent !== '---' || offset !== 3) return false;
+      const block = AUTOFORMAT._blockFor(node);
+      if (!block || block.closest('li, blockquote') || block.tagName === 'LI') return false;
+      if ((block.textContent || '') !== '---') return false;
+
+      const original = block.cloneNode(true);
+      const path = AUTOFORMAT._pathTo(block, node);
+      const next = document.createElement('div');
+      next.appendChild(document.createElement('br'));
+      const placed = AUTOFORMAT._replace(AUTOFORMAT._rangeAround(block, block), [document.createElement('hr'), next]);
+      if (placed) {
+        const caret = { node: placed[1], offset: 0 };
+        AUTOFORMAT._setCaret(caret.node, caret.offset);
+        AUTOFORMAT._offerBlockRevert(placed, caret, original, path, offset);
+      }
+      AUTOFORMAT._afterChange();
+      return true;
+    },
+
+    /** Let Backspace at `caret` put `original` back in place of `placed`, the caret at `path`/`offset` in it. */
+    _offerBlockRevert(placed, caret, original, path, offset) {
+      AUTOFORMAT._undo = {
+        caret,
+        revert() {
+          const range = AUTOFORMAT._rangeAround(placed[0], placed[placed.length - 1]);
+          const restored = AUTOFORMAT._replace(range, [original]);
+          if (restored) AUTOFORMAT._setCaret(AUTOFORMAT._resolvePath(restored[0], path), offset);
+        },
+      };
+    },
+
+    _tryInline(node, offset, ch) {
+      const rule = AUTOFORMAT.INLINE_RULES.find((r) => r.trigger === ch);
+      if (!rule) return false;
+      const originalText = node.textContent;
+      const m = originalText.slice(0, offset).match(rule.re);
+      if (!m) return false;
+
+      const start = m.index + m[1].length;
+      const el = document.createElement(rule.tag);
+      el.textContent = m[2];
+      // A zero-width space after the element keeps the caret (and whatever is
+      // typed next) outside of it; EDITOR.getHTML drops it again.
+      const nodes = originalText.slice(offset) ? [el] : [el, document.createTextNode('\u200b')];
+      const range = document.createRange();
+      range.setStart(node, start);
+      range.setEnd(node, offset);
+      const placed = AUTOFORMAT._replace(range, nodes);
+      if (placed) {
+        let after = placed[0].nextSibling;
+        if (!after || after.nodeType !== Node.TEXT_NODE) {
+          after = document.createTextNode('\u200b');
+          placed[0].after(after);
+        }
+        const caret = { node: after, offset: after.textContent.startsWith('\u200b') ? 1 : 0 };
+        AUTOFORMAT._setCaret(caret.node, caret.offset);
+        AUTOFORMAT._undo = {
+          caret,
+          revert() {
+            const back = document.createRange();
+            back.setStartBefore(placed[0]);
+            back.setEnd(caret.node, caret.offset);
+            AUTOFORMAT._replace(back, [document.createTextNode(originalText.slice(start, offset))]);
+          },
+        };
+      }
+      AUTOFORMAT._afterChange();
+      return true;
+    },
+
+    /** `content`'s children in a one-item list. */
+    _toList(content, tag, start = 1) {
+      const list = document.createElement(tag);
+      if (tag === 'ol' && start !== 1) list.setAttribute('start', String(start));
+      const li = document.createElement('li');
+      li.append(...content.childNodes);
+      list.appendChild(AUTOFORMAT._fill(li));
+      return [list];
+    },
+
+    _toHeading(content, tag) {
+      const heading = document.createElement(tag);
+      heading.append(...content.childNodes);
+      return [AUTOFORMAT._fill(heading)];
+    },
+
+    /** `el`, holding a <br> instead when no text is left, so it keeps a line to type on. */
+    _fill(el) {
+      if (!el.textContent) el.replaceChildren(document.createElement('br'));
+      return el;
+    },
+
+    /** A range over the siblings `first` to `last`. */
+    _rangeAround(first, last) {
+      const range = document.createRange();
+      range.setStartBefore(first);
+      range.setEndAfter(last);
+      return range;
+    },
+
+    /**
+     * Replace `range` with `nodes` through insertHTML, so the conversion sits
+     * on the browser's undo stack like any typing (see CODE._replaceText),
+     * falling back to editing the DOM when the command is refused. Returns
+     * the inserted elements as they now sit in the editor, or null when the
+     * browser inserted them but dropped the markers used to find them.
+     */
+    _replace(range, nodes) {
+      const elements = nodes.filter((n) => n.nodeType === Node.ELEMENT_NODE);
+      elements.forEach((el, i) => el.setAttribute('data-autoformat', String(i)));
+      const html = nodes.map((n) => (n.nodeType === Node.ELEMENT_NODE ? n.outerHTML : escapeHTML(n.textContent))).join('');
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+
+      let placed = elements;
+      if (document.execCommand('insertHTML', false, html)) {
+        placed = elements.map((el, i) => EDITOR.el.querySelector(`[data-autoformat="${i}"]`));
+        if (placed.some((el) => !el)) {
+          EDITOR.el.querySelectorAll('[data-autoformat]').forEach((el) => el.removeAttribute('data-autoformat'));
+          return null;
+        }
+      } else {
+        const last = nodes[nodes.length - 1];
+        range.deleteContents();
+        const fragment = document.createDocumentFragment();
+        fragment.append(...nodes);
+        range.insertNode(fragment);
+        AUTOFORMAT._setCaret(last.parentNode, Array.prototype.indexOf.call(last.parentNode.childNodes, last) + 1);
+      }
+      placed.forEach((el) => el.removeAttribute('data-autoformat'));
+      return placed;
+    },
+
+    /** Caret position at the start of `el`. */
+    _caretAtStart(el) {
+      if (!el.textContent) return { node: el, offset: 0 };
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      let text = walker.nextNode();
+      while (text && !text.textContent) text = walker.nextNode();
+      return { node: text, offset: 0 };
+    },
+
+    _pathTo(root, node) {
+      const path = [];
+      for (let n = node; n !== root; n = n.parentNode) {
+        path.unshift(Array.prototype.indexOf.call(n.parentNode.childNodes, n));
+      }
+      return path;
+    },
+
+    _resolvePath(root, path) {
+      return path.reduce((n, idx) => n.childNodes[idx], root);
+    },
+
+    _setCaret(node, offset) {
+      const sel = window.getSelection();
+      const range = document.createRange();
+      range.setStart(node, offset);
+      range.collapse(true);
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+
+    _afterChange() {
+      TOOLBAR.updateClearState();
+      STORAGE.scheduleSave();
+    },
+  };
+
+  /* ============================================================
+     CHECKLIST — to-do lists with clickable boxes and progress
+     ============================================================ */
+  const CHECKLIST = {
+    // Stored in note HTML as <ul class="checklist"><li data-checked="true|false">;
+    // the box itself is a CSS pseudo-element in the item's left padding.
+    CLASS: 'checklist',
+    _progressTimer: null,
+    _countCache: new Map(), // tabId -> { content, counts }
+
+    init(editorEl) {
+      // Keep the caret where it is when a box is clicked.
+      editorEl.addEventListener('mousedown', (e) => {
+        if (CHECKLIST._boxAt(e)) e.preventDefault();
+      });
+      editorEl.addEventListener('click', (e) => {
+        const li = CHECKLIST._boxAt(e);
+        if (!li) return;
+        e.preventDefault();
+        CHECKLIST.toggleItem(li);
+      });
+    },
+
+    /** The checklist item whose box is under the pointer, if any. */
+    _boxAt(e) {
+      const li = e.target && e.target.closest ? e.target.closest('li') : null;
+      if (!li || li !== e.target || !CHECKLIST.isItem(li)) return null;
+      const rect = li.getBoundingClientRect();
+      const styles = getComputedStyle(li);
+      const lineHeight = parseFloat(styles.lineHeight) || 20;
+      const inBox = e.clientX - rect.left < (parseFloat(styles.paddingLeft) || 0) &&
+        e.clientY - rect.top < lineHeight;
+      return inBox ? li : null;
+    },
+
+    isItem(li) {
+      const list = li && li.parentElement;
+      return !!(list && list.tagName === 'UL' && list.classList.contains(CHECKLIST.CLASS) &&
+        EDITOR.el && EDITOR.el.contains(list));
+    },
+
+    listAtSelection() {
+      const list = TOOLBAR.getCurrentListFromSelection('ul');
+      return list && list.classList.contains(CHECKLIST.CLASS) ? list : null;
+    },
+
+    /** Turn the selection into a checklist, or a checklist back into plain text. */
+    toggleList() {
+      const current = CHECKLIST.listAtSelection();
+      if (current) {
+        current.classList.remove(CHECKLIST.CLASS);
+        if (!current.classList.length) current.removeAttribute('class');
+        current.querySelectorAll(':scope > li').forEach((li) => li.removeAttribute('data-checked'));
+        document.execCommand('insertUnorderedList', false, null);
+      } else {
+        // insertUnorderedList also converts an ordered list in place.
+        if (!TOOLBAR.getCurrentListFromSelection('ul')) document.execCommand('insertUnorderedList', false, null);
+        const list = TOOLBAR.getCurrentListFromSelection('ul');
+        if (list) CHECKLIST._mark(list);
+      }
+      TOOLBAR.updateActiveState();
+      CHECKLIST._afterChange();
+    },
+
+    _mark(list) {
+      list.classList.add(CHECKLIST.CLASS);
+      list.querySelectorAll(':scope > li').forEach((li) => {
+        if (li.dataset.checked !== 'true') li.dataset.checked = 'false';
+      });
+    },
+
+    toggleItem(li) {
+      const checked = li.dataset.checked !== 'true';
+      li.dataset.checked = checked ? 'true' : 'false';
+      if (SETTINGS.get('checklistCompletedToBottom')) CHECKLIST._placeItem(li);
+      CHECKLIST._afterChange();
+    },
+
+    /**
+     * Reorder the toggled item's list so open items come first and completed
+     * ones last, keeping the relative order within each group. Nested lists
+     * that follow an item as siblings — how execCommand('indent') nests —
+     * move with it.
+     */
+    _placeItem(li) {
+      const list = li.parentElement;
+      const units = [];
+      Array.from(list.children).forEach((n) => {
+        if (n.tagName === 'LI' || !units.length) units.push([n]);
+        else units[units.length - 1].push(n);
+      });
+      const isDone = (unit) => unit[0].tagName === 'LI' && unit[0].dataset.checked === 'true';
+      units
+        .filter((unit) => !isDone(unit))
+        .concat(units.filter(isDone))
+        .forEach((unit) => unit.forEach((n) => list.appendChild(n)));
+    },
+
+    /** Called from the editor `input` listener. */
+    handleInput(e) {
+      if (e.inputType === 'insertParagraph') {
+        // Enter copies data-checked onto the new item; new items start open.
+        const sel = window.getSelection();
+        const node = sel && sel.anchorNode;
+        const el = node && (node.nodeType === Node.TEXT_NODE ? node.parentElement : node);
+        const li = el && el.closest ? el.closest('li') : null;
+        if (li && CHECKLIST.isItem(li)) {
+          [li, li.previousElementSibling].forEach((item) => {
+            if (item && item.tagName === 'LI' && !item.textContent.trim()) item.dataset.checked = 'false';
+          });
+        }
+      } else if (e.inputType === 'formatIndent' || e.inputType === 'formatOutdent') {
+        CHECKLIST.normalize(EDITOR.el);
+      }
+      CHECKLIST.scheduleProgress();
+    },
+
+    /** Bullet lists nested inside a checklist become checklists too. */
+    normalize(root) {
+      root.querySelectorAll('ul.checklist ul:not(.checklist)').forEach((list) => CHECKLIST._mark(list));
+    },
+
+    /** Ctrl/Cmd+Enter toggles the checklist item at the caret. */
+    handleKeydown(e) {
+      if (e.key !== 'Enter' || !(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return false;
+      const sel = window.getSelection();
+      const node = sel && sel.anchorNode;
+      const el = node && (node.nodeType === Node.TEXT_NODE ? node.parentElement : node);
+      const li = el && el.closest ? el.closest('li') : null;
+      if (!li || !CHECKLIST.isItem(li)) return false;
+      e.preventDefault();
+      CHECKLIST.toggleItem(li);
+      return true;
+    },
+
+    countIn(root) {
+      const items = root.querySelectorAll('ul.checklist > li');
+      let done = 0;
+      items.forEach((li) => { if (li.dataset.checked === 'true') done += 1; });
+      return { done, total: items.length };
+    },
+
+    /** Checklist progress for a tab; the active tab is read from the editor. */
+    progressFor(tab) {
+      if (tab.id === STATE.activeTabId && EDITOR.el) return CHECKLIST.countIn(EDITOR.el);
+      if (!STORAGE.isLoaded(tab)) {
+        const saved = STORAGE.saved.get(tab.id);
+        return (saved && saved.progress) || { done: 0, total: 0 };
+      }
+      const content = tab.content;
+      if (!content.includes(CHECKLIST.CLASS)) return { done: 0, total: 0 };
+      const cached = CHECKLIST._countCache.get(tab.id);
+      if (cached && cached.content === content) return cached.counts;
+      const tpl = document.createElement('template');
+      tpl.innerHTML = content;
+      const counts = CHECKLIST.countIn(tpl.content);
+      CHECKLIST._countCache.set(tab.id, { content, counts });
+      return counts;
+    },
+
+    /** Add, update or remove the "3/7" badge on a tab item element. */
+    renderProgress(itemEl, tab) {
+      const { done, total } = CHECKLIST.progressFor(tab);
+      let badge = itemEl.querySelector('.tab-progress');
+      if (!total) {
+        if (badge) badge.remove();
+        return;
+      }
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'tab-progress';
+        itemEl.insertBefore(badge, itemEl.querySelector('.tab-delete-btn'));
+      }
+      badge.textContent = `${done}/${total}`;
+      badge.title = `${done}/${total} done`;
+      badge.setAttribute('aria-label', `${done}/${total} done`);
+      badge.classList.toggle('is-complete', done === total);
+    },
+
+    scheduleProgress() {
+      clearTimeout(CHECKLIST._progressTimer);
+      CHECKLIST._progressTimer = setTimeout(CHECKLIST.updateProgress, 300);
+    },
+
+    updateProgress() {
+      clearTimeout(CHECKLIST._progressTimer);
+      const tab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      const itemEl = tab && TABS.listEl ? TABS.listEl.querySelector(`.tab-item[data-tab-id="${tab.id}"]`) : null;
+      if (itemEl) CHECKLIST.renderProgress(itemEl, tab);
+    },
+
+    _afterChange() {
+      TOOLBAR.updateClearState();
+      CHECKLIST.updateProgress();
+      STORAGE.scheduleSave();
+    },
+  };
+
+  /* ============================================================
+     TABLES — insert tables, edit rows and columns, Tab between cells
+     ============================================================ */
+  const TABLES = {
+    PICKER_SIZE: 8,   // the toolbar's size picker goes up to 8 × 8
+    menuEl: null,
+    handleEl: null,
+
+    init(editorEl) {
+      // Right-click in a cell (or the context-menu key with the caret in one).
+      editorEl.addEventListener('contextmenu', (e) => {
+        const cell = TABLES._cellOf(e.target) || (e.target === editorEl ? TABLES.cellAtSelection() : null);
+        if (!cell) return;
+        e.preventDefault();
+        if (!TABLES._selectedCells(cell.closest('table')).includes(cell)) TABLES._placeCaret(cell);
+        const fromKeyboard = e.clientX === 0 && e.clientY === 0;
+        const rect = cell.getBoundingClientRect();
+        TABLES.openMenu(cell, fromKeyboard ? rect.left : e.clientX, fromKeyboard ? rect.bottom : e.clientY);
+      });
+      document.addEventListener('selectionchange', () => TABLES.updateHandle());
+      editorEl.addEventListener('scroll', () => TABLES.updateHandle(), { passive: true });
+      editorEl.addEventListener('blur', () => TABLES.updateHandle());
+    },
+
+    _cellOf(node) {
+      const el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+      const cell = el && el.closest('td, th');
+      return cell && EDITOR.el.contains(cell) ? cell : null;
+    },
+
+    /** The cell holding the caret (or the start of the selection), if any. */
+    cellAtSelection() {
+      const sel = window.getSelection();
+      if (!sel || !sel.rangeCount) return null;
+      return TABLES._cellOf(sel.getRangeAt(0).startContainer);
+    },
+
+    /** Cells of `table` (not of tables nested in it) that the selection touches. */
+    _selectedCells(table) {
+      const sel = window.getSelection();
+      if (!sel || !sel.rangeCount) return [];
+      const range = sel.getRangeAt(0);
+      return TABLES._cells(table).filter((cell) => range.intersectsNode(cell));
+    },
+
+    _cells(table) {
+      return Array.from(table.rows).flatMap((tr) => Array.from(tr.cells));
+    },
+
+    /** Caret at the end of `cell`, or its whole content selected. */
+    _placeCaret(cell, selectContents = false) {
+      const range = document.createRange();
+      range.selectNodeContents(cell);
+      if (!selectContents || TABLES._isBlank(cell)) range.collapse(false);
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+
+    _isBlank(cell) {
+      return !cell.textContent.trim() && !cell.querySelector('img');
+    },
+
+    /** Set a cell's rowspan or colspan, dropping the attribute at 1. */
+    _setSpan(cell, attr, value) {
+      if (value > 1) cell.setAttribute(attr, value);
+      else cell.removeAttribute(attr);
+    },
+
+    _newCell(tr) {
+      const cell = document.createElement(tr.parentElement && tr.parentElement.tagName === 'THEAD' ? 'th' : 'td');
+      cell.appendChild(document.createElement('br'));
+      return cell;
+    },
+
+    /**
+     * The table as a grid: grid[r][c] is the cell covering row r, column c,
+     * so a merged cell sits at every position it spans.
+     */
+    _layout(table) {
+      const rows = Array.from(table.rows);
+      const grid = rows.map(() => []);
+      rows.forEach((tr, r) => {
+        let c = 0;
+        Array.from(tr.cells).forEach((cell) => {
+          while (grid[r][c]) c += 1;
+          for (let dr = 0; dr < Math.max(1, cell.rowSpan) && r + dr < rows.length; dr += 1) {
+            for (let dc = 0; dc < cell.colSpan; dc += 1) grid[r + dr][c + dc] = cell;
+          }
+          c += cell.colSpan;
+        });
+      });
+      return { rows, grid, width: Math.max(0, ...grid.map((row) => row.length)) };
+    },
+
+    /** Row and column of a cell's top-left corner. */
+    _position(layout, cell) {
+      for (let r = 0; r < layout.grid.length; r += 1) {
+        const c = layout.grid[r].indexOf(cell);
+        if (c !== -1) return { row: r, col: c };
+      }
+      return null;
+    },
+
+    /** Put `cell` into row `r` of the grid so that it lands at column `c`. */
+    _insertCellAt(layout, r, c, cell) {
+      const tr = layout.rows[r];
+      const before = Array.from(tr.cells).find((other) => other !== cell && layout.grid[r].indexOf(other) >= c);
+      tr.insertBefore(cell, before || null);
+    },
+
+    /** Insert a `rows` × `cols` table at the caret, the first row as its header. */
+    insert(rows, cols) {
+      if (!EDITOR.el) return;
+      EDITOR.el.focus();
+      // No tables inside tables: a new one goes after the current table.
+      const current = TABLES.cellAtSelection();
+      if (current) {
+        const range = document.createRange();
+        range.setStartAfter(current.closest('table'));
+        range.collapse(true);
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+      }
+
+      const row = (tag) => '<tr>' + `<${tag}><br></${tag}>`.repeat(cols) + '</tr>';
+      const body = rows > 1 ? '<tbody>' + row('td').repeat(rows - 1) + '</tbody>' : '';
+      const html = `<table data-new-table=""><thead>${row('th')}</thead>${body}</table>`;
+      document.execCommand('insertHTML', false, html);
+
+      let table = EDITOR.el.querySelector('table[data-new-table]');
+      if (!table) {
+        // insertHTML refused (e.g. no caret in the editor): add it after the current block.
+        const tpl = document.createElement('template');
+        tpl.innerHTML = html;
+        table = tpl.content.firstChild;
+        const sel = window.getSelection();
+        let block = sel && sel.rangeCount ? sel.getRangeAt(0).startContainer : null;
+        while (block && block.parentNode !== EDITOR.el) block = block.parentNode;
+        EDITOR.el.insertBefore(table, block ? block.nextSibling : null);
+      }
+      table.removeAttribute('data-new-table');
+      // Leave somewhere to type after a table at the end of the note.
+      if (!table.nextSibling) {
+        const p = document.createElement('p');
+        p.appendChild(document.createElement('br'));
+        table.after(p);
+      }
+      TABLES._afterChange(table.rows[0].cells[0]);
+    },
+
+    /** Add a row above or below the one holding `cell`. Returns the new row's cell in the same column. */
+    insertRow(cell, below) {
+      const table = cell.closest('table');
+      const layout = TABLES._layout(table);
+      const pos = TABLES._position(layout, cell);
+      const ref = below ? pos.row + cell.rowSpan - 1 : pos.row;
+      const boundary = below ? ref + 1 : ref;   // index the new row takes
+      const refRow = layout.rows[ref];
+
+      const tr = document.createElement('tr');
+      // Below the last header row, the new row starts the body.
+      const intoBody = below && refRow.parentElement.tagName === 'THEAD' && !refRow.nextElementSibling;
+      if (intoBody) {
+        const body = table.tBodies[0] || table.appendChild(document.createElement('tbody'));
+        body.insertBefore(tr, body.firstChild);
+      } else if (below) {
+        refRow.after(tr);
+      } else {
+        refRow.before(tr);
+      }
+
+      let target = null;
+      for (let c = 0; c < layout.width;) {
+        const covering = layout.grid[ref][c];
+        const start = covering ? TABLES._position(layout, covering) : null;
+        // A merged cell reaching across the new row's place grows into it.
+        if (start && start.row < boundary && start.row + covering.rowSpan > boundary) {
+          TABLES._setSpan(covering, 'rowspan', covering.rowSpan + 1);
+          if (c <= pos.col && pos.col < start.col + covering.colSpan) target = covering;
+          c = start.col + covering.colSpan;
+        } else {
+          const added = tr.appendChild(TABLES._newCell(tr));
+          if (c === pos.col) target = added;
+          c += 1;
+        }
+      }
+      return target || tr.cells[0] || cell;
+    },
+
+    /** Add a column left or right of `cell`. Returns the new cell in `cell`'s row. */
+    insertColumn(cell, right) {
+      const table = cell.closest('table');
+      const layout = TABLES._layout(table);
+      const pos = TABLES._position(layout, cell);
+      const boundary = right ? pos.col + cell.colSpan : pos.col;   // index the new column takes
+      const grown = new Set();
+      let target = null;
+
+      layout.rows.forEach((tr, r) => {
+        const covering = layout.grid[r][boundary];
+        const start = covering ? TABLES._position(layout, covering) : null;
+        // A merged cell reaching across the new column's place grows into it.
+        if (start && start.col < boundary) {
+          if (!grown.has(covering)) TABLES._setSpan(covering, 'colspan', covering.colSpan + 1);
+          grown.add(covering);
+          return;
+        }
+        const added = TABLES._newCell(tr);
+        TABLES._insertCellAt(layout, r, boundary, added);
+        if (r === pos.row) target = added;
+      });
+      return target || cell;
+    },
+
+    /** Remove the row holding `cell`. Returns a cell to continue in, or null when the table went. */
+    deleteRow(cell) {
+      const table = cell.closest('table');
+      const layout = TABLES._layout(table);
+      const pos = TABLES._position(layout, cell);
+      const r = pos.row;
+      const seen = new Set();
+      layout.grid[r].forEach((covering) => {
+        if (!covering || seen.has(covering)) return;
+        seen.add(covering);
+        if (covering.rowSpan <= 1) return;
+        const start = TABLES._position(layout, covering);
+        TABLES._setSpan(covering, 'rowspan', covering.rowSpan - 1);
+        // A merged cell starting in this row moves down to the next one.
+        if (start.row === r) TABLES._insertCellAt(layout, r + 1, start.col, covering);
+      });
+      const section = layout.rows[r].parentElement;
+      layout.rows[r].remove();
+      if (section !== table && !section.rows.length) section.remove();
+      if (!table.rows.length) return TABLES.deleteTable(table);
+
+      const after = TABLES._layout(table);
+      const row = after.grid[Math.min(r, after.grid.length - 1)];
+      return row[Math.min(pos.col, row.length - 1)] || null;
+    },
+
+    /** Remove the column holding `cell`. Returns a cell to continue in, or null when the table went. */
+    deleteColumn(cell) {
+      const table = cell.closest('table');
+      const layout = TABLES._layout(table);
+      const pos = TABLES._position(layout, cell);
+      const seen = new Set();
+      layout.grid.forEach((row) => {
+        const covering = row[pos.col];
+        if (!covering || seen.has(covering)) return;
+        seen.add(covering);
+        if (covering.colSpan > 1) TABLES._setSpan(covering, 'colspan', covering.colSpan - 1);
+        else covering.remove();
+      });
+      if (!table.querySelector('td, th')) return TABLES.deleteTable(table);
+
+      const after = TABLES._layout(table);
+      const row = after.grid[pos.row] || after.grid[0];
+      return row[Math.min(pos.col, row.length - 1)] || null;
+    },
+
+    /** Remove a table, with an Undo that puts it back. Returns null (no cell is left to edit). */
+    deleteTable(table) {
+      const parent = table.parentNode;
+      const next = table.nextSibling;
+      table.remove();
+      TOAST.show('Table deleted', {
+        actionLabel: 'Undo',
+        onAction: () => {
+          if (!parent.isConnected) return;
+          parent.insertBefore(table, next && next.parentNode === parent ? next : null);
+          TABLES._afterChange(TABLES._cells(table)[0]);
+        },
+      });
+      return null;
+    },
+
+    /** Make the first row a header row, or turn the header rows back into body rows. */
+    toggleHeader(table) {
+      if (table.tHead) {
+        const body = table.tBodies[0] || table.appendChild(document.createElement('tbody'));
+        Array.from(table.tHead.rows).reverse().forEach((tr) => {
+          TABLES._retag(tr, 'td');
+          body.insertBefore(tr, body.firstChild);
+        });
+        table.tHead.remove();
+      } else if (table.rows.length) {
+        const first = table.rows[0];
+        const section = first.parentElement;
+        TABLES._retag(first, 'th');
+        table.createTHead().appendChild(first);
+        if (section !== table && !section.rows.length) section.remove();
+      }
+    },
+
+    /** Swap every cell of `tr` for a `tag` cell with the same content and attributes. */
+    _retag(tr, tag) {
+      Array.from(tr.cells).forEach((cell) => {
+        if (cell.tagName.toLowerCase() === tag) return;
+        const swapped = document.createElement(tag);
+        Array.from(cell.attributes).forEach((attr) => swapped.setAttribute(attr.name, attr.value));
+        while (cell.firstChild) swapped.appendChild(cell.firstChild);
+        cell.replaceWith(swapped);
+      });
+    },
+
+    /**
+     * Merge `cells` into the top-left one of the smallest rectangle holding
+     * them all whole. Their text is kept, one cell per line. Returns the
+     * merged cell.
+     */
+    mergeCells(cells) {
+      const table = cells[0].closest('table');
+      const layout = TABLES._layout(table);
+      const box = { top: Infinity, left: Infinity, bottom: -1, right: -1 };
+      const include = (cell) => {
+        const p = TABLES._position(layout, cell);
+        box.top = Math.min(box.top, p.row);
+        box.left = Math.min(box.left, p.col);
+        box.bottom = Math.max(box.bottom, p.row + cell.rowSpan - 1);
+        box.right = Math.max(box.right, p.col + cell.colSpan - 1);
+      };
+      cells.forEach(include);
+      // Grow until no merged cell sticks out of the rectangle.
+      for (let grew = true; grew;) {
+        grew = false;
+        for (let r = box.top; r <= box.bottom; r += 1) {
+          for (let c = box.left; c <= box.right; c += 1) {
+            const cell = layout.grid[r][c];
+            if (!cell) continue;
+            const p = TABLES._position(layout, cell);
+            if (p.row < box.top || p.col < box.left ||
+              p.row + cell.rowSpan - 1 > box.bottom || p.col + cell.colSpan - 1 > box.right) {
+              include(cell);
+              grew = true;
+            }
+          }
+        }
+      }
+
+      const target = layout.grid[box.top][box.left];
+      const others = new Set();
+      for (let r = box.top; r <= box.bottom; r += 1) {
+        for (let c = box.left; c <= box.right; c += 1) {
+          const cell = layout.grid[r][c];
+          if (cell && cell !== target) others.add(cell);
+        }
+      }
+      others.forEach((cell) => {
+        if (!TABLES._isBlank(cell)) {
+          if (TABLES._isBlank(target)) target.replaceChildren();
+          else target.appendChild(document.createElement('br'));
+          while (cell.firstChild) target.appendChild(cell.firstChild);
+        }
+        cell.remove();
+      });
+      TABLES._setSpan(target, 'colspan', box.right - box.left + 1);
+      TABLES._setSpan(target, 'rowspan', box.bottom - box.top + 1);
+      return target;
+    },
+
+    /** Undo a merge: `cell` covers one position again and empty cells fill the rest. */
+    splitCell(cell) {
+      const layout = TABLES._layout(cell.closest('table'));
+      const pos = TABLES._position(layout, cell);
+      for (let r = pos.row; r < pos.row + cell.rowSpan && r < layout.rows.length; r += 1) {
+        for (let c = pos.col; c < pos.col + cell.colSpan; c += 1) {
+          if (r === pos.row && c === pos.col) continue;
+          TABLES._insertCellAt(layout, r, c, TABLES._newCell(layout.rows[r]));
+        }
+      }
+      TABLES._setSpan(cell, 'colspan', 1);
+      TABLES._setSpan(cell, 'rowspan', 1);
+      return cell;
+    },
+
+    /** Tab / Shift+Tab move between cells; Tab in the last cell adds a row. Returns true if handled. */
+    handleKeydown(e) {
+      if (e.key !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey) return false;
+      const cell = TABLES.cellAtSelection();
+      if (!cell) return false;
+      e.preventDefault();
+      const cells = TABLES._cells(cell.closest('table'));
+      const idx = cells.indexOf(cell);
+      if (e.shiftKey) {
+        if (idx > 0) TABLES._placeCaret(cells[idx - 1], true);
+      } else if (idx < cells.length - 1) {
+        TABLES._placeCaret(cells[idx + 1], true);
+      } else {
+        const row = cell.parentElement;
+        TABLES._afterChange(TABLES.insertRow(row.cells[0], true).parentElement.cells[0]);
+      }
+      return true;
+    },
+
+    _afterChange(focusCell) {
+      if (focusCell && focusCell.isConnected) {
+        EDITOR.el.focus({ preventScroll: true });
+        TABLES._placeCaret(focusCell);
+      }
+      TOOLBAR.updateClearState();
+      TABLES.updateHandle();
+      STORAGE.scheduleSave();
+    },
+
+    /* ---------- Table menu ---------- */
+
+    /** Open the row/column menu for `cell` at viewport point (x, y). */
+    openMenu(cell, x, y) {
+      TABLES.closeMenu();
+      const table = cell.closest('table');
+      const layout = TABLES._layout(table);
+      const pos = TABLES._position(layout, cell);
+      const selected = TABLES._selectedCells(table);
+      const rightCell = layout.grid[pos.row][pos.col + cell.colSpan];
+      const belowCell = (layout.grid[pos.row + cell.rowSpan] || [])[pos.col];
+
+      const menu = document.createElement('div');
+      menu.className = 'app-menu tab-menu table-menu is-open';
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-label', 'Table');
+
+      const item = (label, action, disabled = false) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'app-menu-item';
+        btn.setAttribute('role', 'menuitem');
+        btn.textContent = label;
+        btn.disabled = disabled;
+        btn.addEventListener('click', () => {
+          TABLES.closeMenu();
+          TABLES._afterChange(action());
+        });
+        return btn;
+      };
+      const sep = () => {
+        const el = document.createElement('div');
+        el.className = 'app-menu-sep';
+        el.setAttribute('role', 'separator');
+        return el;
+      };
+      const header = item('Header row', () => {
+        TABLES.toggleHeader(table);
+        return TABLES._layout(table).grid[pos.row][pos.col];
+      });
+      header.setAttribute('role', 'menuitemcheckbox');
+      header.setAttribute('aria-checked', table.tHead ? 'true' : 'false');
+
+      menu.append(
+        item('Insert row above', () => TABLES.insertRow(cell, false)),
+        item('Insert row below', () => TABLES.insertRow(cell, true)),
+        item('Insert column left', () => TABLES.insertColumn(cell, false)),
+        item('Insert column right', () => TABLES.insertColumn(cell, true)),
+        sep(),
+        header,
+      );
+      if (selected.length > 1) {
+        menu.appendChild(item('Merge cells', () => TABLES.mergeCells(selected)));
+      } else {
+        menu.append(
+          item('Merge with cell to the right', () => TABLES.mergeCells([cell, rightCell]), !rightCell),
+          item('Merge with cell below', () => TABLES.mergeCells([cell, belowCell]), !belowCell),
+        );
+      }
+      menu.append(
+        item('Split cell', () => TABLES.splitCell(cell), cell.colSpan === 1 && cell.rowSpan === 1),
+        sep(),
+        item('Delete row', () => TABLES.deleteRow(cell)),
+        item('Delete column', () => TABLES.deleteColumn(cell)),
+        item('Delete table', () => TABLES.deleteTable(table)),
+      );
+
+      menu.addEventListener('keydown', (e) => {
+        const items = Array.from(menu.querySelectorAll('.app-menu-item:not([disabled])'));
+        const idx = items.indexOf(document.activeElement);
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          TABLES.closeMenu();
+          if (cell.isConnected) TABLES._afterChange(cell);
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const next = items[(idx + step + items.length) % items.length];
+          if (next) next.focus();
+        }
+      });
+
+      document.getElementById('app').appendChild(menu);
+      TABLES.menuEl = menu;
+
+      // Keep the menu inside the panel.
+      const rect = menu.getBoundingClientRect();
+      menu.style.left = Math.max(4, Math.min(x, window.innerWidth - rect.width - 4)) + 'px';
+      menu.style.top = Math.max(4, Math.min(y, window.innerHeight - rect.height - 4)) + 'px';
+      const first = menu.querySelector('.app-menu-item:not([disabled])');
+      if (first) first.focus({ preventScroll: true });
+
+      document.addEventListener('mousedown', TABLES._onOutside, true);
+    },
+
+    _onOutside(e) {
+      if (TABLES.menuEl && !TABLES.menuEl.contains(e.target)) TABLES.closeMenu();
+    },
+
+    closeMenu() {
+      document.removeEventListener('mousedown', TABLES._onOutside, true);
+      if (!TABLES.menuEl) return;
+      TABLES.menuEl.remove();
+      TABLES.menuEl = null;
+    },
+
+    /** Show the table-options button in the corner of the cell holding the caret. */
+    updateHandle() {
+      const cell = document.activeElement === EDITOR.el ? TABLES.cellAtSelection() : null;
+      if (!cell) {
+        if (TABLES.handleEl) TABLES.handleEl.hidden = true;
+        return;
+      }
+      if (!TABLES.handleEl) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'table-handle';
+        btn.title = 'Table options';
+        btn.setAttribute('aria-label', 'Table options');
+        btn.innerHTML =
+          '<svg width="10" height="10" viewBox="0 0 10 10" fill="none" aria-hidden="true">' +
+          '<path d="M2 3.5l3 3 3-3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>' +
+          '</svg>';
+        // Keep the caret in the cell.
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', () => {
+          const current = TABLES.cellAtSelection();
+          if (!current) return;
+          const rect = btn.getBoundingClientRect();
+          TABLES.openMenu(current, rect.left, rect.bottom + 2);
+        });
+        document.getElementById('app').appendChild(btn);
+        TABLES.handleEl = btn;
+      }
+      const rect = cell.getBoundingClientRect();
+      const bounds = EDITOR.el.getBoundingClientRect();
+      TABLES.handleEl.hidden = rect.top < bounds.top || rect.top > bounds.bottom - 16;
+      TABLES.handleEl.style.left = (rect.right - 18) + 'px';
+      TABLES.handleEl.style.top = (rect.top + 2) + 'px';
+    },
+  };
+
+  /* ============================================================
+     CODE — inline code, code blocks, offline syntax highlighting
+     ============================================================ */
+  const CODE = {
+    INDENT: '    ',   // the same four spaces Tab inserts elsewhere in the editor
+    MONOSPACE_RE: new RegExp('font-family\\s*:[^;]*\\b(?:monospace|consolas|courier|menlo|monaco|fira code|' +
+      'source code|jetbrains mono|sf mono|cascadia|ubuntu mono)', 'i'),
+    TOKEN_TYPES: ['comment', 'string', 'keyword', 'literal', 'number', 'tag', 'attr', 'variable'],
+    NUMBER: '\\b(?:0[xX][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b',
+
+    /**
+     * Bundled highlighters, matched left to right with no network access.
+     * Patterns are regex sources without capture groups; at any position
+     * comments win over `extra`, then strings, keywords, literals, numbers.
+     */
+    LANGUAGES: [
+      { id: '', label: 'Plain text', aliases: ['text', 'plain', 'txt'] },
+      { id: 'js', label: 'JavaScript', aliases: ['javascript', 'jsx', 'mjs', 'cjs'],
+        comments: ['//.*', '/\\*[\\s\\S]*?(?:\\*/|(?![\\s\\S]))'],
+        strings: ['\'(?:\\\\.|[^\'\\\\\\n])*\'', '"(?:\\\\.|[^"\\\\\\n])*"', '`(?:\\\\[\\s\\S]|[^`\\\\])*`'],
+        keywords: 'async await break case catch class const continue debugger default delete do else export extends ' +
+          'finally for from function if import in instanceof let new of return static super switch this throw try ' +
+          'typeof var void while with yield',
+        literals: 'true false null undefined NaN Infinity' },
+      { id: 'ts', label: 'TypeScript', aliases: ['typescript', 'tsx'], base: 'js',
+        keywords: 'abstract any as asserts boolean declare enum implements interface keyof namespace never number ' +
+          'private protected public readonly string type unknown' },
+      { id: 'python', label: 'Python', aliases: ['py'],
+        comments: ['#.*'],
+        extra: [['variable', '@[\\w.]+']],
+        strings: ['[rRbBuUfF]{0,2}"""[\\s\\S]*?(?:"""|(?![\\s\\S]))', '[rRbBuUfF]{0,2}\'\'\'[\\s\\S]*?(?:\'\'\'|(?![\\s\\S]))',
+          '[rRbBuUfF]{0,2}\'(?:\\\\.|[^\'\\\\\\n])*\'', '[rRbBuUfF]{0,2}"(?:\\\\.|[^"\\\\\\n])*"'],
+        keywords: 'and as assert async await break case class continue def del elif else except finally for from ' +
+          'global if import in is lambda match nonlocal not or pass raise return try while with yield',
+        literals: 'True False None self' },
+      { id: 'shell', label: 'Shell', aliases: ['bash', 'sh', 'zsh', 'console', 'shell-session', 'terminal'],
+        comments: ['(?<![^\\s;|&(])#.*'],
+        extra: [['variable', '\\$(?:\\{[^}\\n]*\\}|\\w+|[@#?$!*-])'], ['attr', '(?<=\\s)--?[\\w][\\w-]*']],
+        strings: ['\'[^\']*\'', '"(?:\\\\.|[^"\\\\])*"'],
+        keywords: 'alias case do done elif else esac exit export fi for function if in local readonly return set ' +
+          'source then unset until while',
+        literals: 'true false' },
+      { id: 'json', label: 'JSON', aliases: ['jsonc', 'json5'],
+        comments: ['//.*', '/\\*[\\s\\S]*?(?:\\*/|(?![\\s\\S]))'],
+        extra: [['attr', '"(?:\\\\.|[^"\\\\\\n])*"(?=\\s*:)']],
+        strings: ['"(?:\\\\.|[^"\\\\\\n])*"'],
+        literals: 'true false null' },
+      { id: 'html', label: 'HTML / XML', aliases: ['xml', 'svg', 'xhtml', 'vue'],
+        comments: ['<!--[\\s\\S]*?(?:-->|(?![\\s\\S]))'],
+        extra: [['tag', '</?[A-Za-z][\\w:.-]*|/?>'], ['attr', '[\\w:-]+(?=\\s*=\\s*["\'])'], ['literal', '&#?\\w+;']],
+        strings: ['(?<==\\s*)"[^"]*"', '(?<==\\s*)\'[^\']*\''],
+        number: null },
+      { id: 'css', label: 'CSS', aliases: ['scss', 'less'],
+        comments: ['/\\*[\\s\\S]*?(?:\\*/|(?![\\s\\S]))'],
+        extra: [['keyword', '@[\\w-]+'], ['variable', '--[\\w-]+|\\$[\\w-]+'], ['number', '#[\\da-fA-F]{3,8}\\b'],
+          ['attr', '[\\w-]+(?=\\s*:\\s*[^;{}\\n]*;)']],
+        strings: ['\'(?:\\\\.|[^\'\\\\\\n])*\'', '"(?:\\\\.|[^"\\\\\\n])*"'],
+        literals: 'important inherit initial none auto',
+        number: '-?\\b\\d+(?:\\.\\d+)?(?:%|[a-zA-Z]+)?' },
+      { id: 'sql', label: 'SQL', aliases: ['mysql', 'postgresql', 'psql', 'sqlite'], caseless: true,
+        comments: ['--.*', '/\\*[\\s\\S]*?(?:\\*/|(?![\\s\\S]))'],
+        extra: [['attr', '"[^"\\n]*"|`[^`\\n]*`']],
+        strings: ['\'(?:\'\'|[^\'])*\''],
+        keywords: 'add all alter and as asc begin between by case commit create cross default delete desc distinct ' +
+          'drop else end exists foreign from full group having in index inner insert into is join key left like ' +
+          'limit not offset on or order outer primary references returning right rollback select set table then ' +
+          'union unique update values view when where with',
+        literals: 'null true false' },
+      { id: 'java', label: 'Java', aliases: ['kotlin', 'kt'],
+        comments: ['//.*', '/\\*[\\s\\S]*?(?:\\*/|(?![\\s\\S]))'],
+        extra: [['variable', '@\\w+']],
+        strings: ['"(?:\\\\.|[^"\\\\\\n])*"', '\'(?:\\\\.|[^\'\\\\\\n])\''],
+        keywords: 'abstract boolean break byte case catch char class continue default do double else enum extends ' +
+          'final finally float for if implements import instanceof int interface long new package private ' +
+          'protected public return short static super switch synchronized this throw throws try var void while',
+        literals: 'true false null' },
+      { id: 'c', label: 'C / C++', aliases: ['cpp', 'c++', 'cc', 'h', 'hpp', 'cs', 'csharp'],
+        comments: ['//.*', '/\\*[\\s\\S]*?(?:\\*/|(?![\\s\\S]))'],
+        extra: [['keyword', '^[ \\t]*#[ \\t]*\\w+']],
+        strings: ['"(?:\\\\.|[^"\\\\\\n])*"', '\'(?:\\\\.|[^\'\\\\\\n])+\''],
+        keywords: 'auto bool break case catch char class const constexpr continue default delete do double else ' +
+          'enum extern float for if inline int long namespace new private protected public return short signed ' +
+          'sizeof static struct switch template this throw try typedef typename union unsigned using virtual void ' +
+          'volatile while',
+        literals: 'true false NULL nullptr' },
+      { id: 'go', label: 'Go', aliases: ['golang'],
+        comments: ['//.*', '/\\*[\\s\\S]*?(?:\\*/|(?![\\s\\S]))'],
+        strings: ['"(?:\\\\.|[^"\\\\\\n])*"', '`[^`]*`', '\'(?:\\\\.|[^\'\\\\\\n])+\''],
+        keywords: 'break case chan const continue default defer else fallthrough for func go goto if import ' +
+          'interface map package range return select struct switch type var',
+        literals: 'true false nil iota' },
+      { id: 'yaml', label: 'YAML', aliases: ['yml'],
+        comments: ['(?<![^\\s])#.*'],
+        extra: [['attr', '[\\w.-]+(?=[ \\t]*:(?:\\s|$))']],
+        strings: ['\'(?:\'\'|[^\'\\n])*\'', '"(?:\\\\.|[^"\\\\\\n])*"'],
+        literals: 'true false null yes no on off' },
+    ],
+
+    barEl: null,
+    _langSelect: null,
+    _pre: null,        // block the language bar belongs to
+    _hoverPre: null,
+    _compiled: new Map(),
+    _highlightTimer: null,
+
+    init(editorEl) {
+      const bar = document.createElement('div');
+      bar.className = 'code-bar';
+      bar.hidden = true;
+
+      const select = document.createElement('select');
+      select.className = 'code-bar-lang';
+      select.title = 'Language';
+      select.setAttribute('aria-label', 'Code language');
+      CODE.LANGUAGES.forEach((lang) => select.appendChild(new Option(lang.label, lang.id)));
+      select.addEventListener('change', () => CODE.setLanguage(CODE._pre, select.value));
+
+      const copy = document.createElement('button');
+      copy.type = 'button';
+      copy.className = 'code-bar-copy';
+      copy.textContent = 'Copy';
+      copy.title = 'Copy code';
+      copy.addEventListener('mousedown', (e) => e.preventDefault());
+      copy.addEventListener('click', () => CODE.copy(CODE._pre));
+
+      bar.append(select, copy);
+      bar.addEventListener('mouseleave', (e) => {
+        if (CODE._hoverPre && CODE._hoverPre.contains(e.relatedTarget)) return;
+        CODE._hoverPre = null;
+        CODE.updateBar();
+      });
+      bar.addEventListener('focusout', () => setTimeout(CODE.updateBar));
+      document.getElementById('app').appendChild(bar);
+      CODE.barEl = bar;
+      CODE._langSelect = select;
+
+      editorEl.addEventListener('mouseover', (e) => {
+        const pre = e.target.closest && e.target.closest('pre');
+        if (pre === CODE._hoverPre) return;
+        CODE._hoverPre = pre;
+        CODE.updateBar();
+      });
+      editorEl.addEventListener('mouseleave', (e) => {
+        if (bar.contains(e.relatedTarget)) return;
+        CODE._hoverPre = null;
+        CODE.updateBar();
+      });
+      editorEl.addEventListener('scroll', () => CODE.updateBar(), { passive: true });
+      editorEl.addEventListener('blur', () => CODE.updateBar());
+      document.addEventListener('selectionchange', () => CODE.updateBar());
+    },
+
+    /** The language for an id or alias ('' is plain text), or null if none is bundled. */
+    language(id) {
+      const key = (id || '').toLowerCase();
+      return CODE.LANGUAGES.find((lang) => lang.id === key || (lang.aliases || []).includes(key)) || null;
+    },
+
+    _words(list) {
+      return '\\b(?:' + list.trim().split(/\s+/).join('|') + ')\\b';
+    },
+
+    /** One alternation regex per language; `types[i]` is the token type of capture group i + 1. */
+    _compile(lang) {
+      if (CODE._compiled.has(lang.id)) return CODE._compiled.get(lang.id);
+      const base = lang.base ? CODE.language(lang.base) : {};
+      const pick = (key) => (lang[key] !== undefined ? lang[key] : base[key]);
+      const rules = [];
+      (pick('comments') || []).forEach((src) => rules.push(['comment', src]));
+      (pick('extra') || []).forEach((rule) => rules.push(rule));
+      (pick('strings') || []).forEach((src) => rules.push(['string', src]));
+      const keywords = [base.keywords, lang.keywords].filter(Boolean).join(' ');
+      if (keywords) rules.push(['keyword', CODE._words(keywords)]);
+      if (pick('literals')) rules.push(['literal', CODE._words(pick('literals'))]);
+      if (pick('number') !== null) rules.push(['number', pick('number') || CODE.NUMBER]);
+
+      const compiled = rules.length ? {
+        re: new RegExp(rules.map(([, src]) => `(${src})`).join('|'), 'gm' + (lang.caseless ? 'i' : '')),
+        types: rules.map(([type]) => type),
+      } : null;
+      CODE._compiled.set(lang.id, compiled);
+      return compiled;
+    },
+
+    /** Tokens of `text` as { type, start, end }; none for plain text or an unknown language. */
+    tokenize(text, langId) {
+      const lang = CODE.language(langId);
+      const compiled = lang && CODE._compile(lang);
+      if (!compiled) return [];
+      const tokens = [];
+      for (const m of text.matchAll(compiled.re)) {
+        if (!m[0]) continue;
+        const group = m.findIndex((value, i) => i > 0 && value !== undefined);
+        tokens.push({ type: compiled.types[group - 1], start: m.index, end: m.index + m[0].length });
+      }
+      return tokens;
+    },
+
+    /** Color every code block in the editor (CSS Custom Highlight API; the note HTML is untouched). */
+    refreshHighlights() {
+      clearTimeout(CODE._highlightTimer);
+      if (!EDITOR.el || !window.CSS || !CSS.highlights || typeof Highlight !== 'function') return;
+      const byType = new Map(CODE.TOKEN_TYPES.map((type) => [type, []]));
+      EDITOR.el.querySelectorAll('pre').forEach((pre) => {
+        const { text, segments } = SEARCH.extractText(pre, true);
+        CODE.tokenize(text, pre.dataset.lang).forEach((token) => {
+          const range = SEARCH._rangeForOffsets(segments, token.start, token.end);
+          if (range) byType.get(token.type).push(range);
+        });
+      });
+      byType.forEach((ranges, type) => CSS.highlights.set('code-' + type, new Highlight(...ranges)));
+    },
+
+    scheduleHighlights() {
+      clearTimeout(CODE._highlightTimer);
+      CODE._highlightTimer = setTimeout(CODE.refreshHighlights, 150);
+    },
+
+    /* ---------- Blocks and inline code ---------- */
+
+    _elementAtSelection() {
+      const sel = window.getSelection();
+      if (!sel || !sel.rangeCount) return null;
+      const node = sel.getRangeAt(0).startContainer;
+      const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return el && EDITOR.el && EDITOR.el.contains(el) ? el : null;
+    },
+
+    /** The code block holding the caret, if any. */
+    blockAtSelection() {
+      const el = CODE._elementAtSelection();
+      return el ? el.closest('pre') : null;
+    },
+
+    /** The inline <code> holding the caret, if any (code blocks don't count). */
+    inlineAtSelection() {
+      const el = CODE._elementAtSelection();
+      const code = el ? el.closest('code') : null;
+      return code && !code.closest('pre') ? code : null;
+    },
+
+    /** A new <pre><code> block holding `text`. */
+    createBlock(text, lang = '') {
+      const pre = document.createElement('pre');
+      const known = CODE.language(lang);
+      const id = known ? known.id : (lang || '').toLowerCase();
+      if (id) pre.dataset.lang = id;
+      pre.appendChild(document.createElement('code'));
+      CODE._setText(pre, text);
+      return pre;
+    },
+
+    _setText(pre, text) {
+      const code = pre.querySelector('code') || document.createElement('code');
+      pre.replaceChildren(code);
+      code.textContent = text;
+      // An empty block needs a line to put the caret on.
+      if (!text) code.appendChild(document.createElement('br'));
+    },
+
+    /** Text of a code block; a trailing placeholder <br> is not part of it. */
+    textOf(pre) {
+      const text = SEARCH.extractText(pre).text;
+      const code = pre.lastChild && pre.lastChild.nodeName === 'CODE' ? pre.lastChild : pre;
+      return code.lastChild && code.lastChild.nodeName === 'BR' ? text.replace(/\n$/, '') : text;
+    },
+
+    /**
+     * For Markdown's ``` shortcut: a code block holding `block`'s text, and a
+     * paragraph to leave it by when it ends the note (`atEnd`).
+     */
+    fromBlock(block, lang, atEnd) {
+      const pre = CODE.createBlock(SEARCH.extractText(block).text.replace(/\n$/, ''), lang);
+      if (!atEnd) return [pre];
+      const p = document.createElement('p');
+      p.appendChild(document.createElement('br'));
+      return [pre, p];
+    },
+
+    /**
+     * Toolbar command: turn the blocks the selection touches into one code
+     * block, or the code block at the caret back into paragraphs. Both go
+     * through AUTOFORMAT._replace, so Ctrl+Z undoes them.
+     */
+    toggleBlock() {
+      const sel = window.getSelection();
+      if (!EDITOR.el || !sel || !sel.rangeCount) return;
+      const current = CODE.blockAtSelection();
+      if (current) {
+        const lines = CODE.textOf(current).split('\n');
+        const paragraphs = lines.map((line) => {
+          const p = document.createElement('p');
+          if (line) p.textContent = line;
+          else p.appendChild(document.createElement('br'));
+          return p;
+        });
+        const placed = AUTOFORMAT._replace(AUTOFORMAT._rangeAround(current, current), paragraphs);
+        if (placed) AUTOFORMAT._setCaret(placed[0], 0);
+        CODE._afterChange();
+        return;
+      }
+
+      const range = sel.getRangeAt(0);
+      const topOf = (node, offset) => {
+        if (node === EDITOR.el) return EDITOR.el.childNodes[Math.min(offset, EDITOR.el.childNodes.length - 1)] || null;
+        let n = node;
+        while (n && n.parentNode !== EDITOR.el) n = n.parentNode;
+        return n;
+      };
+      const first = topOf(range.startContainer, range.startOffset);
+      const last = topOf(range.endContainer, range.endOffset) || first;
+      const el = CODE._elementAtSelection();
+      const nested = el && el !== EDITOR.el && el.closest('li, td, th, blockquote');
+
+      let pre;
+      const target = document.createRange();
+      if (!first) {
+        pre = CODE.createBlock('');
+        target.selectNodeContents(EDITOR.el);
+        target.collapse(false);
+      } else if (range.collapsed && nested) {
+        // A caret in a list, table or quote gets an empty block after it.
+        pre = CODE.createBlock('');
+        target.setStartAfter(first);
+        target.collapse(true);
+      } else {
+        const holder = document.createElement('div');
+        for (let n = first; n; n = n.nextSibling) {
+          holder.appendChild(n.cloneNode(true));
+          if (n === last) break;
+        }
+        pre = CODE.createBlock(SEARCH.extractText(holder).text.replace(/\n$/, ''));
+        target.setStartBefore(first);
+        target.setEndAfter(last);
+      }
+      const nodes = [pre];
+      if (!target.endContainer.childNodes[target.endOffset]) {
+        // A block ending the note needs a paragraph after it to leave by.
+        const p = document.createElement('p');
+        p.appendChild(document.createElement('br'));
+        nodes.push(p);
+      }
+      const placed = AUTOFORMAT._replace(target, nodes);
+      if (placed) {
+        const length = CODE.textOf(placed[0]).length;
+        CODE._select(placed[0], length, length);
+      }
+      CODE._afterChange();
+    },
+
+    /** Toolbar command: wrap the selection in <code>, or unwrap the inline code at the caret. */
+    toggleInline() {
+      const sel = window.getSelection();
+      if (!EDITOR.el || !sel || !sel.rangeCount || CODE.blockAtSelection()) return;
+      const current = CODE.inlineAtSelection();
+      if (current) {
+        const text = document.createTextNode(current.textContent.replace(/\u200b/g, ''));
+        AUTOFORMAT._replace(AUTOFORMAT._rangeAround(current, current), [text]);
+        CODE._selectBeforeCaret(text);
+        CODE._afterChange();
+        return;
+      }
+
+      const range = sel.getRangeAt(0);
+      const holder = document.createElement('div');
+      holder.appendChild(range.cloneContents());
+      const text = SEARCH.extractText(holder).text;
+      // More than one line is a block.
+      if (text.replace(/\n$/, '').includes('\n')) {
+        CODE.toggleBlock();
+        return;
+      }
+      const code = document.createElement('code');
+      // A zero-width space gives an empty element somewhere to put the caret; EDITOR.getHTML drops it.
+      code.textContent = text.replace(/\n$/, '') || '\u200b';
+      const placed = AUTOFORMAT._replace(range, [code]);
+      if (placed) {
+        const inside = document.createRange();
+        inside.selectNodeContents(placed[0]);
+        if (placed[0].textContent === '\u200b') inside.collapse(false);
+        sel.removeAllRanges();
+        sel.addRange(inside);
+      }
+      CODE._afterChange();
+    },
+
+    /**
+     * Select the text `node` that AUTOFORMAT._replace just put before the
+     * caret. insertHTML inserts a copy, often merged into the text around
+     * it, so that copy is found by counting back from the caret.
+     */
+    _selectBeforeCaret(node) {
+      const sel = window.getSelection();
+      const range = document.createRange();
+      if (node.isConnected) {
+        range.selectNodeContents(node);
+      } else {
+        const { anchorNode, anchorOffset } = sel;
+        const length = node.textContent.length;
+        if (!anchorNode || anchorNode.nodeType !== Node.TEXT_NODE || anchorOffset < length) return;
+        range.setStart(anchorNode, anchorOffset - length);
+        range.setEnd(anchorNode, anchorOffset);
+      }
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+
+    setLanguage(pre, id) {
+      if (!pre || !pre.isConnected) return;
+      if (id) pre.dataset.lang = id;
+      else delete pre.dataset.lang;
+      CODE.refreshHighlights();
+      STORAGE.scheduleSave();
+    },
+
+    async copy(pre) {
+      if (!pre) return;
+      try {
+        await navigator.clipboard.writeText(CODE.textOf(pre).replace(/\n$/, ''));
+        TOAST.show('Code copied');
+      } catch (_) {
+        TOAST.show('Could not access the clipboard');
+      }
+    },
+
+    /* ---------- Editing inside a block ---------- */
+
+    /** Offset of a boundary point in the block's text, clamped to the block. */
+    _offsetOf(pre, node, offset) {
+      const whole = document.createRange();
+      whole.selectNodeContents(pre);
+      const side = whole.comparePoint(node, offset);
+      if (side !== 0) return side < 0 ? 0 : CODE.textOf(pre).length;
+      const { segments } = SEARCH.extractText(pre, true);
+      const own = node.nodeType === Node.TEXT_NODE && segments.find((seg) => seg.node === node);
+      if (own) return own.start + offset;
+      const point = document.createRange();
+      point.setStart(node, offset);
+      const next = segments.find((seg) => point.comparePoint(seg.node, 0) >= 0);
+      return next ? next.start : CODE.textOf(pre).length;
+    },
+
+    _selectionOffsets(pre) {
+      const range = window.getSelection().getRangeAt(0);
+      return [
+        CODE._offsetOf(pre, range.startContainer, range.startOffset),
+        CODE._offsetOf(pre, range.endContainer, range.endOffset),
+      ];
+    },
+
+    _select(pre, start, end) {
+      const { segments } = SEARCH.extractText(pre, true);
+      let range = segments.length ? SEARCH._rangeForOffsets(segments, start, end) : null;
+      if (!range) {
+        range = document.createRange();
+        range.selectNodeContents(pre.querySelector('code') || pre);
+        range.collapse(start === 0 && !segments.length);
+      }
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+
+    /**
+     * Replace characters start..end of the block with `text`. Editing
+     * commands keep the browser's undo history; without them (the editor
+     * lost focus) the text is rewritten directly.
+     */
+    _replaceText(pre, start, end, text) {
+      CODE._select(pre, start, end);
+      const steps = start === end ? [] : [['delete']];
+      text.split('\n').forEach((line, i) => {
+        if (i > 0) steps.push(['insertLineBreak']);
+        if (line) steps.push(['insertText', line]);
+      });
+      if (!steps.length) return;
+      if (document.execCommand(steps[0][0], false, steps[0][1])) {
+        steps.slice(1).forEach(([command, value]) => document.execCommand(command, false, value));
+      } else {
+        const full = CODE.textOf(pre);
+        CODE._setText(pre, full.slice(0, start) + text + full.slice(end));
+      }
+      CODE._select(pre, start + text.length, start + text.length);
+    },
+
+    /** Enter, Tab and Shift+Tab inside a code block. Returns true if handled. */
+    handleKeydown(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return false;
+      if (e.key !== 'Tab' && (e.key !== 'Enter' || e.shiftKey)) return false;
+      const pre = CODE.blockAtSelection();
+      if (!pre) return false;
+      e.preventDefault();
+      const text = CODE.textOf(pre);
+      const [start, end] = CODE._selectionOffsets(pre);
+      if (e.key === 'Enter') CODE._newline(pre, text, start, end);
+      else CODE._indent(pre, text, start, end, e.shiftKey);
+      CODE._afterChange();
+      return true;
+    },
+
+    /** A new line keeps the current line's indentation; Enter on a blank last line leaves the block. */
+    _newline(pre, text, start, end) {
+      const lineStart = start ? text.lastIndexOf('\n', start - 1) + 1 : 0;
+      const line = text.slice(lineStart, start);
+      if (start === end && lineStart > 0 && !line.trim() && !text.slice(start).trim()) {
+        CODE._replaceText(pre, lineStart - 1, start, '');
+        let next = pre.nextElementSibling;
+        if (!next || !/^(P|DIV|H[1-6])$/.test(next.tagName)) {
+          const p = document.createElement('p');
+          p.appendChild(document.createElement('br'));
+          const after = document.createRange();
+          after.setStartAfter(pre);
+          const placed = AUTOFORMAT._replace(after, [p]);
+          if (!placed) return;
+          next = placed[0];
+        }
+        AUTOFORMAT._setCaret(next, 0);
+        return;
+      }
+      CODE._replaceText(pre, start, end, '\n' + line.match(/^[ \t]*/)[0]);
+    },
+
+    /** Tab indents (or inserts spaces at a caret); Shift+Tab outdents every selected line. */
+    _indent(pre, text, start, end, outdent) {
+      if (!outdent && start === end) {
+        CODE._replaceText(pre, start, end, CODE.INDENT);
+        return;
+      }
+      const from = start ? text.lastIndexOf('\n', start - 1) + 1 : 0;
+      // A selection ending at the start of a line doesn't include that line.
+      const last = end > start && text[end - 1] === '\n' ? end - 1 : end;
+      const to = text.indexOf('\n', last) === -1 ? text.length : text.indexOf('\n', last);
+      const lines = text.slice(from, to).split('\n');
+      const changed = lines.map((line) => (outdent ? line.replace(/^(?: {1,4}|\t)/, '') : (line && CODE.INDENT + line)));
+      const replacement = changed.join('\n');
+      if (replacement === text.slice(from, to)) return;
+
+      CODE._replaceText(pre, from, to, replacement);
+      const newStart = start === from && start !== end ? from : Math.max(from, start + changed[0].length - lines[0].length);
+      CODE._select(pre, newStart, start === end ? newStart : end + replacement.length - (to - from));
+    },
+
+    /** Paste into a code block is always plain text. Returns true if handled. */
+    handlePaste(e) {
+      const pre = CODE.blockAtSelection();
+      if (!pre) return false;
+      e.preventDefault();
+      const text = ((e.clipboardData && e.clipboardData.getData('text/plain')) || '').replace(/\r\n?/g, '\n');
+      const [start, end] = CODE._selectionOffsets(pre);
+      CODE._replaceText(pre, start, end, text);
+      CODE._afterChange();
+      return true;
+    },
+
+    /**
+     * Keep pasted code readable: existing <pre> blocks and monospace runs
+     * (IDEs, terminals, docs sites) become code blocks or inline code with
+     * plain text, keeping the language when the source names one.
+     */
+    adoptPasted(root) {
+      root.querySelectorAll('pre').forEach((pre) => {
+        if (!root.contains(pre)) return;
+        const code = pre.querySelector('code');
+        const classes = [pre, code, pre.parentElement].map((el) => (el ? el.className : '')).join(' ');
+        const named = classes.match(/\b(?:language|lang|highlight-source)-([\w+#-]+)/);
+        const lang = pre.getAttribute('data-lang') || (named ? named[1] : '');
+        pre.replaceWith(CODE.createBlock(SEARCH.extractText(pre).text.replace(/\n$/, ''), lang));
+      });
+      root.querySelectorAll('[style]').forEach((el) => {
+        if (!root.contains(el) || el.closest('pre, code') || !CODE.MONOSPACE_RE.test(el.getAttribute('style'))) return;
+        const text = SEARCH.extractText(el).text.replace(/\n$/, '');
+        const isBlock = SEARCH.BLOCK_TAGS.has(el.tagName) || text.includes('\n') ||
+          /white-space\s*:\s*pre/i.test(el.getAttribute('style'));
+        if (isBlock) {
+          el.replaceWith(CODE.createBlock(text));
+        } else {
+          const code = document.createElement('code');
+          code.textContent = text;
+          el.replaceWith(code);
+        }
+      });
+      root.querySelectorAll('code').forEach((code) => {
+        if (!code.closest('pre') && code.children.length) code.textContent = code.textContent;
+      });
+    },
+
+    _afterChange() {
+      TOOLBAR.updateClearState();
+      TOOLBAR.updateActiveState();
+      CODE.refreshHighlights();
+      CODE.updateBar();
+      STORAGE.scheduleSave();
+    },
+
+    /* ---------- Language and copy bar ---------- */
+
+    /** Show the language picker and copy button on the block under the pointer or holding the caret. */
+    updateBar() {
+      const bar = CODE.barEl;
+      if (!bar) return;
+      let pre = CODE._hoverPre && CODE._hoverPre.isConnected ? CODE._hoverPre : null;
+      if (!pre && bar.contains(document.activeElement)) pre = CODE._pre;
+      if (!pre && document.activeElement === EDITOR.el) pre = CODE.blockAtSelection();
+      if (!pre || !pre.isConnected) {
+        bar.hidden = true;
+        CODE._pre = null;
+        return;
+      }
+
+      if (pre !== CODE._pre) {
+        CODE._pre = pre;
+        const select = CODE._langSelect;
+        select.querySelectorAll('option[data-unknown]').forEach((option) => option.remove());
+        const id = pre.dataset.lang || '';
+        const known = CODE.language(id);
+        if (!known) {
+          // Keep a language we have no highlighter for, e.g. from Markdown.
+          const option = new Option(id, id);
+          option.dataset.unknown = '';
+          select.appendChild(option);
+        }
+        select.value = known ? known.id : id;
+      }
+
+      const rect = pre.getBoundingClientRect();
+      const bounds = EDITOR.el.getBoundingClientRect();
+      bar.hidden = rect.bottom < bounds.top + 24 || rect.top > bounds.bottom - 24;
+      bar.style.top = (Math.max(rect.top, bounds.top) + 4) + 'px';
+      bar.style.left = (Math.min(rect.right, bounds.right) - 4) + 'px';
+    },
+  };
+
+  /* ============================================================
+     TAGS — #hashtags typed in notes, tags set on tabs, tag filter
+     ============================================================ */
+  const TAGS = {
+    // "#tag" after a space or punctuation — not inside a word, a URL
+    // fragment or an "&#" entity — starting with a letter, so "#12" stays
+    // an issue number.
+    HASHTAG_RE: /(^|[^\p{L}\p{N}_&#/])#([\p{L}_](?:[\p{L}\p{N}_-]*[\p{L}\p{N}_])?)/gu,
+    TAG_RE: /^[\p{L}_](?:[\p{L}\p{N}_-]*[\p{L}\p{N}_])?$/u,
+    MAX_SUGGESTIONS: 6,
+
+    filter: null,           // tag whose notes the tab bar shows; null shows all
+    btnEl: null,
+    menuEl: null,
+    _cache: new Map(),      // tabId -> { content, tags }
+    _editorCache: null,     // { tabId, revision, tags } of the editor, until the next edit or setHTML
+    _highlightTimer: null,
+    _suggest: null,         // { el, tags, index, node, start, end } while suggestions show
+
+    init(btnEl) {
+      TAGS.btnEl = btnEl;
+      btnEl.addEventListener('click', () => {
+        if (TAGS.menuEl) TAGS.closeMenu();
+        else TAGS.openMenu();
+      });
+      EDITOR.el.addEventListener('blur', () => TAGS.closeSuggestions());
+    },
+
+    /** "#Tag" or "Tag" as stored ("tag"); '' when it is not a valid tag. */
+    normalize(raw) {
+      const tag = String(raw || '').trim().replace(/^#/, '').toLowerCase();
+      return TAGS.TAG_RE.test(tag) ? tag : '';
+    },
+
+    /** Valid tags from `list`, each once. */
+    clean(list) {
+      if (!Array.isArray(list)) return [];
+      return Array.from(new Set(list.map((tag) => TAGS.normalize(tag)).filter(Boolean)));
+    },
+
+    /** Hashtags in plain text, each once, in order of appearance. */
+    fromText(text) {
+      const tags = [];
+      for (const m of text.matchAll(TAGS.HASHTAG_RE)) {
+        const tag = m[2].toLowerCase();
+        if (!tags.includes(tag)) tags.push(tag);
+      }
+      return tags;
+    },
+
+    /** Text of `root` that can hold hashtags: code is left out, so `#include` is no tag. */
+    _proseText(root) {
+      if (!root.querySelector('pre, code')) return SEARCH.extractText(root).text;
+      const copy = root.cloneNode(true);
+      copy.querySelectorAll('pre, code').forEach((el) => el.remove());
+      return SEARCH.extractText(copy).text;
+    },
+
+    /** Hashtags in a tab's note; the active tab is read from the editor, an unread one from the index. */
+    hashtagsFor(tab) {
+      if (tab.id === STATE.activeTabId && EDITOR.el) {
+        // Typing and setHTML drop the cache; other edits bump STORAGE._revision as they save.
+        const cached = TAGS._editorCache;
+        if (cached && cached.tabId === tab.id && cached.revision === STORAGE._revision) return cached.tags;
+        const tags = TAGS.fromText(TAGS._proseText(EDITOR.el));
+        TAGS._editorCache = { tabId: tab.id, revision: STORAGE._revision, tags };
+        return tags;
+      }
+      if (!STORAGE.isLoaded(tab)) {
+        const saved = STORAGE.saved.get(tab.id);
+        return (saved && saved.hashtags) || [];
+      }
+      if (!tab.content.includes('#')) return [];
+      const cached = TAGS._cache.get(tab.id);
+      if (cached && cached.content === tab.content) return cached.tags;
+      const tpl = document.createElement('template');
+      tpl.innerHTML = tab.content;
+      const tags = TAGS.fromText(TAGS._proseText(tpl.content));
+      TAGS._cache.set(tab.id, { content: tab.content, tags });
+      return tags;
+    },
+
+    /** The tags set on a tab, then the ones typed in its note. */
+    tagsOf(tab) {
+      const tags = (tab.tags || []).slice();
+      TAGS.hashtagsFor(tab).forEach((tag) => {
+        if (!tags.includes(tag)) tags.push(tag);
+      });
+      return tags;
+    },
+
+    /** [tag, number of notes] for every tag in the notebook, most used first. */
+    counts() {
+      const counts = new Map();
+      STATE.tabs.forEach((tab) => {
+        TAGS.tagsOf(tab).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+      });
+      return Array.from(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    },
+
+    /** Whether the tab bar shows `tab` under the current filter (the active tab always shows). */
+    isShown(tab) {
+      return !TAGS.filter || tab.id === STATE.activeTabId || TAGS.tagsOf(tab).includes(TAGS.filter);
+    },
+
+    setFilter(tag) {
+      TAGS.filter = tag || null;
+      if (TAGS.btnEl) {
+        TAGS.btnEl.classList.toggle('is-filtered', !!TAGS.filter);
+        TAGS.btnEl.title = TAGS.filter ? `Showing notes tagged #${TAGS.filter}` : 'Filter by tag';
+      }
+      TABS.redraw();
+    },
+
+    /** Button at the start of a filtered tab list; clicking it shows every note again. */
+    renderFilterChip() {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tag-filter-chip';
+      chip.title = 'Show all notes';
+      chip.setAttribute('aria-label', `Stop filtering by #${TAGS.filter}`);
+      chip.textContent = `#${TAGS.filter}`;
+      chip.insertAdjacentHTML('beforeend',
+        '<svg width="8" height="8" viewBox="0 0 10 10" fill="none" aria-hidden="true">' +
+        '<path d="M1.5 1.5l7 7M8.5 1.5l-7 7" stroke="currentColor" stroke-width="1.8" stroke-linecap="round"/>' +
+        '</svg>');
+      chip.addEventListener('click', () => TAGS.setFilter(null));
+      return chip;
+    },
+
+    /* ---------- Hashtags in the editor ---------- */
+
+    /** Style the editor's hashtags without touching the note HTML (CSS Custom Highlight API). */
+    refreshHighlights() {
+      clearTimeout(TAGS._highlightTimer);
+      if (!EDITOR.el || !window.CSS || !CSS.highlights || typeof Highlight !== 'function') return;
+      const { text, segments } = SEARCH.extractText(EDITOR.el, true);
+      const ranges = [];
+      for (const m of text.matchAll(TAGS.HASHTAG_RE)) {
+        const start = m.index + m[1].length;
+        const range = SEARCH._rangeForOffsets(segments, start, start + 1 + m[2].length);
+        if (range && !range.startContainer.parentElement.closest('pre, code')) ranges.push(range);
+      }
+      CSS.highlights.set('hashtag', new Highlight(...ranges));
+    },
+
+    handleInput() {
+      clearTimeout(TAGS._highlightTimer);
+      TAGS._highlightTimer = setTimeout(TAGS.refreshHighlights, 150);
+      TAGS._updateSuggestions();
+    },
+
+    /** Offer tags used elsewhere that start with the hashtag being typed at the caret. */
+    _updateSuggestions() {
+      const sel = window.getSelection();
+      const node = sel && sel.rangeCount && sel.isCollapsed ? sel.anchorNode : null;
+      if (!node || node.nodeType !== Node.TEXT_NODE || !EDITOR.el.contains(node)) {
+        TAGS.closeSuggestions();
+        return;
+      }
+      const m = node.nodeValue.slice(0, sel.anchorOffset).match(/(?:^|[^\p{L}\p{N}_&#/])#([\p{L}_][\p{L}\p{N}_-]*)$/u);
+      const prefix = m ? m[1].toLowerCase() : '';
+      const tags = prefix
+        ? TAGS.counts().map(([tag]) => tag).filter((tag) => tag !== prefix && tag.startsWith(prefix)).slice(0, TAGS.MAX_SUGGESTIONS)
+        : [];
+      if (!tags.length) {
+        TAGS.closeSuggestions();
+        return;
+      }
+
+      if (!TAGS._suggest) {
+        const el = document.createElement('div');
+        el.className = 'tag-suggest';
+        el.setAttribute('role', 'listbox');
+        el.setAttribute('aria-label', 'Tag suggestions');
+        document.getElementById('app').appendChild(el);
+        TAGS._suggest = { el };
+      }
+      Object.assign(TAGS._suggest, { tags, index: 0, node, start: sel.anchorOffset - prefix.length, end: sel.anchorOffset });
+      TAGS._renderSuggestions();
+
+      const caret = sel.getRangeAt(0).getBoundingClientRect();
+      const anchor = caret.height ? caret : node.parentElement.getBoundingClientRect();
+      const rect = TAGS._suggest.el.getBoundingClientRect();
+      TAGS._suggest.el.style.left = Math.max(4, Math.min(anchor.left, window.innerWidth - rect.width - 4)) + 'px';
+      const below = anchor.bottom + 4;
+      TAGS._suggest.el.style.top = (below + rect.height > window.innerHeight ? anchor.top - rect.height - 4 : below) + 'px';
+    },
+
+    _renderSuggestions() {
+      const { el, tags, index } = TAGS._suggest;
+      el.replaceChildren(...tags.map((tag, i) => {
+        const option = document.createElement('div');
+        option.className = 'tag-suggest-item' + (i === index ? ' is-selected' : '');
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        option.textContent = `#${tag}`;
+        // Keep the caret in the editor.
+        option.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          TAGS._accept(tag);
+        });
+        return option;
+      }));
+    },
+
+    /** Replace the partial hashtag at the caret with `tag`. */
+    _accept(tag) {
+      const { node, start, end } = TAGS._suggest;
+      TAGS.closeSuggestions();
+      if (!EDITOR.el.contains(node) || node.nodeValue.length < end) return;
+      const range = document.createRange();
+      range.setStart(node, start);
+      range.setEnd(node, end);
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+      document.execCommand('insertText', false, tag + ' ');
+    },
+
+    /** Arrow keys, Enter/Tab and Escape while suggestions show. Returns true if handled. */
+    handleKeydown(e) {
+      const suggest = TAGS._suggest;
+      if (!suggest) return false;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        suggest.index = (suggest.index + step + suggest.tags.length) % suggest.tags.length;
+        TAGS._renderSuggestions();
+        return true;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        TAGS._accept(suggest.tags[suggest.index]);
+        return true;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        TAGS.closeSuggestions();
+        return true;
+      }
+      return false;
+    },
+
+    closeSuggestions() {
+      if (!TAGS._suggest) return;
+      TAGS._suggest.el.remove();
+      TAGS._suggest = null;
+    },
+
+    /* ---------- Tag filter menu in the tab bar ---------- */
+
+    openMenu() {
+      TAGS.closeMenu();
+      const menu = document.createElement('div');
+      menu.className = 'app-menu tab-menu tag-menu is-open';
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-label', 'Filter notes by tag');
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'settings-input tab-menu-input';
+      input.placeholder = 'Find a tag';
+      input.setAttribute('aria-label', 'Find a tag');
+
+      const list = document.createElement('div');
+      const item = (label, tag, count) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'app-menu-item';
+        btn.setAttribute('role', 'menuitemradio');
+        btn.setAttribute('aria-checked', (TAGS.filter || null) === tag ? 'true' : 'false');
+        btn.textContent = label;
+        if (count) {
+          const countEl = document.createElement('span');
+          countEl.className = 'tag-menu-count';
+          countEl.textContent = String(count);
+          btn.appendChild(countEl);
+        }
+        btn.addEventListener('click', () => {
+          TAGS.closeMenu(true);
+          TAGS.setFilter(tag);
+        });
+        return btn;
+      };
+      const counts = TAGS.counts();
+      const renderList = () => {
+        const needle = input.value.trim().replace(/^#/, '').toLowerCase();
+        const matching = counts.filter(([tag]) => tag.includes(needle));
+        list.replaceChildren();
+        if (!needle) list.appendChild(item('All notes', null, 0));
+        matching.forEach(([tag, count]) => list.appendChild(item(`#${tag}`, tag, count)));
+        if (!counts.length) {
+          const empty = document.createElement('p');
+          empty.className = 'tab-menu-label';
+          empty.textContent = 'No tags yet. Type #tag in a note, or add tags from a tab’s menu.';
+          list.appendChild(empty);
+        }
+      };
+      renderList();
+      input.addEventListener('input', renderList);
+
+      menu.addEventListener('keydown', (e) => {
+        const focusable = [input].concat(Array.from(list.querySelectorAll('.app-menu-item')));
+        const idx = focusable.indexOf(document.activeElement);
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          TAGS.closeMenu(true);
+        } else if (e.key === 'Enter' && e.target === input) {
+          e.preventDefault();
+          const first = list.querySelector('.app-menu-item');
+          if (first) first.click();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const next = focusable[(idx + step + focusable.length) % focusable.length];
+          if (next) next.focus();
+        }
+      });
+
+      menu.append(input, list);
+      document.getElementById('app').appendChild(menu);
+      TAGS.menuEl = menu;
+      TAGS.btnEl.setAttribute('aria-expanded', 'true');
+
+      // Below the button, kept inside the panel.
+      const anchor = TAGS.btnEl.getBoundingClientRect();
+      const rect = menu.getBoundingClientRect();
+      menu.style.left = Math.max(4, Math.min(anchor.left, window.innerWidth - rect.width - 4)) + 'px';
+      menu.style.top = Math.max(4, Math.min(anchor.bottom + 2, window.innerHeight - rect.height - 4)) + 'px';
+      input.focus({ preventScroll: true });
+
+      document.addEventListener('mousedown', TAGS._onOutside, true);
+    },
+
+    _onOutside(e) {
+      if (TAGS.menuEl && !TAGS.menuEl.contains(e.target) && !TAGS.btnEl.contains(e.target)) TAGS.closeMenu();
+    },
+
+    closeMenu(restoreFocus = false) {
+      document.removeEventListener('mousedown', TAGS._onOutside, true);
+      if (!TAGS.menuEl) return;
+      TAGS.menuEl.remove();
+      TAGS.menuEl = null;
+      TAGS.btnEl.setAttribute('aria-expanded', 'false');
+      if (restoreFocus) TAGS.btnEl.focus({ preventScroll: true });
+    },
+  };
+
+  /* ============================================================
+     TOOLBAR — formatting commands
+     ============================================================ */
+  const TOOLBAR = {
+    el: null,
+    _highlightMenuEl: null,
+    _highlightTriggerEl: null,
     _highlightMenuOpen: false,
+    _blockMenuEl: null,
+    _blockTriggerEl: null,
+    _blockMenuOpen: false,
+    _tableMenuEl: null,
+    _tableTriggerEl: null,
+    _tableMenuOpen: false,
     _didBindGlobalClose: false,
     _unorderedListRestore: null,
     _orderedListRestore: null,
 
-    COMMANDS: [
-      { id: 'undo', label: '', title: 'Undo (Ctrl/Cmd+Z)', type: 'state',
-        icon:
-          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
-          '<path d="M5.1 3.1L2.1 6.1L5.1 9.1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>' +
-          '<path d="M2.4 6.1H8.6C10.8 6.1 12.5 7.8 12.5 10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
-          '</svg>' },
-      { id: 'redo', label: '', title: 'Redo (Ctrl/Cmd+Shift+Z)', type: 'state',
-        icon:
-          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
-          '<path d="M9.9 3.1L12.9 6.1L9.9 9.1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>' +
-          '<path d="M12.6 6.1H6.4C4.2 6.1 2.5 7.8 2.5 10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
-          '</svg>' },
-      { id: '__sep1__',         label: '',   title: '',                 type: 'sep'   },
-      { id: 'bold',             label: 'B',  title: 'Bold (Ctrl+B)',    type: 'state' },
-      { id: 'italic',           label: 'I',  title: 'Italic (Ctrl+I)',  type: 'state' },
-      { id: 'underline',        label: 'U',  title: 'Underline (Ctrl+U)', type: 'state' },
-      { id: 'strikeThrough',    label: 'S',  title: 'Strikethrough',    type: 'state' },
-      { id: 'highlightMenu',    label: '',   title: 'Highlight options', type: 'highlight-menu',
-        options: [
-          { id: 'hlClear',  title: 'Remove color', type: 'highlight-clear' },
-          { id: 'hlYellow', title: 'Highlight yellow', type: 'highlight', key: 'yellow', colorVar: '--highlight-yellow' },
-          { id: 'hlGreen',  title: 'Highlight green',  type: 'highlight', key: 'green', colorVar: '--highlight-green' },
-          { id: 'hlRed',    title: 'Highlight red',    type: 'highlight', key: 'red', colorVar: '--highlight-red' },
-        ],
-      },
-      { id: 'createLink',       label: '🔗', title: 'Insert link',      type: 'link'  },
-      { id: 'stripSelectionHtml', label: '', title: 'Remove format',    type: 'plain-text',
-        icon: '<span aria-hidden="true">T<span style="color:var(--color-danger);font-size:9px;">X</span></span>' },
-      { id: 'insertOrderedList',   label: '', title: 'Ordered list',    type: 'state',
-        icon:
-          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
-          '<text x="0.5" y="4.5" fill="currentColor" font-size="4.5" font-family="sans-serif" font-weight="700">1</text>' +
-          '<text x="0.5" y="8.5" fill="currentColor" font-size="4.5" font-family="sans-serif" font-weight="700">2</text>' +
-          '<text x="0.5" y="12.5" fill="currentColor" font-size="4.5" font-family="sans-serif" font-weight="700">3</text>' +
-          '<path d="M5.5 2.5h9M5.5 6.5h9M5.5 10.5h9" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
-          '</svg>' },
-      { id: 'insertUnorderedList', label: '', title: 'Bullet list',     type: 'state',
-        icon:
-          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
-          '<circle cx="1.5" cy="2.5" r="1.5" fill="currentColor"/>' +
-          '<circle cx="1.5" cy="6.5" r="1.5" fill="currentColor"/>' +
-          '<circle cx="1.5" cy="10.5" r="1.5" fill="currentColor"/>' +
-          '<path d="M5.5 2.5h9M5.5 6.5h9M5.5 10.5h9" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
-          '</svg>' },
-      { id: 'outdent', label: '', title: 'Outdent', type: 'state',
-        icon:
-          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
-          '<path d="M6 2.5h8M6 5h8M6 7.5h8M6 10h8" stroke="currentColor" stroke-width="1.4" stroke-linecap="round"/>' +
-          '<path d="M1.8 6.5L4.6 4.8V8.2L1.8 6.5Z" fill="currentColor"/>' +
-          '</svg>' },
-      { id: 'indent', label: '', title: 'Indent', type: 'state',
-        icon:
-          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
-          '<path d="M1 2.5h8M1 5h8M1 7.5h8M1 10h8" stroke="currentColor" stroke-width="1.4" stroke-linecap="round"/>' +
-          '<path d="M13.2 6.5L10.4 4.8V8.2L13.2 6.5Z" fill="currentColor"/>' +
-          '</svg>' },
-      { id: 'insertHorizontalRule', label: '', title: 'Horizontal rule', type: 'state',
-        icon:
-          '<svg width="15" height="11" viewBox="0 0 15 11" fill="none" aria-hidden="true">' +
-          '<path d="M1 5.5H14" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/>' +
-          '</svg>' },
-      { id: '__sep2__',         label: '',   title: '',                 type: 'sep'   },
-      { id: 'clearContent',     label: '',   title: 'Clear all content', type: 'action',
-        btnClass: 'toolbar-btn--danger',
-        icon:
-          '<svg width="13" height="14" viewBox="0 0 13 14" fill="none" aria-hidden="true">' +
-          '<path d="M4.5 3V2a.5.5 0 01.5-.5h3a.5.5 0 01.5.5V3" stroke="currentColor" stroke-width="1.3" stroke-linejoin="round"/>' +
-          '<path d="M1 3h11" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
-          '<path d="M2.5 3v8.5a1 1 0 001 1h6a1 1 0 001-1V3" stroke="currentColor" stroke-width="1.3" stroke-linecap="round"/>' +
-          '<path d="M5 5.5v5M8 5.5v5" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" opacity="0.65"/>' +
-          '</svg>',
-        action() {
-          if (!confirm('Clear all content in this note? This cannot be undone.')) return;
-          EDITOR.setHTML('');
-          STORAGE.scheduleSave();
-        },
-      },
+    COMMANDS: [
+      { id: 'undo', label: '', title: 'Undo (Ctrl/Cmd+Z)', type: 'state',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<path d="M5.1 3.1L2.1 6.1L5.1 9.1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>' +
+          '<path d="M2.4 6.1H8.6C10.8 6.1 12.5 7.8 12.5 10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
+          '</svg>' },
+      { id: 'redo', label: '', title: 'Redo (Ctrl/Cmd+Shift+Z)', type: 'state',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<path d="M9.9 3.1L12.9 6.1L9.9 9.1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>' +
+          '<path d="M12.6 6.1H6.4C4.2 6.1 2.5 7.8 2.5 10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
+          '</svg>' },
+      { id: '__sep1__',         label: '',   title: '',                 type: 'sep'   },
+      { id: 'blockMenu',        label: '',   title: 'Text style',       type: 'block-menu',
+        options: [
+          { id: 'blockP',  label: 'Paragraph', shortLabel: 'Text', type: 'block', block: 'p' },
+          { id: 'blockH1', label: 'Heading 1', shortLabel: 'H1',   type: 'block', block: 'h1' },
+          { id: 'blockH2', label: 'Heading 2', shortLabel: 'H2',   type: 'block', block: 'h2' },
+          { id: 'blockH3', label: 'Heading 3', shortLabel: 'H3',   type: 'block', block: 'h3' },
+        ],
+      },
+      { id: 'bold',             label: 'B',  title: 'Bold (Ctrl+B)',    type: 'state' },
+      { id: 'italic',           label: 'I',  title: 'Italic (Ctrl+I)',  type: 'state' },
+      { id: 'underline',        label: 'U',  title: 'Underline (Ctrl+U)', type: 'state' },
+      { id: 'strikeThrough',    label: 'S',  title: 'Strikethrough',    type: 'state' },
+      { id: 'inlineCode', label: '', title: 'Inline code', type: 'action',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<path d="M5 3L1.5 6.5L5 10M10 3l3.5 3.5L10 10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>' +
+          '</svg>',
+        isActive: () => !!CODE.inlineAtSelection(),
+        action() { CODE.toggleInline(); },
+      },
+      { id: 'highlightMenu',    label: '',   title: 'Highlight options', type: 'highlight-menu',
+        options: [
+          { id: 'hlClear',  title: 'Remove color', type: 'highlight-clear' },
+          { id: 'hlYellow', title: 'Highlight yellow', type: 'highlight', key: 'yellow', colorVar: '--highlight-yellow' },
+          { id: 'hlGreen',  title: 'Highlight green',  type: 'highlight', key: 'green', colorVar: '--highlight-green' },
+          { id: 'hlRed',    title: 'Highlight red',    type: 'highlight', key: 'red', colorVar: '--highlight-red' },
+        ],
+      },
+      { id: 'createLink',       label: '🔗', title: 'Insert link',      type: 'link'  },
+      { id: 'stripSelectionHtml', label: '', title: 'Remove format',    type: 'plain-text',
+        icon: '<span aria-hidden="true">T<span style="color:var(--color-danger);font-size:9px;">X</span></span>' },
+      { id: 'insertOrderedList',   label: '', title: 'Ordered list',    type: 'state',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<text x="0.5" y="4.5" fill="currentColor" font-size="4.5" font-family="sans-serif" font-weight="700">1</text>' +
+          '<text x="0.5" y="8.5" fill="currentColor" font-size="4.5" font-family="sans-serif" font-weight="700">2</text>' +
+          '<text x="0.5" y="12.5" fill="currentColor" font-size="4.5" font-family="sans-serif" font-weight="700">3</text>' +
+          '<path d="M5.5 2.5h9M5.5 6.5h9M5.5 10.5h9" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
+          '</svg>' },
+      { id: 'insertUnorderedList', label: '', title: 'Bullet list',     type: 'state',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<circle cx="1.5" cy="2.5" r="1.5" fill="currentColor"/>' +
+          '<circle cx="1.5" cy="6.5" r="1.5" fill="currentColor"/>' +
+          '<circle cx="1.5" cy="10.5" r="1.5" fill="currentColor"/>' +
+          '<path d="M5.5 2.5h9M5.5 6.5h9M5.5 10.5h9" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
+          '</svg>' },
+      { id: 'insertChecklist', label: '', title: 'Checklist (Ctrl/Cmd+Enter toggles an item)', type: 'action',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<rect x="0.75" y="0.75" width="4.5" height="4.5" rx="1" stroke="currentColor" stroke-width="1.2"/>' +
+          '<path d="M1.8 3l1 1 1.6-1.9" stroke="currentColor" stroke-width="1.1" stroke-linecap="round" stroke-linejoin="round"/>' +
+          '<rect x="0.75" y="7.75" width="4.5" height="4.5" rx="1" stroke="currentColor" stroke-width="1.2"/>' +
+          '<path d="M7.5 3h7M7.5 10h7" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
+          '</svg>',
+        isActive: () => !!CHECKLIST.listAtSelection(),
+        action() { CHECKLIST.toggleList(); },
+      },
+      { id: 'codeBlock', label: '', title: 'Code block (type ``` and a space)', type: 'action',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<rect x="0.75" y="0.75" width="13.5" height="11.5" rx="1.5" stroke="currentColor" stroke-width="1.3"/>' +
+          '<path d="M5.2 4.3L3.2 6.5l2 2.2M9.8 4.3l2 2.2-2 2.2" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round"/>' +
+          '</svg>',
+        isActive: () => !!CODE.blockAtSelection(),
+        action() { CODE.toggleBlock(); },
+      },
+      { id: 'outdent', label: '', title: 'Outdent', type: 'state',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<path d="M6 2.5h8M6 5h8M6 7.5h8M6 10h8" stroke="currentColor" stroke-width="1.4" stroke-linecap="round"/>' +
+          '<path d="M1.8 6.5L4.6 4.8V8.2L1.8 6.5Z" fill="currentColor"/>' +
+          '</svg>' },
+      { id: 'indent', label: '', title: 'Indent', type: 'state',
+        icon:
+          '<svg width="15" height="13" viewBox="0 0 15 13" fill="none" aria-hidden="true">' +
+          '<path d="M1 2.5h8M1 5h8M1 7.5h8M1 10h8" stroke="currentColor" stroke-width="1.4" stroke-linecap="round"/>' +
+          '<path d="M13.2 6.5L10.4 4.8V8.2L13.2 6.5Z" fill="currentColor"/>' +
+          '</svg>' },
+      { id: 'insertHorizontalRule', label: '', title: 'Horizontal rule', type: 'state',
+        icon:
+          '<svg width="15" height="11" viewBox="0 0 15 11" fill="none" aria-hidden="true">' +
+          '<path d="M1 5.5H14" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/>' +
+          '</svg>' },
+      { id: 'tableMenu', label: '', title: 'Insert table', type: 'table-menu',
+        icon:
+          '<svg width="14" height="13" viewBox="0 0 14 13" fill="none" aria-hidden="true">' +
+          '<rect x="1" y="1" width="12" height="11" rx="1.5" stroke="currentColor" stroke-width="1.3"/>' +
+          '<path d="M1 4.7h12M1 8.3h12M7 4.7V12" stroke="currentColor" stroke-width="1.2"/>' +
+          '</svg>' },
+      { id: '__sep2__',         label: '',   title: '',                 type: 'sep'   },
+      { id: 'clearContent',     label: '',   title: 'Clear all content', type: 'action',
+        btnClass: 'toolbar-btn--danger',
+        icon:
+          '<svg width="13" height="14" viewBox="0 0 13 14" fill="none" aria-hidden="true">' +
+          '<path d="M4.5 3V2a.5.5 0 01.5-.5h3a.5.5 0 01.5.5V3" stroke="currentColor" stroke-width="1.3" stroke-linejoin="round"/>' +
+          '<path d="M1 3h11" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' +
+          '<path d="M2.5 3v8.5a1 1 0 001 1h6a1 1 0 001-1V3" stroke="currentColor" stroke-width="1.3" stroke-linecap="round"/>' +
+          '<path d="M5 5.5v5M8 5.5v5" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" opacity="0.65"/>' +
+          '</svg>',
+        action() {
+          const tab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+          const content = EDITOR.getHTML();
+          if (!tab || !content) return;
+          const item = TRASH.addContent(tab, content);
+          EDITOR.setHTML('');
+          STORAGE.scheduleSave();
+          TOAST.show('Note cleared', { actionLabel: 'Undo', onAction: () => TRASH.restore(item.id) });
+        },
+      },
+    ],
+
+    render(el) {
+      TOOLBAR.el = el;
+      el.innerHTML = '';
+
+      TOOLBAR.COMMANDS.forEach((cmd) => {
+        if (cmd.type === 'sep') {
+          const sep = document.createElement('div');
+          sep.className = 'toolbar-sep';
+          sep.setAttribute('role', 'separator');
+          el.appendChild(sep);
+          return;
+        }
+
+        if (cmd.type === 'highlight-menu') {
+          const wrap = document.createElement('div');
+          wrap.className = 'toolbar-dropdown';
+          wrap.dataset.cmdId = cmd.id;
+
+          const trigger = document.createElement('button');
+          trigger.className = 'toolbar-btn toolbar-btn--highlight-trigger';
+          trigger.title = cmd.title;
+          trigger.setAttribute('aria-label', cmd.title);
+          trigger.setAttribute('aria-haspopup', 'menu');
+          trigger.setAttribute('aria-expanded', 'false');
+          trigger.innerHTML = '<span class="toolbar-highlight-glyph" aria-hidden="true">A</span>';
+          trigger.addEventListener('mousedown', (e) => e.preventDefault());
+          trigger.addEventListener('click', () => {
+            TOOLBAR.toggleHighlightMenu();
+          });
+
+          const menu = document.createElement('div');
+          menu.className = 'toolbar-dropdown-menu';
+          menu.setAttribute('role', 'menu');
+          menu.setAttribute('aria-label', 'Highlight options');
+
+          const colorRow = document.createElement('div');
+          colorRow.className = 'toolbar-dropdown-colors';
+
+          cmd.options.forEach((opt) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'toolbar-dropdown-item';
+            item.setAttribute('role', 'menuitem');
+            item.title = opt.title;
+            item.dataset.cmdId = opt.id;
+
+            if (opt.type === 'highlight-clear') {
+              item.classList.add('toolbar-dropdown-item--remove');
+              item.innerHTML =
+                '<span class="toolbar-dropdown-item__icon" aria-hidden="true">' +
+                  '<svg width="18" height="18" viewBox="0 0 18 18" fill="none">' +
+                    '<path d="M8.4 3.2a1.2 1.2 0 011.7 0l4.7 4.7a1.2 1.2 0 010 1.7l-2.7 2.7-6.4-6.4z" fill="#111111"/>' +
+                    '<path d="M2.6 9l2.7-2.7 6.4 6.4L9 15.4a1.2 1.2 0 01-1.7 0L2.6 10.7a1.2 1.2 0 010-1.7z" fill="#ffffff"/>' +
+                    '<path d="M5.3 6.3l6.4 6.4M8.4 3.2a1.2 1.2 0 011.7 0l4.7 4.7a1.2 1.2 0 010 1.7L9 15.4a1.2 1.2 0 01-1.7 0L2.6 10.7a1.2 1.2 0 010-1.7L8.4 3.2z" stroke="currentColor" stroke-width="1.2" stroke-linejoin="round"/>' +
+                  '</svg>' +
+                '</span>' +
+                '<span class="toolbar-dropdown-item__label">Remove color</span>';
+            } else {
+              item.classList.add('toolbar-dropdown-item--color');
+              item.setAttribute('aria-label', opt.title);
+              item.innerHTML =
+                '<span class="toolbar-dropdown-item__swatch" style="background:var(' + opt.colorVar + ');"></span>';
+            }
+
+            item.addEventListener('mousedown', (e) => e.preventDefault());
+            item.addEventListener('click', () => {
+              TOOLBAR.onButtonClick(opt);
+              TOOLBAR.closeHighlightMenu();
+            });
+
+            if (opt.type === 'highlight-clear') {
+              menu.appendChild(item);
+            } else {
+              colorRow.appendChild(item);
+            }
+          });
+
+          menu.appendChild(colorRow);
+          wrap.appendChild(trigger);
+          wrap.appendChild(menu);
+          el.appendChild(wrap);
+
+          TOOLBAR._highlightMenuEl = menu;
+          TOOLBAR._highlightTriggerEl = trigger;
+          return;
+        }
+
+        if (cmd.type === 'block-menu') {
+          const wrap = document.createElement('div');
+          wrap.className = 'toolbar-dropdown';
+          wrap.dataset.cmdId = cmd.id;
+
+          const trigger = document.createElement('button');
+          trigger.className = 'toolbar-btn toolbar-btn--block-trigger';
+          trigger.title = cmd.title;
+          trigger.setAttribute('aria-label', cmd.title);
+          trigger.setAttribute('aria-haspopup', 'menu');
+          trigger.setAttribute('aria-expanded', 'false');
+          trigger.innerHTML =
+            '<span class="toolbar-block-label">' + escapeHTML(cmd.options[0].shortLabel) + '</span>' +
+            '<svg width="8" height="5" viewBox="0 0 8 5" fill="none" aria-hidden="true">' +
+            '<path d="M1 1l3 3 3-3" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round"/>' +
+            '</svg>';
+          trigger.addEventListener('mousedown', (e) => e.preventDefault());
+          trigger.addEventListener('click', () => {
+            TOOLBAR.toggleBlockMenu();
+          });
+
+          const menu = document.createElement('div');
+          menu.className = 'toolbar-dropdown-menu toolbar-dropdown-menu--block';
+          menu.setAttribute('role', 'menu');
+          menu.setAttribute('aria-label', 'Text style');
+
+          cmd.options.forEach((opt) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `toolbar-dropdown-item toolbar-dropdown-item--${opt.block}`;
+            item.setAttribute('role', 'menuitemradio');
+            item.setAttribute('aria-checked', 'false');
+            item.dataset.cmdId = opt.id;
+            item.dataset.block = opt.block;
+            item.innerHTML = '<span class="toolbar-dropdown-item__label">' + escapeHTML(opt.label) + '</span>';
+            item.addEventListener('mousedown', (e) => e.preventDefault());
+            item.addEventListener('click', () => {
+              TOOLBAR.onButtonClick(opt);
+              TOOLBAR.updateActiveState();
+              TOOLBAR.closeBlockMenu();
+            });
+            menu.appendChild(item);
+          });
+
+          wrap.appendChild(trigger);
+          wrap.appendChild(menu);
+          el.appendChild(wrap);
+
+          TOOLBAR._blockMenuEl = menu;
+          TOOLBAR._blockTriggerEl = trigger;
+          return;
+        }
+
+        if (cmd.type === 'table-menu') {
+          const wrap = document.createElement('div');
+          wrap.className = 'toolbar-dropdown';
+          wrap.dataset.cmdId = cmd.id;
+
+          const trigger = document.createElement('button');
+          trigger.className = 'toolbar-btn';
+          trigger.title = cmd.title;
+          trigger.setAttribute('aria-label', cmd.title);
+          trigger.setAttribute('aria-haspopup', 'menu');
+          trigger.setAttribute('aria-expanded', 'false');
+          trigger.innerHTML = cmd.icon;
+          trigger.addEventListener('mousedown', (e) => e.preventDefault());
+          trigger.addEventListener('click', () => {
+            TOOLBAR.toggleTableMenu();
+          });
+          trigger.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowDown') return;
+            e.preventDefault();
+            if (!TOOLBAR._tableMenuOpen) TOOLBAR.toggleTableMenu();
+            TOOLBAR._tableMenuEl.querySelector('.table-picker-cell').focus();
+          });
+
+          const menu = document.createElement('div');
+          menu.className = 'toolbar-dropdown-menu toolbar-dropdown-menu--table';
+          menu.setAttribute('role', 'menu');
+          menu.setAttribute('aria-label', 'Table size');
+
+          const size = TABLES.PICKER_SIZE;
+          const grid = document.createElement('div');
+          grid.className = 'table-picker';
+          const label = document.createElement('div');
+          label.className = 'table-picker-label';
+          label.setAttribute('aria-live', 'polite');
+
+          // Light up the cells of an r × c table.
+          const show = (rows, cols) => {
+            grid.querySelectorAll('.table-picker-cell').forEach((cell) => {
+              cell.classList.toggle('is-active', +cell.dataset.row <= rows && +cell.dataset.col <= cols);
+            });
+            label.textContent = rows && cols ? `${rows} × ${cols}` : 'Choose a size';
+          };
+
+          for (let r = 1; r <= size; r += 1) {
+            for (let c = 1; c <= size; c += 1) {
+              const cell = document.createElement('button');
+              cell.type = 'button';
+              cell.className = 'table-picker-cell';
+              cell.setAttribute('role', 'menuitem');
+              cell.setAttribute('aria-label', `${r} × ${c} table`);
+              cell.tabIndex = -1;
+              cell.dataset.row = r;
+              cell.dataset.col = c;
+              cell.addEventListener('mousedown', (e) => e.preventDefault());
+              cell.addEventListener('mouseenter', () => show(r, c));
+              cell.addEventListener('focus', () => show(r, c));
+              cell.addEventListener('click', () => {
+                TOOLBAR.closeTableMenu();
+                TABLES.insert(r, c);
+              });
+              grid.appendChild(cell);
+            }
+          }
+          grid.addEventListener('mouseleave', () => show(0, 0));
+          grid.addEventListener('keydown', (e) => {
+            const from = e.target.closest('.table-picker-cell');
+            const step = { ArrowRight: [0, 1], ArrowLeft: [0, -1], ArrowDown: [1, 0], ArrowUp: [-1, 0] }[e.key];
+            if (e.key === 'Escape') {
+              e.preventDefault();
+              TOOLBAR.closeTableMenu();
+              EDITOR.el.focus();
+            } else if (from && step) {
+              e.preventDefault();
+              const r = Math.min(size, Math.max(1, +from.dataset.row + step[0]));
+              const c = Math.min(size, Math.max(1, +from.dataset.col + step[1]));
+              grid.querySelector(`[data-row="${r}"][data-col="${c}"]`).focus();
+            }
+          });
+          show(0, 0);
+
+          menu.append(grid, label);
+          wrap.appendChild(trigger);
+          wrap.appendChild(menu);
+          el.appendChild(wrap);
+
+          TOOLBAR._tableMenuEl = menu;
+          TOOLBAR._tableTriggerEl = trigger;
+          return;
+        }
+
+        const btn = document.createElement('button');
+        btn.className = 'toolbar-btn' + (cmd.btnClass ? ' ' + cmd.btnClass : '');
+        if (cmd.icon) {
+          btn.innerHTML = cmd.icon;
+        } else {
+          btn.textContent = cmd.label;
+        }
+        btn.title = cmd.title;
+        btn.setAttribute('aria-label', cmd.title);
+        btn.setAttribute('aria-pressed', 'false');
+
+        btn.dataset.command = cmd.id;
+        btn.dataset.cmdId = cmd.id;
+
+        btn.addEventListener('mousedown', (e) => {
+          // Prevent editor blur before execCommand
+          e.preventDefault();
+        });
+
+        btn.addEventListener('click', () => {
+          TOOLBAR.onButtonClick(cmd);
+          TOOLBAR.updateActiveState();
+        });
+
+        el.appendChild(btn);
+      });
+
+      if (!TOOLBAR._didBindGlobalClose) {
+        TOOLBAR._didBindGlobalClose = true;
+        document.addEventListener('mousedown', (e) => {
+          if (TOOLBAR._blockMenuOpen &&
+            !TOOLBAR._blockMenuEl.contains(e.target) && !TOOLBAR._blockTriggerEl.contains(e.target)) {
+            TOOLBAR.closeBlockMenu();
+          }
+          if (TOOLBAR._tableMenuOpen &&
+            !TOOLBAR._tableMenuEl.contains(e.target) && !TOOLBAR._tableTriggerEl.contains(e.target)) {
+            TOOLBAR.closeTableMenu();
+          }
+          if (!TOOLBAR._highlightMenuOpen) return;
+          if (!TOOLBAR._highlightMenuEl || !TOOLBAR._highlightTriggerEl) return;
+          if (TOOLBAR._highlightMenuEl.contains(e.target)) return;
+          if (TOOLBAR._highlightTriggerEl.contains(e.target)) return;
+          TOOLBAR.closeHighlightMenu();
+        });
+      }
+    },
+
+    onButtonClick(cmd) {
+      if (!EDITOR.el) return;
+      EDITOR.el.focus();
+
+      if (cmd.id === 'insertUnorderedList') {
+        TOOLBAR.handleUnorderedListToggle();
+      } else if (cmd.id === 'insertOrderedList') {
+        TOOLBAR.handleOrderedListToggle();
+      } else if (cmd.type === 'state') {
+        document.execCommand(cmd.id, false, null);
+      } else if (cmd.type === 'block') {
+        // A text style menu option; picking the current heading again turns it back into a paragraph.
+        const target = TOOLBAR.getCurrentBlock() === cmd.block ? 'p' : cmd.block;
+        document.execCommand('formatBlock', false, target);
+        OUTLINE.scheduleRefresh();
+      } else if (cmd.type === 'highlight') {
+        document.execCommand('hiliteColor', false, TOOLBAR.getThemeHighlightColor(cmd.colorVar));
+        EDITOR.normalizeHighlightColorsToTheme();
+      } else if (cmd.type === 'highlight-clear') {
+        document.execCommand('hiliteColor', false, 'transparent');
+        EDITOR.normalizeHighlightColorsToTheme();
+      } else if (cmd.type === 'action') {
+        if (cmd.action) cmd.action();
+        return; // scheduleSave handled inside action if needed
+      } else if (cmd.type === 'plain-text') {
+        const sel = window.getSelection();
+        if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return;
+        const range = sel.getRangeAt(0);
+        if (!EDITOR.el.contains(range.commonAncestorContainer)) return;
+
+        const fragment = range.cloneContents();
+        const container = document.createElement('div');
+        container.appendChild(fragment);
+        const plainText = (container.textContent || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+        const html = escapeHTML(plainText).replace(/\n/g, '<br>');
+        document.execCommand('insertHTML', false, html);
+      } else if (cmd.type === 'link') {
+        const sel = window.getSelection();
+        if (!sel || sel.isCollapsed) {
+          // No selection — just focus editor
+          return;
+        }
+        const url = prompt('Enter URL:', 'https://');
+        if (url && url !== 'https://') {
+          document.execCommand('createLink', false, url);
+        }
+      }
+
+      STORAGE.scheduleSave();
+    },
+
+    /** formatBlock value at the selection, folded to the block menu's options. */
+    getCurrentBlock() {
+      let current = '';
+      try {
+        current = document.queryCommandValue('formatBlock').toLowerCase();
+      } catch (_) {
+        current = '';
+      }
+      return ['h1', 'h2', 'h3'].includes(current) ? current : 'p';
+    },
+
+    handleUnorderedListToggle() {
+      const sel = window.getSelection();
+      if (!sel || sel.rangeCount === 0) {
+        document.execCommand('insertUnorderedList', false, null);
+        TOOLBAR._unorderedListRestore = null;
+        return;
+      }
+
+      const range = sel.getRangeAt(0);
+      if (!EDITOR.el.contains(range.commonAncestorContainer)) {
+        document.execCommand('insertUnorderedList', false, null);
+        TOOLBAR._unorderedListRestore = null;
+        return;
+      }
+
+      const currentList = TOOLBAR.getCurrentListFromSelection();
+      if (
+        currentList &&
+        TOOLBAR._unorderedListRestore &&
+        TOOLBAR._unorderedListRestore.listEl === currentList
+      ) {
+        const restored = TOOLBAR.restoreUnorderedListSnapshot(currentList, TOOLBAR._unorderedListRestore.html);
+        if (restored && restored.first && restored.last) {
+          TOOLBAR.selectBetweenNodes(restored.first, restored.last);
+        }
+        TOOLBAR._unorderedListRestore = null;
+        return;
+      }
+
+      if (currentList) {
+        document.execCommand('insertUnorderedList', false, null);
+        TOOLBAR._unorderedListRestore = null;
+        return;
+      }
+
+      if (sel.isCollapsed) {
+        document.execCommand('insertUnorderedList', false, null);
+        TOOLBAR._unorderedListRestore = null;
+        return;
+      }
+
+      const beforeHtml = TOOLBAR.getRangeHTML(range);
+      document.execCommand('insertUnorderedList', false, null);
+      const insertedList = TOOLBAR.getCurrentListFromSelection();
+      if (!insertedList) {
+        TOOLBAR._unorderedListRestore = null;
+        return;
+      }
+
+      TOOLBAR.stripLeadingDashPrefixFromList(insertedList);
+      TOOLBAR.selectNodeContents(insertedList);
+      TOOLBAR._unorderedListRestore = {
+        listEl: insertedList,
+        html: beforeHtml,
+      };
+    },
+
+    handleOrderedListToggle() {
+      const sel = window.getSelection();
+      if (!sel || sel.rangeCount === 0) {
+        document.execCommand('insertOrderedList', false, null);
+        TOOLBAR._orderedListRestore = null;
+        return;
+      }
+
+      const range = sel.getRangeAt(0);
+      if (!EDITOR.el.contains(range.commonAncestorContainer)) {
+        document.execCommand('insertOrderedList', false, null);
+        TOOLBAR._orderedListRestore = null;
+        return;
+      }
+
+      const currentList = TOOLBAR.getCurrentListFromSelection('ol');
+      if (
+        currentList &&
+        TOOLBAR._orderedListRestore &&
+        TOOLBAR._orderedListRestore.listEl === currentList
+      ) {
+        const restored = TOOLBAR.restoreUnorderedListSnapshot(currentList, TOOLBAR._orderedListRestore.html);
+        if (restored && restored.first && restored.last) {
+          TOOLBAR.selectBetweenNodes(restored.first, restored.last);
+        }
+        TOOLBAR._orderedListRestore = null;
+        return;
+      }
+
+      if (currentList) {
+        document.execCommand('insertOrderedList', false, null);
+        TOOLBAR._orderedListRestore = null;
+        return;
+      }
+
+      if (sel.isCollapsed) {
+        document.execCommand('insertOrderedList', false, null);
+        TOOLBAR._orderedListRestore = null;
+        return;
+      }
+
+      const beforeHtml = TOOLBAR.getRangeHTML(range);
+      document.execCommand('insertOrderedList', false, null);
+      const insertedList = TOOLBAR.getCurrentListFromSelection('ol');
+      if (!insertedList) {
+        TOOLBAR._orderedListRestore = null;
+        return;
+      }
+
+      TOOLBAR.stripLeadingOrderedPrefixFromList(insertedList);
+      TOOLBAR.selectNodeContents(insertedList);
+      TOOLBAR._orderedListRestore = {
+        listEl: insertedList,
+        html: beforeHtml,
+      };
+    },
+
+    getCurrentListFromSelection(tagName = 'ul') {
+      const sel = window.getSelection();
+      if (!sel || sel.rangeCount === 0) return null;
+      let node = sel.anchorNode;
+      if (!node) return null;
+      if (node.nodeType === Node.TEXT_NODE) node = node.parentElement;
+      if (!node || !node.closest) return null;
+      const list = node.closest(tagName);
+      if (!list || !EDITOR.el || !EDITOR.el.contains(list)) return null;
+      return list;
+    },
+
+    getRangeHTML(range) {
+      if (!range) return '';
+      const wrapper = document.createElement('div');
+      wrapper.appendChild(range.cloneContents());
+      return wrapper.innerHTML;
+    },
+
+    restoreUnorderedListSnapshot(listEl, html) {
+      if (!listEl || !listEl.parentNode) return null;
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = html || '';
+      const frag = document.createDocumentFragment();
+      while (wrapper.firstChild) frag.appendChild(wrapper.firstChild);
+      const first = frag.firstChild;
+      const last = frag.lastChild;
+      listEl.parentNode.replaceChild(frag, listEl);
+      return { first, last };
+    },
+
+    stripLeadingDashPrefixFromList(listEl) {
+      if (!listEl) return;
+      const items = listEl.querySelectorAll('li');
+      items.forEach((li) => TOOLBAR.stripLeadingDashPrefixFromListItem(li));
+    },
+
+    stripLeadingDashPrefixFromListItem(listItemEl) {
+      if (!listItemEl) return;
+      const walker = document.createTreeWalker(listItemEl, NodeFilter.SHOW_TEXT);
+      let node = walker.nextNode();
+      while (node) {
+        const value = node.nodeValue || '';
+        if (!value.trim()) {
+          node = walker.nextNode();
+          continue;
+        }
+        node.nodeValue = value.replace(/^(\s*)-\s+/, '$1');
+        break;
+      }
+    },
+
+    stripLeadingOrderedPrefixFromList(listEl) {
+      if (!listEl) return;
+      const items = listEl.querySelectorAll('li');
+      items.forEach((li) => TOOLBAR.stripLeadingOrderedPrefixFromListItem(li));
+    },
+
+    stripLeadingOrderedPrefixFromListItem(listItemEl) {
+      if (!listItemEl) return;
+      const walker = document.createTreeWalker(listItemEl, NodeFilter.SHOW_TEXT);
+      let node = walker.nextNode();
+      while (node) {
+        const value = node.nodeValue || '';
+        if (!value.trim()) {
+          node = walker.nextNode();
+          continue;
+        }
+        node.nodeValue = value.replace(/^(\s*)\d+(?:\.\s*|\s+)/, '$1');
+        break;
+      }
+    },
+
+    selectNodeContents(node) {
+      if (!node) return;
+      const sel = window.getSelection();
+      if (!sel) return;
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+
+    selectBetweenNodes(first, last) {
+      if (!first || !last) return;
+      const sel = window.getSelection();
+      if (!sel) return;
+      const range = document.createRange();
+      range.setStartBefore(first);
+      range.setEndAfter(last);
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+
+    getThemeHighlightColor(colorVar) {
+      if (!colorVar) return '#fde68a';
+      const value = getComputedStyle(document.documentElement).getPropertyValue(colorVar).trim();
+      return value || '#fde68a';
+    },
+
+    getThemeHighlightColorByKey(key) {
+      if (key === 'yellow') return TOOLBAR.getThemeHighlightColor('--highlight-yellow');
+      if (key === 'green') return TOOLBAR.getThemeHighlightColor('--highlight-green');
+      if (key === 'red') return TOOLBAR.getThemeHighlightColor('--highlight-red');
+      return '#fde68a';
+    },
+
+    _toCanonicalColor(value) {
+      if (!value) return '';
+      const probe = document.createElement('span');
+      probe.style.color = '';
+      probe.style.color = value;
+      if (!probe.style.color) return '';
+      document.body.appendChild(probe);
+      const canonical = getComputedStyle(probe).color.replace(/\s+/g, '').toLowerCase();
+      probe.remove();
+      return canonical;
+    },
+
+    getKnownHighlightColorLookup() {
+      const entries = [
+        ['yellow', '#fde68a'],
+        ['yellow', '#a16207'],
+        ['green', '#bbf7d0'],
+        ['green', '#166534'],
+        ['red', '#fecaca'],
+        ['red', '#991b1b'],
+      ];
+      const map = {};
+      entries.forEach(([key, color]) => {
+        const canonical = TOOLBAR._toCanonicalColor(color);
+        if (canonical) map[canonical] = key;
+      });
+      return map;
+    },
+
+    updateActiveState() {
+      if (!TOOLBAR.el) return;
+
+      TOOLBAR.COMMANDS.forEach((cmd) => {
+        if (cmd.type === 'block-menu') {
+          TOOLBAR.updateBlockMenuState(cmd);
+          return;
+        }
+        if (cmd.type === 'sep' || cmd.type === 'highlight' || cmd.type === 'highlight-menu' ||
+          cmd.type === 'table-menu') return;
+        const btn = TOOLBAR.el.querySelector(`[data-cmd-id="${cmd.id}"]`);
+        if (!btn) return;
+
+        let isActive = false;
+
+        try {
+          if (cmd.isActive) {
+            isActive = cmd.isActive();
+          } else if (cmd.type === 'state') {
+            isActive = document.queryCommandState(cmd.id);
+            // A checklist is a <ul> too; only its own button lights up.
+            if (cmd.id === 'insertUnorderedList' && isActive) isActive = !CHECKLIST.listAtSelection();
+          }
+        } catch (_) {
+          isActive = false;
+        }
+
+        btn.classList.toggle('is-active', isActive);
+        btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      });
+    },
+
+    updateBlockMenuState(cmd) {
+      if (!TOOLBAR._blockTriggerEl) return;
+      const current = TOOLBAR.getCurrentBlock();
+      const opt = cmd.options.find((o) => o.block === current) || cmd.options[0];
+      TOOLBAR._blockTriggerEl.querySelector('.toolbar-block-label').textContent = opt.shortLabel;
+      TOOLBAR._blockTriggerEl.classList.toggle('is-active', current !== 'p');
+      TOOLBAR._blockMenuEl.querySelectorAll('[data-block]').forEach((item) => {
+        item.setAttribute('aria-checked', item.dataset.block === current ? 'true' : 'false');
+      });
+    },
+
+    updateClearState() {
+      if (!TOOLBAR.el) return;
+      const btn = TOOLBAR.el.querySelector('[data-cmd-id="clearContent"]');
+      if (!btn) return;
+      btn.disabled = EDITOR.getHTML() === '';
+    },
+
+    toggleHighlightMenu() {
+      if (!TOOLBAR._highlightMenuEl || !TOOLBAR._highlightTriggerEl) return;
+      if (TOOLBAR._highlightMenuOpen) {
+        TOOLBAR.closeHighlightMenu();
+        return;
+      }
+      TOOLBAR.closeTableMenu();
+      TOOLBAR._highlightMenuOpen = true;
+      TOOLBAR._highlightMenuEl.classList.add('is-open');
+      TOOLBAR._highlightTriggerEl.setAttribute('aria-expanded', 'true');
+    },
+
+    closeHighlightMenu() {
+      if (!TOOLBAR._highlightMenuEl || !TOOLBAR._highlightTriggerEl) return;
+      TOOLBAR._highlightMenuOpen = false;
+      TOOLBAR._highlightMenuEl.classList.remove('is-open');
+      TOOLBAR._highlightTriggerEl.setAttribute('aria-expanded', 'false');
+    },
+
+    toggleBlockMenu() {
+      if (!TOOLBAR._blockMenuEl || !TOOLBAR._blockTriggerEl) return;
+      if (TOOLBAR._blockMenuOpen) {
+        TOOLBAR.closeBlockMenu();
+        return;
+      }
+      TOOLBAR.closeHighlightMenu();
+      TOOLBAR.closeTableMenu();
+      TOOLBAR.updateActiveState();
+      TOOLBAR._blockMenuOpen = true;
+      TOOLBAR._blockMenuEl.classList.add('is-open');
+      TOOLBAR._blockTriggerEl.setAttribute('aria-expanded', 'true');
+    },
+
+    closeBlockMenu() {
+      if (!TOOLBAR._blockMenuEl || !TOOLBAR._blockTriggerEl) return;
+      TOOLBAR._blockMenuOpen = false;
+      TOOLBAR._blockMenuEl.classList.remove('is-open');
+      TOOLBAR._blockTriggerEl.setAttribute('aria-expanded', 'false');
+    },
+
+    toggleTableMenu() {
+      if (!TOOLBAR._tableMenuEl || !TOOLBAR._tableTriggerEl) return;
+      if (TOOLBAR._tableMenuOpen) {
+        TOOLBAR.closeTableMenu();
+        return;
+      }
+      TOOLBAR.closeHighlightMenu();
+      TOOLBAR.closeBlockMenu();
+      TOOLBAR._tableMenuOpen = true;
+      TOOLBAR._tableMenuEl.classList.add('is-open');
+      TOOLBAR._tableTriggerEl.setAttribute('aria-expanded', 'true');
+    },
+
+    closeTableMenu() {
+      if (!TOOLBAR._tableMenuEl || !TOOLBAR._tableTriggerEl) return;
+      TOOLBAR._tableMenuOpen = false;
+      TOOLBAR._tableMenuEl.classList.remove('is-open');
+      TOOLBAR._tableTriggerEl.setAttribute('aria-expanded', 'false');
+    },
+  };
+
+  /* ============================================================
+     OUTLINE — collapsible list of the active note's headings
+     ============================================================ */
+  const OUTLINE = {
+    el: null,
+    _toggleEl: null,
+    _listEl: null,
+    _headings: [],
+    _refreshTimer: null,
+
+    init(el) {
+      OUTLINE.el = el;
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'outline-toggle';
+      toggle.setAttribute('aria-controls', 'outline-list');
+      toggle.addEventListener('click', () => {
+        SETTINGS.set('outlineCollapsed', !SETTINGS.get('outlineCollapsed'));
+        OUTLINE.refresh();
+      });
+
+      const list = document.createElement('ol');
+      list.className = 'outline-list';
+      list.id = 'outline-list';
+      list.addEventListener('click', (e) => {
+        const item = e.target.closest('.outline-item');
+        if (item) OUTLINE.scrollTo(Number(item.dataset.index));
+      });
+
+      el.append(toggle, list);
+      OUTLINE._toggleEl = toggle;
+      OUTLINE._listEl = list;
+
+      EDITOR.el.addEventListener('scroll', () => OUTLINE.updateCurrent(), { passive: true });
+      OUTLINE.refresh();
+    },
+
+    /** Debounced refresh for use while typing. */
+    scheduleRefresh() {
+      clearTimeout(OUTLINE._refreshTimer);
+      OUTLINE._refreshTimer = setTimeout(OUTLINE.refresh, 300);
+    },
+
+    refresh() {
+      clearTimeout(OUTLINE._refreshTimer);
+      if (!OUTLINE.el || !EDITOR.el) return;
+
+      const headings = Array.from(EDITOR.el.querySelectorAll('h1, h2, h3'));
+      OUTLINE._headings = headings;
+      OUTLINE.el.hidden = headings.length === 0;
+      if (!headings.length) return;
+
+      const collapsed = !!SETTINGS.get('outlineCollapsed');
+      OUTLINE._toggleEl.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+      OUTLINE._toggleEl.textContent = `Outline · ${headings.length}`;
+      OUTLINE._listEl.hidden = collapsed;
+      if (collapsed) return;
+
+      OUTLINE._listEl.innerHTML = headings
+        .map((h, idx) => {
+          const text = h.textContent.trim() || 'Untitled heading';
+          return `<li><button type="button" class="outline-item outline-item--${h.tagName.toLowerCase()}" ` +
+            `data-index="${idx}" title="${escapeHTML(text)}">${escapeHTML(text)}</button></li>`;
+        })
+        .join('');
+      OUTLINE.updateCurrent();
+    },
+
+    /** Mark the last heading scrolled past as the current section. */
+    updateCurrent() {
+      if (!OUTLINE._listEl || OUTLINE._listEl.hidden) return;
+      const top = EDITOR.el.getBoundingClientRect().top + 8;
+      let current = 0;
+      OUTLINE._headings.forEach((h, idx) => {
+        if (h.getBoundingClientRect().top <= top) current = idx;
+      });
+      OUTLINE._listEl.querySelectorAll('.outline-item').forEach((item, idx) => {
+        item.classList.toggle('is-current', idx === current);
+      });
+    },
+
+    scrollTo(index) {
+      const heading = OUTLINE._headings[index];
+      if (!heading || !heading.isConnected) return;
+      heading.scrollIntoView({ block: 'start', behavior: 'smooth' });
+
+      EDITOR.el.focus({ preventScroll: true });
+      const range = document.createRange();
+      range.selectNodeContents(heading);
+      range.collapse(true);
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+  };
+
+  /* ============================================================
+     TABS — render, create, delete, rename, switch
+     ============================================================ */
+  const TABS = {
+    COLORS: ['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'grey'],
+    listEl: null,
+    _dragTabId: null,
+    _dropTabId: null,
+    _dropPos: null,
+    _didDrag: false,
+    _textMeasureCanvas: null,
+
+    render(listEl) {
+      TABS.listEl = listEl;
+
+      // Dropping past the last tab moves a note to the end, outside any group.
+      listEl.addEventListener('dragover', (e) => {
+        if (!TABS._dragTabId || e.target !== listEl) return;
+        e.preventDefault();
+        if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+      });
+      listEl.addEventListener('drop', (e) => {
+        if (!TABS._dragTabId || e.target !== listEl) return;
+        e.preventDefault();
+        TABS.dropAt(STATE.tabs.length, null);
+      });
+
+      TABS.redraw();
+    },
+
+    redraw() {
+      const el = TABS.listEl;
+      if (!el) return;
+      GROUPS.normalize();
+
+      const frag = document.createDocumentFragment();
+      let currentGroup = null;
+      if (TAGS.filter) frag.appendChild(TAGS.renderFilterChip());
+
+      STATE.tabs.filter((tab) => TAGS.isShown(tab)).forEach((tab) => {
+        // A collapsed group still shows its active tab.
+        const group = tab.groupId ? GROUPS.get(tab.groupId) : null;
+        if (group && group !== currentGroup) frag.appendChild(GROUPS.renderHeader(group));
+        currentGroup = group;
+        if (group && group.collapsed && tab.id !== STATE.activeTabId) return;
+
+        const item = document.createElement('div');
+        item.className = 'tab-item' + (tab.id === STATE.activeTabId ? ' is-active' : '') +
+          (group ? ' tab-item--grouped' : '') + (tab.pinned ? ' tab-item--pinned' : '');
+        item.setAttribute('role', 'tab');
+        item.setAttribute('aria-selected', tab.id === STATE.activeTabId ? 'true' : 'false');
+        item.setAttribute('tabindex', '0');
+        item.dataset.tabId = tab.id;
+        if (tab.color) item.dataset.color = tab.color;
+        if (tab.pinned) item.title = `${tab.name} (pinned)`;
+        item.draggable = true;
+
+        // Icon: the tab's emoji, or its initial on a pinned tab without one
+        if (tab.icon || tab.pinned) {
+          const icon = document.createElement('span');
+          icon.className = 'tab-icon' + (tab.icon ? '' : ' tab-icon--initial');
+          icon.setAttribute('aria-hidden', 'true');
+          icon.textContent = tab.icon || Array.from(tab.name.trim() || '?')[0].toUpperCase();
+          item.appendChild(icon);
+        }
+
+        // Label
+        const label = document.createElement('span');
+        label.className = 'tab-label';
+        label.textContent = tab.name;
+        const tags = TAGS.tagsOf(tab);
+        label.title = tags.length ? `${tab.name}\n${tags.map((tag) => `#${tag}`).join(' ')}` : tab.name;
+
+        // Delete button (hidden via CSS when only 1 tab, and on pinned tabs)
+        const delBtn = document.createElement('button');
+        delBtn.className = 'tab-delete-btn';
+        delBtn.title = 'Close tab';
+        delBtn.setAttribute('aria-label', `Close tab ${tab.name}`);
+        delBtn.setAttribute('tabindex', '-1');
+        if (STATE.tabs.length <= 1 || tab.pinned) {
+          delBtn.disabled = true;
+        }
+        delBtn.innerHTML =
+          '<svg width="10" height="10" viewBox="0 0 10 10" fill="none" aria-hidden="true">' +
+          '<path d="M1.5 1.5l7 7M8.5 1.5l-7 7" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/>' +
+          '</svg>';
+
+        item.appendChild(label);
+        item.appendChild(delBtn);
+        CHECKLIST.renderProgress(item, tab);
+        frag.appendChild(item);
+
+        // Click on tab → switch
+        item.addEventListener('click', (e) => {
+          if (TABS._didDrag) {
+            TABS._didDrag = false;
+            return;
+          }
+          if (e.target === delBtn || delBtn.contains(e.target)) return;
+          TABS.switchTo(tab.id);
+        });
+
+        // Double-click label → rename
+        label.addEventListener('dblclick', (e) => {
+          e.stopPropagation();
+          TABS.startRename(tab.id, item, label);
+        });
+
+        // Keyboard: Space → activate, Enter → rename, arrow keys → move focus between tabs
+        item.addEventListener('keydown', (e) => {
+          // Let caret navigation work inside rename input without tab-level shortcuts.
+          if (item.classList.contains('tab-item--rename') || (e.target && e.target.classList && e.target.classList.contains('tab-rename-input'))) {
+            return;
+          }
+
+          if (e.key === ' ' || e.key === 'Spacebar') {
+            e.preventDefault();
+            TABS.switchTo(tab.id);
+          } else if (e.key === 'Enter') {
+            e.preventDefault();
+            TABS.startRename(tab.id, item, label);
+          } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+            e.preventDefault();
+            const items = Array.from(TABS.listEl.querySelectorAll('.tab-item'));
+            if (items.length === 0) return;
+            const idx = items.indexOf(item);
+            const step = e.key === 'ArrowRight' || e.key === 'ArrowDown' ? 1 : -1;
+            const nextIdx = (idx + step + items.length) % items.length;
+            const nextItem = items[nextIdx];
+            const nextTabId = nextItem && nextItem.dataset ? nextItem.dataset.tabId : null;
+            if (!nextTabId) return;
+            TABS.switchTo(nextTabId, false, true);
+          }
+        });
+
+        // Delete button click
+        delBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          TABS.deleteTab(tab.id);
+        });
+
+        // Right-click (or the context-menu key) → pin, color, icon, …
+        item.addEventListener('contextmenu', (e) => {
+          if (item.classList.contains('tab-item--rename')) return;
+          e.preventDefault();
+          const rect = item.getBoundingClientRect();
+          const fromKeyboard = e.clientX === 0 && e.clientY === 0;
+          TAB_MENU.open(tab.id, fromKeyboard ? rect.left : e.clientX, fromKeyboard ? rect.bottom : e.clientY);
+        });
+
+        // Drag-and-drop reorder
+        item.addEventListener('dragstart', (e) => TABS.onDragStart(e, tab.id, delBtn));
+        item.addEventListener('dragover', (e) => TABS.onDragOver(e, tab.id));
+        item.addEventListener('drop', (e) => TABS.onDrop(e, tab.id));
+        item.addEventListener('dragend', () => TABS.clearDragState());
+      });
+
+      el.replaceChildren(frag);
+    },
+
+    onDragStart(e, tabId, delBtn) {
+      if (!e.dataTransfer) return;
+      if (e.target === delBtn || delBtn.contains(e.target)) {
+        e.preventDefault();
+        return;
+      }
+      TABS._dragTabId = tabId;
+      TABS._dropTabId = null;
+      TABS._dropPos = null;
+      TABS._didDrag = false;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', tabId);
+      if (e.currentTarget && e.currentTarget.classList) {
+        e.currentTarget.classList.add('is-dragging');
+      }
+    },
+
+    onDragOver(e, tabId) {
+      if (!TABS._dragTabId || TABS._dragTabId === tabId) return;
+      e.preventDefault();
+      if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+
+      const rect = e.currentTarget.getBoundingClientRect();
+      const pos = LAYOUT.isSidebar()
+        ? (e.clientY < rect.top + rect.height / 2 ? 'before' : 'after')
+        : (e.clientX < rect.left + rect.width / 2 ? 'before' : 'after');
+
+      if (TABS._dropTabId !== tabId || TABS._dropPos !== pos) {
+        TABS._dropTabId = tabId;
+        TABS._dropPos = pos;
+        TABS.applyDropClasses();
+      }
+    },
+
+    onDrop(e, tabId) {
+      if (!TABS._dragTabId || TABS._dragTabId === tabId) return;
+      e.preventDefault();
+
+      const targetIdx = STATE.tabs.findIndex((t) => t.id === tabId);
+      if (targetIdx === -1) {
+        TABS.clearDragState();
+        return;
+      }
+      // Dropping onto a tab joins its group, or leaves groups for an ungrouped one.
+      TABS.dropAt(targetIdx + (TABS._dropPos === 'after' ? 1 : 0), STATE.tabs[targetIdx].groupId);
+    },
+
+    /** Move the dragged tab to `toIdx` (counted before it is taken out) in group `groupId`. */
+    dropAt(toIdx, groupId) {
+      const fromIdx = STATE.tabs.findIndex((t) => t.id === TABS._dragTabId);
+      if (fromIdx === -1) {
+        TABS.clearDragState();
+        return;
+      }
+
+      const [moved] = STATE.tabs.splice(fromIdx, 1);
+      if (fromIdx < toIdx) toIdx -= 1;
+      STATE.tabs.splice(toIdx, 0, moved);
+      if (!moved.pinned) GROUPS.assign(moved, groupId);
+
+      TABS._didDrag = true;
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    applyDropClasses() {
+      if (!TABS.listEl) return;
+      const items = TABS.listEl.querySelectorAll('.tab-item');
+      items.forEach((el) => {
+        el.classList.remove('tab-item--drop-before', 'tab-item--drop-after');
+        if (!TABS._dropTabId || el.dataset.tabId !== TABS._dropTabId) return;
+        if (TABS._dropPos === 'before') el.classList.add('tab-item--drop-before');
+        if (TABS._dropPos === 'after') el.classList.add('tab-item--drop-after');
+      });
+    },
+
+    clearDragState() {
+      TABS._dragTabId = null;
+      TABS._dropTabId = null;
+      TABS._dropPos = null;
+      if (!TABS.listEl) return;
+      const items = TABS.listEl.querySelectorAll('.tab-item');
+      items.forEach((el) => {
+        el.classList.remove('is-dragging', 'tab-item--drop-before', 'tab-item--drop-after');
+      });
+    },
+
+    autosizeRenameInput(input, itemEl) {
+      if (!input || !itemEl) return;
+
+      if (!TABS._textMeasureCanvas) {
+        TABS._textMeasureCanvas = document.createElement('canvas');
+      }
+
+      const ctx = TABS._textMeasureCanvas.getContext('2d');
+      if (!ctx) return;
+
+      const styles = getComputedStyle(input);
+      const font = styles.font || [
+        styles.fontStyle,
+        styles.fontVariant,
+        styles.fontWeight,
+        styles.fontSize,
+        styles.lineHeight !== 'normal' ? '/' + styles.lineHeight : '',
+        styles.fontFamily,
+      ].join(' ').trim();
+      ctx.font = font;
+
+      const value = input.value || '';
+      const textWidth = Math.ceil(ctx.measureText(value || ' ').width);
+      const horizontalExtra =
+        parseFloat(styles.paddingLeft || '0') +
+        parseFloat(styles.paddingRight || '0') +
+        parseFloat(styles.borderLeftWidth || '0') +
+        parseFloat(styles.borderRightWidth || '0') +
+        2;
+
+      const minWidth = Math.max(24, Math.ceil(horizontalExtra));
+      const maxWidth = Math.max(minWidth, itemEl.clientWidth - 10);
+      const desired = Math.min(maxWidth, Math.max(minWidth, textWidth + horizontalExtra));
+      input.style.width = desired + 'px';
+    },
+
+    startRenameById(tabId) {
+      const itemEl = TABS.listEl && TABS.listEl.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+      if (itemEl) {
+        TABS.startRename(tabId, itemEl, itemEl.querySelector('.tab-label'));
+      } else {
+        // Hidden in a collapsed group; it shows once active.
+        TABS.switchTo(tabId).then(() => TABS.startRenameById(tabId));
+      }
+    },
+
+    startRename(tabId, itemEl, labelEl) {
+      if (tabId !== STATE.activeTabId) {
+        TABS.switchTo(tabId);
+
+        requestAnimationFrame(() => {
+          if (!TABS.listEl) return;
+          const nextItem = Array.from(TABS.listEl.querySelectorAll('.tab-item'))
+            .find((el) => el.dataset.tabId === tabId);
+          const nextLabel = nextItem && nextItem.querySelector('.tab-label');
+          if (nextItem && nextLabel) {
+            TABS.startRename(tabId, nextItem, nextLabel);
+          }
+        });
+
+        return;
+      }
+
+      if (itemEl.classList.contains('tab-item--rename')) return; // already renaming
+
+      itemEl.classList.add('tab-item--rename');
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'tab-rename-input';
+
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      input.value = tab ? tab.name : '';
+
+      itemEl.insertBefore(input, labelEl);
+      TABS.autosizeRenameInput(input, itemEl);
+      input.select();
+
+      let committed = false;
+      const restoreTabFocus = () => {
+        requestAnimationFrame(() => {
+          if (!TABS.listEl) return;
+          const target = Array.from(TABS.listEl.querySelectorAll('.tab-item'))
+            .find((el) => el.dataset.tabId === tabId);
+          if (target) target.focus({ preventScroll: true });
+        });
+      };
+
+      const commit = () => {
+        if (committed) return;
+        committed = true;
+        const newName = input.value.trim();
+        if (newName && tab) {
+          tab.name = newName;
+          tab.updatedAt = Date.now();
+          STORAGE.scheduleSave();
+        }
+        itemEl.classList.remove('tab-item--rename');
+        if (input.parentNode) input.parentNode.removeChild(input);
+        TABS.redraw();
+        restoreTabFocus();
+      };
+
+      const cancel = () => {
+        if (committed) return;
+        committed = true;
+        itemEl.classList.remove('tab-item--rename');
+        if (input.parentNode) input.parentNode.removeChild(input);
+        itemEl.focus({ preventScroll: true });
+      };
+
+      input.addEventListener('blur', commit);
+      input.addEventListener('input', () => TABS.autosizeRenameInput(input, itemEl));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); input.blur(); }
+        if (e.key === 'Escape') { e.preventDefault(); input.removeEventListener('blur', commit); cancel(); }
+      });
+    },
+
+    /** Switch tabs; resolves once the new tab's content is in the editor. */
+    switchTo(tabId, skipSave = false, focusActiveTab = false) {
+      if (tabId === STATE.activeTabId) return Promise.resolve();
+
+      // Read the note first; the current one stays editable until it arrives.
+      const target = STATE.tabs.find((t) => t.id === tabId);
+      if (target && !STORAGE.isLoaded(target)) {
+        return STORAGE.ensureContent([target]).then(() => {
+          if (STATE.tabs.includes(target)) return TABS.switchTo(tabId, skipSave, focusActiveTab);
+          return undefined;
+        });
+      }
+
+      // Save current tab content
+      if (!skipSave) {
+        const currentTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+        const html = EDITOR.getHTML();
+        // As in STORAGE.flush: viewing a note doesn't count as editing it.
+        if (currentTab && html !== currentTab.content) {
+          currentTab.content = html;
+          currentTab.updatedAt = Date.now();
+        }
+      }
+
+      STATE.activeTabId = tabId;
+
+      // Fade transition
+      EDITOR.el.classList.add('is-switching');
+      return new Promise((resolve) => {
+        requestAnimationFrame(() => {
+          const newTab = STATE.tabs.find((t) => t.id === tabId);
+          EDITOR.setHTML(newTab ? newTab.content : '');
+          EDITOR.el.classList.remove('is-switching');
+          TABS.redraw();
+          STORAGE.scheduleSave();
+
+          // Scroll active tab into view
+          const activeEl = TABS.listEl && TABS.listEl.querySelector('.tab-item.is-active');
+          if (activeEl) {
+            activeEl.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            if (focusActiveTab) activeEl.focus({ preventScroll: true });
+          }
+          resolve();
+        });
+      });
+    },
+
+    /** Move `offset` tabs along the strip, wrapping at either end. */
+    switchBy(offset, focusActiveTab = false) {
+      const idx = STATE.tabs.findIndex((t) => t.id === STATE.activeTabId);
+      const count = STATE.tabs.length;
+      const next = STATE.tabs[(((idx + offset) % count) + count) % count];
+      return TABS.switchTo(next.id, false, focusActiveTab);
+    },
+
+    /**
+     * Move a tab `offset` places along the strip (no wrapping). A tab moved
+     * between two tabs of one group joins it; one moved past its group's
+     * edge leaves it.
+     */
+    move(tabId, offset) {
+      const fromIdx = STATE.tabs.findIndex((t) => t.id === tabId);
+      const toIdx = fromIdx + offset;
+      if (fromIdx === -1 || toIdx < 0 || toIdx >= STATE.tabs.length) return;
+      // Pinned tabs stay ahead of the rest.
+      if (!!STATE.tabs[fromIdx].pinned !== !!STATE.tabs[toIdx].pinned) return;
+      const [moved] = STATE.tabs.splice(fromIdx, 1);
+      STATE.tabs.splice(toIdx, 0, moved);
+      const prev = STATE.tabs[toIdx - 1];
+      const next = STATE.tabs[toIdx + 1];
+      const inOwnGroup = moved.groupId && [prev, next].some((t) => t && t.groupId === moved.groupId);
+      if (!inOwnGroup) GROUPS.assign(moved, prev && next && prev.groupId === next.groupId ? prev.groupId : null);
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      const itemEl = TABS.listEl && TABS.listEl.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+      if (itemEl) itemEl.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    },
+
+    /** Open a new note after the last one; `fields` may give its name and content. */
+    createTab(fields = {}) {
+      // Save current before creating
+      const currentTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      const html = EDITOR.getHTML();
+      if (currentTab && html !== currentTab.content) {
+        currentTab.content = html;
+        currentTab.updatedAt = Date.now();
+      }
+
+      const now = Date.now();
+      const newTab = {
+        id: 'tab-' + now,
+        name: fields.name || TEMPLATES.tabName(),
+        content: fields.content || '',
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      STATE.tabs.push(newTab);
+      TABS.switchTo(newTab.id, true);
+
+      // Scroll to new tab
+      requestAnimationFrame(() => {
+        const activeEl = TABS.listEl && TABS.listEl.querySelector('.tab-item.is-active');
+        if (activeEl) activeEl.scrollIntoView({ block: 'nearest', inline: 'end' });
+        EDITOR.focus();
+        TEMPLATES.placeCursor();
+      });
+    },
+
+    /** Pinned tabs move to the front, stay out of groups and can't be closed. */
+    setPinned(tabId, pinned) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      if (pinned) {
+        tab.pinned = true;
+        // Land after the tabs pinned before it.
+        STATE.tabs.splice(STATE.tabs.indexOf(tab), 1);
+        const firstUnpinned = STATE.tabs.findIndex((t) => !t.pinned);
+        STATE.tabs.splice(firstUnpinned === -1 ? STATE.tabs.length : firstUnpinned, 0, tab);
+        delete tab.groupId;
+      } else {
+        delete tab.pinned;
+      }
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    setGroup(tabId, groupId) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab || tab.pinned) return;
+      // Leaving a group puts the tab right after it.
+      if (!groupId && tab.groupId) {
+        const members = STATE.tabs.filter((t) => t.groupId === tab.groupId);
+        STATE.tabs.splice(STATE.tabs.indexOf(tab), 1);
+        STATE.tabs.splice(STATE.tabs.indexOf(members[members.length - 1]) + 1, 0, tab);
+      }
+      GROUPS.assign(tab, groupId);
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    /** `color` is one of COLORS, or null for none. */
+    setColor(tabId, color) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      if (TABS.COLORS.includes(color)) tab.color = color;
+      else delete tab.color;
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    setIcon(tabId, icon) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      if (icon) tab.icon = icon;
+      else delete tab.icon;
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    /** Tags set on the tab itself, besides the #hashtags in its note. */
+    setTags(tabId, tags) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      const clean = TAGS.clean(tags);
+      if (clean.length) tab.tags = clean;
+      else delete tab.tags;
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    /** The first character (emoji sequences included) of `text`, or '' when blank. */
+    iconFrom(text) {
+      const trimmed = String(text || '').trim();
+      if (!trimmed) return '';
+      if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const [first] = new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(trimmed);
+        return first.segment;
+      }
+      return Array.from(trimmed)[0];
+    },
+
+    /** `base`, or `base` + suffix (+ counter) if another tab already has that name. */
+    uniqueName(base, suffix = ' (copy)') {
+      const names = new Set(STATE.tabs.map((t) => t.name));
+      if (!names.has(base)) return base;
+      // " (copy)" → " (copy 2)", " (copy 3)", …
+      const numbered = (n) => (suffix.endsWith(')') ? `${base}${suffix.slice(0, -1)} ${n})` : `${base}${suffix} ${n}`);
+      let candidate = base + suffix;
+      for (let n = 2; names.has(candidate); n += 1) candidate = numbered(n);
+      return candidate;
+    },
+
+    deleteTab(tabId) {
+      if (STATE.tabs.length <= 1) return; // shouldn't happen (button disabled), guard anyway
+
+      const idx = STATE.tabs.findIndex((t) => t.id === tabId);
+      if (idx === -1) return;
+
+      const tab = STATE.tabs[idx];
+      if (tab.pinned) {
+        TOAST.show(`Unpin “${tab.name}” before closing it.`);
+        return;
+      }
+      // The trash keeps the full note, and the neighbour opens in its place.
+      const needed = tab.id === STATE.activeTabId ? [tab, STATE.tabs[idx + 1] || STATE.tabs[idx - 1]] : [tab];
+      if (needed.some((t) => !STORAGE.isLoaded(t))) {
+        STORAGE.ensureContent(needed).then(() => TABS.deleteTab(tabId));
+        return;
+      }
+      if (tab.id === STATE.activeTabId) tab.content = EDITOR.getHTML();
+      const trashed = TRASH.addTab(tab, idx);
+
+      STATE.tabs.splice(idx, 1);
+
+      // Switch to nearest neighbor
+      if (STATE.activeTabId === tabId) {
+        const neighborIdx = Math.min(idx, STATE.tabs.length - 1);
+        STATE.activeTabId = STATE.tabs[neighborIdx].id;
+        EDITOR.setHTML(STATE.tabs[neighborIdx].content);
+      }
+
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      TOAST.show(`Deleted “${tab.name}”`, { actionLabel: 'Undo', onAction: () => TRASH.restore(trashed.id) });
+    },
+
+    /**
+     * Delete several tabs with a single Undo. Pinned tabs are skipped, and
+     * nothing happens if no tab would be left. Resolves with the count deleted.
+     */
+    async deleteTabs(tabIds) {
+      const targets = STATE.tabs.filter((t) => tabIds.includes(t.id) && !t.pinned);
+      if (!targets.length || targets.length >= STATE.tabs.length) return 0;
+
+      const activeIdx = STATE.tabs.findIndex((t) => t.id === STATE.activeTabId);
+      const survivors = STATE.tabs.filter((t) => !targets.includes(t));
+      const neighbor = survivors.find((t) => STATE.tabs.indexOf(t) > activeIdx) || survivors[survivors.length - 1];
+      await STORAGE.ensureContent(targets.concat(neighbor));
+
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+      // Last first, so each trash item's index is right when restored in reverse.
+      const trashed = targets.slice().reverse().map((tab) => {
+        const idx = STATE.tabs.indexOf(tab);
+        STATE.tabs.splice(idx, 1);
+        return TRASH.addTab(tab, idx);
+      });
+
+      if (!STATE.tabs.some((t) => t.id === STATE.activeTabId)) {
+        STATE.activeTabId = neighbor.id;
+        EDITOR.setHTML(neighbor.content);
+      }
+
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      TOAST.show(`Deleted ${targets.length} ${targets.length === 1 ? 'note' : 'notes'}`, {
+        actionLabel: 'Undo',
+        onAction: () => trashed.slice().reverse().forEach((item) => TRASH.restore(item.id)),
+      });
+      return targets.length;
+    },
+
+    /** Reorder the tabs by `compare` for good; pinned tabs stay first and groups together. */
+    sortBy(compare, label) {
+      const before = STATE.tabs.slice();
+      STATE.tabs.sort(compare);
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      TOAST.show(`Tabs sorted: ${label}`, {
+        actionLabel: 'Undo',
+        onAction: () => {
+          const live = new Set(STATE.tabs);
+          const restored = before.filter((t) => live.has(t));
+          STATE.tabs.splice(0, STATE.tabs.length, ...restored, ...STATE.tabs.filter((t) => !restored.includes(t)));
+          TABS.redraw();
+          STORAGE.scheduleSave();
+        },
+      });
+    },
+  };
+
+  /* ============================================================
+     TAB_MENU — right-click menu on a tab: pin, color, icon, …
+     ============================================================ */
+  const TAB_MENU = {
+    el: null,
+    _tabId: null,
+    ICONS: ['📌', '⭐', '✅', '📝', '💡', '🔥', '📅', '🐛', '📚', '💼', '🏠', '🎯'],
+
+    /** Open for `tabId` at viewport point (x, y), or under the tab when opened from the keyboard. */
+    open(tabId, x, y) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      TAB_MENU.close();
+      TAB_MENU._tabId = tabId;
+
+      const menu = document.createElement('div');
+      menu.className = 'app-menu tab-menu is-open';
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-label', `Options for ${tab.name}`);
+
+      const item = (label, action, disabled = false) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'app-menu-item';
+        btn.setAttribute('role', 'menuitem');
+        btn.textContent = label;
+        btn.disabled = disabled;
+        btn.addEventListener('click', () => {
+          TAB_MENU.close();
+          action();
+        });
+        return btn;
+      };
+      const sep = () => {
+        const el = document.createElement('div');
+        el.className = 'app-menu-sep';
+        el.setAttribute('role', 'separator');
+        return el;
+      };
+
+      menu.append(
+        item(tab.pinned ? 'Unpin' : 'Pin', () => TABS.setPinned(tab.id, !tab.pinned)),
+        item('Rename', () => TABS.startRenameById(tab.id)),
+        item('Duplicate', () => NOTE_OPS.duplicate(tab.id)),
+        item('Save as template…', () => TEMPLATES_PANEL.openSave(tab.id)),
+      );
+      if (tab.id === STATE.activeTabId) {
+        menu.appendChild(item(NOTE_OPS.hasSelection() ? 'Move selection to a new note' : 'Split at cursor', () => NOTE_OPS.split()));
+      } else {
+        menu.appendChild(item('Move selection here', () => NOTE_OPS.moveSelectionTo(tab.id), !NOTE_OPS.hasSelection()));
+      }
+      if (!tab.pinned) {
+        menu.appendChild(tab.groupId
+          ? item('Remove from group', () => TABS.setGroup(tab.id, null))
+          : item('New group from this note', () => GROUPS.create(tab.id)));
+      }
+      menu.append(sep(), TAB_MENU._colorRow(tab), TAB_MENU._iconRow(tab), TAB_MENU._tagRow(tab), sep());
+      menu.appendChild(item('Close note', () => TABS.deleteTab(tab.id), tab.pinned || STATE.tabs.length <= 1));
+
+      menu.addEventListener('keydown', (e) => {
+        const focusable = Array.from(menu.querySelectorAll('button:not([disabled]), input'));
+        const idx = focusable.indexOf(document.activeElement);
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          TAB_MENU.close(true);
+        } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && e.target.tagName !== 'INPUT') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const next = focusable[(idx + step + focusable.length) % focusable.length];
+          if (next) next.focus();
+        }
+      });
+
+      document.getElementById('app').appendChild(menu);
+      TAB_MENU.el = menu;
+
+      // Keep the menu inside the panel.
+      const rect = menu.getBoundingClientRect();
+      menu.style.left = Math.max(4, Math.min(x, window.innerWidth - rect.width - 4)) + 'px';
+      menu.style.top = Math.max(4, Math.min(y, window.innerHeight - rect.height - 4)) + 'px';
+      const first = menu.querySelector('.app-menu-item');
+      if (first) first.focus({ preventScroll: true });
+
+      document.addEventListener('mousedown', TAB_MENU._onOutside, true);
+    },
+
+    _onOutside(e) {
+      if (TAB_MENU.el && !TAB_MENU.el.contains(e.target)) TAB_MENU.close();
+    },
+
+    close(restoreFocus = false) {
+      document.removeEventListener('mousedown', TAB_MENU._onOutside, true);
+      if (!TAB_MENU.el) return;
+      TAB_MENU.el.remove();
+      TAB_MENU.el = null;
+      if (restoreFocus && TABS.listEl) {
+        const itemEl = TABS.listEl.querySelector(`.tab-item[data-tab-id="${TAB_MENU._tabId}"]`);
+        if (itemEl) itemEl.focus({ preventScroll: true });
+      }
+    },
+
+    _section(label) {
+      const section = document.createElement('div');
+      section.className = 'tab-menu-section';
+      const heading = document.createElement('div');
+      heading.className = 'tab-menu-label';
+      heading.textContent = label;
+      const row = document.createElement('div');
+      row.className = 'tab-menu-row';
+      section.append(heading, row);
+      return { section, row };
+    },
+
+    _colorRow(tab) {
+      const { section, row } = TAB_MENU._section('Color');
+      [null].concat(TABS.COLORS).forEach((color) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'tab-menu-swatch';
+        if (color) btn.dataset.color = color;
+        const label = color ? color[0].toUpperCase() + color.slice(1) : 'No color';
+        btn.title = label;
+        btn.setAttribute('aria-label', label);
+        btn.setAttribute('aria-pressed', (tab.color || null) === color ? 'true' : 'false');
+        btn.addEventListener('click', () => {
+          TAB_MENU.close(true);
+          TABS.setColor(tab.id, color);
+        });
+        row.appendChild(btn);
+      });
+      return section;
+    },
+
+    /** Tags set on the tab (removable), the note's own #hashtags, and a field to add more. */
+    _tagRow(tab) {
+      const { section, row } = TAB_MENU._section('Tags');
+      const refresh = () => {
+        const fresh = TAB_MENU._tagRow(tab);
+        section.replaceWith(fresh);
+        fresh.querySelector('input').focus({ preventScroll: true });
+      };
+      (tab.tags || []).forEach((tag) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'tab-menu-tag';
+        btn.textContent = `#${tag} ×`;
+        btn.setAttribute('aria-label', `Remove tag ${tag}`);
+        btn.addEventListener('click', () => {
+          TABS.setTags(tab.id, tab.tags.filter((t) => t !== tag));
+          refresh();
+        });
+        row.appendChild(btn);
+      });
+      TAGS.hashtagsFor(tab).filter((tag) => !(tab.tags || []).includes(tag)).forEach((tag) => {
+        const chip = document.createElement('span');
+        chip.className = 'tab-menu-tag tab-menu-tag--text';
+        chip.textContent = `#${tag}`;
+        chip.title = 'Typed in the note';
+        row.appendChild(chip);
+      });
+
+      const options = document.createElement('datalist');
+      options.id = 'tab-menu-tag-options';
+      const current = TAGS.tagsOf(tab);
+      TAGS.counts().forEach(([tag]) => {
+        if (!current.includes(tag)) options.appendChild(new Option(`#${tag}`));
+      });
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'settings-input tab-menu-input';
+      input.placeholder = 'Add tags, then Enter';
+      input.setAttribute('aria-label', 'Add tags');
+      input.setAttribute('list', options.id);
+      input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          TAB_MENU.close(true);
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          const added = input.value.split(/[\s,]+/).map((tag) => TAGS.normalize(tag)).filter(Boolean);
+          if (!added.length) return;
+          TABS.setTags(tab.id, (tab.tags || []).concat(added));
+          refresh();
+        }
+      });
+      section.append(input, options);
+      return section;
+    },
+
+    _iconRow(tab) {
+      const { section, row } = TAB_MENU._section('Icon');
+      TAB_MENU.ICONS.forEach((icon) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'tab-menu-emoji';
+        btn.textContent = icon;
+        btn.setAttribute('aria-label', `Use ${icon} as the icon`);
+        btn.setAttribute('aria-pressed', tab.icon === icon ? 'true' : 'false');
+        btn.addEventListener('click', () => {
+          TAB_MENU.close(true);
+          TABS.setIcon(tab.id, icon);
+        });
+        row.appendChild(btn);
+      });
+
+      const custom = document.createElement('input');
+      custom.type = 'text';
+      custom.className = 'settings-input tab-menu-input';
+      custom.placeholder = 'Other emoji, then Enter';
+      custom.setAttribute('aria-label', 'Icon');
+      custom.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          TAB_MENU.close(true);
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          const icon = TABS.iconFrom(custom.value);
+          TAB_MENU.close(true);
+          if (icon) TABS.setIcon(tab.id, icon);
+        }
+      });
+      section.appendChild(custom);
+
+      if (tab.icon) {
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'app-menu-item';
+        clear.setAttribute('role', 'menuitem');
+        clear.textContent = 'Remove icon';
+        clear.addEventListener('click', () => {
+          TAB_MENU.close(true);
+          TABS.setIcon(tab.id, null);
+        });
+        section.appendChild(clear);
+      }
+      return section;
+    },
+  };
+
+  /* ============================================================
+     GROUPS — named, collapsible runs of tabs
+     ============================================================ */
+  const GROUPS = {
+    get(groupId) {
+      return STATE.groups.find((g) => g.id === groupId) || null;
+    },
+
+    /** Put `tab` in `groupId`, or take it out of its group when `groupId` is empty. */
+    assign(tab, groupId) {
+      if (groupId) tab.groupId = groupId;
+      else delete tab.groupId;
+    },
+
+    /**
+     * Keep pinned tabs first and each group's tabs next to each other, at
+     * the place of its first tab, with groups in the order they appear.
+     * Pinned tabs and tabs pointing at a missing group leave their group;
+     * groups left without tabs go away.
+     */
+    normalize() {
+      const known = new Set(STATE.groups.map((g) => g.id));
+      STATE.tabs.forEach((tab) => {
+        if (tab.groupId && (tab.pinned || !known.has(tab.groupId))) delete tab.groupId;
+      });
+
+      const order = STATE.tabs.filter((tab) => tab.pinned);
+      const seen = [];
+      STATE.tabs.forEach((tab) => {
+        if (tab.pinned) return;
+        if (!tab.groupId) {
+          order.push(tab);
+        } else if (!seen.includes(tab.groupId)) {
+          seen.push(tab.groupId);
+          STATE.tabs.forEach((t) => { if (t.groupId === tab.groupId) order.push(t); });
+        }
+      });
+      if (order.some((tab, idx) => STATE.tabs[idx] !== tab)) STATE.tabs.splice(0, STATE.tabs.length, ...order);
+      STATE.groups = seen.map((id) => GROUPS.get(id));
+    },
+
+    /** "Group 1", "Group 2", … — the first one not in use. */
+    _defaultName() {
+      const names = new Set(STATE.groups.map((g) => g.name));
+      let n = 1;
+      while (names.has(`Group ${n}`)) n += 1;
+      return `Group ${n}`;
+    },
+
+    /** Start a group holding `tabId`, then let the user name it. */
+    create(tabId = STATE.activeTabId) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      const group = { id: createId('group'), name: GROUPS._defaultName(), collapsed: false };
+      STATE.groups.push(group);
+      GROUPS.assign(tab, group.id);
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      GROUPS.startRename(group.id);
+    },
+
+    toggle(groupId) {
+      const group = GROUPS.get(groupId);
+      if (!group) return;
+      group.collapsed = !group.collapsed;
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    /** Dissolve a group; its tabs stay where they are. */
+    ungroup(groupId) {
+      STATE.tabs.forEach((tab) => {
+        if (tab.groupId === groupId) delete tab.groupId;
+      });
+      STATE.groups = STATE.groups.filter((g) => g.id !== groupId);
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    _headerEl(groupId) {
+      if (!TABS.listEl) return null;
+      return Array.from(TABS.listEl.querySelectorAll('.tab-group-header'))
+        .find((el) => el.dataset.groupId === groupId) || null;
+    },
+
+    /** Header shown before a group's tabs: click collapses, double-click renames. */
+    renderHeader(group) {
+      const count = STATE.tabs.filter((t) => t.groupId === group.id).length;
+
+      const header = document.createElement('div');
+      header.className = 'tab-group-header';
+      header.dataset.groupId = group.id;
+      header.setAttribute('role', 'button');
+      header.setAttribute('tabindex', '0');
+      header.setAttribute('aria-expanded', group.collapsed ? 'false' : 'true');
+      header.title = `${group.name} · ${count} ${count === 1 ? 'note' : 'notes'}`;
+
+      const caret = document.createElement('span');
+      caret.className = 'tab-group-caret';
+      caret.setAttribute('aria-hidden', 'true');
+      caret.innerHTML =
+        '<svg width="8" height="8" viewBox="0 0 8 8" fill="none">' +
+        '<path d="M1.5 2.5L4 5l2.5-2.5" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '</svg>';
+
+      const name = document.createElement('span');
+      name.className = 'tab-group-name';
+      name.textContent = group.name;
+
+      const countEl = document.createElement('span');
+      countEl.className = 'tab-group-count';
+      countEl.textContent = String(count);
+
+      const ungroupBtn = document.createElement('button');
+      ungroupBtn.type = 'button';
+      ungroupBtn.className = 'tab-group-ungroup';
+      ungroupBtn.title = 'Ungroup';
+      ungroupBtn.setAttribute('aria-label', `Ungroup ${group.name}`);
+      ungroupBtn.setAttribute('tabindex', '-1');
+      ungroupBtn.innerHTML =
+        '<svg width="8" height="8" viewBox="0 0 10 10" fill="none" aria-hidden="true">' +
+        '<path d="M1.5 1.5l7 7M8.5 1.5l-7 7" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/>' +
+        '</svg>';
+
+      header.append(caret, name, countEl, ungroupBtn);
+
+      header.addEventListener('click', (e) => {
+        if (header.classList.contains('is-renaming')) return;
+        if (ungroupBtn.contains(e.target)) {
+          GROUPS.ungroup(group.id);
+          return;
+        }
+        GROUPS.toggle(group.id);
+      });
+      name.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        GROUPS.startRename(group.id);
+      });
+      header.addEventListener('keydown', (e) => {
+        if (e.target !== header) return;
+        if (e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar') {
+          e.preventDefault();
+          GROUPS.toggle(group.id);
+        } else if (e.key === 'F2') {
+          e.preventDefault();
+          GROUPS.startRename(group.id);
+        }
+      });
+
+      // Dropping a tab on the header adds it to the front of the group.
+      header.addEventListener('dragover', (e) => {
+        if (!TABS._dragTabId) return;
+        e.preventDefault();
+        if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+        header.classList.add('is-drop-target');
+      });
+      header.addEventListener('dragleave', () => header.classList.remove('is-drop-target'));
+      header.addEventListener('drop', (e) => {
+        if (!TABS._dragTabId) return;
+        e.preventDefault();
+        const firstIdx = STATE.tabs.findIndex((t) => t.groupId === group.id);
+        TABS.dropAt(firstIdx === -1 ? STATE.tabs.length : firstIdx, group.id);
+      });
+
+      return header;
+    },
+
+    startRename(groupId) {
+      const group = GROUPS.get(groupId);
+      const header = GROUPS._headerEl(groupId);
+      if (!group || !header || header.classList.contains('is-renaming')) return;
+      const nameEl = header.querySelector('.tab-group-name');
+
+      header.classList.add('is-renaming');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'tab-rename-input tab-group-rename-input';
+      input.value = group.name;
+      input.setAttribute('aria-label', 'Group name');
+      header.insertBefore(input, nameEl);
+      input.select();
+
+      let done = false;
+      const finish = (save) => {
+        if (done) return;
+        done = true;
+        const newName = input.value.trim();
+        if (save && newName && newName !== group.name) {
+          group.name = newName;
+          STORAGE.scheduleSave();
+        }
+        TABS.redraw();
+        const next = GROUPS._headerEl(groupId);
+        if (next) next.focus({ preventScroll: true });
+      };
+
+      input.addEventListener('blur', () => finish(true));
+      input.addEventListener('click', (e) => e.stopPropagation());
+      input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+        if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+      });
+    },
+  };
+
+  /* ============================================================
+     LAYOUT — tab strip along the top, or a sidebar on wide panels
+     ============================================================ */
+  const LAYOUT = {
+    SIDEBAR_MIN_WIDTH: 520,
+    _media: null,
+
+    init() {
+      LAYOUT._media = window.matchMedia(`(min-width: ${LAYOUT.SIDEBAR_MIN_WIDTH}px)`);
+      if (LAYOUT._media.addEventListener) {
+        LAYOUT._media.addEventListener('change', () => LAYOUT.apply());
+      } else if (LAYOUT._media.addListener) {
+        LAYOUT._media.addListener(() => LAYOUT.apply());
+      }
+      SETTINGS.onChange((key) => {
+        if (key === 'tabLayout') LAYOUT.apply();
+      });
+      LAYOUT.apply();
+    },
+
+    /** Whether tabs are currently shown as a vertical list. */
+    isSidebar() {
+      return document.getElementById('app').classList.contains('is-sidebar');
+    },
+
+    apply() {
+      const sidebar = SETTINGS.get('tabLayout') === 'sidebar' && !!LAYOUT._media && LAYOUT._media.matches;
+      document.getElementById('app').classList.toggle('is-sidebar', sidebar);
+      const bar = document.getElementById('tab-bar');
+      if (bar) bar.setAttribute('aria-orientation', sidebar ? 'vertical' : 'horizontal');
+      const activeEl = TABS.listEl && TABS.listEl.querySelector('.tab-item.is-active');
+      if (activeEl) activeEl.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    },
+  };
+
+  /* ============================================================
+     NOTE_OPS — duplicate, split, merge and move content between notes
+     ============================================================ */
+  const NOTE_OPS = {
+    _range: null,   // last selection inside the editor; menus take focus away from it
+
+    init() {
+      document.addEventListener('selectionchange', () => {
+        const sel = window.getSelection();
+        if (!sel || !sel.rangeCount) return;
+        const range = sel.getRangeAt(0);
+        if (EDITOR.el.contains(range.commonAncestorContainer)) NOTE_OPS._range = range.cloneRange();
+      });
+    },
+
+    /** The editor's selection, or the last one it had while it is still in the note. */
+    _editorRange() {
+      const sel = window.getSelection();
+      if (sel && sel.rangeCount && EDITOR.el.contains(sel.getRangeAt(0).commonAncestorContainer)) {
+        return sel.getRangeAt(0);
+      }
+      const range = NOTE_OPS._range;
+      if (!range || !EDITOR.el.contains(range.startContainer) || !EDITOR.el.contains(range.endContainer)) return null;
+      return range;
+    },
+
+    hasSelection() {
+      const range = NOTE_OPS._editorRange();
+      return !!range && !range.collapsed;
+    },
+
+    _isEmpty(node) {
+      if (node.nodeType === Node.TEXT_NODE) return !node.nodeValue.trim();
+      return node.nodeType === Node.ELEMENT_NODE && !node.textContent.trim() &&
+        !/^(HR|IMG)$/.test(node.tagName) && !node.querySelector('img, hr');
+    },
+
+    /**
+     * HTML of `fragment` with empty blocks at its edges dropped; '' when
+     * nothing is left. Like EDITOR.getHTML, it leaves out caret markers and
+     * the session-only image URLs.
+     */
+    _fragmentHTML(fragment) {
+      const box = document.createElement('div');
+      box.appendChild(fragment);
+      const isEmpty = NOTE_OPS._isEmpty;
+      while (box.firstChild && isEmpty(box.firstChild)) box.firstChild.remove();
+      while (box.lastChild && isEmpty(box.lastChild)) box.lastChild.remove();
+      let html = box.innerHTML.replace(/\u200b/g, '');
+      if (box.querySelector('img[data-image-id][src]')) html = IMAGE_STORE.stripSources(html);
+      return /^\s*<(p|div|h[1-6]|ul|ol|blockquote|pre|table|figure|hr)\b/i.test(html) || !html ? html : `<p>${html}</p>`;
+    },
+
+    /** A name for a note holding `html`: its first line, or else `base`. */
+    _nameFor(html, base) {
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      const firstLine = SEARCH.extractText(tpl.content).text.split('\n').find((line) => line.trim());
+      return TABS.uniqueName(firstLine ? firstLine.trim().slice(0, 40) : base, ' (split)');
+    },
+
+    /**
+     * Drop the emptied block an extraction leaves behind at `range` (now
+     * collapsed at the cut), then copy the editor back into `tab`.
+     */
+    _commitEditor(tab, range) {
+      const { startContainer: node, startOffset: offset } = range;
+      let blocks = [node.childNodes[offset - 1], node.childNodes[offset]];
+      if (node !== EDITOR.el) {
+        let block = node;
+        while (block && block.parentNode !== EDITOR.el) block = block.parentNode;
+        blocks = [block];
+      }
+      blocks.forEach((block) => {
+        if (block && NOTE_OPS._isEmpty(block) && EDITOR.el.childNodes.length > 1) block.remove();
+      });
+      EDITOR.setHTML(EDITOR.getHTML());
+      tab.content = EDITOR.getHTML();
+      tab.updatedAt = Date.now();
+    },
+
+    /** Copy a note, right after the original, and open the copy. */
+    async duplicate(tabId = STATE.activeTabId) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      await STORAGE.ensureContent([tab]);
+      if (tab.id === STATE.activeTabId) tab.content = EDITOR.getHTML();
+
+      const now = Date.now();
+      const copy = STORAGE.copyFields(tab, {
+        id: createId('tab'),
+        name: TABS.uniqueName(tab.name),
+        content: tab.content,
+        createdAt: now,
+        updatedAt: now,
+      });
+      delete copy.pinned;
+      STATE.tabs.splice(STATE.tabs.indexOf(tab) + 1, 0, copy);
+      TABS.switchTo(copy.id);
+    },
+
+    /**
+     * Move the selection of the active note — or, with a bare caret,
+     * everything after it — into a new note placed right after it.
+     */
+    split() {
+      const tab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      const range = NOTE_OPS._editorRange();
+      if (!tab || !range) {
+        TOAST.show('Click where the note should be split, or select the text to move out.');
+        return;
+      }
+      const cut = range.cloneRange();
+      if (cut.collapsed) cut.setEnd(EDITOR.el, EDITOR.el.childNodes.length);
+      if (!NOTE_OPS._fragmentHTML(cut.cloneContents())) {
+        TOAST.show('There is nothing after the cursor to split off.');
+        return;
+      }
+
+      const before = EDITOR.getHTML();
+      const html = NOTE_OPS._fragmentHTML(cut.extractContents());
+      HISTORY.takeSnapshot(tab.id, before, 'before-split');
+      NOTE_OPS._commitEditor(tab, cut);
+
+      const now = Date.now();
+      const part = {
+        id: createId('tab'),
+        name: NOTE_OPS._nameFor(html, tab.name),
+        content: html,
+        createdAt: now,
+        updatedAt: now,
+      };
+      if (tab.groupId) part.groupId = tab.groupId;
+      STATE.tabs.splice(STATE.tabs.indexOf(tab) + 1, 0, part);
+      TABS.switchTo(part.id);
+      TOAST.show(`Split “${tab.name}” into “${part.name}”`, {
+        actionLabel: 'Undo',
+        onAction: () => NOTE_OPS._undoSplit(tab, part, before),
+      });
+    },
+
+    _undoSplit(tab, part, before) {
+      if (!STATE.tabs.includes(tab)) return;
+      const idx = STATE.tabs.indexOf(part);
+      if (idx !== -1) {
+        // The new note goes to the trash rather than away, in case it was edited since.
+        if (part.id === STATE.activeTabId) part.content = EDITOR.getHTML();
+        TRASH.addTab(part, idx);
+        STATE.tabs.splice(idx, 1);
+      }
+      tab.content = before;
+      tab.updatedAt = Date.now();
+      if (STATE.activeTabId === tab.id || idx !== -1 && STATE.activeTabId === part.id) {
+        STATE.activeTabId = tab.id;
+        EDITOR.setHTML(before);
+      }
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+
+    /** Append the active note's selection to the end of another note. */
+    async moveSelectionTo(targetId) {
+      const source = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      const target = STATE.tabs.find((t) => t.id === targetId);
+      if (!source || !target || source === target) return;
+      if (!NOTE_OPS.hasSelection()) {
+        TOAST.show('Select the text to move first.');
+        return;
+      }
+      await STORAGE.ensureContent([target]);
+      const range = NOTE_OPS._editorRange();
+      if (!range || range.collapsed || STATE.activeTabId !== source.id) return;
+
+      const before = EDITOR.getHTML();
+      const html = NOTE_OPS._fragmentHTML(range.extractContents());
+      if (!html) return;
+      HISTORY.takeSnapshot(source.id, before, 'before-move');
+      HISTORY.takeSnapshot(target.id, target.content, 'before-move');
+      NOTE_OPS._commitEditor(source, range);
+      target.content = (target.content || '') + html;
+      target.updatedAt = Date.now();
+
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      TOAST.show(`Moved the selection to “${target.name}”`, {
+        actionLabel: 'Open',
+        onAction: () => TABS.switchTo(target.id),
+      });
+    },
+
+    /**
+     * Merge notes into the first of them (in tab order): each becomes a
+     * section headed by its name, separated by a rule. The others go to the
+     * trash. Resolves with whether anything was merged.
+     */
+    async merge(tabIds) {
+      const tabs = STATE.tabs.filter((t) => tabIds.includes(t.id));
+      if (tabs.length < 2) return false;
+      const [into, ...rest] = tabs;
+      const pinned = rest.find((t) => t.pinned);
+      if (pinned) {
+        TOAST.show(`Unpin “${pinned.name}” before merging it into another note.`);
+        return false;
+      }
+      await STORAGE.ensureContent(tabs);
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+
+      const before = into.content;
+      HISTORY.takeSnapshot(into.id, before, 'before-merge');
+      into.content = tabs.map((tab) => `<h2>${escapeHTML(tab.name)}</h2>${tab.content || ''}`).join('<hr>');
+      into.updatedAt = Date.now();
+
+      const trashed = rest.slice().reverse().map((tab) => {
+        const idx = STATE.tabs.indexOf(tab);
+        STATE.tabs.splice(idx, 1);
+        return TRASH.addTab(tab, idx);
+      });
+      if (!STATE.tabs.some((t) => t.id === STATE.activeTabId)) STATE.activeTabId = into.id;
+      if (STATE.activeTabId === into.id) EDITOR.setHTML(into.content);
+
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      TOAST.show(`Merged ${tabs.length} notes into “${into.name}”`, {
+        actionLabel: 'Undo',
+        onAction: () => {
+          if (!STATE.tabs.includes(into)) return;
+          into.content = before;
+          into.updatedAt = Date.now();
+          if (STATE.activeTabId === into.id) EDITOR.setHTML(before);
+          trashed.slice().reverse().forEach((item) => TRASH.restore(item.id));
+          TABS.redraw();
+          STORAGE.scheduleSave();
+        },
+      });
+      return true;
+    },
+  };
+
+  /* ============================================================
+     TEMPLATES — reusable note structures with date/time placeholders
+     ============================================================ */
+  const TEMPLATES = {
+    KEY: 'notebookTemplates',
+    CURSOR_HTML: '<span data-template-cursor=""></span>',
+
+    // Array<{ id, name, tabName, content, createdAt }>; `tabName` and `content` may hold placeholders
+    items: [],
+
+    /** Offered until the user saves templates of their own. */
+    DEFAULTS: [
+      {
+        id: 'template-meeting',
+        name: 'Meeting notes',
+        tabName: 'Meeting {{date}}',
+        content:
+          '<h2>Meeting — {{weekday}} {{date}}, {{time}}</h2><p><b>Attendees:</b> {{cursor}}</p>' +
+          '<h3>Agenda</h3><ul><li><br></li></ul><h3>Notes</h3><p><br></p>' +
+          '<h3>Action items</h3><ul class="checklist"><li data-checked="false"><br></li></ul>',
+        createdAt: 0,
+      },
+      {
+        id: 'template-standup',
+        name: 'Standup',
+        tabName: 'Standup {{date}}',
+        content:
+          '<h2>Standup — {{weekday}} {{date}}</h2><h3>Yesterday</h3><ul><li>{{cursor}}<br></li></ul>' +
+          '<h3>Today</h3><ul><li><br></li></ul><h3>Blockers</h3><ul><li><br></li></ul>',
+        createdAt: 0,
+      },
+      {
+        id: 'template-incident',
+        name: 'Incident report',
+        tabName: 'Incident {{date}}',
+        content:
+          '<h2>Incident — {{date}} {{time}}</h2><p><b>Summary:</b> {{cursor}}</p><p><b>Impact:</b> </p>' +
+          '<h3>Timeline</h3><ul><li>{{time}} — Reported</li></ul><h3>Root cause</h3><p><br></p>' +
+          '<h3>Follow-ups</h3><ul class="checklist"><li data-checked="false"><br></li></ul>',
+        createdAt: 0,
+      },
+    ],
+
+    /** [placeholder, description] pairs, for hints. */
+    PLACEHOLDERS: [
+      ['{{date}}', 'today as 2026-01-31'],
+      ['{{time}}', 'the time as 14:05'],
+      ['{{weekday}}', 'the day of the week'],
+      ['{{n}}', 'the new note’s number'],
+      ['{{cursor}}', 'where typing starts (note content only)'],
+    ],
+
+    async load() {
+      const stored = await new Promise((resolve) => {
+        chrome.storage.local.get(TEMPLATES.KEY, (result) => {
+          resolve(result[TEMPLATES.KEY] || null);
+        });
+      });
+      TEMPLATES.adopt(stored);
+    },
+
+    /** Take templates saved here or by another panel; nothing saved yet means the defaults. */
+    adopt(stored) {
+      TEMPLATES.items = Array.isArray(stored) ? stored : TEMPLATES.DEFAULTS.map((t) => Object.assign({}, t));
+    },
+
+    async persist() {
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [TEMPLATES.KEY]: TEMPLATES.items }, resolve);
+      });
+    },
+
+    get(templateId) {
+      return TEMPLATES.items.find((t) => t.id === templateId) || null;
+    },
+
+    _values(date = new Date()) {
+      const pad = (n) => String(n).padStart(2, '0');
+      return {
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+        weekday: date.toLocaleDateString(undefined, { weekday: 'long' }),
+        n: String(STATE.tabs.length + 1),
+      };
+    },
+
+    /**
+     * Fill in the placeholders of `text`. The first `{{cursor}}` becomes
+     * `cursor` and later ones go; unknown placeholders stay as typed.
+     * Values are escaped when `text` is HTML.
+     */
+    expand(text, { html = false, cursor = '' } = {}) {
+      const values = TEMPLATES._values();
+      let cursorUsed = false;
+      return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        const name = key.toLowerCase();
+        if (name === 'cursor') {
+          if (cursorUsed) return '';
+          cursorUsed = true;
+          return cursor;
+        }
+        if (!(name in values)) return match;
+        return html ? escapeHTML(values[name]) : values[name];
+      });
+    },
+
+    /** Name for a new note from `pattern`, by default the “New note name” setting. */
+    tabName(pattern = SETTINGS.get('newTabName')) {
+      return TEMPLATES.expand(pattern).trim() || TEMPLATES.expand(SETTINGS.DEFAULTS.newTabName);
+    },
+
+    /** Open a new note filled from a template. */
+    create(templateId) {
+      const template = TEMPLATES.get(templateId);
+      if (!template) return;
+      TABS.createTab({
+        name: TEMPLATES.tabName(template.tabName || template.name),
+        content: TEMPLATES.expand(template.content, { html: true, cursor: TEMPLATES.CURSOR_HTML }),
+      });
+    },
+
+    /** Put the caret where the open note's `{{cursor}}` was, if it had one. */
+    placeCursor() {
+      const marker = EDITOR.el && EDITOR.el.querySelector('[data-template-cursor]');
+      if (!marker) return;
+      const parent = marker.parentNode;
+      const range = document.createRange();
+      range.setStartBefore(marker);
+      range.collapse(true);
+      marker.remove();
+      // An empty block has no height to put the caret in.
+      if (parent !== EDITOR.el && !parent.textContent && !parent.querySelector('br, img')) {
+        parent.appendChild(document.createElement('br'));
+      }
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+
+      const tab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (tab) tab.content = EDITOR.getHTML();
+    },
+
+    /** Save a note's current content as a new template. Resolves with the template. */
+    async saveFrom(tabId, name, tabName) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return null;
+      await STORAGE.ensureContent([tab]);
+      const template = {
+        id: createId('template'),
+        name,
+        tabName,
+        content: tab.id === STATE.activeTabId ? EDITOR.getHTML() : tab.content || '',
+        createdAt: Date.now(),
+      };
+      TEMPLATES.items.push(template);
+      await TEMPLATES.persist();
+      return template;
+    },
+
+    async update(templateId, fields) {
+      const template = TEMPLATES.get(templateId);
+      if (!template) return;
+      Object.assign(template, fields);
+      await TEMPLATES.persist();
+    },
+
+    async remove(templateId) {
+      TEMPLATES.items = TEMPLATES.items.filter((t) => t.id !== templateId);
+      await TEMPLATES.persist();
+    },
+
+    /* ---------- "New from template" menu next to the add button ---------- */
+
+    btnEl: null,
+    menuEl: null,
+
+    init(btnEl) {
+      TEMPLATES.btnEl = btnEl;
+      btnEl.addEventListener('click', () => {
+        if (TEMPLATES.menuEl) TEMPLATES.closeMenu();
+        else TEMPLATES.openMenu();
+      });
+    },
+
+    openMenu() {
+      TEMPLATES.closeMenu();
+      const menu = document.createElement('div');
+      menu.className = 'app-menu tab-menu template-menu is-open';
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-label', 'New from template');
+
+      const item = (label, action, disabled = false) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'app-menu-item';
+        btn.setAttribute('role', 'menuitem');
+        btn.textContent = label;
+        btn.disabled = disabled;
+        btn.addEventListener('click', () => {
+          TEMPLATES.closeMenu();
+          action();
+        });
+        return btn;
+      };
+      const sep = document.createElement('div');
+      sep.className = 'app-menu-sep';
+      sep.setAttribute('role', 'separator');
+
+      if (!TEMPLATES.items.length) menu.appendChild(item('No templates yet', () => {}, true));
+      TEMPLATES.items.forEach((template) => menu.appendChild(item(template.name, () => TEMPLATES.create(template.id))));
+      menu.append(
+        sep,
+        item('Save this note as a template…', () => TEMPLATES_PANEL.openSave(STATE.activeTabId)),
+        item('Manage templates…', () => TEMPLATES_PANEL.open()),
+      );
+
+      menu.addEventListener('keydown', (e) => {
+        const items = Array.from(menu.querySelectorAll('.app-menu-item:not([disabled])'));
+        const idx = items.indexOf(document.activeElement);
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          TEMPLATES.closeMenu(true);
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const next = items[(idx + step + items.length) % items.length];
+          if (next) next.focus();
+        }
+      });
+
+      document.getElementById('app').appendChild(menu);
+      TEMPLATES.menuEl = menu;
+      TEMPLATES.btnEl.setAttribute('aria-expanded', 'true');
+
+      // Below the button, kept inside the panel.
+      const anchor = TEMPLATES.btnEl.getBoundingClientRect();
+      const rect = menu.getBoundingClientRect();
+      menu.style.left = Math.max(4, Math.min(anchor.left, window.innerWidth - rect.width - 4)) + 'px';
+      menu.style.top = Math.max(4, Math.min(anchor.bottom + 2, window.innerHeight - rect.height - 4)) + 'px';
+      const first = menu.querySelector('.app-menu-item:not([disabled])');
+      if (first) first.focus({ preventScroll: true });
+
+      document.addEventListener('mousedown', TEMPLATES._onOutside, true);
+    },
+
+    _onOutside(e) {
+      if (TEMPLATES.menuEl && !TEMPLATES.menuEl.contains(e.target) && !TEMPLATES.btnEl.contains(e.target)) {
+        TEMPLATES.closeMenu();
+      }
+    },
+
+    closeMenu(restoreFocus = false) {
+      document.removeEventListener('mousedown', TEMPLATES._onOutside, true);
+      if (!TEMPLATES.menuEl) return;
+      TEMPLATES.menuEl.remove();
+      TEMPLATES.menuEl = null;
+      TEMPLATES.btnEl.setAttribute('aria-expanded', 'false');
+      if (restoreFocus) TEMPLATES.btnEl.focus({ preventScroll: true });
+    },
+  };
+
+  /* ============================================================
+     PANEL — full-size sheet hosting secondary views (settings, …)
+     ============================================================ */
+  const PANEL = {
+    el: null,
+    _titleEl: null,
+    _bodyEl: null,
+    _current: null,        // { id, onClose }
+    _returnFocusEl: null,
+
+    _build() {
+      if (PANEL.el) return;
+
+      const el = document.createElement('section');
+      el.className = 'panel';
+      el.hidden = true;
+      el.setAttribute('role', 'dialog');
+      el.setAttribute('aria-modal', 'true');
+      el.setAttribute('aria-labelledby', 'panel-title');
+      el.innerHTML =
+        '<header class="panel-header">' +
+          '<h2 class="panel-title" id="panel-title"></h2>' +
+          '<button type="button" class="panel-close-btn" title="Close" aria-label="Close panel">' +
+            '<svg width="10" height="10" viewBox="0 0 10 10" fill="none" aria-hidden="true">' +
+            '<path d="M1.5 1.5l7 7M8.5 1.5l-7 7" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/>' +
+            '</svg>' +
+          '</button>' +
+        '</header>' +
+        '<div class="panel-body"></div>';
+
+      el.querySelector('.panel-close-btn').addEventListener('click', () => PANEL.close());
+      el.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          PANEL.close();
+        }
+      });
+
+      document.getElementById('app').appendChild(el);
+      PANEL.el = el;
+      PANEL._titleEl = el.querySelector('.panel-title');
+      PANEL._bodyEl = el.querySelector('.panel-body');
+    },
+
+    /**
+     * Show a panel. `render(bodyEl)` fills the body; opening another panel
+     * closes the current one first. `onClose` runs when it is dismissed.
+     */
+    open(id, title, render, onClose = null) {
+      PANEL._build();
+      if (PANEL._current) PANEL.close(false);
+
+      PANEL._returnFocusEl = document.activeElement;
+      PANEL._current = { id, onClose };
+      PANEL.el.dataset.panelId = id;
+      PANEL._titleEl.textContent = title;
+      PANEL._bodyEl.replaceChildren();
+      render(PANEL._bodyEl);
+      PANEL.el.hidden = false;
+
+      const firstField = PANEL._bodyEl.querySelector('input, select, textarea, button');
+      (firstField || PANEL.el.querySelector('.panel-close-btn')).focus({ preventScroll: true });
+    },
+
+    close(restoreFocus = true) {
+      if (!PANEL._current) return;
+      const { onClose } = PANEL._current;
+      PANEL._current = null;
+      PANEL.el.hidden = true;
+      PANEL._bodyEl.replaceChildren();
+      if (onClose) onClose();
+
+      if (!restoreFocus) return;
+      const returnEl = PANEL._returnFocusEl;
+      PANEL._returnFocusEl = null;
+      if (returnEl && returnEl !== document.body && document.contains(returnEl)) {
+        returnEl.focus({ preventScroll: true });
+      } else {
+        EDITOR.focus(false);
+      }
+    },
+
+    isOpen(id) {
+      return !!PANEL._current && (!id || PANEL._current.id === id);
+    },
+  };
+
+  /* ============================================================
+     APP_MENU — overflow menu at the end of the tab bar
+     ============================================================ */
+  const APP_MENU = {
+    btnEl: null,
+    menuEl: null,
+    _isOpen: false,
+
+    ITEMS: [
+      { id: 'search', label: 'Search notes…', action() { SEARCH.open(); } },
+      { id: 'history', label: 'Version history…', action() { HISTORY_PANEL.open(); } },
+      { id: 'trash', label: 'Trash', action() { TRASH_PANEL.open(); } },
+      { type: 'sep' },
+      { id: 'newGroup', label: 'New group from this note', action() { GROUPS.create(); } },
+      { type: 'sep' },
+      { id: 'copyMarkdown', label: 'Copy note as Markdown', action() { MARKDOWN.copyActiveTab(); } },
+      { id: 'exportMarkdown', label: 'Export note as Markdown…', action() { MARKDOWN.exportActiveTab(); } },
+      { id: 'importMarkdown', label: 'Import Markdown files…', action() { MARKDOWN.pickFilesToImport(); } },
+      { type: 'sep' },
+      { id: 'backup', label: 'Backup & restore…', action() { BACKUP_PANEL.open(); } },
+      { id: 'shortcuts', label: 'Keyboard shortcuts', action() { SHORTCUTS.toggleHelp(); } },
+      { id: 'settings', label: 'Settings', action() { SETTINGS_PANEL.open(); } },
+    ],
+
+    init(btnEl) {
+      APP_MENU.btnEl = btnEl;
+
+      const menu = document.createElement('div');
+      menu.className = 'app-menu';
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-label', 'Notebook menu');
+
+      APP_MENU.ITEMS.forEach((item) => {
+        if (item.type === 'sep') {
+          const sep = document.createElement('div');
+          sep.className = 'app-menu-sep';
+          sep.setAttribute('role', 'separator');
+          menu.appendChild(sep);
+          return;
+        }
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'app-menu-item';
+        btn.setAttribute('role', 'menuitem');
+        btn.dataset.menuId = item.id;
+        btn.textContent = item.label;
+        btn.addEventListener('click', () => {
+          APP_MENU.close();
+          item.action();
+        });
+        menu.appendChild(btn);
+      });
+
+      document.getElementById('app').appendChild(menu);
+      APP_MENU.menuEl = menu;
+
+      btnEl.addEventListener('click', () => {
+        if (APP_MENU._isOpen) APP_MENU.close();
+        else APP_MENU.open();
+      });
+
+      document.addEventListener('mousedown', (e) => {
+        if (!APP_MENU._isOpen) return;
+        if (APP_MENU.menuEl.contains(e.target) || APP_MENU.btnEl.contains(e.target)) return;
+        APP_MENU.close();
+      });
+
+      menu.addEventListener('keydown', (e) => {
+        const items = Array.from(menu.querySelectorAll('.app-menu-item'));
+        const idx = items.indexOf(document.activeElement);
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          APP_MENU.close();
+          APP_MENU.btnEl.focus({ preventScroll: true });
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const next = items[(idx + step + items.length) % items.length];
+          if (next) next.focus();
+        }
+      });
+    },
+
+    open() {
+      APP_MENU._isOpen = true;
+      APP_MENU.menuEl.classList.add('is-open');
+      APP_MENU.btnEl.setAttribute('aria-expanded', 'true');
+      const first = APP_MENU.menuEl.querySelector('.app-menu-item');
+      if (first) first.focus({ preventScroll: true });
+    },
+
+    close() {
+      APP_MENU._isOpen = false;
+      APP_MENU.menuEl.classList.remove('is-open');
+      APP_MENU.btnEl.setAttribute('aria-expanded', 'false');
+    },
+  };
+
+  /* ============================================================
+     SETTINGS_PANEL — preferences UI, one section per feature
+     ============================================================ */
+  const SETTINGS_PANEL = {
+    SECTIONS: [
+      { id: 'editor', title: 'Editor', render(container) { SETTINGS_PANEL.renderEditor(container); } },
+      { id: 'tabs', title: 'Tabs & groups', render(container) { SETTINGS_PANEL.renderTabs(container); } },
+      { id: 'address-bar', title: 'Address bar', render(container) { SETTINGS_PANEL.renderAddressBar(container); } },
+      { id: 'link-rules', title: 'Issue links', render(container) { SETTINGS_PANEL.renderLinkRules(container); } },
+      { id: 'history', title: 'Version history', render(container) { SETTINGS_PANEL.renderHistory(container); } },
+      { id: 'trash', title: 'Trash', render(container) { SETTINGS_PANEL.renderTrash(container); } },
+    ],
+
+    open() {
+      PANEL.open('settings', 'Settings', (body) => {
+        SETTINGS_PANEL.SECTIONS.forEach((section) => {
+          const sectionEl = document.createElement('section');
+          sectionEl.className = 'settings-section';
+          sectionEl.dataset.sectionId = section.id;
+
+          const heading = document.createElement('h3');
+          heading.className = 'settings-section-title';
+          heading.textContent = section.title;
+          sectionEl.appendChild(heading);
+
+          section.render(sectionEl);
+          body.appendChild(sectionEl);
+        });
+      });
+    },
+
+    /** Labelled number input that saves `key` on change, clamped to [min, max]. */
+    _numberField(label, key, min, max) {
+      const field = document.createElement('label');
+      field.className = 'settings-field settings-field--inline';
+      const text = document.createElement('span');
+      text.className = 'settings-field-label';
+      text.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'settings-input settings-input--number';
+      input.min = String(min);
+      input.max = String(max);
+      input.value = String(SETTINGS.get(key));
+      input.addEventListener('change', () => {
+        const value = Math.min(max, Math.max(min, Math.round(Number(input.value)) || min));
+        input.value = String(value);
+        SETTINGS.set(key, value);
+      });
+      field.append(text, input);
+      return field;
+    },
+
+    /** Labelled checkbox that saves `key` on change. */
+    _checkField(label, key) {
+      const field = document.createElement('label');
+      field.className = 'settings-check settings-field';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = !!SETTINGS.get(key);
+      input.addEventListener('change', () => SETTINGS.set(key, input.checked));
+      field.append(input, document.createTextNode(label));
+      return field;
+    },
+
+    /** Labelled text input that saves `key` on change; left empty, it goes back to the default. */
+    _textField(label, key, placeholder = '') {
+      const field = document.createElement('label');
+      field.className = 'settings-field';
+      const text = document.createElement('span');
+      text.className = 'settings-field-label';
+      text.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'settings-input';
+      input.placeholder = placeholder;
+      input.value = SETTINGS.get(key);
+      input.addEventListener('change', () => {
+        const value = input.value.trim() || SETTINGS.DEFAULTS[key];
+        input.value = value;
+        SETTINGS.set(key, value);
+      });
+      field.append(text, input);
+      return field;
+    },
+
+    /** Labelled select that saves `key` on change; `options` is [[value, label], …]. */
+    _selectField(label, key, options) {
+      const field = document.createElement('label');
+      field.className = 'settings-field';
+      const text = document.createElement('span');
+      text.className = 'settings-field-label';
+      text.textContent = label;
+      const select = document.createElement('select');
+      select.className = 'settings-input';
+      options.forEach(([value, optionLabel]) => select.add(new Option(optionLabel, value)));
+      select.value = SETTINGS.get(key);
+      select.addEventListener('change', () => SETTINGS.set(key, select.value));
+      field.append(text, select);
+      return field;
+    },
+
+    renderAddressBar(container) {
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.innerHTML =
+        'Type <code>nb</code> and a space in the address bar to search your notes. ' +
+        '<code>nb + buy milk</code> adds a line without opening the panel.';
+      container.append(
+        hint,
+        SETTINGS_PANEL._selectField('Add lines to', 'quickAddTarget', [
+          ['active', 'The active note'],
+          ['inbox', 'A note named “Inbox”'],
+        ]),
+      );
+    },
+
+    renderTabs(container) {
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.textContent =
+        'Use “New group from this note” in the ⋯ menu to start a group, then drag notes onto it. ' +
+        `The sidebar is used while the panel is at least ${LAYOUT.SIDEBAR_MIN_WIDTH}px wide.`;
+      container.append(
+        hint,
+        SETTINGS_PANEL._selectField('Show tabs', 'tabLayout', [
+          ['strip', 'Along the top'],
+          ['sidebar', 'In a sidebar'],
+        ]),
+        SETTINGS_PANEL._textField('Name new notes', 'newTabName', SETTINGS.DEFAULTS.newTabName),
+        TEMPLATES_PANEL._placeholderHint(),
+      );
+    },
+
+    renderEditor(container) {
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.innerHTML =
+        'Type <code>- </code>, <code>1. </code>, <code># </code>, <code>``` </code>, <code>---</code>, ' +
+        '<code>**bold**</code>, <code>_italic_</code>, <code>~~strike~~</code> or <code>`code`</code> to format as you go. ' +
+        'Press Backspace right after a conversion to undo it.';
+      container.append(
+        hint,
+        SETTINGS_PANEL._checkField('Markdown shortcuts while typing', 'markdownShortcuts'),
+        SETTINGS_PANEL._checkField('Move completed checklist items to the bottom', 'checklistCompletedToBottom'),
+      );
+    },
+
+    renderHistory(container) {
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.textContent =
+        'Snapshots are kept at most every few minutes and before large deletions. ' +
+        'Older snapshots are thinned to one per hour, then one per day.';
+
+      const days = SETTINGS_PANEL._numberField('Keep snapshots for (days)', 'historyRetentionDays', 1, 365);
+
+      const actions = document.createElement('div');
+      actions.className = 'settings-actions';
+      const clearBtn = document.createElement('button');
+      clearBtn.type = 'button';
+      clearBtn.className = 'settings-btn settings-btn--danger';
+      clearBtn.textContent = 'Delete all snapshots';
+      const status = document.createElement('p');
+      status.className = 'settings-status';
+      status.setAttribute('role', 'status');
+      clearBtn.addEventListener('click', async () => {
+        if (!confirm('Delete the version history of every note?')) return;
+        await HISTORY.clear();
+        status.textContent = 'Version history deleted.';
+      });
+      actions.appendChild(clearBtn);
+
+      container.append(hint, days, actions, status);
+    },
+
+    renderTrash(container) {
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.textContent = 'Deleted notes and cleared content can be restored from the trash until they expire.';
+      container.append(hint, SETTINGS_PANEL._numberField('Delete trashed items after (days)', 'trashRetentionDays', 1, 365));
+    },
+
+    /** Validate one link rule draft. Returns an error message or ''. */
+    validateLinkRule(rule) {
+      if (!rule.pattern.trim()) return 'Pattern is required.';
+      if (!LINKS.compileRule(rule)) return 'Pattern is not a valid regular expression.';
+      if (!/^https?:\/\/\S+$/i.test(rule.urlTemplate.trim())) return 'URL template must start with http:// or https://.';
+      return '';
+    },
+
+    renderLinkRules(container) {
+      const draft = SETTINGS.get('linkRules').map((rule) => Object.assign({}, rule));
+
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.innerHTML =
+        'Text matching a pattern becomes a link. In the URL template use ' +
+        '<code>$0</code> for the whole match and <code>$1</code>, <code>$2</code>… ' +
+        'or <code>$&lt;name&gt;</code> for capture groups; matched text is URL-encoded except for <code>/</code>.';
+
+      const listEl = document.createElement('div');
+      listEl.className = 'link-rule-list';
+
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'settings-btn';
+      addBtn.textContent = 'Add rule';
+
+      const tryLabel = document.createElement('label');
+      tryLabel.className = 'settings-field';
+      tryLabel.innerHTML = '<span class="settings-field-label">Try it</span>';
+      const tryInput = document.createElement('input');
+      tryInput.type = 'text';
+      tryInput.className = 'settings-input';
+      tryInput.placeholder = 'e.g. Fixed in PORTAL-123, see org/repo#42';
+      tryLabel.appendChild(tryInput);
+      const preview = document.createElement('div');
+      preview.className = 'link-rule-preview';
+
+      const actions = document.createElement('div');
+      actions.className = 'settings-actions';
+      const saveBtn = document.createElement('button');
+      saveBtn.type = 'button';
+      saveBtn.className = 'settings-btn settings-btn--primary';
+      saveBtn.textContent = 'Save rules';
+      const relinkBtn = document.createElement('button');
+      relinkBtn.type = 'button';
+      relinkBtn.className = 'settings-btn';
+      relinkBtn.textContent = 'Re-link all notes';
+      relinkBtn.title = 'Re-apply the saved rules to every existing note';
+      const status = document.createElement('p');
+      status.className = 'settings-status';
+      status.setAttribute('role', 'status');
+      actions.append(saveBtn, relinkBtn);
+
+      const updatePreview = () => {
+        preview.innerHTML = tryInput.value
+          ? LINKS._linkifyLine(tryInput.value, LINKS.compileRules(draft))
+          : '';
+      };
+
+      const renderRows = () => {
+        listEl.replaceChildren();
+        if (!draft.length) {
+          const empty = document.createElement('p');
+          empty.className = 'settings-empty';
+          empty.textContent = 'No rules. Only web addresses are linked.';
+          listEl.appendChild(empty);
+        }
+
+        draft.forEach((rule, idx) => {
+          const row = document.createElement('div');
+          row.className = 'link-rule';
+
+          const pattern = document.createElement('input');
+          pattern.type = 'text';
+          pattern.className = 'settings-input settings-input--mono';
+          pattern.placeholder = 'Pattern, e.g. \\bPROJ-\\d+\\b';
+          pattern.setAttribute('aria-label', `Rule ${idx + 1} pattern`);
+          pattern.value = rule.pattern;
+
+          const template = document.createElement('input');
+          template.type = 'text';
+          template.className = 'settings-input settings-input--mono';
+          template.placeholder = 'https://example.atlassian.net/browse/$0';
+          template.setAttribute('aria-label', `Rule ${idx + 1} URL template`);
+          template.value = rule.urlTemplate;
+
+          const caseLabel = document.createElement('label');
+          caseLabel.className = 'settings-check';
+          const caseInput = document.createElement('input');
+          caseInput.type = 'checkbox';
+          caseInput.checked = !!rule.ignoreCase;
+          caseLabel.append(caseInput, document.createTextNode('Ignore case'));
+
+          const removeBtn = document.createElement('button');
+          removeBtn.type = 'button';
+          removeBtn.className = 'settings-btn settings-btn--danger';
+          removeBtn.textContent = 'Remove';
+          removeBtn.setAttribute('aria-label', `Remove rule ${idx + 1}`);
+
+          const error = document.createElement('p');
+          error.className = 'settings-error';
+
+          const refreshError = () => {
+            const message = SETTINGS_PANEL.validateLinkRule(rule);
+            error.textContent = message;
+            row.classList.toggle('has-error', !!message);
+          };
+
+          pattern.addEventListener('input', () => { rule.pattern = pattern.value; refreshError(); updatePreview(); });
+          template.addEventListener('input', () => { rule.urlTemplate = template.value; refreshError(); updatePreview(); });
+          caseInput.addEventListener('change', () => { rule.ignoreCase = caseInput.checked; updatePreview(); });
+          removeBtn.addEventListener('click', () => {
+            draft.splice(idx, 1);
+            renderRows();
+            updatePreview();
+          });
+
+          const options = document.createElement('div');
+          options.className = 'link-rule-options';
+          options.append(caseLabel, removeBtn);
+
+          row.append(pattern, template, options, error);
+          listEl.appendChild(row);
+          if (rule.pattern || rule.urlTemplate) refreshError();
+        });
+      };
+
+      addBtn.addEventListener('click', () => {
+        draft.push({ id: createId('rule'), pattern: '', ignoreCase: false, urlTemplate: '' });
+        renderRows();
+        const inputs = listEl.querySelectorAll('.link-rule:last-child input');
+        if (inputs[0]) inputs[0].focus();
+      });
+
+      tryInput.addEventListener('input', updatePreview);
+      preview.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href]');
+        if (!link) return;
+        e.preventDefault();
+        chrome.tabs.create({ url: link.href, active: false });
+      });
+
+      saveBtn.addEventListener('click', async () => {
+        const invalid = draft.some((rule) => SETTINGS_PANEL.validateLinkRule(rule));
+        if (invalid) {
+          renderRows();
+          status.textContent = 'Fix the highlighted rules before saving.';
+          return;
+        }
+        const rules = draft.map((rule) => ({
+          id: rule.id,
+          pattern: rule.pattern.trim(),
+          ignoreCase: !!rule.ignoreCase,
+          urlTemplate: rule.urlTemplate.trim(),
+        }));
+        await SETTINGS.set('linkRules', rules);
+        status.textContent = 'Rules saved. New text is linked with them; use “Re-link all notes” to update existing notes.';
+      });
+
+      relinkBtn.addEventListener('click', async () => {
+        const count = await LINKS.relinkifyAllNotes();
+        status.textContent = count === 1 ? 'Updated links in 1 note.' : `Updated links in ${count} notes.`;
+      });
+
+      renderRows();
+      container.append(hint, listEl, addBtn, tryLabel, preview, actions, status);
+    },
+  };
+
+  /* ============================================================
+     SEARCH — full-text search across every note
+     ============================================================ */
+  const SEARCH = {
+    BLOCK_TAGS: new Set([
+      'P', 'DIV', 'LI', 'UL', 'OL', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+      'BLOCKQUOTE', 'PRE', 'TABLE', 'TR', 'TD', 'TH', 'HR',
+    ]),
+    SNIPPET_CONTEXT: 40,
+    MAX_SNIPPETS: 3,
+    MAX_RESULTS: 200,
+
+    query: '',
+    matchCase: false,
+    wholeWord: false,
+    _textCache: new Map(),  // tabId → { content, text }
+    _inputTimer: null,
+    _resultsEl: null,
+    _summaryEl: null,
+
+    /**
+     * Flatten a DOM subtree to searchable text, with a newline per block.
+     * With `withSegments`, also records where each text node starts so
+     * offsets can be mapped back to DOM positions.
+     */
+    extractText(root, withSegments = false) {
+      let text = '';
+      const segments = withSegments ? [] : null;
+
+      const walk = (node) => {
+        for (let child = node.firstChild; child; child = child.nextSibling) {
+          if (child.nodeType === Node.TEXT_NODE) {
+            if (segments) segments.push({ node: child, start: text.length });
+            text += child.nodeValue;
+          } else if (child.nodeType === Node.ELEMENT_NODE) {
+            if (child.tagName === 'BR') {
+              text += '\n';
+              continue;
+            }
+            const isBlock = SEARCH.BLOCK_TAGS.has(child.tagName);
+            if (isBlock && text && !text.endsWith('\n')) text += '\n';
+            walk(child);
+            if (isBlock && text && !text.endsWith('\n')) text += '\n';
+          }
+        }
+      };
+
+      walk(root);
+      return { text, segments };
+    },
+
+    /** Plain text of a tab; the active tab is read live from the editor. */
+    getTabText(tab) {
+      if (tab.id === STATE.activeTabId && EDITOR.el) {
+        return SEARCH.extractText(EDITOR.el).text;
+      }
+      const content = tab.content || '';
+      const cached = SEARCH._textCache.get(tab.id);
+      if (cached && cached.content === content) return cached.text;
+
+      const tpl = document.createElement('template');
+      tpl.innerHTML = content;
+      const { text } = SEARCH.extractText(tpl.content);
+      SEARCH._textCache.set(tab.id, { content, text });
+      return text;
+    },
+
+    /** Split a query into terms; "quoted phrases" stay together. */
+    parseTerms(query) {
+      const terms = [];
+      const re = /"([^"]+)"|(\S+)/g;
+      let m;
+      while ((m = re.exec(query)) !== null) {
+        const term = (m[1] || m[2] || '').trim();
+        if (term) terms.push(term);
+      }
+      return terms;
+    },
+
+    buildRegExp(terms, { matchCase = false, wholeWord = false } = {}) {
+      const alternatives = terms
+        .slice()
+        .sort((a, b) => b.length - a.length) // prefer the longest term at a position
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const body = '(?:' + alternatives.join('|') + ')';
+      const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])` : body;
+      return new RegExp(source, matchCase ? 'gu' : 'giu');
+    },
+
+    _findMatches(text, re) {
+      const matches = [];
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(text)) !== null) {
+        if (!m[0]) {
+          re.lastIndex += 1;
+          continue;
+        }
+        matches.push({ start: m.index, end: m.index + m[0].length, value: m[0] });
+      }
+      return matches;
+    },
+
+    /**
+     * Search all tabs. A tab matches when every term occurs in its name or
+     * text. Results are ranked by name hits, match density and recency.
+     * @returns {Array<{ tab, score, matches, nameMatches, text }>}
+     */
+    run(query, options = {}) {
+      const terms = SEARCH.parseTerms(query);
+      if (!terms.length) return [];
+
+      const re = SEARCH.buildRegExp(terms, options);
+      const termRes = terms.map((term) => SEARCH.buildRegExp([term], options));
+      const results = [];
+
+      STATE.tabs.forEach((tab) => {
+        const text = SEARCH.getTabText(tab);
+        const name = tab.name || '';
+        const hasAllTerms = termRes.every((termRe) => {
+          termRe.lastIndex = 0;
+          if (termRe.test(name)) return true;
+          termRe.lastIndex = 0;
+          return termRe.test(text);
+        });
+        if (!hasAllTerms) return;
+
+        const matches = SEARCH._findMatches(text, re);
+        const nameMatches = SEARCH._findMatches(name, re);
+        const phraseBonus = terms.length > 1 && text.toLowerCase().includes(query.trim().toLowerCase()) ? 5 : 0;
+        const score =
+          nameMatches.length * 10 +
+          Math.min(matches.length, 20) +
+          (matches.length ? 5 * (1 - matches[0].start / Math.max(text.length, 1)) : 0) +
+          phraseBonus;
+
+        results.push({ tab, score, matches, nameMatches, text });
+      });
+
+      results.sort((a, b) => (b.score - a.score) || ((b.tab.updatedAt || 0) - (a.tab.updatedAt || 0)));
+      return results.slice(0, SEARCH.MAX_RESULTS);
+    },
+
+    /** Escape `text` and wrap the given [start, end) ranges in <mark>. */
+    _markHTML(text, matches, offset = 0) {
+      let html = '';
+      let last = 0;
+      matches.forEach((match) => {
+        const start = match.start - offset;
+        const end = match.end - offset;
+        if (start < last || end > text.length) return;
+        html += escapeHTML(text.slice(last, start)) + '<mark>' + escapeHTML(text.slice(start, end)) + '</mark>';
+        last = end;
+      });
+      return html + escapeHTML(text.slice(last));
+    },
+
+    _buildSnippets(text, matches) {
+      const snippets = [];
+      let coveredUntil = -1;
+
+      for (const match of matches) {
+        if (snippets.length >= SEARCH.MAX_SNIPPETS) break;
+        if (match.start < coveredUntil) continue;
+
+        let start = Math.max(0, match.start - SEARCH.SNIPPET_CONTEXT);
+        let end = Math.min(text.length, match.end + SEARCH.SNIPPET_CONTEXT);
+        // Stay on the matching line so snippets read naturally.
+        const lineStart = text.lastIndexOf('\n', match.start - 1) + 1;
+        const lineEnd = text.indexOf('\n', match.end);
+        start = Math.max(start, lineStart);
+        if (lineEnd !== -1) end = Math.min(end, lineEnd);
+
+        const inSnippet = matches.filter((m) => m.start >= start && m.end <= end);
+        const lineLimit = lineEnd === -1 ? text.length : lineEnd;
+        snippets.push({
+          match,
+          html:
+            (start > lineStart ? '…' : '') +
+            SEARCH._markHTML(text.slice(start, end), inSnippet, start) +
+            (end < lineLimit ? '…' : ''),
+        });
+        coveredUntil = end;
+      }
+      return snippets;
+    },
+
+    open() {
+      PANEL.open('search', 'Search notes', (body) => SEARCH._renderPanel(body), () => {
+        SEARCH._resultsEl = null;
+        SEARCH._summaryEl = null;
+        if (SEARCH._inputTimer) clearTimeout(SEARCH._inputTimer);
+      });
+      const input = PANEL.el.querySelector('.search-input');
+      if (input) input.select();
+      if (STATE.tabs.some((tab) => !STORAGE.isLoaded(tab))) {
+        STORAGE.ensureContent().then(() => SEARCH._refreshResults());
+      }
+    },
+
+    _renderPanel(body) {
+      const form = document.createElement('div');
+      form.className = 'search-form';
+
+      const input = document.createElement('input');
+      input.type = 'search';
+      input.className = 'settings-input search-input';
+      input.placeholder = 'Search all notes';
+      input.setAttribute('aria-label', 'Search all notes');
+      input.value = SEARCH.query;
+
+      const options = document.createElement('div');
+      options.className = 'search-options';
+      const makeToggle = (label, key) => {
+        const wrap = document.createElement('label');
+        wrap.className = 'settings-check';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = SEARCH[key];
+        box.addEventListener('change', () => {
+          SEARCH[key] = box.checked;
+          SEARCH._refreshResults();
+        });
+        wrap.append(box, document.createTextNode(label));
+        return wrap;
+      };
+      options.append(makeToggle('Match case', 'matchCase'), makeToggle('Whole word', 'wholeWord'));
+
+      const summary = document.createElement('p');
+      summary.className = 'search-summary';
+      summary.setAttribute('role', 'status');
+
+      const results = document.createElement('ol');
+      results.className = 'search-results';
+      results.setAttribute('aria-label', 'Search results');
+
+      input.addEventListener('input', () => {
+        SEARCH.query = input.value;
+        if (SEARCH._inputTimer) clearTimeout(SEARCH._inputTimer);
+        SEARCH._inputTimer = setTimeout(() => SEARCH._refreshResults(), 120);
+      });
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          if (SEARCH._inputTimer) {
+            clearTimeout(SEARCH._inputTimer);
+            SEARCH._refreshResults();
+          }
+          const first = results.querySelector('.search-hit');
+          if (first) first.click();
+        } else if (e.key === 'ArrowDown') {
+          const first = results.querySelector('.search-hit');
+          if (first) {
+            e.preventDefault();
+            first.focus();
+          }
+        }
+      });
+
+      results.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        const hits = Array.from(results.querySelectorAll('.search-hit'));
+        const idx = hits.indexOf(document.activeElement);
+        if (idx === -1) return;
+        e.preventDefault();
+        if (e.key === 'ArrowUp' && idx === 0) {
+          input.focus();
+          return;
+        }
+        const next = hits[Math.min(hits.length - 1, idx + (e.key === 'ArrowDown' ? 1 : -1))];
+        if (next) next.focus();
+      });
+
+      form.append(input, options);
+      body.append(form, summary, results);
+      SEARCH._resultsEl = results;
+      SEARCH._summaryEl = summary;
+      SEARCH._refreshResults();
+    },
+
+    _refreshResults() {
+      SEARCH._inputTimer = null;
+      const resultsEl = SEARCH._resultsEl;
+      const summaryEl = SEARCH._summaryEl;
+      if (!resultsEl || !summaryEl) return;
+
+      resultsEl.replaceChildren();
+      if (!SEARCH.query.trim()) {
+        summaryEl.textContent = '';
+        return;
+      }
+
+      const results = SEARCH.run(SEARCH.query, { matchCase: SEARCH.matchCase, wholeWord: SEARCH.wholeWord });
+      const total = results.reduce((sum, r) => sum + r.matches.length, 0);
+      summaryEl.textContent = results.length
+        ? `${total} ${total === 1 ? 'match' : 'matches'} in ${results.length} ${results.length === 1 ? 'note' : 'notes'}`
+        : 'No matches';
+
+      const frag = document.createDocumentFragment();
+      results.forEach((result) => {
+        const item = document.createElement('li');
+        item.className = 'search-result';
+
+        const header = document.createElement('button');
+        header.type = 'button';
+        header.className = 'search-hit search-result-title';
+        header.innerHTML =
+          '<span class="search-result-name">' + SEARCH._markHTML(result.tab.name || '', result.nameMatches) + '</span>' +
+          '<span class="search-result-count">' + result.matches.length + '</span>';
+        header.addEventListener('click', () => {
+          const first = result.matches[0];
+          SEARCH.reveal(result.tab.id, first ? first.start : -1);
+        });
+        item.appendChild(header);
+
+        SEARCH._buildSnippets(result.text, result.matches).forEach((snippet) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'search-hit search-snippet';
+          btn.innerHTML = snippet.html;
+          btn.addEventListener('click', () => SEARCH.reveal(result.tab.id, snippet.match.start));
+          item.appendChild(btn);
+        });
+
+        frag.appendChild(item);
+      });
+      resultsEl.appendChild(frag);
+    },
+
+    /**
+     * Open a tab and highlight every match of the current query, scrolling
+     * the one starting at text offset `start` into view.
+     */
+    async reveal(tabId, start) {
+      PANEL.close(false);
+      await TABS.switchTo(tabId);
+      if (!EDITOR.el) return;
+
+      EDITOR.el.focus({ preventScroll: true });
+      const terms = SEARCH.parseTerms(SEARCH.query);
+      if (!terms.length) return;
+
+      const { text, segments } = SEARCH.extractText(EDITOR.el, true);
+      const re = SEARCH.buildRegExp(terms, { matchCase: SEARCH.matchCase, wholeWord: SEARCH.wholeWord });
+      const found = SEARCH._findMatches(text, re)
+        .map((m) => ({ start: m.start, range: SEARCH._rangeForOffsets(segments, m.start, m.end) }))
+        .filter((m) => m.range);
+      if (!found.length) return;
+
+      const current = (found.find((m) => m.start === start) || found[0]).range;
+      SEARCH.highlight(found.map((m) => m.range), current);
+
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      const caret = current.cloneRange();
+      caret.collapse(true);
+      sel.addRange(caret);
+
+      const el = current.startContainer.parentElement;
+      if (el) el.scrollIntoView({ block: 'center', inline: 'nearest' });
+    },
+
+    _rangeForOffsets(segments, start, end) {
+      const locate = (offset, preferNext) => {
+        for (let i = 0; i < segments.length; i += 1) {
+          const seg = segments[i];
+          const len = seg.node.nodeValue.length;
+          const within = preferNext ? offset < seg.start + len : offset <= seg.start + len;
+          if (offset >= seg.start && within) return { node: seg.node, offset: offset - seg.start };
+        }
+        return null;
+      };
+      const from = locate(start, true);
+      const to = locate(end, false);
+      if (!from || !to) return null;
+      const range = document.createRange();
+      range.setStart(from.node, from.offset);
+      range.setEnd(to.node, to.offset);
+      return range;
+    },
+
+    /** Paint match ranges without touching note HTML (CSS Custom Highlight API). */
+    highlight(ranges, current) {
+      if (!window.CSS || !CSS.highlights || typeof Highlight !== 'function') {
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(current);
+        return;
+      }
+      CSS.highlights.set('search-match', new Highlight(...ranges));
+      CSS.highlights.set('search-current', new Highlight(current));
+    },
+
+    clearHighlights() {
+      if (!window.CSS || !CSS.highlights) return;
+      CSS.highlights.delete('search-match');
+      CSS.highlights.delete('search-current');
+    },
+  };
+
+  /* ============================================================
+     ALL_NOTES — every note in one filterable, sortable list
+     ============================================================ */
+  const ALL_NOTES = {
+    SORTS: [
+      { id: 'order', label: 'Tab order' },
+      { id: 'name', label: 'Name (A–Z)', compare: (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }) },
+      { id: 'created-desc', label: 'Created (newest first)', compare: (a, b) => (b.createdAt || 0) - (a.createdAt || 0) },
+      { id: 'created-asc', label: 'Created (oldest first)', compare: (a, b) => (a.createdAt || 0) - (b.createdAt || 0) },
+      { id: 'updated-desc', label: 'Last edited (most recent first)', compare: (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0) },
     ],
 
-    render(el) {
-      TOOLBAR.el = el;
-      el.innerHTML = '';
+    filter: '',
+    sort: 'order',
+    _selected: new Set(),
+    _refresh: null,     // re-renders the open panel's list
+    _unread: new Map(), // tabId → { content, text } of notes not in memory, while the list is open
+
+    open() {
+      ALL_NOTES._selected = new Set();
+      PANEL.open('all-notes', 'All notes', (body) => ALL_NOTES._render(body), () => {
+        ALL_NOTES._refresh = null;
+        ALL_NOTES._unread.clear();
+      });
+      const input = PANEL.el.querySelector('.all-notes-filter');
+      if (input) input.select();
+      // Previews and sizes of unread notes are read for the list only, without
+      // loading them into memory; the list fills in as they arrive.
+      const unread = STATE.tabs.filter((tab) => !STORAGE.isLoaded(tab));
+      if (unread.length) {
+        STORAGE.readContents(unread).then((contents) => {
+          if (!ALL_NOTES._refresh) return;
+          contents.forEach((content, id) => {
+            const tpl = document.createElement('template');
+            tpl.innerHTML = content;
+            ALL_NOTES._unread.set(id, { content, text: SEARCH.extractText(tpl.content).text });
+          });
+          ALL_NOTES._refresh();
+        });
+      }
+    },
+
+    /** `{ content, text }` of a note, or null while an unread note is still being read. */
+    _contentOf(tab) {
+      if (!STORAGE.isLoaded(tab)) return ALL_NOTES._unread.get(tab.id) || null;
+      return {
+        content: tab.id === STATE.activeTabId ? EDITOR.getHTML() : tab.content,
+        text: SEARCH.getTabText(tab),
+      };
+    },
+
+    _sortDef() {
+      return ALL_NOTES.SORTS.find((s) => s.id === ALL_NOTES.sort) || ALL_NOTES.SORTS[0];
+    },
+
+    /** Tabs to list: filtered by name or text, in the chosen order. */
+    _visibleTabs() {
+      const needle = ALL_NOTES.filter.trim().toLowerCase();
+      const tabs = STATE.tabs.filter((tab) => {
+        if (!needle) return true;
+        if (tab.name.toLowerCase().includes(needle)) return true;
+        const note = ALL_NOTES._contentOf(tab);
+        return !!note && note.text.toLowerCase().includes(needle);
+      });
+      const { compare } = ALL_NOTES._sortDef();
+      return compare ? tabs.slice().sort(compare) : tabs;
+    },
+
+    _render(body) {
+      const controls = document.createElement('div');
+      controls.className = 'all-notes-controls';
+
+      const input = document.createElement('input');
+      input.type = 'search';
+      input.className = 'settings-input all-notes-filter';
+      input.placeholder = 'Filter notes';
+      input.setAttribute('aria-label', 'Filter notes');
+      input.value = ALL_NOTES.filter;
+
+      const sortSelect = document.createElement('select');
+      sortSelect.className = 'settings-input all-notes-sort';
+      sortSelect.setAttribute('aria-label', 'Sort by');
+      ALL_NOTES.SORTS.forEach((sort) => sortSelect.add(new Option(sort.label, sort.id)));
+      sortSelect.value = ALL_NOTES.sort;
+
+      const applyBtn = document.createElement('button');
+      applyBtn.type = 'button';
+      applyBtn.className = 'settings-btn';
+      applyBtn.textContent = 'Apply to tabs';
+      applyBtn.title = 'Reorder the tabs to match this sort';
+
+      controls.append(input, sortSelect, applyBtn);
+
+      const bulk = document.createElement('div');
+      bulk.className = 'all-notes-bulk';
+      const selectAllLabel = document.createElement('label');
+      selectAllLabel.className = 'settings-check';
+      const selectAll = document.createElement('input');
+      selectAll.type = 'checkbox';
+      const countEl = document.createElement('span');
+      selectAllLabel.append(selectAll, countEl);
+      const exportBtn = document.createElement('button');
+      exportBtn.type = 'button';
+      exportBtn.className = 'settings-btn';
+      exportBtn.textContent = 'Export';
+      exportBtn.title = 'Save the selected notes as a backup file';
+      const mergeBtn = document.createElement('button');
+      mergeBtn.type = 'button';
+      mergeBtn.className = 'settings-btn';
+      mergeBtn.textContent = 'Merge';
+      mergeBtn.title = 'Combine the selected notes into the first of them, one section per note';
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'settings-btn settings-btn--danger';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.title = 'Move the selected notes to the trash (pinned notes are kept)';
+      bulk.append(selectAllLabel, exportBtn, mergeBtn, deleteBtn);
+
+      const listEl = document.createElement('ol');
+      listEl.className = 'all-notes-list';
+      listEl.setAttribute('aria-label', 'Notes');
+
+      const updateBulk = (visible) => {
+        const selectedVisible = visible.filter((tab) => ALL_NOTES._selected.has(tab.id));
+        selectAll.checked = visible.length > 0 && selectedVisible.length === visible.length;
+        selectAll.indeterminate = selectedVisible.length > 0 && selectedVisible.length < visible.length;
+        countEl.textContent = ALL_NOTES._selected.size ? `${ALL_NOTES._selected.size} selected` : 'Select all';
+        exportBtn.disabled = !ALL_NOTES._selected.size;
+        mergeBtn.disabled = ALL_NOTES._selected.size < 2;
+        deleteBtn.disabled = !ALL_NOTES._selected.size;
+        applyBtn.disabled = !ALL_NOTES._sortDef().compare;
+      };
+
+      const renderList = () => {
+        // Drop selections of notes that are gone (deleted here or elsewhere).
+        ALL_NOTES._selected.forEach((id) => {
+          if (!STATE.tabs.some((t) => t.id === id)) ALL_NOTES._selected.delete(id);
+        });
+        const visible = ALL_NOTES._visibleTabs();
+        listEl.replaceChildren();
+        if (!visible.length) {
+          const empty = document.createElement('li');
+          empty.className = 'settings-empty';
+          empty.textContent = 'No notes match.';
+          listEl.appendChild(empty);
+        }
+        visible.forEach((tab) => listEl.appendChild(ALL_NOTES._renderItem(tab, () => updateBulk(visible))));
+        updateBulk(visible);
+      };
+      ALL_NOTES._refresh = renderList;
+
+      input.addEventListener('input', () => {
+        ALL_NOTES.filter = input.value;
+        renderList();
+      });
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+          const first = listEl.querySelector('.all-notes-open');
+          if (first) {
+            e.preventDefault();
+            first.focus();
+          }
+        }
+      });
+      listEl.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        const items = Array.from(listEl.querySelectorAll('.all-notes-open'));
+        const idx = items.indexOf(document.activeElement);
+        if (idx === -1) return;
+        e.preventDefault();
+        if (e.key === 'ArrowUp' && idx === 0) {
+          input.focus();
+          return;
+        }
+        const next = items[Math.min(items.length - 1, idx + (e.key === 'ArrowDown' ? 1 : -1))];
+        if (next) next.focus();
+      });
+      sortSelect.addEventListener('change', () => {
+        ALL_NOTES.sort = sortSelect.value;
+        renderList();
+      });
+      applyBtn.addEventListener('click', () => {
+        const sort = ALL_NOTES._sortDef();
+        if (!sort.compare) return;
+        TABS.sortBy(sort.compare, sort.label);
+        ALL_NOTES.sort = 'order';
+        sortSelect.value = 'order';
+        renderList();
+      });
+      selectAll.addEventListener('change', () => {
+        ALL_NOTES._visibleTabs().forEach((tab) => {
+          if (selectAll.checked) ALL_NOTES._selected.add(tab.id);
+          else ALL_NOTES._selected.delete(tab.id);
+        });
+        renderList();
+      });
+      exportBtn.addEventListener('click', async () => {
+        const count = await BACKUP.export(STATE.tabs.filter((tab) => ALL_NOTES._selected.has(tab.id)));
+        TOAST.show(`Exported ${count} ${count === 1 ? 'note' : 'notes'}.`);
+      });
+      mergeBtn.addEventListener('click', async () => {
+        if (await NOTE_OPS.merge(Array.from(ALL_NOTES._selected))) ALL_NOTES._selected.clear();
+        renderList();
+      });
+      deleteBtn.addEventListener('click', async () => {
+        const ids = Array.from(ALL_NOTES._selected);
+        const pinned = STATE.tabs.filter((tab) => ids.includes(tab.id) && tab.pinned).length;
+        if (ids.length - pinned >= STATE.tabs.length) {
+          TOAST.show('Keep at least one note.');
+          return;
+        }
+        await TABS.deleteTabs(ids);
+        ALL_NOTES._selected.clear();
+        renderList();
+      });
+
+      renderList();
+      body.append(controls, bulk, listEl);
+    },
+
+    _renderItem(tab, onSelect) {
+      const row = document.createElement('li');
+      row.className = 'all-notes-item' + (tab.id === STATE.activeTabId ? ' is-active' : '');
+
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.className = 'all-notes-check';
+      check.checked = ALL_NOTES._selected.has(tab.id);
+      check.setAttribute('aria-label', `Select ${tab.name}`);
+      check.addEventListener('change', () => {
+        if (check.checked) ALL_NOTES._selected.add(tab.id);
+        else ALL_NOTES._selected.delete(tab.id);
+        onSelect();
+      });
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'all-notes-open';
+
+      const name = document.createElement('span');
+      name.className = 'trash-item-name';
+      name.textContent = (tab.icon ? tab.icon + ' ' : '') + tab.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'trash-item-meta';
+      const parts = [`Edited ${formatRelativeTime(tab.updatedAt || tab.createdAt || Date.now())}`];
+      const preview = document.createElement('span');
+      preview.className = 'trash-item-preview';
+      const note = ALL_NOTES._contentOf(tab);
+      if (note) {
+        parts.push(formatBytes(new Blob([note.content]).size));
+        const firstLine = note.text.split('\n').find((line) => line.trim());
+        preview.textContent = firstLine ? firstLine.trim() : '(empty)';
+      } else {
+        preview.textContent = '…';
+      }
+      if (tab.pinned) parts.push('Pinned');
+      const tags = TAGS.tagsOf(tab);
+      if (tags.length) parts.push(tags.map((tag) => `#${tag}`).join(' '));
+      meta.textContent = parts.join(' · ');
+      meta.title = `Created ${new Date(tab.createdAt).toLocaleString()} · Edited ${new Date(tab.updatedAt).toLocaleString()}`;
+
+      open.append(name, meta, preview);
+      open.addEventListener('click', () => {
+        PANEL.close(false);
+        TABS.switchTo(tab.id).then(() => EDITOR.focus(false));
+      });
+
+      row.append(check, open);
+      return row;
+    },
+  };
+
+  /* ============================================================
+     HISTORY — automatic per-note snapshots with retention
+     ============================================================ */
+  const HISTORY = {
+    KEY: 'notebookHistory',
+    MIN_INTERVAL_MS: 5 * 60 * 1000,
+    MAX_PER_TAB: 50,
+    MAX_BYTES: 4 * 1024 * 1024,  // history shares the storage quota with the notes
+    LARGE_EDIT_RATIO: 0.5,  // shrinking below half the previous size always snapshots
+    HOUR_MS: 60 * 60 * 1000,
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    snapshots: {},          // tabId → Array<{ id, at, content, reason }>, oldest first
+    _baseline: new Map(),   // tabId → content as of the previous save
+    _persistTimer: null,
+
+    async load() {
+      const stored = await new Promise((resolve) => {
+        chrome.storage.local.get(HISTORY.KEY, (result) => {
+          resolve(result[HISTORY.KEY] || null);
+        });
+      });
+      HISTORY.snapshots = stored || {};
+    },
+
+    _schedulePersist() {
+      if (HISTORY._persistTimer) clearTimeout(HISTORY._persistTimer);
+      HISTORY._persistTimer = setTimeout(() => HISTORY.persist(), 1000);
+    },
+
+    async persist() {
+      if (HISTORY._persistTimer) {
+        clearTimeout(HISTORY._persistTimer);
+        HISTORY._persistTimer = null;
+      }
+      HISTORY._capSize();
+      try {
+        await STORAGE._set({ [HISTORY.KEY]: HISTORY.snapshots });
+        STATUS_BAR.setStoreError('history', '');
+      } catch (err) {
+        STATUS_BAR.setStoreError('history', err.message);
+      }
+    },
+
+    /** Drop the oldest snapshots, whichever notes they belong to, until history fits in MAX_BYTES. */
+    _capSize() {
+      const all = [];
+      Object.keys(HISTORY.snapshots).forEach((tabId) => {
+        HISTORY.snapshots[tabId].forEach((snap) => all.push({ snap, bytes: JSON.stringify(snap).length }));
+      });
+      let total = all.reduce((sum, item) => sum + item.bytes, 0);
+      if (total <= HISTORY.MAX_BYTES) return;
+
+      const dropped = new Set();
+      all.sort((a, b) => a.snap.at - b.snap.at);
+      for (const item of all) {
+        if (total <= HISTORY.MAX_BYTES) break;
+        dropped.add(item.snap);
+        total -= item.bytes;
+      }
+      Object.keys(HISTORY.snapshots).forEach((tabId) => {
+        const kept = HISTORY.snapshots[tabId].filter((snap) => !dropped.has(snap));
+        if (kept.length) HISTORY.snapshots[tabId] = kept;
+        else delete HISTORY.snapshots[tabId];
+      });
+    },
+
+    /** Remember loaded content so the first edit can snapshot what was there. */
+    setBaseline(tabs) {
+      HISTORY._baseline.clear();
+      tabs.forEach((tab) => {
+        if (STORAGE.isLoaded(tab)) HISTORY._baseline.set(tab.id, tab.content);
+      });
+    },
+
+    /** Move one tab's baseline without taking a snapshot (content rewritten, not edited). */
+    updateBaseline(tabId, content) {
+      HISTORY._baseline.set(tabId, content || '');
+    },
+
+    /** Rough size of a note's visible content; images count as a few words. */
+    _contentWeight(html) {
+      return (html || '')
+        .replace(/<img\b[^>]*>/gi, 'image-placeholder')
+        .replace(/<[^>]+>/g, '')
+        .length;
+    },
+
+    /**
+     * Called on every save with the tabs about to be written. When a tab's
+     * content changed, the version it replaces is kept if the last snapshot
+     * is older than MIN_INTERVAL_MS or the edit removed most of the note.
+     */
+    captureChanges(tabs) {
+      const now = Date.now();
+      let added = false;
+
+      tabs.forEach((tab) => {
+        if (!STORAGE.isLoaded(tab)) return;
+        const content = tab.content;
+        if (!HISTORY._baseline.has(tab.id)) {
+          HISTORY._baseline.set(tab.id, content);
+          return;
+        }
+
+        const previous = HISTORY._baseline.get(tab.id);
+        if (previous === content) return;
+        HISTORY._baseline.set(tab.id, content);
+        if (!previous) return;
+
+        const list = HISTORY.snapshots[tab.id] || [];
+        const last = list[list.length - 1];
+        if (last && last.content === previous) return;
+
+        const isLargeEdit = HISTORY._contentWeight(content) < HISTORY._contentWeight(previous) * HISTORY.LARGE_EDIT_RATIO;
+        if (!isLargeEdit && last && now - last.at < HISTORY.MIN_INTERVAL_MS) return;
+
+        HISTORY._push(tab.id, previous, isLargeEdit ? 'large-edit' : 'auto', now);
+        added = true;
+      });
+
+      if (added) HISTORY._schedulePersist();
+    },
+
+    /** Snapshot a tab's current content right away (manual or before restore). */
+    takeSnapshot(tabId, content, reason = 'manual') {
+      const list = HISTORY.snapshots[tabId] || [];
+      const last = list[list.length - 1];
+      if (!content || (last && last.content === content)) return false;
+      HISTORY._push(tabId, content, reason, Date.now());
+      HISTORY._schedulePersist();
+      return true;
+    },
+
+    _push(tabId, content, reason, at) {
+      const list = HISTORY.snapshots[tabId] || [];
+      list.push({ id: createId('snap'), at, content, reason });
+      HISTORY.snapshots[tabId] = HISTORY._prune(list, at);
+    },
+
+    /**
+     * Retention: drop snapshots older than the configured number of days,
+     * keep one per hour after a day and one per day after a week, and cap
+     * each note at MAX_PER_TAB (newest win).
+     */
+    _prune(list, now = Date.now()) {
+      const retentionMs = Math.max(1, Number(SETTINGS.get('historyRetentionDays')) || 30) * HISTORY.DAY_MS;
+      const kept = [];
+      let lastBucket = null;
+
+      for (let i = list.length - 1; i >= 0; i -= 1) {
+        const snap = list[i];
+        const age = now - snap.at;
+        if (age > retentionMs) break;
+
+        let bucket = snap.id;
+        if (age > 7 * HISTORY.DAY_MS) bucket = 'd' + Math.floor(snap.at / HISTORY.DAY_MS);
+        else if (age > HISTORY.DAY_MS) bucket = 'h' + Math.floor(snap.at / HISTORY.HOUR_MS);
+        if (bucket === lastBucket) continue;
+        lastBucket = bucket;
+
+        kept.unshift(snap);
+        if (kept.length >= HISTORY.MAX_PER_TAB) break;
+      }
+      return kept;
+    },
+
+    /** Apply retention to every note and forget notes that no longer exist. */
+    pruneAll(liveTabIds) {
+      const now = Date.now();
+      let changed = false;
+      Object.keys(HISTORY.snapshots).forEach((tabId) => {
+        const list = HISTORY.snapshots[tabId];
+        const pruned = liveTabIds.has(tabId) ? HISTORY._prune(list, now) : [];
+        if (pruned.length === list.length) return;
+        changed = true;
+        if (pruned.length) HISTORY.snapshots[tabId] = pruned;
+        else delete HISTORY.snapshots[tabId];
+      });
+      if (changed) HISTORY._schedulePersist();
+    },
+
+    list(tabId) {
+      return (HISTORY.snapshots[tabId] || []).slice().reverse();
+    },
+
+    /** Replace a tab's content with a snapshot; the current content is snapshotted first. */
+    restore(tabId, snapshotId) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      const snap = (HISTORY.snapshots[tabId] || []).find((s) => s.id === snapshotId);
+      if (!tab || !snap) return false;
+
+      const current = tab.id === STATE.activeTabId ? EDITOR.getHTML() : (tab.content || '');
+      HISTORY.takeSnapshot(tabId, current, 'before-restore');
+
+      tab.content = snap.content;
+      tab.updatedAt = Date.now();
+      HISTORY._baseline.set(tabId, snap.content);
+      if (tab.id === STATE.activeTabId) EDITOR.setHTML(snap.content);
+      STORAGE.scheduleSave();
+      return true;
+    },
+
+    async clear() {
+      HISTORY.snapshots = {};
+      await HISTORY.persist();
+    },
+
+    /**
+     * Fold in snapshots persisted by another panel. Every panel writes the
+     * whole map, so lists are merged by snapshot id; an empty map is a clear.
+     */
+    adopt(stored) {
+      if (!Object.keys(stored).length) {
+        HISTORY.snapshots = {};
+        return;
+      }
+      Object.keys(stored).forEach((tabId) => {
+        const mine = HISTORY.snapshots[tabId] || [];
+        const known = new Set(mine.map((snap) => snap.id));
+        const extra = (stored[tabId] || []).filter((snap) => !known.has(snap.id));
+        if (!extra.length) return;
+        HISTORY.snapshots[tabId] = HISTORY._prune(mine.concat(extra).sort((a, b) => a.at - b.at));
+      });
+    },
+  };
+
+  /* ============================================================
+     HISTORY_PANEL — browse, diff, restore and copy from snapshots
+     ============================================================ */
+  const HISTORY_PANEL = {
+    REASON_LABELS: {
+      'auto': 'Autosave',
+      'large-edit': 'Before large edit',
+      'manual': 'Saved manually',
+      'before-restore': 'Before restore',
+      'other-window': 'From another window',
+      'before-split': 'Before split',
+      'before-move': 'Before moving text',
+      'before-merge': 'Before merge',
+    },
+    DIFF_CONTEXT_LINES: 2,
+    DIFF_MAX_CELLS: 4000000,
+
+    open(tabId = STATE.activeTabId) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      PANEL.open('history', `History — ${tab.name}`, (body) => HISTORY_PANEL._render(body, tab));
+    },
+
+    _render(body, tab) {
+      const state = { selectedId: null, mode: 'preview' };
+      const currentContent = () => (tab.id === STATE.activeTabId ? EDITOR.getHTML() : (tab.content || ''));
+
+      const toolbar = document.createElement('div');
+      toolbar.className = 'history-toolbar';
+      const snapshotBtn = document.createElement('button');
+      snapshotBtn.type = 'button';
+      snapshotBtn.className = 'settings-btn';
+      snapshotBtn.textContent = 'Save snapshot now';
+      toolbar.appendChild(snapshotBtn);
+
+      const listEl = document.createElement('ol');
+      listEl.className = 'history-list';
+      listEl.setAttribute('aria-label', 'Snapshots');
+
+      const detail = document.createElement('div');
+      detail.className = 'history-detail';
+
+      const modes = document.createElement('div');
+      modes.className = 'history-modes';
+      modes.setAttribute('role', 'tablist');
+      const modeButtons = [['preview', 'Preview'], ['diff', 'Changes vs. current']].map(([mode, label]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'history-mode-btn';
+        btn.setAttribute('role', 'tab');
+        btn.dataset.mode = mode;
+        btn.textContent = label;
+        btn.addEventListener('click', () => {
+          state.mode = mode;
+          renderDetail();
+        });
+        modes.appendChild(btn);
+        return btn;
+      });
+
+      const view = document.createElement('div');
+      view.className = 'history-view';
+
+      const actions = document.createElement('div');
+      actions.className = 'settings-actions';
+      const restoreBtn = document.createElement('button');
+      restoreBtn.type = 'button';
+      restoreBtn.className = 'settings-btn settings-btn--primary';
+      restoreBtn.textContent = 'Restore this version';
+      const copyBtn = document.createElement('button');
+      copyBtn.type = 'button';
+      copyBtn.className = 'settings-btn';
+      copyBtn.textContent = 'Copy selection';
+      copyBtn.title = 'Select part of the preview, then copy it';
+      actions.append(restoreBtn, copyBtn);
+
+      const status = document.createElement('p');
+      status.className = 'settings-status';
+      status.setAttribute('role', 'status');
+
+      detail.append(modes, view, actions, status);
+
+      const selectedSnapshot = () => HISTORY.list(tab.id).find((s) => s.id === state.selectedId) || null;
+
+      const renderDetail = () => {
+        const snap = selectedSnapshot();
+        modeButtons.forEach((btn) => {
+          const isActive = btn.dataset.mode === state.mode;
+          btn.classList.toggle('is-active', isActive);
+          btn.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+        detail.hidden = !snap;
+        if (!snap) return;
+
+        if (state.mode === 'diff') {
+          view.replaceChildren(HISTORY_PANEL.renderDiff(snap.content, currentContent()));
+          copyBtn.disabled = true;
+        } else {
+          const preview = document.createElement('div');
+          preview.className = 'editor history-preview';
+          preview.setAttribute('aria-label', 'Snapshot preview');
+          preview.innerHTML = snap.content;
+          IMAGE_STORE.resolveIn(preview);
+          preview.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (link) e.preventDefault();
+          });
+          view.replaceChildren(preview);
+          copyBtn.disabled = false;
+        }
+      };
+
+      const renderList = () => {
+        const snaps = HISTORY.list(tab.id);
+        listEl.replaceChildren();
+        if (!snaps.length) {
+          const empty = document.createElement('li');
+          empty.className = 'settings-empty';
+          empty.textContent = 'No snapshots yet. Versions are saved automatically as you edit.';
+          listEl.appendChild(empty);
+        }
+        if (!snaps.some((s) => s.id === state.selectedId)) {
+          state.selectedId = snaps.length ? snaps[0].id : null;
+        }
+
+        snaps.forEach((snap) => {
+          const item = document.createElement('li');
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'history-item' + (snap.id === state.selectedId ? ' is-active' : '');
+          btn.setAttribute('aria-current', snap.id === state.selectedId ? 'true' : 'false');
+          btn.title = new Date(snap.at).toLocaleString();
+
+          const time = document.createElement('span');
+          time.className = 'history-item-time';
+          time.textContent = formatRelativeTime(snap.at);
+          const meta = document.createElement('span');
+          meta.className = 'history-item-meta';
+          const words = SEARCH.extractText(HISTORY_PANEL._parse(snap.content)).text.split(/\s+/).filter(Boolean).length;
+          meta.textContent = `${HISTORY_PANEL.REASON_LABELS[snap.reason] || 'Snapshot'} · ${words} ${words === 1 ? 'word' : 'words'}`;
+
+          btn.append(time, meta);
+          btn.addEventListener('click', () => {
+            state.selectedId = snap.id;
+            status.textContent = '';
+            renderList();
+          });
+          item.appendChild(btn);
+          listEl.appendChild(item);
+        });
+
+        renderDetail();
+      };
+
+      snapshotBtn.addEventListener('click', () => {
+        const saved = HISTORY.takeSnapshot(tab.id, currentContent(), 'manual');
+        status.textContent = '';
+        renderList();
+        if (!saved) status.textContent = 'Nothing new to save — the latest snapshot matches this note.';
+      });
+
+      restoreBtn.addEventListener('click', () => {
+        const snap = selectedSnapshot();
+        if (!snap) return;
+        if (!HISTORY.restore(tab.id, snap.id)) return;
+        PANEL.close();
+      });
+
+      copyBtn.addEventListener('click', async () => {
+        const preview = view.querySelector('.history-preview');
+        const sel = window.getSelection();
+        const range = sel && sel.rangeCount ? sel.getRangeAt(0) : null;
+        if (!preview || !range || range.collapsed || !preview.contains(range.commonAncestorContainer)) {
+          status.textContent = 'Select some text in the preview first.';
+          return;
+        }
+        const html = TOOLBAR.getRangeHTML(range);
+        const text = sel.toString();
+        try {
+          await navigator.clipboard.write([
+            new ClipboardItem({
+              'text/html': new Blob([html], { type: 'text/html' }),
+              'text/plain': new Blob([text], { type: 'text/plain' }),
+            }),
+          ]);
+          status.textContent = 'Copied. Paste it anywhere in your notes.';
+        } catch (_) {
+          status.textContent = 'Could not access the clipboard. Use Ctrl/Cmd+C instead.';
+        }
+      });
+
+      body.append(toolbar, listEl, detail);
+      renderList();
+    },
 
-      TOOLBAR.COMMANDS.forEach((cmd) => {
-        if (cmd.type === 'sep') {
-          const sep = document.createElement('div');
-          sep.className = 'toolbar-sep';
-          sep.setAttribute('role', 'separator');
-          el.appendChild(sep);
+    _parse(html) {
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html || '';
+      return tpl.content;
+    },
+
+    /**
+     * Line diff (LCS) between two texts.
+     * @returns {Array<{ type: 'same'|'add'|'del', text }>}
+     */
+    diffLines(oldText, newText) {
+      const a = oldText.split('\n');
+      const b = newText.split('\n');
+
+      // Trim the common head and tail so the table only covers the changed middle.
+      let head = 0;
+      while (head < a.length && head < b.length && a[head] === b[head]) head += 1;
+      let tail = 0;
+      while (
+        tail < a.length - head && tail < b.length - head &&
+        a[a.length - 1 - tail] === b[b.length - 1 - tail]
+      ) tail += 1;
+
+      const midA = a.slice(head, a.length - tail);
+      const midB = b.slice(head, b.length - tail);
+      const ops = a.slice(0, head).map((text) => ({ type: 'same', text }));
+
+      if (midA.length * midB.length > HISTORY_PANEL.DIFF_MAX_CELLS) {
+        // Too large for a line table; show it as one replaced block.
+        midA.forEach((text) => ops.push({ type: 'del', text }));
+        midB.forEach((text) => ops.push({ type: 'add', text }));
+      } else {
+        const n = midA.length;
+        const m = midB.length;
+        const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i -= 1) {
+          for (let j = m - 1; j >= 0; j -= 1) {
+            table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+          }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+          if (midA[i] === midB[j]) {
+            ops.push({ type: 'same', text: midA[i] });
+            i += 1;
+            j += 1;
+          } else if (table[i + 1][j] >= table[i][j + 1]) {
+            ops.push({ type: 'del', text: midA[i] });
+            i += 1;
+          } else {
+            ops.push({ type: 'add', text: midB[j] });
+            j += 1;
+          }
+        }
+        while (i < n) ops.push({ type: 'del', text: midA[i++] });
+        while (j < m) ops.push({ type: 'add', text: midB[j++] });
+      }
+
+      a.slice(a.length - tail).forEach((text) => ops.push({ type: 'same', text }));
+      return ops;
+    },
+
+    /** Render a snapshot → current diff, collapsing long unchanged runs. */
+    renderDiff(oldHTML, newHTML) {
+      const toText = (html) => SEARCH.extractText(HISTORY_PANEL._parse(html)).text.replace(/\n$/, '');
+      const ops = HISTORY_PANEL.diffLines(toText(oldHTML), toText(newHTML));
+      const wrap = document.createElement('div');
+      wrap.className = 'history-diff';
+
+      if (!ops.some((op) => op.type !== 'same')) {
+        wrap.textContent = 'No text differences from the current note.';
+        wrap.classList.add('is-empty');
+        return wrap;
+      }
+
+      const context = HISTORY_PANEL.DIFF_CONTEXT_LINES;
+      const nearChange = ops.map((op, idx) => {
+        for (let k = Math.max(0, idx - context); k <= Math.min(ops.length - 1, idx + context); k += 1) {
+          if (ops[k].type !== 'same') return true;
+        }
+        return false;
+      });
+
+      let skipped = false;
+      ops.forEach((op, idx) => {
+        if (!nearChange[idx]) {
+          if (!skipped) {
+            const gap = document.createElement('div');
+            gap.className = 'diff-line diff-line--gap';
+            gap.textContent = '⋯';
+            wrap.appendChild(gap);
+          }
+          skipped = true;
           return;
         }
+        skipped = false;
+        const line = document.createElement('div');
+        line.className = 'diff-line diff-line--' + op.type;
+        line.textContent = (op.type === 'add' ? '+ ' : op.type === 'del' ? '− ' : '  ') + op.text;
+        wrap.appendChild(line);
+      });
+      return wrap;
+    },
+  };
 
-        if (cmd.type === 'highlight-menu') {
-          const wrap = document.createElement('div');
-          wrap.className = 'toolbar-dropdown';
-          wrap.dataset.cmdId = cmd.id;
+  /* ============================================================
+     TOAST — transient message with an optional action (Undo)
+     ============================================================ */
+  const TOAST = {
+    el: null,
+    _timer: null,
+
+    _build() {
+      if (TOAST.el) return;
+      const el = document.createElement('div');
+      el.className = 'toast';
+      el.setAttribute('role', 'status');
+      el.setAttribute('aria-live', 'polite');
+      el.hidden = true;
+      document.getElementById('app').appendChild(el);
+      TOAST.el = el;
+    },
 
-          const trigger = document.createElement('button');
-          trigger.className = 'toolbar-btn toolbar-btn--highlight-trigger';
-          trigger.title = cmd.title;
-          trigger.setAttribute('aria-label', cmd.title);
-          trigger.setAttribute('aria-haspopup', 'menu');
-          trigger.setAttribute('aria-expanded', 'false');
-          trigger.innerHTML = '<span class="toolbar-highlight-glyph" aria-hidden="true">A</span>';
-          trigger.addEventListener('mousedown', (e) => e.preventDefault());
-          trigger.addEventListener('click', () => {
-            TOOLBAR.toggleHighlightMenu();
-          });
+    /** Show `message`; with `actionLabel`, clicking it runs `onAction` and hides the toast. */
+    show(message, { actionLabel = '', onAction = null, duration = 6000 } = {}) {
+      TOAST._build();
+      if (TOAST._timer) clearTimeout(TOAST._timer);
 
-          const menu = document.createElement('div');
-          menu.className = 'toolbar-dropdown-menu';
-          menu.setAttribute('role', 'menu');
-          menu.setAttribute('aria-label', 'Highlight options');
+      const text = document.createElement('span');
+      text.className = 'toast-message';
+      text.textContent = message;
+      TOAST.el.replaceChildren(text);
 
-          const colorRow = document.createElement('div');
-          colorRow.className = 'toolbar-dropdown-colors';
+      if (actionLabel && onAction) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toast-action';
+        btn.textContent = actionLabel;
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', () => {
+          TOAST.hide();
+          onAction();
+        });
+        TOAST.el.appendChild(btn);
+      }
 
-          cmd.options.forEach((opt) => {
-            const item = document.createElement('button');
-            item.type = 'button';
-            item.className = 'toolbar-dropdown-item';
-            item.setAttribute('role', 'menuitem');
-            item.title = opt.title;
-            item.dataset.cmdId = opt.id;
+      TOAST.el.hidden = false;
+      TOAST._timer = setTimeout(() => TOAST.hide(), duration);
+    },
 
-            if (opt.type === 'highlight-clear') {
-              item.classList.add('toolbar-dropdown-item--remove');
-              item.innerHTML =
-                '<span class="toolbar-dropdown-item__icon" aria-hidden="true">' +
-                  '<svg width="18" height="18" viewBox="0 0 18 18" fill="none">' +
-                    '<path d="M8.4 3.2a1.2 1.2 0 011.7 0l4.7 4.7a1.2 1.2 0 010 1.7l-2.7 2.7-6.4-6.4z" fill="#111111"/>' +
-                    '<path d="M2.6 9l2.7-2.7 6.4 6.4L9 15.4a1.2 1.2 0 01-1.7 0L2.6 10.7a1.2 1.2 0 010-1.7z" fill="#ffffff"/>' +
-                    '<path d="M5.3 6.3l6.4 6.4M8.4 3.2a1.2 1.2 0 011.7 0l4.7 4.7a1.2 1.2 0 010 1.7L9 15.4a1.2 1.2 0 01-1.7 0L2.6 10.7a1.2 1.2 0 010-1.7L8.4 3.2z" stroke="currentColor" stroke-width="1.2" stroke-linejoin="round"/>' +
-                  '</svg>' +
-                '</span>' +
-                '<span class="toolbar-dropdown-item__label">Remove color</span>';
-            } else {
-              item.classList.add('toolbar-dropdown-item--color');
-              item.setAttribute('aria-label', opt.title);
-              item.innerHTML =
-                '<span class="toolbar-dropdown-item__swatch" style="background:var(' + opt.colorVar + ');"></span>';
-            }
+    hide() {
+      if (TOAST._timer) clearTimeout(TOAST._timer);
+      TOAST._timer = null;
+      if (TOAST.el) TOAST.el.hidden = true;
+    },
+  };
 
-            item.addEventListener('mousedown', (e) => e.preventDefault());
-            item.addEventListener('click', () => {
-              TOOLBAR.onButtonClick(opt);
-              TOOLBAR.closeHighlightMenu();
-            });
+  /* ============================================================
+     TRASH — deleted tabs and cleared notes, restorable until expiry
+     ============================================================ */
+  const TRASH = {
+    KEY: 'notebookTrash',
+    DAY_MS: 24 * 60 * 60 * 1000,
 
-            if (opt.type === 'highlight-clear') {
-              menu.appendChild(item);
-            } else {
-              colorRow.appendChild(item);
-            }
-          });
+    // Array<{ id, kind: 'tab'|'content', tab: { id, name, content, createdAt, updatedAt }, index, deletedAt }>
+    items: [],
 
-          menu.appendChild(colorRow);
-          wrap.appendChild(trigger);
-          wrap.appendChild(menu);
-          el.appendChild(wrap);
+    async load() {
+      const stored = await new Promise((resolve) => {
+        chrome.storage.local.get(TRASH.KEY, (result) => {
+          resolve(result[TRASH.KEY] || null);
+        });
+      });
+      TRASH.items = Array.isArray(stored) ? stored : [];
+    },
 
-          TOOLBAR._highlightMenuEl = menu;
-          TOOLBAR._highlightTriggerEl = trigger;
+    async persist() {
+      try {
+        await STORAGE._set({ [TRASH.KEY]: TRASH.items });
+        STATUS_BAR.setStoreError('trash', '');
+      } catch (err) {
+        STATUS_BAR.setStoreError('trash', err.message);
+      }
+    },
+
+    /** Keep a deleted tab together with its position in the tab strip. */
+    addTab(tab, index) {
+      const item = {
+        id: createId('trash'),
+        kind: 'tab',
+        tab: Object.assign({}, tab),
+        index,
+        deletedAt: Date.now(),
+      };
+      TRASH.items.unshift(item);
+      TRASH.persist();
+      return item;
+    },
+
+    /** Keep the content of a note that was cleared. */
+    addContent(tab, content) {
+      const item = {
+        id: createId('trash'),
+        kind: 'content',
+        tab: Object.assign({}, tab, { content }),
+        index: STATE.tabs.findIndex((t) => t.id === tab.id),
+        deletedAt: Date.now(),
+      };
+      TRASH.items.unshift(item);
+      TRASH.persist();
+      return item;
+    },
+
+    /** Tab ids still referenced by the trash (their history is kept). */
+    tabIds() {
+      return TRASH.items.map((item) => item.tab.id);
+    },
+
+    /**
+     * Put an item back where it was. A deleted tab returns at its old index;
+     * cleared content returns to its tab (appended if the tab has new
+     * content), or as a new tab if that tab is gone.
+     * @returns {string|null} id of the tab that received the content
+     */
+    restore(itemId) {
+      const idx = TRASH.items.findIndex((item) => item.id === itemId);
+      if (idx === -1) return null;
+      const item = TRASH.items[idx];
+
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+
+      let targetId;
+      const existing = STATE.tabs.find((t) => t.id === item.tab.id);
+      if (item.kind === 'content' && existing && !STORAGE.isLoaded(existing)) {
+        STORAGE.ensureContent([existing]).then(() => TRASH.restore(itemId));
+        return existing.id;
+      }
+
+      if (item.kind === 'content' && existing) {
+        const current = existing.content || '';
+        existing.content = current ? current + '<hr>' + item.tab.content : item.tab.content;
+        existing.updatedAt = Date.now();
+        targetId = existing.id;
+      } else {
+        const tab = Object.assign({}, item.tab);
+        if (existing) tab.id = createId('tab'); // a restored copy must not clash
+        const insertAt = Math.max(0, Math.min(item.index, STATE.tabs.length));
+        STATE.tabs.splice(insertAt, 0, tab);
+        targetId = tab.id;
+      }
+
+      TRASH.items.splice(idx, 1);
+      TRASH.persist();
+
+      if (targetId === STATE.activeTabId) {
+        EDITOR.setHTML(STATE.tabs.find((t) => t.id === targetId).content);
+        TABS.redraw();
+        STORAGE.scheduleSave();
+      } else {
+        TABS.switchTo(targetId, true);
+      }
+      return targetId;
+    },
+
+    purge(itemId) {
+      TRASH.items = TRASH.items.filter((item) => item.id !== itemId);
+      TRASH.persist();
+    },
+
+    empty() {
+      TRASH.items = [];
+      TRASH.persist();
+    },
+
+    /** Drop items older than the configured retention. */
+    expire() {
+      const retentionMs = Math.max(1, Number(SETTINGS.get('trashRetentionDays')) || 30) * TRASH.DAY_MS;
+      const now = Date.now();
+      const kept = TRASH.items.filter((item) => now - item.deletedAt <= retentionMs);
+      if (kept.length === TRASH.items.length) return;
+      TRASH.items = kept;
+      TRASH.persist();
+    },
+  };
+
+  /* ============================================================
+     TRASH_PANEL — list, restore and purge trashed items
+     ============================================================ */
+  const TRASH_PANEL = {
+    open() {
+      TRASH.expire();
+      PANEL.open('trash', 'Trash', (body) => TRASH_PANEL._render(body));
+    },
+
+    _render(body) {
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      const days = SETTINGS.get('trashRetentionDays');
+      hint.textContent = `Deleted notes and cleared content are kept for ${days} ${days === 1 ? 'day' : 'days'}.`;
+
+      const listEl = document.createElement('ol');
+      listEl.className = 'trash-list';
+
+      const actions = document.createElement('div');
+      actions.className = 'settings-actions';
+      const emptyBtn = document.createElement('button');
+      emptyBtn.type = 'button';
+      emptyBtn.className = 'settings-btn settings-btn--danger';
+      emptyBtn.textContent = 'Empty trash';
+      actions.appendChild(emptyBtn);
+
+      const renderList = () => {
+        listEl.replaceChildren();
+        emptyBtn.disabled = !TRASH.items.length;
+
+        if (!TRASH.items.length) {
+          const empty = document.createElement('li');
+          empty.className = 'settings-empty';
+          empty.textContent = 'Trash is empty.';
+          listEl.appendChild(empty);
           return;
         }
 
-        const btn = document.createElement('button');
-        btn.className = 'toolbar-btn' + (cmd.btnClass ? ' ' + cmd.btnClass : '');
-        if (cmd.icon) {
-          btn.innerHTML = cmd.icon;
-        } else {
-          btn.textContent = cmd.label;
-        }
-        btn.title = cmd.title;
-        btn.setAttribute('aria-label', cmd.title);
-        btn.setAttribute('aria-pressed', 'false');
+        TRASH.items.forEach((item) => {
+          const row = document.createElement('li');
+          row.className = 'trash-item';
+
+          const info = document.createElement('div');
+          info.className = 'trash-item-info';
+          const name = document.createElement('span');
+          name.className = 'trash-item-name';
+          name.textContent = item.tab.name;
+          const meta = document.createElement('span');
+          meta.className = 'trash-item-meta';
+          meta.textContent = (item.kind === 'tab' ? 'Deleted note' : 'Cleared content') + ' · ' + formatRelativeTime(item.deletedAt);
+          meta.title = new Date(item.deletedAt).toLocaleString();
+          const preview = document.createElement('span');
+          preview.className = 'trash-item-preview';
+          const tpl = document.createElement('template');
+          tpl.innerHTML = item.tab.content || '';
+          const firstLine = SEARCH.extractText(tpl.content).text.split('\n').find((line) => line.trim());
+          preview.textContent = firstLine ? firstLine.trim() : '(empty)';
+          info.append(name, meta, preview);
+
+          const restoreBtn = document.createElement('button');
+          restoreBtn.type = 'button';
+          restoreBtn.className = 'settings-btn';
+          restoreBtn.textContent = 'Restore';
+          restoreBtn.addEventListener('click', () => {
+            TRASH.restore(item.id);
+            PANEL.close(false);
+          });
 
-        if (cmd.type === 'state' || cmd.type === 'block') {
-          btn.dataset.command = cmd.id === 'h1' || cmd.id === 'h2' ? 'formatBlock' : cmd.id;
-        } else {
-          btn.dataset.command = cmd.id;
-        }
-        btn.dataset.cmdId = cmd.id;
+          const purgeBtn = document.createElement('button');
+          purgeBtn.type = 'button';
+          purgeBtn.className = 'settings-btn settings-btn--danger';
+          purgeBtn.textContent = 'Delete';
+          purgeBtn.title = 'Delete forever';
+          purgeBtn.setAttribute('aria-label', `Delete ${item.tab.name} forever`);
+          purgeBtn.addEventListener('click', () => {
+            TRASH.purge(item.id);
+            renderList();
+          });
 
-        btn.addEventListener('mousedown', (e) => {
-          // Prevent editor blur before execCommand
-          e.preventDefault();
-        });
+          const buttons = document.createElement('div');
+          buttons.className = 'trash-item-actions';
+          buttons.append(restoreBtn, purgeBtn);
 
-        btn.addEventListener('click', () => {
-          TOOLBAR.onButtonClick(cmd);
-          TOOLBAR.updateActiveState();
+          row.append(info, buttons);
+          listEl.appendChild(row);
         });
+      };
 
-        el.appendChild(btn);
+      emptyBtn.addEventListener('click', () => {
+        if (!confirm('Permanently delete everything in the trash?')) return;
+        TRASH.empty();
+        renderList();
       });
 
-      if (!TOOLBAR._didBindGlobalClose) {
-        TOOLBAR._didBindGlobalClose = true;
-        document.addEventListener('mousedown', (e) => {
-          if (!TOOLBAR._highlightMenuOpen) return;
-          if (!TOOLBAR._highlightMenuEl || !TOOLBAR._highlightTriggerEl) return;
-          if (TOOLBAR._highlightMenuEl.contains(e.target)) return;
-          if (TOOLBAR._highlightTriggerEl.contains(e.target)) return;
-          TOOLBAR.closeHighlightMenu();
-        });
-      }
+      renderList();
+      body.append(hint, listEl, actions);
     },
+  };
 
-    onButtonClick(cmd) {
-      if (!EDITOR.el) return;
-      EDITOR.el.focus();
+  /* ============================================================
+     TEMPLATES_PANEL — save notes as templates, rename and delete them
+     ============================================================ */
+  const TEMPLATES_PANEL = {
+    open() {
+      PANEL.open('templates', 'Templates', (body) => TEMPLATES_PANEL._render(body));
+    },
 
-      if (cmd.id === 'insertUnorderedList') {
-        TOOLBAR.handleUnorderedListToggle();
-      } else if (cmd.id === 'insertOrderedList') {
-        TOOLBAR.handleOrderedListToggle();
-      } else if (cmd.type === 'state') {
-        document.execCommand(cmd.id, false, null);
-      } else if (cmd.type === 'block') {
-        // Toggle: if already the requested block, revert to paragraph
-        const current = document.queryCommandValue('formatBlock').toLowerCase();
-        const target = cmd.block; // 'h1' or 'h2'
-        if (current === target) {
-          document.execCommand('formatBlock', false, 'p');
-        } else {
-          document.execCommand('formatBlock', false, target);
-        }
-      } else if (cmd.type === 'highlight') {
-        document.execCommand('hiliteColor', false, TOOLBAR.getThemeHighlightColor(cmd.colorVar));
-        EDITOR.normalizeHighlightColorsToTheme();
-      } else if (cmd.type === 'highlight-clear') {
-        document.execCommand('hiliteColor', false, 'transparent');
-        EDITOR.normalizeHighlightColorsToTheme();
-      } else if (cmd.type === 'action') {
-        if (cmd.action) cmd.action();
-        return; // scheduleSave handled inside action if needed
-      } else if (cmd.type === 'plain-text') {
-        const sel = window.getSelection();
-        if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return;
-        const range = sel.getRangeAt(0);
-        if (!EDITOR.el.contains(range.commonAncestorContainer)) return;
+    _placeholderHint() {
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.innerHTML = 'Placeholders are filled in when a note is created: ' +
+        TEMPLATES.PLACEHOLDERS.map(([code, text]) => `<code>${code}</code> ${escapeHTML(text)}`).join(', ') + '.';
+      return hint;
+    },
 
-        const fragment = range.cloneContents();
-        const container = document.createElement('div');
-        container.appendChild(fragment);
-        const plainText = (container.textContent || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        const html = escapeHTML(plainText).replace(/\n/g, '<br>');
-        document.execCommand('insertHTML', false, html);
-      } else if (cmd.type === 'link') {
-        const sel = window.getSelection();
-        if (!sel || sel.isCollapsed) {
-          // No selection — just focus editor
+    _render(body) {
+      const listEl = document.createElement('ol');
+      listEl.className = 'trash-list';
+
+      const renderList = () => {
+        listEl.replaceChildren();
+        if (!TEMPLATES.items.length) {
+          const empty = document.createElement('li');
+          empty.className = 'settings-empty';
+          empty.textContent = 'No templates. Use “Save this note as a template…” to add one.';
+          listEl.appendChild(empty);
           return;
         }
-        const url = prompt('Enter URL:', 'https://');
-        if (url && url !== 'https://') {
-          document.execCommand('createLink', false, url);
+
+        TEMPLATES.items.forEach((template) => {
+          const row = document.createElement('li');
+          row.className = 'trash-item';
+
+          const info = document.createElement('div');
+          info.className = 'trash-item-info';
+          const name = document.createElement('span');
+          name.className = 'trash-item-name';
+          name.textContent = template.name;
+          const meta = document.createElement('span');
+          meta.className = 'trash-item-meta';
+          meta.textContent = `Names notes “${template.tabName || template.name}”`;
+          const preview = document.createElement('span');
+          preview.className = 'trash-item-preview';
+          const tpl = document.createElement('template');
+          tpl.innerHTML = template.content || '';
+          const firstLine = SEARCH.extractText(tpl.content).text.split('\n').find((line) => line.trim());
+          preview.textContent = firstLine ? firstLine.trim() : '(empty)';
+          info.append(name, meta, preview);
+
+          const useBtn = document.createElement('button');
+          useBtn.type = 'button';
+          useBtn.className = 'settings-btn';
+          useBtn.textContent = 'New note';
+          useBtn.addEventListener('click', () => {
+            PANEL.close(false);
+            TEMPLATES.create(template.id);
+          });
+
+          const editBtn = document.createElement('button');
+          editBtn.type = 'button';
+          editBtn.className = 'settings-btn';
+          editBtn.textContent = 'Edit';
+          editBtn.setAttribute('aria-label', `Edit ${template.name}`);
+          editBtn.addEventListener('click', () => TEMPLATES_PANEL.openSave(STATE.activeTabId, template.id));
+
+          const deleteBtn = document.createElement('button');
+          deleteBtn.type = 'button';
+          deleteBtn.className = 'settings-btn settings-btn--danger';
+          deleteBtn.textContent = 'Delete';
+          deleteBtn.setAttribute('aria-label', `Delete ${template.name}`);
+          deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete the template “${template.name}”?`)) return;
+            await TEMPLATES.remove(template.id);
+            renderList();
+          });
+
+          const buttons = document.createElement('div');
+          buttons.className = 'trash-item-actions';
+          buttons.append(useBtn, editBtn, deleteBtn);
+
+          row.append(info, buttons);
+          listEl.appendChild(row);
+        });
+      };
+
+      renderList();
+      body.append(TEMPLATES_PANEL._placeholderHint(), listEl);
+    },
+
+    /**
+     * Form to save note `tabId` as a new template, or with `templateId`, to
+     * rename that template and optionally replace its content with the note.
+     */
+    openSave(tabId, templateId = null) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      const template = templateId ? TEMPLATES.get(templateId) : null;
+      if (!tab && !template) return;
+      const title = template ? 'Edit template' : 'Save as template';
+
+      PANEL.open('template-save', title, (body) => {
+        const form = document.createElement('form');
+
+        const field = (label, value, placeholder) => {
+          const wrap = document.createElement('label');
+          wrap.className = 'settings-field';
+          const text = document.createElement('span');
+          text.className = 'settings-field-label';
+          text.textContent = label;
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.className = 'settings-input';
+          input.value = value;
+          input.placeholder = placeholder;
+          wrap.append(text, input);
+          return { wrap, input };
+        };
+        const name = field('Template name', template ? template.name : tab.name, 'Meeting notes');
+        const tabName = field('Name new notes', template ? template.tabName || '' : tab.name, 'Meeting {{date}}');
+
+        let replace = null;
+        if (template && tab) {
+          const wrap = document.createElement('label');
+          wrap.className = 'settings-check settings-field';
+          replace = document.createElement('input');
+          replace.type = 'checkbox';
+          wrap.append(replace, document.createTextNode(`Replace its content with “${tab.name}”`));
+          form.append(name.wrap, tabName.wrap, wrap);
+        } else {
+          form.append(name.wrap, tabName.wrap);
         }
+
+        const error = document.createElement('p');
+        error.className = 'settings-error';
+        error.setAttribute('role', 'alert');
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-actions';
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'submit';
+        saveBtn.className = 'settings-btn settings-btn--primary';
+        saveBtn.textContent = 'Save';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'settings-btn';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => (template ? TEMPLATES_PANEL.open() : PANEL.close()));
+        actions.append(saveBtn, cancelBtn);
+
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const nameValue = name.input.value.trim();
+          if (!nameValue) {
+            error.textContent = 'Give the template a name.';
+            name.input.focus();
+            return;
+          }
+          const tabNameValue = tabName.input.value.trim();
+          if (template) {
+            const fields = { name: nameValue, tabName: tabNameValue };
+            if (replace && replace.checked) {
+              await STORAGE.ensureContent([tab]);
+              fields.content = tab.id === STATE.activeTabId ? EDITOR.getHTML() : tab.content || '';
+            }
+            await TEMPLATES.update(template.id, fields);
+            TEMPLATES_PANEL.open();
+            return;
+          }
+          await TEMPLATES.saveFrom(tab.id, nameValue, tabNameValue);
+          PANEL.close();
+          TOAST.show(`Saved “${nameValue}” as a template`);
+        });
+
+        form.append(error, actions);
+        body.append(TEMPLATES_PANEL._placeholderHint(), form);
+      });
+    },
+  };
+
+  /* ============================================================
+     BACKUP — versioned JSON export/import of the whole notebook
+     ============================================================ */
+  const BACKUP = {
+    FORMAT: 'notebook-backup',
+    VERSION: 1,
+
+    /**
+     * Snapshot of the notebook in backup form (tabs, order, active tab,
+     * embedded images), or of just `source` tabs.
+     */
+    async build(source = STATE.tabs) {
+      await STORAGE.ensureContent(source);
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+      const tabs = [];
+      for (const tab of source) {
+        const entry = {
+          id: tab.id,
+          name: tab.name,
+          content: await IMAGE_STORE.inlineHTML(tab.content || ''),
+          createdAt: tab.createdAt,
+          updatedAt: tab.updatedAt,
+        };
+        tabs.push(STORAGE.copyFields(tab, entry));
       }
+      return {
+        format: BACKUP.FORMAT,
+        version: BACKUP.VERSION,
+        exportedAt: new Date().toISOString(),
+        activeTabId: source.some((t) => t.id === STATE.activeTabId) ? STATE.activeTabId : null,
+        groups: STATE.groups
+          .filter((group) => source.some((t) => t.groupId === group.id))
+          .map((group) => ({ id: group.id, name: group.name, collapsed: !!group.collapsed })),
+        tabs,
+      };
+    },
 
-      STORAGE.scheduleSave();
+    /** Download a backup of every note, or of `source` tabs only. Resolves with the note count. */
+    async export(source = STATE.tabs) {
+      const data = await BACKUP.build(source);
+      const date = data.exportedAt.slice(0, 10);
+      const filename = source === STATE.tabs ? `notebook-backup-${date}.json` : `notebook-notes-${date}.json`;
+      downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+      return data.tabs.length;
     },
 
-    handleUnorderedListToggle() {
-      const sel = window.getSelection();
-      if (!sel || sel.rangeCount === 0) {
-        document.execCommand('insertUnorderedList', false, null);
-        TOOLBAR._unorderedListRestore = null;
-        return;
+    /**
+     * Check a parsed backup and normalize its tabs.
+     * @throws {Error} with a user-facing message when the file is unusable
+     * @returns {{ tabs: Array, groups: Array, activeTabId: string|null, exportedAt: string|null }}
+     */
+    validate(data) {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('This file is not a Notebook backup.');
       }
-
-      const range = sel.getRangeAt(0);
-      if (!EDITOR.el.contains(range.commonAncestorContainer)) {
-        document.execCommand('insertUnorderedList', false, null);
-        TOOLBAR._unorderedListRestore = null;
-        return;
+      if (data.format !== BACKUP.FORMAT) {
+        throw new Error('This file is not a Notebook backup.');
       }
-
-      const currentList = TOOLBAR.getCurrentListFromSelection();
-      if (
-        currentList &&
-        TOOLBAR._unorderedListRestore &&
-        TOOLBAR._unorderedListRestore.listEl === currentList
-      ) {
-        const restored = TOOLBAR.restoreUnorderedListSnapshot(currentList, TOOLBAR._unorderedListRestore.html);
-        if (restored && restored.first && restored.last) {
-          TOOLBAR.selectBetweenNodes(restored.first, restored.last);
-        }
-        TOOLBAR._unorderedListRestore = null;
-        return;
+      if (typeof data.version !== 'number' || data.version < 1) {
+        throw new Error('The backup has no valid version number.');
       }
-
-      if (currentList) {
-        document.execCommand('insertUnorderedList', false, null);
-        TOOLBAR._unorderedListRestore = null;
-        return;
+      if (data.version > BACKUP.VERSION) {
+        throw new Error('This backup was made by a newer version of Notebook. Update the extension and try again.');
       }
-
-      if (sel.isCollapsed) {
-        document.execCommand('insertUnorderedList', false, null);
-        TOOLBAR._unorderedListRestore = null;
-        return;
+      if (!Array.isArray(data.tabs) || !data.tabs.length) {
+        throw new Error('The backup does not contain any notes.');
       }
 
-      const beforeHtml = TOOLBAR.getRangeHTML(range);
-      document.execCommand('insertUnorderedList', false, null);
-      const insertedList = TOOLBAR.getCurrentListFromSelection();
-      if (!insertedList) {
-        TOOLBAR._unorderedListRestore = null;
-        return;
-      }
+      const now = Date.now();
+      const seenIds = new Set();
+      const groups = STORAGE.groupsFrom(data);
+      const groupIds = new Set(groups.map((group) => group.id));
+      const tabs = data.tabs.map((raw, idx) => {
+        if (!raw || typeof raw !== 'object') {
+          throw new Error(`Note ${idx + 1} in the backup is malformed.`);
+        }
+        if (typeof raw.content !== 'string') {
+          throw new Error(`Note ${idx + 1} in the backup has no content.`);
+        }
+        let id = typeof raw.id === 'string' && raw.id ? raw.id : createId('tab');
+        if (seenIds.has(id)) id = createId('tab');
+        seenIds.add(id);
+        const createdAt = Number.isFinite(raw.createdAt) ? raw.createdAt : now;
+        const tab = {
+          id,
+          name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Note ${idx + 1}`,
+          content: EDITOR.stripUnsafeHTML(raw.content),
+          createdAt,
+          updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : createdAt,
+        };
+        if (groupIds.has(raw.groupId)) tab.groupId = raw.groupId;
+        if (raw.pinned === true) tab.pinned = true;
+        if (TABS.COLORS.includes(raw.color)) tab.color = raw.color;
+        if (typeof raw.icon === 'string' && TABS.iconFrom(raw.icon)) tab.icon = TABS.iconFrom(raw.icon);
+        const tags = TAGS.clean(raw.tags);
+        if (tags.length) tab.tags = tags;
+        return tab;
+      });
 
-      TOOLBAR.stripLeadingDashPrefixFromList(insertedList);
-      TOOLBAR.selectNodeContents(insertedList);
-      TOOLBAR._unorderedListRestore = {
-        listEl: insertedList,
-        html: beforeHtml,
+      return {
+        tabs,
+        groups,
+        activeTabId: typeof data.activeTabId === 'string' ? data.activeTabId : null,
+        exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
       };
     },
 
-    handleOrderedListToggle() {
-      const sel = window.getSelection();
-      if (!sel || sel.rangeCount === 0) {
-        document.execCommand('insertOrderedList', false, null);
-        TOOLBAR._orderedListRestore = null;
-        return;
+    async readFile(file) {
+      const text = await file.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (_) {
+        throw new Error('The file is not valid JSON.');
       }
-
-      const range = sel.getRangeAt(0);
-      if (!EDITOR.el.contains(range.commonAncestorContainer)) {
-        document.execCommand('insertOrderedList', false, null);
-        TOOLBAR._orderedListRestore = null;
-        return;
+      const backup = BACKUP.validate(data);
+      for (const tab of backup.tabs) {
+        tab.content = await IMAGE_STORE.adoptDataImages(tab.content);
       }
+      // Merging compares against, and replacing trashes, every current note.
+      await STORAGE.ensureContent();
+      return backup;
+    },
 
-      const currentList = TOOLBAR.getCurrentListFromSelection('ol');
-      if (
-        currentList &&
-        TOOLBAR._orderedListRestore &&
-        TOOLBAR._orderedListRestore.listEl === currentList
-      ) {
-        const restored = TOOLBAR.restoreUnorderedListSnapshot(currentList, TOOLBAR._orderedListRestore.html);
-        if (restored && restored.first && restored.last) {
-          TOOLBAR.selectBetweenNodes(restored.first, restored.last);
-        }
-        TOOLBAR._orderedListRestore = null;
-        return;
-      }
+    /** Replace every note with the backup; current notes go to the trash. */
+    replaceAll(backup) {
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+      STATE.tabs.forEach((tab, idx) => TRASH.addTab(tab, idx));
 
-      if (currentList) {
-        document.execCommand('insertOrderedList', false, null);
-        TOOLBAR._orderedListRestore = null;
-        return;
-      }
+      STATE.tabs = backup.tabs;
+      STATE.groups = backup.groups;
+      STATE.activeTabId = backup.tabs.some((t) => t.id === backup.activeTabId)
+        ? backup.activeTabId
+        : backup.tabs[0].id;
 
-      if (sel.isCollapsed) {
-        document.execCommand('insertOrderedList', false, null);
-        TOOLBAR._orderedListRestore = null;
-        return;
-      }
+      EDITOR.setHTML(STATE.tabs.find((t) => t.id === STATE.activeTabId).content);
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      return { added: backup.tabs.length, skipped: 0, renamed: 0 };
+    },
 
-      const beforeHtml = TOOLBAR.getRangeHTML(range);
-      document.execCommand('insertOrderedList', false, null);
-      const insertedList = TOOLBAR.getCurrentListFromSelection('ol');
-      if (!insertedList) {
-        TOOLBAR._orderedListRestore = null;
-        return;
-      }
+    /**
+     * Append backup notes after the current ones. Exact duplicates (same
+     * name and content) are skipped; id clashes get a fresh id and name
+     * clashes a "(imported)" suffix, so nothing is overwritten.
+     */
+    merge(backup) {
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+
+      const result = { added: 0, skipped: 0, renamed: 0 };
+      // Imported groups are added alongside the current ones, never merged into them.
+      const groupIds = new Map();
+      backup.groups.forEach((group) => {
+        const id = GROUPS.get(group.id) ? createId('group') : group.id;
+        groupIds.set(group.id, id);
+        STATE.groups.push(Object.assign({}, group, { id }));
+      });
+      backup.tabs.forEach((incoming) => {
+        const isDuplicate = STATE.tabs.some((t) => t.name === incoming.name && (t.content || '') === incoming.content);
+        if (isDuplicate) {
+          result.skipped += 1;
+          return;
+        }
 
-      TOOLBAR.stripLeadingOrderedPrefixFromList(insertedList);
-      TOOLBAR.selectNodeContents(insertedList);
-      TOOLBAR._orderedListRestore = {
-        listEl: insertedList,
-        html: beforeHtml,
-      };
-    },
+        const tab = Object.assign({}, incoming);
+        if (STATE.tabs.some((t) => t.id === tab.id)) tab.id = createId('tab');
+        if (tab.groupId) tab.groupId = groupIds.get(tab.groupId);
+        const name = TABS.uniqueName(tab.name, ' (imported)');
+        if (name !== tab.name) {
+          tab.name = name;
+          result.renamed += 1;
+        }
+        STATE.tabs.push(tab);
+        result.added += 1;
+      });
 
-    getCurrentListFromSelection(tagName = 'ul') {
-      const sel = window.getSelection();
-      if (!sel || sel.rangeCount === 0) return null;
-      let node = sel.anchorNode;
-      if (!node) return null;
-      if (node.nodeType === Node.TEXT_NODE) node = node.parentElement;
-      if (!node || !node.closest) return null;
-      const list = node.closest(tagName);
-      if (!list || !EDITOR.el || !EDITOR.el.contains(list)) return null;
-      return list;
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      return result;
     },
+  };
 
-    getRangeHTML(range) {
-      if (!range) return '';
-      const wrapper = document.createElement('div');
-      wrapper.appendChild(range.cloneContents());
-      return wrapper.innerHTML;
+  /* ============================================================
+     BACKUP_PANEL — export / import UI
+     ============================================================ */
+  const BACKUP_PANEL = {
+    open() {
+      PANEL.open('backup', 'Backup & restore', (body) => BACKUP_PANEL._render(body));
     },
 
-    restoreUnorderedListSnapshot(listEl, html) {
-      if (!listEl || !listEl.parentNode) return null;
-      const wrapper = document.createElement('div');
-      wrapper.innerHTML = html || '';
-      const frag = document.createDocumentFragment();
-      while (wrapper.firstChild) frag.appendChild(wrapper.firstChild);
-      const first = frag.firstChild;
-      const last = frag.lastChild;
-      listEl.parentNode.replaceChild(frag, listEl);
-      return { first, last };
-    },
+    _render(body) {
+      const exportSection = document.createElement('section');
+      exportSection.className = 'settings-section';
+      exportSection.innerHTML =
+        '<h3 class="settings-section-title">Export</h3>' +
+        '<p class="settings-hint">Download every note, the tab order and pasted images as a JSON file.</p>';
+      const exportBtn = document.createElement('button');
+      exportBtn.type = 'button';
+      exportBtn.className = 'settings-btn settings-btn--primary';
+      exportBtn.textContent = 'Export backup';
+      const exportStatus = document.createElement('p');
+      exportStatus.className = 'settings-status';
+      exportStatus.setAttribute('role', 'status');
+      exportBtn.addEventListener('click', async () => {
+        const count = await BACKUP.export();
+        exportStatus.textContent = `Exported ${count} ${count === 1 ? 'note' : 'notes'}.`;
+      });
+      exportSection.append(exportBtn, exportStatus);
+
+      const importSection = document.createElement('section');
+      importSection.className = 'settings-section';
+      importSection.innerHTML =
+        '<h3 class="settings-section-title">Import</h3>' +
+        '<p class="settings-hint">Restore from a backup file. You can replace all notes or add the backup to your current notes.</p>';
+
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.json,application/json';
+      fileInput.hidden = true;
+      const chooseBtn = document.createElement('button');
+      chooseBtn.type = 'button';
+      chooseBtn.className = 'settings-btn';
+      chooseBtn.textContent = 'Choose backup file…';
+
+      const review = document.createElement('div');
+      review.className = 'backup-review';
+      review.hidden = true;
+
+      const importStatus = document.createElement('p');
+      importStatus.className = 'settings-status';
+      importStatus.setAttribute('role', 'status');
+
+      const describeResult = ({ added, skipped, renamed }) => {
+        const parts = [`Imported ${added} ${added === 1 ? 'note' : 'notes'}`];
+        if (skipped) parts.push(`skipped ${skipped} ${skipped === 1 ? 'duplicate' : 'duplicates'}`);
+        if (renamed) parts.push(`renamed ${renamed} to avoid name clashes`);
+        return parts.join(', ') + '.';
+      };
 
-    stripLeadingDashPrefixFromList(listEl) {
-      if (!listEl) return;
-      const items = listEl.querySelectorAll('li');
-      items.forEach((li) => TOOLBAR.stripLeadingDashPrefixFromListItem(li));
-    },
+      chooseBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        review.hidden = true;
+        review.replaceChildren();
+        if (!file) return;
 
-    stripLeadingDashPrefixFromListItem(listItemEl) {
-      if (!listItemEl) return;
-      const walker = document.createTreeWalker(listItemEl, NodeFilter.SHOW_TEXT);
-      let node = walker.nextNode();
-      while (node) {
-        const value = node.nodeValue || '';
-        if (!value.trim()) {
-          node = walker.nextNode();
-          continue;
+        let backup;
+        try {
+          backup = await BACKUP.readFile(file);
+        } catch (err) {
+          importStatus.textContent = err.message;
+          return;
         }
-        node.nodeValue = value.replace(/^(\s*)-\s+/, '$1');
-        break;
-      }
-    },
 
-    stripLeadingOrderedPrefixFromList(listEl) {
-      if (!listEl) return;
-      const items = listEl.querySelectorAll('li');
-      items.forEach((li) => TOOLBAR.stripLeadingOrderedPrefixFromListItem(li));
+        importStatus.textContent = '';
+        const summary = document.createElement('p');
+        summary.className = 'backup-summary';
+        const exported = backup.exportedAt ? ` exported ${new Date(backup.exportedAt).toLocaleString()}` : '';
+        summary.textContent = `“${file.name}” contains ${backup.tabs.length} ${backup.tabs.length === 1 ? 'note' : 'notes'}${exported}.`;
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-actions';
+        const mergeBtn = document.createElement('button');
+        mergeBtn.type = 'button';
+        mergeBtn.className = 'settings-btn settings-btn--primary';
+        mergeBtn.textContent = 'Merge into current notes';
+        const replaceBtn = document.createElement('button');
+        replaceBtn.type = 'button';
+        replaceBtn.className = 'settings-btn settings-btn--danger';
+        replaceBtn.textContent = 'Replace all notes';
+        replaceBtn.title = 'Current notes are moved to the trash';
+        actions.append(mergeBtn, replaceBtn);
+
+        mergeBtn.addEventListener('click', () => {
+          importStatus.textContent = describeResult(BACKUP.merge(backup));
+          review.hidden = true;
+        });
+        replaceBtn.addEventListener('click', () => {
+          const count = STATE.tabs.length;
+          if (!confirm(`Replace your ${count} current ${count === 1 ? 'note' : 'notes'}? They will be moved to the trash.`)) return;
+          importStatus.textContent = describeResult(BACKUP.replaceAll(backup));
+          review.hidden = true;
+        });
+
+        review.append(summary, actions);
+        review.hidden = false;
+      });
+
+      importSection.append(fileInput, chooseBtn, review, importStatus);
+      body.append(exportSection, importSection);
     },
+  };
 
-    stripLeadingOrderedPrefixFromListItem(listItemEl) {
-      if (!listItemEl) return;
-      const walker = document.createTreeWalker(listItemEl, NodeFilter.SHOW_TEXT);
-      let node = walker.nextNode();
-      while (node) {
-        const value = node.nodeValue || '';
-        if (!value.trim()) {
-          node = walker.nextNode();
-          continue;
-        }
-        node.nodeValue = value.replace(/^(\s*)\d+(?:\.\s*|\s+)/, '$1');
-        break;
-      }
+  /* ============================================================
+     MARKDOWN — note HTML ⇄ Markdown (GFM plus ==highlight==)
+     ============================================================ */
+  const MARKDOWN = {
+    BLOCK_TAGS: new Set([
+      'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'BLOCKQUOTE', 'PRE',
+      'UL', 'OL', 'LI', 'HR', 'TABLE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    ]),
+    BR: '\u0000',  // line-break marker inside inline runs, resolved per paragraph
+
+    /* ---------- HTML → Markdown ---------- */
+
+    toMarkdown(html) {
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html || '';
+      const md = MARKDOWN._blocksOf(tpl.content).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+      return md ? md + '\n' : '';
     },
 
-    selectNodeContents(node) {
-      if (!node) return;
-      const sel = window.getSelection();
-      if (!sel) return;
-      const range = document.createRange();
-      range.selectNodeContents(node);
-      sel.removeAllRanges();
-      sel.addRange(range);
+    _isBlock(node) {
+      return node.nodeType === Node.ELEMENT_NODE && MARKDOWN.BLOCK_TAGS.has(node.tagName);
     },
 
-    selectBetweenNodes(first, last) {
-      if (!first || !last) return;
-      const sel = window.getSelection();
-      if (!sel) return;
-      const range = document.createRange();
-      range.setStartBefore(first);
-      range.setEndAfter(last);
-      sel.removeAllRanges();
-      sel.addRange(range);
+    /** Convert a container's children into Markdown blocks. */
+    _blocksOf(parent) {
+      const blocks = [];
+      let inline = '';
+      const flushInline = () => {
+        blocks.push(...MARKDOWN._paragraphs(inline));
+        inline = '';
+      };
+
+      parent.childNodes.forEach((node) => {
+        if (MARKDOWN._isBlock(node)) {
+          flushInline();
+          const block = MARKDOWN._block(node);
+          if (block && block.trim()) blocks.push(block);
+        } else {
+          inline += MARKDOWN._inline(node);
+        }
+      });
+      flushInline();
+      return blocks;
     },
 
-    getThemeHighlightColor(colorVar) {
-      if (!colorVar) return '#fde68a';
-      const value = getComputedStyle(document.documentElement).getPropertyValue(colorVar).trim();
-      return value || '#fde68a';
+    /** Split an inline run into paragraphs: one break is a hard break, two or more a new paragraph. */
+    _paragraphs(inline) {
+      const br = MARKDOWN.BR;
+      return inline
+        .split(new RegExp(br + '(?:\\s*' + br + ')+'))
+        .map((para) => para
+          .split(br)
+          .map((line) => MARKDOWN._escapeLineStart(line.trim()))
+          .filter(Boolean)
+          .join('\\\n'))
+        .filter((para) => para.trim());
     },
 
-    getThemeHighlightColorByKey(key) {
-      if (key === 'yellow') return TOOLBAR.getThemeHighlightColor('--highlight-yellow');
-      if (key === 'green') return TOOLBAR.getThemeHighlightColor('--highlight-green');
-      if (key === 'red') return TOOLBAR.getThemeHighlightColor('--highlight-red');
-      return '#fde68a';
+    /** Escape text that Markdown would read as block syntax at the start of a line. */
+    _escapeLineStart(line) {
+      if (/^(#{1,6}(\s|$)|>|[-+](\s|$)|=+\s*$|-{3,}\s*$)/.test(line)) return '\\' + line;
+      return line.replace(/^(\d+)([.)](\s|$))/, '$1\\$2');
     },
 
-    _toCanonicalColor(value) {
-      if (!value) return '';
-      const probe = document.createElement('span');
-      probe.style.color = '';
-      probe.style.color = value;
-      if (!probe.style.color) return '';
-      document.body.appendChild(probe);
-      const canonical = getComputedStyle(probe).color.replace(/\s+/g, '').toLowerCase();
-      probe.remove();
-      return canonical;
+    _escapeText(text) {
+      return text
+        .replace(/\\/g, '\\\\')
+        .replace(/([*_`[\]~<])/g, '\\$1')
+        .replace(/==/g, '\\=\\=');
     },
 
-    getKnownHighlightColorLookup() {
-      const entries = [
-        ['yellow', '#fde68a'],
-        ['yellow', '#a16207'],
-        ['green', '#bbf7d0'],
-        ['green', '#166534'],
-        ['red', '#fecaca'],
-        ['red', '#991b1b'],
-      ];
-      const map = {};
-      entries.forEach(([key, color]) => {
-        const canonical = TOOLBAR._toCanonicalColor(color);
-        if (canonical) map[canonical] = key;
-      });
-      return map;
+    _block(node) {
+      const tag = node.tagName;
+
+      if (/^H[1-6]$/.test(tag)) {
+        const text = MARKDOWN._inlineChildren(node).split(MARKDOWN.BR).join(' ').trim();
+        return text ? '#'.repeat(Number(tag[1])) + ' ' + text : '';
+      }
+      if (tag === 'HR') return '---';
+      if (tag === 'UL' || tag === 'OL') return MARKDOWN._list(node);
+      if (tag === 'PRE') return MARKDOWN._codeBlock(node);
+      if (tag === 'TABLE') return MARKDOWN._table(node);
+      if (tag === 'BLOCKQUOTE') {
+        return MARKDOWN._blocksOf(node).join('\n\n').split('\n').map((line) => (line ? '> ' + line : '>')).join('\n');
+      }
+      return MARKDOWN._blocksOf(node).join('\n\n');
     },
 
-    updateActiveState() {
-      if (!TOOLBAR.el) return;
+    _list(listEl) {
+      const ordered = listEl.tagName === 'OL';
+      let number = parseInt(listEl.getAttribute('start'), 10) || 1;
+      const items = [];
+
+      Array.from(listEl.children).forEach((child) => {
+        if (child.tagName === 'UL' || child.tagName === 'OL') {
+          // execCommand('indent') nests lists directly inside lists;
+          // treat them as children of the preceding item.
+          const nested = MARKDOWN._list(child);
+          if (items.length) items[items.length - 1].nested.push(nested);
+          else items.push({ marker: ordered ? `${number++}.` : '-', blocks: [], nested: [nested] });
+          return;
+        }
+        if (child.tagName !== 'LI') return;
+        items.push({ marker: ordered ? `${number++}.` : '-', blocks: MARKDOWN._listItemBlocks(child), nested: [] });
+      });
 
-      TOOLBAR.COMMANDS.forEach((cmd) => {
-        if (cmd.type === 'sep' || cmd.type === 'highlight' || cmd.type === 'highlight-menu') return;
-        const btn = TOOLBAR.el.querySelector(`[data-cmd-id="${cmd.id}"]`);
-        if (!btn) return;
+      return items.map(({ marker, blocks, nested }) => {
+        const indent = ' '.repeat(marker.length + 1);
+        const body = blocks.concat(nested).join('\n');
+        const lines = body.split('\n');
+        return marker + ' ' + (lines[0] || '') +
+          lines.slice(1).map((line) => '\n' + (line ? indent + line : '')).join('');
+      }).join('\n');
+    },
 
-        let isActive = false;
+    /** Blocks of one list item; checklist items get a `[ ]`/`[x]` prefix. */
+    _listItemBlocks(li) {
+      const blocks = MARKDOWN._blocksOf(li);
+      const list = li.parentElement;
+      if (!list || !list.classList.contains(CHECKLIST.CLASS)) return blocks;
+      const box = li.dataset.checked === 'true' ? '[x] ' : '[ ] ';
+      return blocks.length ? [box + blocks[0]].concat(blocks.slice(1)) : [box.trim()];
+    },
 
-        try {
-          if (cmd.type === 'state') {
-            isActive = document.queryCommandState(cmd.id);
-          } else if (cmd.type === 'block') {
-            const current = document.queryCommandValue('formatBlock').toLowerCase();
-            isActive = (current === cmd.block);
-          }
-        } catch (_) {
-          isActive = false;
-        }
+    _codeBlock(pre) {
+      const code = pre.querySelector('code');
+      const langSource = (code && code.className) || pre.className || '';
+      const langMatch = langSource.match(/language-([\w+#-]+)/);
+      const lang = pre.dataset.lang || (langMatch ? langMatch[1] : '');
+      const text = SEARCH.extractText(pre).text.replace(/\n$/, '');
+      const fence = /```/.test(text) ? '~~~' : '```';
+      return fence + lang + '\n' + text + '\n' + fence;
+    },
 
-        btn.classList.toggle('is-active', isActive);
-        btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    _table(table) {
+      const rows = Array.from(table.querySelectorAll('tr'));
+      if (!rows.length) return '';
+      const cell = (td) => MARKDOWN._inlineChildren(td).split(MARKDOWN.BR).join(' ').replace(/\|/g, '\\|').trim();
+      const matrix = rows.map((tr) => Array.from(tr.children).map(cell));
+      const width = Math.max(...matrix.map((row) => row.length));
+      const pad = (row) => row.concat(Array(width - row.length).fill(''));
+      const line = (row) => '| ' + pad(row).join(' | ') + ' |';
+      return [line(matrix[0]), line(Array(width).fill('---'))].concat(matrix.slice(1).map(line)).join('\n');
+    },
+
+    _inlineChildren(node) {
+      let out = '';
+      node.childNodes.forEach((child) => {
+        out += MARKDOWN._isBlock(child)
+          ? MARKDOWN.BR + MARKDOWN._blocksOf(child).join(MARKDOWN.BR) + MARKDOWN.BR
+          : MARKDOWN._inline(child);
       });
+      return out;
     },
 
-    updateClearState() {
-      if (!TOOLBAR.el) return;
-      const btn = TOOLBAR.el.querySelector('[data-cmd-id="clearContent"]');
-      if (!btn) return;
-      btn.disabled = EDITOR.getHTML() === '';
+    /** Wrap with a delimiter, keeping surrounding whitespace outside it. */
+    _wrap(inner, delim) {
+      const m = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      if (!m[2]) return inner;
+      return m[1] + delim + m[2] + delim + m[3];
     },
 
-    toggleHighlightMenu() {
-      if (!TOOLBAR._highlightMenuEl || !TOOLBAR._highlightTriggerEl) return;
-      if (TOOLBAR._highlightMenuOpen) {
-        TOOLBAR.closeHighlightMenu();
-        return;
+    _inline(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.nodeValue.replace(/\u00a0/g, ' ').replace(/\s+/g, ' ');
+        return MARKDOWN._escapeText(text);
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+      const tag = node.tagName;
+      if (tag === 'BR') return MARKDOWN.BR;
+      if (tag === 'IMG') {
+        const src = node.getAttribute('src') || '';
+        if (!src) return '';
+        const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '');
+        return `![${alt}](${src})`;
+      }
+      if (tag === 'CODE') {
+        const text = node.textContent || '';
+        const ticks = text.includes('`') ? '``' : '`';
+        const pad = /^`|`$/.test(text) ? ' ' : '';
+        return ticks + pad + text + pad + ticks;
       }
-      TOOLBAR._highlightMenuOpen = true;
-      TOOLBAR._highlightMenuEl.classList.add('is-open');
-      TOOLBAR._highlightTriggerEl.setAttribute('aria-expanded', 'true');
-    },
 
-    closeHighlightMenu() {
-      if (!TOOLBAR._highlightMenuEl || !TOOLBAR._highlightTriggerEl) return;
-      TOOLBAR._highlightMenuOpen = false;
-      TOOLBAR._highlightMenuEl.classList.remove('is-open');
-      TOOLBAR._highlightTriggerEl.setAttribute('aria-expanded', 'false');
+      const inner = MARKDOWN._inlineChildren(node);
+
+      if (tag === 'A') {
+        const href = node.getAttribute('href') || '';
+        if (!href) return inner;
+        const text = inner.split(MARKDOWN.BR).join(' ').trim();
+        if (!text || text === MARKDOWN._escapeText(href)) return `<${href}>`;
+        return `[${text}](${href.replace(/[()\s]/g, (c) => encodeURIComponent(c))})`;
+      }
+      if (tag === 'B' || tag === 'STRONG') return MARKDOWN._wrap(inner, '**');
+      if (tag === 'I' || tag === 'EM') return MARKDOWN._wrap(inner, '_');
+      if (tag === 'S' || tag === 'STRIKE' || tag === 'DEL') return MARKDOWN._wrap(inner, '~~');
+      if (tag === 'MARK') return MARKDOWN._wrap(inner, '==');
+
+      const bg = node.style ? (node.style.backgroundColor || '').trim() : '';
+      if (bg && bg !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(bg)) return MARKDOWN._wrap(inner, '==');
+      const weight = node.style ? node.style.fontWeight : '';
+      if (weight === 'bold' || Number(weight) >= 600) return MARKDOWN._wrap(inner, '**');
+      if (node.style && node.style.fontStyle === 'italic') return MARKDOWN._wrap(inner, '_');
+      return inner;
     },
-  };
 
-  /* ============================================================
-     TABS — render, create, delete, rename, switch
-     ============================================================ */
-  const TABS = {
-    listEl: null,
-    _dragTabId: null,
-    _dropTabId: null,
-    _dropPos: null,
-    _didDrag: false,
-    _textMeasureCanvas: null,
+    /* ---------- Markdown → HTML ---------- */
 
-    render(listEl) {
-      TABS.listEl = listEl;
-      TABS.redraw();
+    toHTML(md) {
+      const lines = (md || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+      const html = MARKDOWN._parseBlocks(lines);
+
+      // Bare URLs and issue keys become links the same way pasted text does.
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      LINKS._linkifyTokensInNode(tpl.content, true);
+      return EDITOR.stripUnsafeHTML(tpl.innerHTML);
     },
 
-    redraw() {
-      const el = TABS.listEl;
-      if (!el) return;
+    _parseBlocks(lines) {
+      const out = [];
+      let para = [];
+      const flushPara = () => {
+        if (!para.length) return;
+        const html = para
+          .map((line, idx) => {
+            const isLast = idx === para.length - 1;
+            const hardBreak = !isLast && (/\\$/.test(line) || / {2,}$/.test(line));
+            const text = (hardBreak ? line.replace(/\\$/, '') : line).trim();
+            return MARKDOWN._parseInline(text) + (isLast ? '' : (hardBreak ? '<br>' : ' '));
+          })
+          .join('');
+        out.push('<p>' + html + '</p>');
+        para = [];
+      };
 
-      const frag = document.createDocumentFragment();
+      let i = 0;
+      while (i < lines.length) {
+        const line = lines[i];
 
-      STATE.tabs.forEach((tab) => {
-        const item = document.createElement('div');
-        item.className = 'tab-item' + (tab.id === STATE.activeTabId ? ' is-active' : '');
-        item.setAttribute('role', 'tab');
-        item.setAttribute('aria-selected', tab.id === STATE.activeTabId ? 'true' : 'false');
-        item.setAttribute('tabindex', '0');
-        item.dataset.tabId = tab.id;
-        item.draggable = true;
+        if (!line.trim()) {
+          flushPara();
+          i += 1;
+          continue;
+        }
 
-        // Label
-        const label = document.createElement('span');
-        label.className = 'tab-label';
-        label.textContent = tab.name;
-        label.title = tab.name;
+        if (para.length && /^ {0,3}(=+|-+)\s*$/.test(line)) {
+          // Setext heading: underline for the paragraph collected so far.
+          const level = line.trim()[0] === '=' ? 1 : 2;
+          const text = para.map((l) => l.trim()).join(' ');
+          para = [];
+          out.push(`<h${level}>${MARKDOWN._parseInline(text)}</h${level}>`);
+          i += 1;
+          continue;
+        }
 
-        // Delete button (hidden via CSS when only 1 tab)
-        const delBtn = document.createElement('button');
-        delBtn.className = 'tab-delete-btn';
-        delBtn.title = 'Close tab';
-        delBtn.setAttribute('aria-label', `Close tab ${tab.name}`);
-        delBtn.setAttribute('tabindex', '-1');
-        if (STATE.tabs.length <= 1) {
-          delBtn.disabled = true;
+        const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w+#-]*)/);
+        if (fence) {
+          flushPara();
+          const closing = new RegExp('^ {0,3}' + fence[1][0] + '{' + fence[1].length + ',}\\s*$');
+          const body = [];
+          i += 1;
+          while (i < lines.length && !closing.test(lines[i])) {
+            body.push(lines[i]);
+            i += 1;
+          }
+          i += 1; // closing fence
+          out.push(MARKDOWN._codeBlockHTML(body.join('\n'), fence[2]));
+          continue;
         }
-        delBtn.innerHTML =
-          '<svg width="10" height="10" viewBox="0 0 10 10" fill="none" aria-hidden="true">' +
-          '<path d="M1.5 1.5l7 7M8.5 1.5l-7 7" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/>' +
-          '</svg>';
 
-        item.appendChild(label);
-        item.appendChild(delBtn);
-        frag.appendChild(item);
+        const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (heading) {
+          flushPara();
+          const level = heading[1].length;
+          out.push(`<h${level}>${MARKDOWN._parseInline(heading[2])}</h${level}>`);
+          i += 1;
+          continue;
+        }
 
-        // Click on tab → switch
-        item.addEventListener('click', (e) => {
-          if (TABS._didDrag) {
-            TABS._didDrag = false;
-            return;
-          }
-          if (e.target === delBtn || delBtn.contains(e.target)) return;
-          TABS.switchTo(tab.id);
-        });
+        if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+          flushPara();
+          out.push('<hr>');
+          i += 1;
+          continue;
+        }
 
-        // Double-click label → rename
-        label.addEventListener('dblclick', (e) => {
-          e.stopPropagation();
-          TABS.startRename(tab.id, item, label);
-        });
+        if (/^ {0,3}>/.test(line)) {
+          flushPara();
+          const quoted = [];
+          while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+            quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+            i += 1;
+          }
+          out.push('<blockquote>' + MARKDOWN._parseBlocks(quoted) + '</blockquote>');
+          continue;
+        }
 
-        // Keyboard: Space → activate, Enter → rename, ArrowLeft/Right → move focus between tabs
-        item.addEventListener('keydown', (e) => {
-          // Let caret navigation work inside rename input without tab-level shortcuts.
-          if (item.classList.contains('tab-item--rename') || (e.target && e.target.classList && e.target.classList.contains('tab-rename-input'))) {
-            return;
+        if (MARKDOWN._listMarker(line)) {
+          flushPara();
+          const start = i;
+          i += 1;
+          while (i < lines.length) {
+            const next = lines[i];
+            const belongs = next.trim()
+              ? (MARKDOWN._listMarker(next) !== null || /^\s+\S/.test(next))
+              : MARKDOWN._listContinues(lines, i);
+            if (!belongs) break;
+            i += 1;
           }
+          out.push(MARKDOWN._parseList(lines.slice(start, i)));
+          continue;
+        }
 
-          if (e.key === ' ' || e.key === 'Spacebar') {
-            e.preventDefault();
-            TABS.switchTo(tab.id);
-          } else if (e.key === 'Enter') {
-            e.preventDefault();
-            TABS.startRename(tab.id, item, label);
-          } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-            e.preventDefault();
-            const items = Array.from(TABS.listEl.querySelectorAll('.tab-item'));
-            if (items.length === 0) return;
-            const idx = items.indexOf(item);
-            const step = e.key === 'ArrowRight' ? 1 : -1;
-            const nextIdx = (idx + step + items.length) % items.length;
-            const nextItem = items[nextIdx];
-            const nextTabId = nextItem && nextItem.dataset ? nextItem.dataset.tabId : null;
-            if (!nextTabId) return;
-            TABS.switchTo(nextTabId, false, true);
+        const isTableStart = line.includes('|') && i + 1 < lines.length &&
+          /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]);
+        if (isTableStart) {
+          flushPara();
+          const rows = [line];
+          i += 2;
+          while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+            rows.push(lines[i]);
+            i += 1;
           }
-        });
+          out.push(MARKDOWN._tableHTML(rows));
+          continue;
+        }
 
-        // Delete button click
-        delBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          TABS.deleteTab(tab.id);
-        });
+        para.push(line);
+        i += 1;
+      }
+      flushPara();
+      return out.join('');
+    },
 
-        // Drag-and-drop reorder
-        item.addEventListener('dragstart', (e) => TABS.onDragStart(e, tab.id, delBtn));
-        item.addEventListener('dragover', (e) => TABS.onDragOver(e, tab.id));
-        item.addEventListener('drop', (e) => TABS.onDrop(e, tab.id));
-        item.addEventListener('dragend', () => TABS.clearDragState());
-      });
+    _listMarker(line) {
+      const m = line.match(/^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/);
+      if (!m) return null;
+      return {
+        indent: m[1].length,
+        ordered: /\d/.test(m[2]),
+        number: parseInt(m[2], 10),
+        width: m[1].length + m[2].length + Math.max(1, m[3].length),
+        text: m[4],
+      };
+    },
 
-      el.replaceChildren(frag);
+    /** A blank line continues a list if the next non-blank line is indented or another item. */
+    _listContinues(lines, idx) {
+      let j = idx;
+      while (j < lines.length && !lines[j].trim()) j += 1;
+      return j < lines.length && (MARKDOWN._listMarker(lines[j]) !== null || /^\s{2,}\S/.test(lines[j]));
     },
 
-    onDragStart(e, tabId, delBtn) {
-      if (!e.dataTransfer) return;
-      if (e.target === delBtn || delBtn.contains(e.target)) {
-        e.preventDefault();
-        return;
+    /**
+     * Build <ul>/<ol> from list lines. A marker left of the previous item's
+     * content column starts a sibling; anything else belongs to that item
+     * and is parsed recursively, which yields nested lists.
+     */
+    _parseList(lines) {
+      const items = [];
+      lines.forEach((line) => {
+        const marker = MARKDOWN._listMarker(line);
+        const last = items[items.length - 1];
+        if (marker && (!last || marker.indent < last.width)) {
+          const task = marker.ordered ? null : marker.text.match(/^\[([ xX])\](?:\s+|$)/);
+          items.push({
+            ordered: marker.ordered,
+            number: marker.number,
+            width: marker.width,
+            checked: task ? task[1] !== ' ' : null,
+            body: [task ? marker.text.slice(task[0].length) : marker.text],
+          });
+          return;
+        }
+        if (!last) return;
+        const leading = line.length - line.trimStart().length;
+        last.body.push(line.slice(Math.min(leading, last.width)));
+      });
+
+      let html = '';
+      let idx = 0;
+      while (idx < items.length) {
+        const { ordered, number } = items[idx];
+        const isChecklist = items[idx].checked !== null;
+        const tag = ordered ? 'ol' : 'ul';
+        html += `<${tag}${ordered && number !== 1 ? ` start="${number}"` : ''}${isChecklist ? ` class="${CHECKLIST.CLASS}"` : ''}>`;
+        while (idx < items.length && items[idx].ordered === ordered && (items[idx].checked !== null) === isChecklist) {
+          const item = items[idx];
+          const checkedAttr = isChecklist ? ` data-checked="${item.checked ? 'true' : 'false'}"` : '';
+          html += `<li${checkedAttr}>` + MARKDOWN._listItemHTML(item.body) + '</li>';
+          idx += 1;
+        }
+        html += `</${tag}>`;
       }
-      TABS._dragTabId = tabId;
-      TABS._dropTabId = null;
-      TABS._dropPos = null;
-      TABS._didDrag = false;
-      e.dataTransfer.effectAllowed = 'move';
-      e.dataTransfer.setData('text/plain', tabId);
-      if (e.currentTarget && e.currentTarget.classList) {
-        e.currentTarget.classList.add('is-dragging');
+      return html;
+    },
+
+    /** Inner HTML of one list item, from its body lines with the marker indent removed. */
+    _listItemHTML(bodyLines) {
+      // Tight items: drop the paragraph wrapper around the first line.
+      return MARKDOWN._parseBlocks(bodyLines).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+    },
+
+    _codeBlockHTML(code, lang) {
+      const langAttr = lang ? ` data-lang="${escapeHTML(lang)}"` : '';
+      return `<pre${langAttr}><code>${escapeHTML(code)}</code></pre>`;
+    },
+
+    _tableHTML(rows) {
+      const split = (row) => row
+        .trim()
+        .replace(/^\||\|$/g, '')
+        .split(/(?<!\\)\|/)
+        .map((cell) => MARKDOWN._parseInline(cell.trim()));
+      const [head, ...body] = rows.map(split);
+      return '<table><thead><tr>' + head.map((c) => `<th>${c}</th>`).join('') + '</tr></thead><tbody>' +
+        body.map((row) => '<tr>' + head.map((_, k) => `<td>${row[k] || ''}</td>`).join('') + '</tr>').join('') +
+        '</tbody></table>';
+    },
+
+    _highlightHTML(inner) {
+      return `<span style="background-color: ${TOOLBAR.getThemeHighlightColorByKey('yellow')};">${inner}</span>`;
+    },
+
+    _parseInline(text) {
+      // Code spans, escapes, images and links are parked in `stash` so the
+      // emphasis rules below never see their contents.
+      const stash = [];
+      const keep = (html) => '\u0001' + (stash.push(html) - 1) + '\u0002';
+      const link = (href, inner) => `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${inner}</a>`;
+
+      let s = text
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => keep('<code>' + escapeHTML(code.replace(/^ ([\s\S]+) $/, '$1')) + '</code>'))
+        .replace(/\\([\\`*_{}[\]()#+\-.!~=|<>])/g, (m, ch) => keep(escapeHTML(ch)))
+        .replace(/!\[([^\]]*)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (m, alt, src) => {
+          if (!/^(https?:|data:image\/)/i.test(src)) return keep(escapeHTML(alt));
+          return keep(`<img src="${escapeHTML(src)}" alt="${escapeHTML(alt)}">`);
+        })
+        .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (m, label, href) => {
+          const inner = MARKDOWN._parseInline(label);
+          return keep(/^(https?:|mailto:)/i.test(href) ? link(href, inner) : inner);
+        })
+        .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, (m, href) => keep(link(href, escapeHTML(href))));
+
+      s = escapeHTML(s)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<b>$1</b>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<b>$2</b>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        .replace(/==(?=\S)([\s\S]*?\S)==/g, (m, inner) => MARKDOWN._highlightHTML(inner))
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<i>$1</i>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<i>$2</i>');
+
+      while (/\u0001\d+\u0002/.test(s)) {
+        s = s.replace(/\u0001(\d+)\u0002/g, (m, n) => stash[Number(n)]);
       }
+      return s;
     },
 
-    onDragOver(e, tabId) {
-      if (!TABS._dragTabId || TABS._dragTabId === tabId) return;
-      e.preventDefault();
-      if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+    /* ---------- Export / import actions ---------- */
 
-      const rect = e.currentTarget.getBoundingClientRect();
-      const midpoint = rect.left + rect.width / 2;
-      const pos = e.clientX < midpoint ? 'before' : 'after';
+    _fileBaseName(name) {
+      return (name || 'note').replace(/[\\/:*?"<>|]+/g, '-').trim() || 'note';
+    },
 
-      if (TABS._dropTabId !== tabId || TABS._dropPos !== pos) {
-        TABS._dropTabId = tabId;
-        TABS._dropPos = pos;
-        TABS.applyDropClasses();
+    /** Markdown for the open note, with stored images inlined as data: URLs. */
+    async activeTabMarkdown() {
+      return MARKDOWN.toMarkdown(await IMAGE_STORE.inlineHTML(EDITOR.getHTML()));
+    },
+
+    async exportActiveTab() {
+      const tab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (!tab) return;
+      downloadFile(MARKDOWN._fileBaseName(tab.name) + '.md', await MARKDOWN.activeTabMarkdown(), 'text/markdown');
+    },
+
+    async copyActiveTab() {
+      try {
+        await navigator.clipboard.writeText(await MARKDOWN.activeTabMarkdown());
+        TOAST.show('Note copied as Markdown');
+      } catch (_) {
+        TOAST.show('Could not access the clipboard');
       }
     },
 
-    onDrop(e, tabId) {
-      if (!TABS._dragTabId || TABS._dragTabId === tabId) return;
-      e.preventDefault();
+    /** Ask for .md files and add each one as a new tab. */
+    pickFilesToImport() {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.md,.markdown,.txt,text/markdown,text/plain';
+      input.multiple = true;
+      input.addEventListener('change', () => {
+        MARKDOWN.importFiles(Array.from(input.files || []));
+      });
+      input.click();
+    },
 
-      const fromIdx = STATE.tabs.findIndex((t) => t.id === TABS._dragTabId);
-      const targetIdx = STATE.tabs.findIndex((t) => t.id === tabId);
-      if (fromIdx === -1 || targetIdx === -1) {
-        TABS.clearDragState();
-        return;
+    async importFiles(files) {
+      if (!files.length) return;
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+
+      const created = [];
+      for (const file of files) {
+        const text = await file.text();
+        const now = Date.now();
+        const tab = {
+          id: createId('tab'),
+          name: TABS.uniqueName(file.name.replace(/\.(md|markdown|txt)$/i, '') || 'Imported note', ' (imported)'),
+          content: await IMAGE_STORE.adoptDataImages(MARKDOWN.toHTML(text)),
+          createdAt: now,
+          updatedAt: now,
+        };
+        STATE.tabs.push(tab);
+        created.push(tab);
       }
 
-      let toIdx = targetIdx + (TABS._dropPos === 'after' ? 1 : 0);
-      const [moved] = STATE.tabs.splice(fromIdx, 1);
-      if (fromIdx < toIdx) toIdx -= 1;
-      STATE.tabs.splice(toIdx, 0, moved);
+      TABS.switchTo(created[0].id, true);
+      TOAST.show(created.length === 1 ? `Imported “${created[0].name}”` : `Imported ${created.length} notes`);
+    },
+  };
 
-      TABS._didDrag = true;
-      TABS.redraw();
-      STORAGE.scheduleSave();
+  /* ============================================================
+     STATUS_BAR — save state and storage usage
+     ============================================================ */
+  const STATUS_BAR = {
+    WARN_RATIO: 0.8,
+    FULL_RATIO: 0.95,
+    LABELS: { saving: 'Saving…', saved: 'Saved', error: 'Failed to save' },
+    STORE_LABELS: { history: 'Version history', trash: 'The trash' },
+
+    el: null,
+    _saveEl: null,
+    _meterEl: null,
+    _state: null,
+    _message: '',
+    _usageTimer: null,
+    _warnedAt: 0,  // highest ratio band already announced with a toast
+    _usageTitle: '',
+    _storeErrors: new Map(),  // 'history' | 'trash' → message of its last failed write
+
+    init(el) {
+      STATUS_BAR.el = el;
+
+      const save = document.createElement('button');
+      save.type = 'button';
+      save.className = 'save-status';
+      save.setAttribute('aria-live', 'polite');
+      save.addEventListener('click', () => {
+        if (STATUS_BAR._state === 'error') STORAGE.flush();
+      });
+
+      const meter = document.createElement('div');
+      meter.className = 'storage-meter';
+      meter.innerHTML =
+        '<span class="storage-meter-bar" aria-hidden="true"><span class="storage-meter-fill"></span></span>' +
+        '<span class="storage-meter-label"></span>';
+
+      el.append(save, meter);
+      STATUS_BAR._saveEl = save;
+      STATUS_BAR._meterEl = meter;
+      STATUS_BAR.setSaveState('saved');
+      STATUS_BAR.refreshUsage();
     },
 
-    applyDropClasses() {
-      if (!TABS.listEl) return;
-      const items = TABS.listEl.querySelectorAll('.tab-item');
-      items.forEach((el) => {
-        el.classList.remove('tab-item--drop-before', 'tab-item--drop-after');
-        if (!TABS._dropTabId || el.dataset.tabId !== TABS._dropTabId) return;
-        if (TABS._dropPos === 'before') el.classList.add('tab-item--drop-before');
-        if (TABS._dropPos === 'after') el.classList.add('tab-item--drop-after');
+    setSaveState(state, message = '') {
+      if (!STATUS_BAR._saveEl) return;
+      if (state === STATUS_BAR._state && message === STATUS_BAR._message) return;
+      STATUS_BAR._state = state;
+      STATUS_BAR._message = message;
+
+      const el = STATUS_BAR._saveEl;
+      el.textContent = STATUS_BAR.LABELS[state];
+      el.classList.toggle('is-saving', state === 'saving');
+      el.classList.toggle('is-error', state === 'error');
+      el.disabled = state !== 'error';
+      el.title = state === 'error'
+        ? `${(message || 'Storage write failed').replace(/\.?$/, '.')} Your changes are kept locally and will be retried. Click to retry now.`
+        : '';
+    },
+
+    /**
+     * Report the outcome of a history or trash write ('' when it went
+     * through). Notes report through setSaveState; these failures show on
+     * the storage meter, with a toast when one starts.
+     */
+    setStoreError(store, message) {
+      const failing = STATUS_BAR._storeErrors.has(store);
+      if (message) STATUS_BAR._storeErrors.set(store, message);
+      else STATUS_BAR._storeErrors.delete(store);
+      if (message && !failing) {
+        TOAST.show(`${STATUS_BAR.STORE_LABELS[store]} could not be saved: ${message.replace(/\.?$/, '.')}`, { duration: 10000 });
+      }
+      STATUS_BAR._updateMeterTitle();
+    },
+
+    _updateMeterTitle() {
+      const meter = STATUS_BAR._meterEl;
+      if (!meter) return;
+      const errors = Array.from(STATUS_BAR._storeErrors, ([store, message]) => `${STATUS_BAR.STORE_LABELS[store]} could not be saved: ${message}`);
+      meter.classList.toggle('is-error', errors.length > 0);
+      meter.title = [STATUS_BAR._usageTitle].concat(errors).filter(Boolean).join('\n');
+    },
+
+    scheduleUsageRefresh() {
+      if (STATUS_BAR._usageTimer) return;
+      STATUS_BAR._usageTimer = setTimeout(() => {
+        STATUS_BAR._usageTimer = null;
+        STATUS_BAR.refreshUsage();
+      }, 2000);
+    },
+
+    async refreshUsage() {
+      if (!STATUS_BAR._meterEl) return;
+      const used = await new Promise((resolve) => {
+        chrome.storage.local.getBytesInUse(null, (bytes) => resolve(bytes || 0));
       });
+      const quota = chrome.storage.local.QUOTA_BYTES || 10 * 1024 * 1024;
+      const ratio = Math.min(1, used / quota);
+      const percent = Math.round(ratio * 100);
+
+      const meter = STATUS_BAR._meterEl;
+      meter.querySelector('.storage-meter-fill').style.width = percent + '%';
+      meter.querySelector('.storage-meter-label').textContent = `${formatBytes(used)} of ${formatBytes(quota)}`;
+      STATUS_BAR._usageTitle = `Notebook storage ${percent}% used`;
+      STATUS_BAR._updateMeterTitle();
+      meter.classList.toggle('is-warning', ratio >= STATUS_BAR.WARN_RATIO && ratio < STATUS_BAR.FULL_RATIO);
+      meter.classList.toggle('is-full', ratio >= STATUS_BAR.FULL_RATIO);
+
+      const band = ratio >= STATUS_BAR.FULL_RATIO ? STATUS_BAR.FULL_RATIO : (ratio >= STATUS_BAR.WARN_RATIO ? STATUS_BAR.WARN_RATIO : 0);
+      if (band > STATUS_BAR._warnedAt) {
+        TOAST.show(`Notebook storage is ${percent}% full. Empty the trash or delete old version history to free space.`, { duration: 10000 });
+      }
+      STATUS_BAR._warnedAt = band;
+    },
+  };
+
+  /* ============================================================
+     SHORTCUTS — in-panel keyboard shortcuts and their help sheet
+     ============================================================ */
+  const SHORTCUTS = {
+    IS_MAC: /Mac|iPhone|iPad/.test(navigator.platform || ''),
+
+    // `combo` is modifiers plus a KeyboardEvent.code. "Mod" is Ctrl or Cmd.
+    // Alt+Shift keeps clear of Ctrl/Cmd+B/I/U in the editor and of browser
+    // shortcuts such as Ctrl+T, Ctrl+W and Ctrl+1–9; on macOS it becomes
+    // Ctrl+Option (see _platformCombo). Arrow keys are left alone:
+    // Alt/Option+Shift+Arrow extends the selection by word.
+    LIST: [
+      { combo: 'Alt+Shift+KeyT', label: 'New note', run() { TABS.createTab(); } },
+      { combo: 'Alt+Shift+KeyW', label: 'Close note', run() { TABS.deleteTab(STATE.activeTabId); } },
+      { combo: 'Alt+Shift+KeyR', label: 'Reopen last closed note', run() { SHORTCUTS.reopenClosed(); } },
+      { combo: 'Alt+Shift+KeyD', label: 'Duplicate note', run() { NOTE_OPS.duplicate(); } },
+      { combo: 'Alt+Shift+Enter', label: 'Split note at cursor (or move the selection to a new note)', run() { NOTE_OPS.split(); } },
+      { combo: 'Alt+Shift+BracketRight', label: 'Next note', run() { TABS.switchBy(1); } },
+      { combo: 'Alt+Shift+BracketLeft', label: 'Previous note', run() { TABS.switchBy(-1); } },
+      { combo: 'Alt+Shift+Digit', label: 'Go to note 1–8, 9 for the last', run(e) { SHORTCUTS.goTo(Number(e.code.slice(5))); } },
+      { combo: 'Alt+Shift+Comma', label: 'Move note left', run() { TABS.move(STATE.activeTabId, -1); } },
+      { combo: 'Alt+Shift+Period', label: 'Move note right', run() { TABS.move(STATE.activeTabId, 1); } },
+      { combo: 'Alt+Shift+KeyA', label: 'List all notes', run() { ALL_NOTES.open(); } },
+      { combo: 'Mod+Shift+KeyF', label: 'Search all notes', inPanels: true, run() { SEARCH.open(); } },
+      { combo: 'Mod+Slash', label: 'Show keyboard shortcuts', inPanels: true, run() { SHORTCUTS.toggleHelp(); } },
+    ],
+
+    // Listed in the help sheet only; the editor handles these itself.
+    EDITING: [
+      ['Mod+KeyB', 'Bold'],
+      ['Mod+KeyI', 'Italic'],
+      ['Mod+KeyU', 'Underline'],
+      ['Mod+Enter', 'Check or uncheck a checklist item'],
+      ['Tab', 'Next table cell; in a code block, indent; elsewhere, insert spaces'],
+      ['Shift+Tab', 'Previous table cell; in a code block, outdent'],
+      ['Escape', 'Clear search highlights'],
+    ],
+
+    /** On macOS Option+Shift+letter types characters (Å, „, ‰, Î…), so Alt+Shift combos use Ctrl+Option there. */
+    _platformCombo(combo) {
+      return SHORTCUTS.IS_MAC ? combo.replace(/^Alt\+Shift\+/, 'Ctrl+Alt+') : combo;
     },
 
-    clearDragState() {
-      TABS._dragTabId = null;
-      TABS._dropTabId = null;
-      TABS._dropPos = null;
-      if (!TABS.listEl) return;
-      const items = TABS.listEl.querySelectorAll('.tab-item');
-      items.forEach((el) => {
-        el.classList.remove('is-dragging', 'tab-item--drop-before', 'tab-item--drop-after');
-      });
+    _matches(combo, e) {
+      const parts = SHORTCUTS._platformCombo(combo).split('+');
+      const code = parts.pop();
+      if (parts.includes('Ctrl')) {
+        if (!e.ctrlKey || e.metaKey) return false;
+      } else if (!!(e.ctrlKey || e.metaKey) !== parts.includes('Mod')) {
+        return false;
+      }
+      if (e.altKey !== parts.includes('Alt') || e.shiftKey !== parts.includes('Shift')) return false;
+      return code === 'Digit' ? /^Digit[1-9]$/.test(e.code || '') : e.code === code;
     },
 
-    autosizeRenameInput(input, itemEl) {
-      if (!input || !itemEl) return;
+    /** Document-level keydown; returns whether a shortcut ran. */
+    handleKeydown(e) {
+      const entry = SHORTCUTS.LIST.find((item) => SHORTCUTS._matches(item.combo, e));
+      if (!entry) return false;
+      if (PANEL.isOpen() && !entry.inPanels) return false;
+      // Keep the tab strip's rename field (and other inputs) free for their own key handling.
+      if (!entry.inPanels && e.target && e.target.matches && e.target.matches('input, textarea, select')) return false;
+      e.preventDefault();
+      entry.run(e);
+      return true;
+    },
 
-      if (!TABS._textMeasureCanvas) {
-        TABS._textMeasureCanvas = document.createElement('canvas');
+    goTo(n) {
+      const tab = n === 9 ? STATE.tabs[STATE.tabs.length - 1] : STATE.tabs[n - 1];
+      if (tab) TABS.switchTo(tab.id);
+    },
+
+    reopenClosed() {
+      const item = TRASH.items.find((entry) => entry.kind === 'tab');
+      if (!item) {
+        TOAST.show('No closed notes to reopen.');
+        return;
       }
+      TRASH.restore(item.id);
+    },
 
-      const ctx = TABS._textMeasureCanvas.getContext('2d');
-      if (!ctx) return;
+    /** "Alt+Shift+KeyT" → "Alt+Shift+T", or "⌃⌥T" on macOS. */
+    format(combo) {
+      const KEY_NAMES = {
+        BracketLeft: '[', BracketRight: ']', Slash: '/', Comma: ',', Period: '.', Digit: '1–9', Enter: 'Enter',
+      };
+      const parts = SHORTCUTS._platformCombo(combo).split('+');
+      const code = parts.pop();
+      const key = KEY_NAMES[code] || code.replace(/^(Key|Digit)/, '');
+      if (SHORTCUTS.IS_MAC) {
+        const symbols = { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' };
+        return parts.map((part) => symbols[part]).join('') + key;
+      }
+      return parts.map((part) => (part === 'Mod' ? 'Ctrl' : part)).concat(key).join('+');
+    },
 
-      const styles = getComputedStyle(input);
-      const font = styles.font || [
-        styles.fontStyle,
-        styles.fontVariant,
-        styles.fontWeight,
-        styles.fontSize,
-        styles.lineHeight !== 'normal' ? '/' + styles.lineHeight : '',
-        styles.fontFamily,
-      ].join(' ').trim();
-      ctx.font = font;
+    toggleHelp() {
+      if (PANEL.isOpen('shortcuts')) PANEL.close();
+      else PANEL.open('shortcuts', 'Keyboard shortcuts', (body) => SHORTCUTS._renderHelp(body));
+    },
 
-      const value = input.value || '';
-      const textWidth = Math.ceil(ctx.measureText(value || ' ').width);
-      const horizontalExtra =
-        parseFloat(styles.paddingLeft || '0') +
-        parseFloat(styles.paddingRight || '0') +
-        parseFloat(styles.borderLeftWidth || '0') +
-        parseFloat(styles.borderRightWidth || '0') +
-        2;
+    _renderHelp(body) {
+      const group = (title, rows) => {
+        const section = document.createElement('section');
+        section.className = 'settings-section';
+        const heading = document.createElement('h3');
+        heading.className = 'settings-section-title';
+        heading.textContent = title;
+        const list = document.createElement('dl');
+        list.className = 'shortcut-list';
+        rows.forEach(([keys, label]) => {
+          const term = document.createElement('dt');
+          const kbd = document.createElement('kbd');
+          kbd.textContent = keys;
+          term.appendChild(kbd);
+          const desc = document.createElement('dd');
+          desc.textContent = label;
+          list.append(term, desc);
+        });
+        section.append(heading, list);
+        return section;
+      };
 
-      const minWidth = Math.max(24, Math.ceil(horizontalExtra));
-      const maxWidth = Math.max(minWidth, itemEl.clientWidth - 10);
-      const desired = Math.min(maxWidth, Math.max(minWidth, textWidth + horizontalExtra));
-      input.style.width = desired + 'px';
+      body.append(
+        group('Notes', SHORTCUTS.LIST.map((item) => [SHORTCUTS.format(item.combo), item.label])),
+        group('Editing', SHORTCUTS.EDITING.map(([combo, label]) => [SHORTCUTS.format(combo), label])),
+      );
+
+      // Browser-wide commands from the manifest, with whatever keys the user assigned.
+      if (!chrome.commands || !chrome.commands.getAll) return;
+      chrome.commands.getAll((commands) => {
+        if (!PANEL.isOpen('shortcuts')) return;
+        const rows = (commands || [])
+          .filter((command) => command.description)
+          .map((command) => [command.shortcut || 'Not set', command.description]);
+        if (!rows.length) return;
+        const section = group('Anywhere in Chrome', rows);
+        const hint = document.createElement('p');
+        hint.className = 'settings-hint';
+        hint.textContent = 'Change these at chrome://extensions/shortcuts.';
+        section.appendChild(hint);
+        body.appendChild(section);
+      });
     },
+  };
 
-    startRename(tabId, itemEl, labelEl) {
-      if (tabId !== STATE.activeTabId) {
-        TABS.switchTo(tabId);
-
-        requestAnimationFrame(() => {
-          if (!TABS.listEl) return;
-          const nextItem = Array.from(TABS.listEl.querySelectorAll('.tab-item'))
-            .find((el) => el.dataset.tabId === tabId);
-          const nextLabel = nextItem && nextItem.querySelector('.tab-label');
-          if (nextItem && nextLabel) {
-            TABS.startRename(tabId, nextItem, nextLabel);
-          }
+  /* ============================================================
+     SYNC — merge changes written by other open Notebook panels
+     ============================================================ */
+  const SYNC = {
+    instanceId: createId('panel'),
+
+    _conflicts: [],     // queue of { tabId, name, content, updatedAt } awaiting a choice
+
+    init() {
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local') return;
+        const index = changes[STORAGE.INDEX_KEY];
+        const remoteIndex = index && index.newValue && index.newValue.writer !== SYNC.instanceId ? index.newValue : null;
+        const notes = {};
+        Object.keys(changes).forEach((key) => {
+          const note = changes[key].newValue;
+          if (!key.startsWith(STORAGE.NOTE_PREFIX) || !note || note.writer === SYNC.instanceId) return;
+          notes[key.slice(STORAGE.NOTE_PREFIX.length)] = note;
         });
+        if (remoteIndex || Object.keys(notes).length) SYNC.mergeNotebook(remoteIndex, notes);
 
-        return;
-      }
+        if (changes[SETTINGS.KEY] && changes[SETTINGS.KEY].newValue) {
+          SETTINGS.adopt(changes[SETTINGS.KEY].newValue);
+        }
+        if (changes[HISTORY.KEY] && changes[HISTORY.KEY].newValue) {
+          HISTORY.adopt(changes[HISTORY.KEY].newValue);
+        }
+        if (changes[TRASH.KEY] && Array.isArray(changes[TRASH.KEY].newValue)) {
+          TRASH.items = changes[TRASH.KEY].newValue;
+        }
+        if (changes[TEMPLATES.KEY]) {
+          TEMPLATES.adopt(changes[TEMPLATES.KEY].newValue);
+        }
+      });
+    },
 
-      if (itemEl.classList.contains('tab-item--rename')) return; // already renaming
+    /** Tag a record with this panel so its own change events are skipped. */
+    stamp(data) {
+      return Object.assign(data, { writer: SYNC.instanceId });
+    },
 
-      itemEl.classList.add('tab-item--rename');
+    /**
+     * Three-way merge of another panel's write into STATE, using what this
+     * panel last saw in storage (STORAGE.saved) as the base. Whatever only
+     * one side changed wins; a note whose content changed on both sides
+     * keeps this panel's text and queues a conflict for the user to resolve.
+     * `remoteIndex` is null when the write only touched notes (tabId → record).
+     */
+    mergeNotebook(remoteIndex, notes) {
+      const entries = remoteIndex && Array.isArray(remoteIndex.tabs) ? remoteIndex.tabs : STORAGE.savedEntries();
+      if (!entries.length) return;
 
-      const input = document.createElement('input');
-      input.type = 'text';
-      input.className = 'tab-rename-input';
+      const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (activeTab) activeTab.content = EDITOR.getHTML();
+
+      const saved = STORAGE.saved;
+      const localById = new Map(STATE.tabs.map((t) => [t.id, t]));
+      const remoteIds = new Set(entries.map((entry) => entry.id));
+      const keep = new Map();   // tabId → tab object in the merged notebook
+      const notices = [];
+      let activeReplaced = false;
+
+      entries.forEach((entry) => {
+        const l = localById.get(entry.id);
+        const b = saved.get(entry.id);
+        const note = notes[entry.id];
+        if (!l) {
+          // Unknown to the base: created elsewhere. Known: deleted here, stays deleted.
+          if (!b) keep.set(entry.id, STORAGE.fromEntry(note ? Object.assign({}, entry, { content: note.content || '' }) : entry));
+          return;
+        }
+        keep.set(l.id, l);
+
+        if (l.name !== entry.name && (!b || l.name === b.name)) l.name = entry.name;
+        // Tags are lists, so fields compare by value.
+        const same = (x, y) => JSON.stringify(x || null) === JSON.stringify(y || null);
+        STORAGE.TAB_FIELDS.forEach((field) => {
+          const remoteValue = entry[field] || null;
+          if (same(l[field], remoteValue) || (b && !same(l[field], b[field]))) return;
+          if (remoteValue) l[field] = remoteValue;
+          else delete l[field];
+        });
 
-      const tab = STATE.tabs.find((t) => t.id === tabId);
-      input.value = tab ? tab.name : '';
+        const localEdited = STORAGE.isLoaded(l) && (!b || l.content !== b.content);
+        if (!localEdited) l.updatedAt = entry.updatedAt;
+        // An unread note is simply read fresh when it is opened.
+        if (!note || !STORAGE.isLoaded(l) || l.content === (note.content || '')) return;
 
-      itemEl.insertBefore(input, labelEl);
-      TABS.autosizeRenameInput(input, itemEl);
-      input.select();
+        if (!localEdited) {
+          l.content = note.content || '';
+          HISTORY.updateBaseline(l.id, l.content);
+          if (l.id === STATE.activeTabId) activeReplaced = true;
+        } else {
+          SYNC._queueConflict(l, entry.name, note);
+        }
+      });
 
-      let committed = false;
-      const restoreTabFocus = () => {
-        requestAnimationFrame(() => {
-          if (!TABS.listEl) return;
-          const target = Array.from(TABS.listEl.querySelectorAll('.tab-item'))
-            .find((el) => el.dataset.tabId === tabId);
-          if (target) target.focus({ preventScroll: true });
-        });
-      };
+      STATE.tabs.forEach((l) => {
+        if (remoteIds.has(l.id)) return;
+        const b = saved.get(l.id);
+        if (b && (!STORAGE.isLoaded(l) || l.content === b.content)) {
+          notices.push(`“${l.name}” was deleted in another window.`);
+          return;
+        }
+        if (b) notices.push(`Kept “${l.name}”: it was deleted in another window while you edited it.`);
+        keep.set(l.id, l);
+      });
+      if (!keep.size) STATE.tabs.forEach((l) => keep.set(l.id, l));
+
+      const localOrder = STATE.tabs.map((t) => t.id);
+      STATE.tabs = SYNC._mergeOrder(localOrder, entries.map((entry) => entry.id), keep)
+        .map((id) => keep.get(id));
+      const remoteGroups = remoteIndex ? STORAGE.groupsFrom(remoteIndex) : STORAGE.savedGroups;
+      STATE.groups = SYNC._mergeGroups(STATE.groups, remoteGroups);
+      const contents = {};
+      Object.keys(notes).forEach((id) => { contents[id] = notes[id].content || ''; });
+      STORAGE._remember(entries, contents, undefined, remoteGroups);
+
+      if (!keep.has(STATE.activeTabId)) {
+        const idx = Math.max(0, localOrder.indexOf(STATE.activeTabId));
+        STATE.activeTabId = STATE.tabs[Math.min(idx, STATE.tabs.length - 1)].id;
+        activeReplaced = true;
+      }
 
-      const commit = () => {
-        if (committed) return;
-        committed = true;
-        const newName = input.value.trim();
-        if (newName && tab) {
-          tab.name = newName;
-          tab.updatedAt = Date.now();
-          STORAGE.scheduleSave();
+      const finish = () => {
+        if (activeReplaced) {
+          const scrollTop = EDITOR.el.scrollTop;
+          const tab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+          EDITOR.setHTML(tab.content);
+          EDITOR.el.scrollTop = scrollTop;
         }
-        itemEl.classList.remove('tab-item--rename');
-        if (input.parentNode) input.parentNode.removeChild(input);
         TABS.redraw();
-        restoreTabFocus();
-      };
-
-      const cancel = () => {
-        if (committed) return;
-        committed = true;
-        itemEl.classList.remove('tab-item--rename');
-        if (input.parentNode) input.parentNode.removeChild(input);
-        itemEl.focus({ preventScroll: true });
+        if (notices.length) TOAST.show(notices.join(' '));
+        if (STORAGE.hasChanges()) STORAGE.scheduleSave();
+        SYNC._showNextConflict();
       };
+      const newActive = STATE.tabs.find((t) => t.id === STATE.activeTabId);
+      if (STORAGE.isLoaded(newActive)) finish();
+      else STORAGE.ensureContent([newActive]).then(finish);
+    },
 
-      input.addEventListener('blur', commit);
-      input.addEventListener('input', () => TABS.autosizeRenameInput(input, itemEl));
-      input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') { e.preventDefault(); input.blur(); }
-        if (e.key === 'Escape') { e.preventDefault(); input.removeEventListener('blur', commit); cancel(); }
+    /**
+     * Order for the merged notebook: the other panel's order if it moved
+     * anything since the base, otherwise ours. Tabs only the other order has
+     * go in after the neighbour they followed there.
+     */
+    _mergeOrder(localOrder, remoteOrder, keep) {
+      const shared = (order) => order.filter((id) => STORAGE.saved.has(id) && keep.has(id)).join('\n');
+      const remoteMoved = shared(remoteOrder) !== shared(STORAGE.savedOrder);
+      const primary = remoteMoved ? remoteOrder : localOrder;
+      const secondary = remoteMoved ? localOrder : remoteOrder;
+
+      const result = primary.filter((id) => keep.has(id));
+      secondary.forEach((id, i) => {
+        if (!keep.has(id) || result.includes(id)) return;
+        const prev = secondary.slice(0, i).reverse().find((p) => result.includes(p));
+        result.splice(prev ? result.indexOf(prev) + 1 : 0, 0, id);
       });
+      return result;
     },
 
-    switchTo(tabId, skipSave = false, focusActiveTab = false) {
-      if (tabId === STATE.activeTabId) return;
-
-      // Save current tab content
-      if (!skipSave) {
-        const currentTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
-        if (currentTab) {
-          currentTab.content = EDITOR.getHTML();
-          currentTab.updatedAt = Date.now();
+    /**
+     * Groups after a merge, field by field like tabs: a name or collapsed
+     * state changed on one side only wins, groups created on either side
+     * are kept and groups deleted on either side go.
+     */
+    _mergeGroups(localGroups, remoteGroups) {
+      const base = new Map(STORAGE.savedGroups.map((g) => [g.id, g]));
+      const local = new Map(localGroups.map((g) => [g.id, g]));
+      const remoteIds = new Set(remoteGroups.map((g) => g.id));
+      const merged = [];
+      remoteGroups.forEach((r) => {
+        const l = local.get(r.id);
+        const b = base.get(r.id);
+        if (!l) {
+          if (!b) merged.push(Object.assign({}, r));
+          return;
         }
-      }
+        if (l.name !== r.name && (!b || l.name === b.name)) l.name = r.name;
+        if (l.collapsed !== r.collapsed && (!b || l.collapsed === b.collapsed)) l.collapsed = r.collapsed;
+        merged.push(l);
+      });
+      localGroups.forEach((l) => {
+        if (!remoteIds.has(l.id) && !base.has(l.id)) merged.push(l);
+      });
+      return merged;
+    },
 
-      STATE.activeTabId = tabId;
+    /** The other version goes into the note's history right away, so closing the prompt loses nothing. */
+    _queueConflict(localTab, name, note) {
+      HISTORY.takeSnapshot(localTab.id, note.content || '', 'other-window');
+      SYNC._conflicts = SYNC._conflicts.filter((c) => c.tabId !== localTab.id);
+      SYNC._conflicts.push({
+        tabId: localTab.id,
+        name,
+        content: note.content || '',
+        updatedAt: note.updatedAt || 0,
+      });
+    },
 
-      // Fade transition
-      EDITOR.el.classList.add('is-switching');
-      requestAnimationFrame(() => {
-        const newTab = STATE.tabs.find((t) => t.id === tabId);
-        EDITOR.setHTML(newTab ? newTab.content : '');
-        EDITOR.el.classList.remove('is-switching');
-        TABS.redraw();
-        STORAGE.scheduleSave();
+    _showNextConflict() {
+      if (PANEL.isOpen('sync-conflict')) return;
+      let conflict = SYNC._conflicts.shift();
+      while (conflict && !STATE.tabs.some((t) => t.id === conflict.tabId)) conflict = SYNC._conflicts.shift();
+      if (!conflict) return;
 
-        // Scroll active tab into view
-        const activeEl = TABS.listEl && TABS.listEl.querySelector('.tab-item.is-active');
-        if (activeEl) {
-          activeEl.scrollIntoView({ block: 'nearest', inline: 'nearest' });
-          if (focusActiveTab) activeEl.focus({ preventScroll: true });
-        }
+      PANEL.open('sync-conflict', 'Edited in two windows', (body) => SYNC._renderConflict(body, conflict), () => {
+        setTimeout(() => SYNC._showNextConflict());
       });
     },
 
-    createTab() {
-      // Save current before creating
-      const currentTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
-      if (currentTab) {
-        currentTab.content = EDITOR.getHTML();
-        currentTab.updatedAt = Date.now();
-      }
+    _renderConflict(body, conflict) {
+      const tab = STATE.tabs.find((t) => t.id === conflict.tabId);
+      const localContent = () => (tab.id === STATE.activeTabId ? EDITOR.getHTML() : tab.content);
+
+      const hint = document.createElement('p');
+      hint.className = 'settings-hint';
+      hint.textContent = `“${tab.name}” was changed in another window while you were editing it here. ` +
+        'Lines marked − are only in the other window, + only in this one.';
+
+      const view = document.createElement('div');
+      view.className = 'history-view';
+      view.appendChild(HISTORY_PANEL.renderDiff(conflict.content, localContent()));
+
+      const actions = document.createElement('div');
+      actions.className = 'settings-actions';
+      const choices = [
+        { label: 'Keep this version', primary: true, run: () => STORAGE.scheduleSave() },
+        { label: 'Use the other version', run: () => SYNC._useRemote(tab, conflict) },
+        { label: 'Keep both', run: () => SYNC._keepBoth(tab, conflict) },
+      ];
+      choices.forEach((choice) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'settings-btn' + (choice.primary ? ' settings-btn--primary' : '');
+        btn.textContent = choice.label;
+        btn.addEventListener('click', () => {
+          choice.run();
+          PANEL.close();
+        });
+        actions.appendChild(btn);
+      });
+
+      const note = document.createElement('p');
+      note.className = 'settings-hint';
+      note.textContent = 'Whichever version you don’t keep stays available in the note’s history.';
+
+      body.append(hint, view, actions, note);
+    },
+
+    _useRemote(tab, conflict) {
+      const isActive = tab.id === STATE.activeTabId;
+      HISTORY.takeSnapshot(tab.id, isActive ? EDITOR.getHTML() : tab.content, 'before-restore');
+      tab.content = conflict.content;
+      tab.updatedAt = Date.now();
+      HISTORY.updateBaseline(tab.id, conflict.content);
+      if (isActive) EDITOR.setHTML(conflict.content);
+      STORAGE.scheduleSave();
+    },
 
+    _keepBoth(tab, conflict) {
       const now = Date.now();
-      const newTab = {
-        id: 'tab-' + now,
-        name: 'Note ' + (STATE.tabs.length + 1),
-        content: '',
+      const copy = {
+        id: createId('tab'),
+        name: TABS.uniqueName(conflict.name, ' (other window)'),
+        content: conflict.content,
         createdAt: now,
         updatedAt: now,
       };
+      if (tab.groupId) copy.groupId = tab.groupId;
+      STATE.tabs.splice(STATE.tabs.indexOf(tab) + 1, 0, copy);
+      TABS.redraw();
+      STORAGE.scheduleSave();
+    },
+  };
 
-      STATE.tabs.push(newTab);
-      TABS.switchTo(newTab.id, true);
+  /* ============================================================
+     CAPTURE — append items sent from the "Add to Notebook" context menu
+     ============================================================ */
+  const CAPTURE = {
+    INBOX_KEY: 'notebookInbox',
+    INBOX_NOTE_NAME: 'Inbox', // target 'inbox' (address bar lines) goes to the note of this name
+    ORPHAN_MS: 60 * 1000,   // an item for a window without a panel goes to whichever panel sees it next
+    UNSAFE_TAGS: 'script, style, iframe, frame, object, embed, form, input, button, select, textarea, link, meta, base',
+
+    _handled: new Set(),
+    _failed: new Set(),     // ids already reported; they stay queued and are retried on the next drain
+    _draining: null,
+
+    init() {
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[CAPTURE.INBOX_KEY]) CAPTURE.drain();
+      });
+      CAPTURE.drain();
+    },
 
-      // Scroll to new tab
-      requestAnimationFrame(() => {
-        const activeEl = TABS.listEl && TABS.listEl.querySelector('.tab-item.is-active');
-        if (activeEl) activeEl.scrollIntoView({ block: 'nearest', inline: 'end' });
-        EDITOR.focus();
+    /**
+     * Apply queued items meant for this panel's window, then let the
+     * background drop the ones that were applied. A failed item stays in the
+     * inbox for the next drain.
+     */
+    drain() {
+      if (CAPTURE._draining) return CAPTURE._draining.then(() => CAPTURE.drain());
+      CAPTURE._draining = (async () => {
+        const result = await STORAGE._get(CAPTURE.INBOX_KEY);
+        const items = Array.isArray(result[CAPTURE.INBOX_KEY]) ? result[CAPTURE.INBOX_KEY] : [];
+        const now = Date.now();
+        const mine = items.filter((item) => !CAPTURE._handled.has(item.id) && (
+          STATE.windowId === null ||
+          item.windowId === STATE.windowId ||
+          now - item.capturedAt > CAPTURE.ORPHAN_MS
+        ));
+        for (const item of mine) {
+          try {
+            await CAPTURE.apply(item);
+            CAPTURE._handled.add(item.id);
+            CAPTURE._failed.delete(item.id);
+          } catch (_) {
+            if (!CAPTURE._failed.has(item.id)) TOAST.show('Could not add a captured item. It will be tried again.');
+            CAPTURE._failed.add(item.id);
+          }
+        }
+        // Also repeats ids whose earlier message never got through.
+        const done = items.filter((item) => CAPTURE._handled.has(item.id)).map((item) => item.id);
+        if (done.length) {
+          chrome.runtime.sendMessage({ type: 'notebook:captures-applied', ids: done }, () => {
+            void chrome.runtime.lastError;  // background restarting; the next drain sends them again
+          });
+        }
+      })().finally(() => {
+        CAPTURE._draining = null;
       });
+      return CAPTURE._draining;
     },
 
-    deleteTab(tabId) {
-      if (STATE.tabs.length <= 1) return; // shouldn't happen (button disabled), guard anyway
+    /** Append one captured item to its target note (falls back to the active note). */
+    async apply(item) {
+      const html = await CAPTURE.toHTML(item);
+      if (!html) return;
+
+      const target = item.target || { kind: 'active' };
+      let tab = null;
+      if (target.kind === 'tab') tab = STATE.tabs.find((t) => t.id === target.tabId);
+      else if (target.kind === 'inbox') tab = STATE.tabs.find((t) => t.name === CAPTURE.INBOX_NOTE_NAME);
+      if (target.kind === 'new' || (target.kind === 'inbox' && !tab)) {
+        const now = Date.now();
+        tab = {
+          id: createId('tab'),
+          name: target.kind === 'inbox'
+            ? CAPTURE.INBOX_NOTE_NAME
+            : TABS.uniqueName((item.source && item.source.title || '').trim().slice(0, 60) || 'Captured'),
+          content: '',
+          createdAt: now,
+          updatedAt: now,
+        };
+        STATE.tabs.push(tab);
+      }
+      if (!tab) tab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
 
-      const idx = STATE.tabs.findIndex((t) => t.id === tabId);
-      if (idx === -1) return;
+      if (tab.id === STATE.activeTabId) {
+        const scrollTop = EDITOR.el.scrollTop;
+        EDITOR.setHTML(EDITOR.getHTML() + html);
+        EDITOR.el.scrollTop = scrollTop;
+        tab.content = EDITOR.getHTML();
+      } else {
+        await STORAGE.ensureContent([tab]);
+        tab.content = (tab.content || '') + html;
+      }
+      tab.updatedAt = Date.now();
 
-      const tab = STATE.tabs[idx];
-      if (!confirm(`Delete "${tab.name}"?`)) return;
+      TABS.redraw();
+      STORAGE.scheduleSave();
+      if (tab.id === STATE.activeTabId) {
+        TOAST.show(`Added to “${tab.name}”`);
+      } else {
+        TOAST.show(`Added to “${tab.name}”`, { actionLabel: 'Open', onAction: () => TABS.switchTo(tab.id) });
+      }
+    },
 
-      STATE.tabs.splice(idx, 1);
+    /** Note HTML for a captured item: the content, then a link back to its page. */
+    async toHTML(item) {
+      const source = item.source || {};
+      const sourceLink = source.url
+        ? `<a href="${escapeHTML(source.url)}">${escapeHTML(source.title || source.url)}</a>`
+        : '';
+      let body = '';
+
+      if (item.kind === 'selection') {
+        body = item.html || escapeHTML(item.text || '').replace(/\n/g, '<br>');
+        // A selection inside one paragraph arrives as bare inline markup.
+        if (!/^\s*<(p|div|h[1-6]|ul|ol|blockquote|pre|table|figure|hr)\b/i.test(body)) body = `<p>${body}</p>`;
+      } else if (item.kind === 'link' && item.url) {
+        body = `<p><a href="${escapeHTML(item.url)}">${escapeHTML(item.url)}</a></p>`;
+      } else if (item.kind === 'image' && item.src) {
+        body = `<p>${await CAPTURE._imageHTML(item.src)}</p>`;
+      }
 
-      // Switch to nearest neighbor
-      if (STATE.activeTabId === tabId) {
-        const neighborIdx = Math.min(idx, STATE.tabs.length - 1);
-        STATE.activeTabId = STATE.tabs[neighborIdx].id;
-        EDITOR.setHTML(STATE.tabs[neighborIdx].content);
+      let html;
+      if (body) html = body + (sourceLink ? `<p>Source: ${sourceLink}</p>` : '');
+      else if (sourceLink) html = `<p>${sourceLink}</p>`;
+      else return '';
+
+      const sanitized = EDITOR.sanitizePastedHTML(CAPTURE._stripActiveContent(html));
+      return IMAGE_STORE.adoptDataImages(LINKS.linkifyIssueTokensInHTML(sanitized));
+    },
+
+    /** Keep the image itself when it can be fetched; otherwise reference it by URL. */
+    async _imageHTML(src) {
+      try {
+        const response = await fetch(src);
+        const blob = response.ok ? await response.blob() : null;
+        if (!blob || !blob.type.startsWith('image/')) throw new Error('Not an image.');
+        const hash = await IMAGE_STORE.put(blob);
+        return `<img data-image-id="${hash}" alt="">`;
+      } catch (_) {
+        return `<img src="${escapeHTML(src)}" alt="">`;
       }
+    },
 
-      TABS.redraw();
-      STORAGE.scheduleSave();
+    /**
+     * Page HTML arrives from outside the extension: drop scripts, embeds,
+     * form controls, event handlers and script URLs before the usual paste
+     * sanitizing.
+     */
+    _stripActiveContent(html) {
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      tpl.content.querySelectorAll(CAPTURE.UNSAFE_TAGS).forEach((node) => node.remove());
+      tpl.content.querySelectorAll('*').forEach((node) => {
+        Array.from(node.attributes).forEach((attr) => {
+          const name = attr.name.toLowerCase();
+          const isScriptUrl = (name === 'href' || name === 'src') && /^\s*(javascript|vbscript):/i.test(attr.value);
+          if (name.startsWith('on') || name === 'srcset' || isScriptUrl) node.removeAttribute(attr.name);
+        });
+      });
+      return tpl.innerHTML;
+    },
+  };
+
+  /* ============================================================
+     REQUESTS — actions asked for by the background (address bar, shortcuts)
+     ============================================================ */
+  const REQUESTS = {
+    KEY: 'notebookPanelRequest',
+    FRESH_MS: 30 * 1000,   // older requests were meant for a panel that never opened
+
+    _handled: new Set(),
+
+    init() {
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[REQUESTS.KEY] && changes[REQUESTS.KEY].newValue) REQUESTS.check();
+      });
+      REQUESTS.check();
+    },
+
+    async check() {
+      const request = (await STORAGE._get(REQUESTS.KEY))[REQUESTS.KEY];
+      if (!request || REQUESTS._handled.has(request.id) || Date.now() - request.at > REQUESTS.FRESH_MS) return;
+      if (STATE.windowId !== null && request.windowId !== STATE.windowId) return;
+      REQUESTS._handled.add(request.id);
+      STORAGE._remove(REQUESTS.KEY);
+      REQUESTS.handle(request);
+    },
+
+    handle(request) {
+      switch (request.type) {
+        case 'open':
+          REQUESTS._openNote(request.tabId, request.query || '');
+          break;
+        case 'search':
+          if (typeof request.query === 'string') SEARCH.query = request.query;
+          SEARCH.open();
+          break;
+        case 'new':
+          PANEL.close(false);
+          TABS.createTab();
+          break;
+        case 'switch':
+          PANEL.close(false);
+          TABS.switchBy(request.offset);
+          break;
+        default:
+          break;
+      }
+    },
+
+    /** Show a note, highlighting `query` when it occurs in the text. */
+    async _openNote(tabId, query) {
+      const tab = STATE.tabs.find((t) => t.id === tabId);
+      if (!tab) return;
+      await STORAGE.ensureContent([tab]);
+      const result = query ? SEARCH.run(query).find((r) => r.tab.id === tabId) : null;
+      if (result && result.matches.length) {
+        SEARCH.query = query;
+        SEARCH.reveal(tabId, result.matches[0].start);
+        return;
+      }
+      PANEL.close(false);
+      await TABS.switchTo(tabId);
+      EDITOR.focus(false);
     },
   };
 
@@ -1810,11 +10208,21 @@
      init — bootstrap everything on DOMContentLoaded
      ============================================================ */
   async function init() {
-    const tabListEl  = document.getElementById('tab-list');
-    const tabAddBtn  = document.getElementById('tab-add-btn');
-    const toolbarEl  = document.getElementById('toolbar');
-    const editorEl   = document.getElementById('editor');
+    const tabListEl    = document.getElementById('tab-list');
+    const tabAddBtn    = document.getElementById('tab-add-btn');
+    const templateBtn  = document.getElementById('template-menu-btn');
+    const tagFilterBtn = document.getElementById('tag-filter-btn');
+    const allNotesBtn  = document.getElementById('all-notes-btn');
+    const toolbarEl    = document.getElementById('toolbar');
+    const editorEl     = document.getElementById('editor');
+    const appMenuBtn   = document.getElementById('app-menu-btn');
+    const outlineEl    = document.getElementById('outline');
+    const statusEl     = document.getElementById('status-bar');
     const storedPromise = STORAGE.load();
+    const settingsPromise = SETTINGS.load();
+    const historyPromise = HISTORY.load();
+    const trashPromise = TRASH.load();
+    const templatesPromise = TEMPLATES.load();
 
     // Mount editor
     EDITOR.mount(editorEl);
@@ -1824,6 +10232,10 @@
 
     // Wire up link click-to-open
     LINKS.init(editorEl);
+    CHECKLIST.init(editorEl);
+    TABLES.init(editorEl);
+    CODE.init(editorEl);
+    NOTE_OPS.init();
 
     // Selection change → update toolbar active state
     document.addEventListener('selectionchange', () => {
@@ -1844,11 +10256,22 @@
       themeMedia.addListener(handleThemeChange);
     }
 
-    // Load persisted data
+    // Settings drive link rules used when notes are rendered and pasted into.
+    await settingsPromise;
+    LINKS.setRules(SETTINGS.get('linkRules'));
+    SETTINGS.onChange((key, value) => {
+      if (key === 'linkRules') LINKS.setRules(value);
+    });
+    OUTLINE.init(outlineEl);
+
+    // Load persisted data; a leftover recovery draft means the last writes failed.
     let stored = await storedPromise;
+    const draft = await STORAGE.takeDraft(stored);
+    if (draft) stored = draft;
 
     if (stored && stored.tabs && stored.tabs.length > 0) {
       STATE.tabs = stored.tabs;
+      STATE.groups = stored.groups || [];
       STATE.activeTabId = stored.activeTabId;
 
       // Validate activeTabId exists
@@ -1860,7 +10283,7 @@
       const now = Date.now();
       const defaultTab = {
         id: 'tab-' + now,
-        name: 'Note 1',
+        name: TEMPLATES.tabName(),
         content: '',
         createdAt: now,
         updatedAt: now,
@@ -1869,22 +10292,67 @@
       STATE.activeTabId = defaultTab.id;
     }
 
+    // Snapshots compare against what was loaded, and deletes append to the
+    // trash, so both must be ready before the first edit (templates, before
+    // the add menu can open).
+    await Promise.all([historyPromise, trashPromise, templatesPromise]);
+    HISTORY.setBaseline(STATE.tabs);
+
     // Set editor content
     const activeTab = STATE.tabs.find((t) => t.id === STATE.activeTabId);
     EDITOR.setHTML(activeTab ? activeTab.content : '');
 
     // Render tabs
+    LAYOUT.init();
     TABS.render(tabListEl);
 
+    STATUS_BAR.init(statusEl);
+    SYNC.init();
+    if (chrome.windows && chrome.windows.getCurrent) {
+      STATE.windowId = await new Promise((resolve) => {
+        chrome.windows.getCurrent((win) => resolve(win && typeof win.id === 'number' ? win.id : null));
+      });
+    }
+    CAPTURE.init();
+    REQUESTS.init();
+    if (draft) {
+      STORAGE.scheduleSave();
+      TOAST.show(draft.recovered
+        ? 'Recovered unsaved changes from last time. Notes changed since then were kept, with your changes as “(recovered)” copies.'
+        : 'Recovered changes that were not saved last time.');
+    }
+
     // Add tab button
     tabAddBtn.addEventListener('click', () => {
       TABS.createTab();
     });
+    TEMPLATES.init(templateBtn);
+
+    // Show only the notes with one tag
+    TAGS.init(tagFilterBtn);
+
+    // List of every note, for when the tabs overflow
+    allNotesBtn.addEventListener('click', () => {
+      if (PANEL.isOpen('all-notes')) PANEL.close();
+      else ALL_NOTES.open();
+    });
+
+    // Overflow menu (settings and other secondary views)
+    APP_MENU.init(appMenuBtn);
+
+    // Panel shortcuts (search, tab management, help); Escape clears match highlights
+    document.addEventListener('keydown', (e) => {
+      if (SHORTCUTS.handleKeydown(e)) return;
+      if (e.key === 'Escape' && !PANEL.isOpen()) {
+        SEARCH.clearHighlights();
+      }
+    });
 
     // Flush immediately when popup is hidden (tab close / window switch)
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'hidden') {
         STORAGE.flush();
+        if (HISTORY._persistTimer) HISTORY.persist();
       }
     });
 
@@ -1892,6 +10360,11 @@
     deferNonCritical(() => {
       IMAGES.init(editorEl);
       LIST_REORDER.init(editorEl);
+      TRASH.expire();
+      HISTORY.pruneAll(new Set(STATE.tabs.map((t) => t.id).concat(TRASH.tabIds())));
+      IMAGE_STORE.migrate()
+        .then(() => IMAGE_STORE.collectGarbage())
+        .catch(() => {});
     });
 
     // Focus editor on load without traversing all editor content.